@@ -0,0 +1,323 @@
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { createServer } from 'node:http';
+import { getClient, closeClient } from './connection.js';
+import { systemClock } from './clock.js';
+import { JobQueue } from './message_queuing.js';
+import { DistributedLock } from './distributed_locking.js';
+import { RateLimiter } from './rate_limiting.js';
+import { ConfigManager } from './config_management.js';
+import { FullTextSearch } from './full_text_search.js';
+import { LeaderboardManager } from './leaderboards.js';
+import { consoleLogger, defaultRegistry, secondsSince, PROMETHEUS_CONTENT_TYPE } from './observability.js';
+import { isMainModule } from './main_module.js';
+
+// Admin REST API - exposes the use-case managers over HTTP using only node:http
+//
+// Every response is JSON except GET /metrics, which serves the Prometheus text format.
+// Errors are returned as { "error": message } with a matching status.
+// Pass a token to require "Authorization: Bearer <token>" on every request.
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Error with an HTTP status, thrown by route handlers
+export class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function parseLimit(value, defaultValue) {
+    if (value === null || value === undefined) return defaultValue;
+
+    const limit = parseInt(value);
+    if (!Number.isInteger(limit) || limit < 0) {
+        throw new HttpError(400, `Invalid limit: ${value}`);
+    }
+    return limit;
+}
+
+function requireFields(body, fields) {
+    for (const field of fields) {
+        if (body[field] === undefined || body[field] === null || body[field] === '') {
+            throw new HttpError(400, `Missing field: ${field}`);
+        }
+    }
+}
+
+// Compile "/queues/:name/stats" into a regular expression with named groups
+function compilePath(path) {
+    const pattern = path.replace(/:(\w+)/g, (match, name) => `(?<${name}>[^/]+)`);
+    return new RegExp(`^${pattern}/?$`);
+}
+
+// Route table: method, path and handler({ params, query, body, managers, metrics })
+const ROUTES = [
+    ['GET', '/health', async ({ client }) => ({ status: 'ok', redis: await client.ping() })],
+    ['GET', '/metrics', ({ metrics }) => ({
+        status: 200,
+        body: metrics.toPrometheus(),
+        headers: { 'Content-Type': PROMETHEUS_CONTENT_TYPE }
+    })],
+
+    ['GET', '/leaderboards/:name/top', ({ params, query, managers }) =>
+        managers.leaderboards.getTopPlayers(params.name, parseLimit(query.get('limit'), 10))],
+    ['GET', '/leaderboards/:name/players/:playerId', async ({ params, managers }) => {
+        const rank = await managers.leaderboards.getPlayerRank(params.name, params.playerId);
+        if (!rank) {
+            throw new HttpError(404, `Player ${params.playerId} is not on leaderboard ${params.name}`);
+        }
+        return rank;
+    }],
+    ['POST', '/leaderboards/:name/scores', async ({ params, body, managers }) => {
+        requireFields(body, ['playerId', 'score']);
+        const { playerId, score, ...playerData } = body;
+        if (typeof score !== 'number') {
+            throw new HttpError(400, 'score must be a number');
+        }
+        await managers.leaderboards.updateScore(params.name, playerId, score, playerData);
+        return managers.leaderboards.getPlayerRank(params.name, playerId);
+    }],
+
+    ['GET', '/search', ({ query, managers }) => {
+        const text = query.get('q');
+        if (!text) {
+            throw new HttpError(400, 'Missing query parameter: q');
+        }
+        return managers.search.search(text, {
+            limit: parseLimit(query.get('limit'), 10),
+            offset: parseLimit(query.get('offset'), 0),
+            sortBy: query.get('sortBy') || 'relevance'
+        });
+    }],
+    ['POST', '/search', ({ body, managers }) => {
+        requireFields(body, ['query']);
+        const { query, limit = 10, offset = 0, sortBy = 'relevance' } = body;
+        return managers.search.search(query, { limit: parseLimit(limit), offset: parseLimit(offset), sortBy });
+    }],
+    ['GET', '/search/suggestions', ({ query, managers }) =>
+        managers.search.getSuggestions(query.get('prefix') || '', parseLimit(query.get('limit'), 5))],
+    ['POST', '/search/documents', async ({ body, managers }) => {
+        requireFields(body, ['id', 'title', 'content']);
+        await managers.search.indexDocument(body.id, body.title, body.content, body.metadata || {});
+        return { status: 201, body: { indexed: body.id } };
+    }],
+    ['DELETE', '/search/documents/:id', async ({ params, managers }) => {
+        await managers.search.removeDocument(params.id);
+        return { removed: params.id };
+    }],
+
+    ['GET', '/queues/:name/stats', ({ params, managers }) => managers.queue(params.name).getQueueStats()],
+    ['POST', '/queues/:name/jobs', async ({ params, body, managers }) => {
+        requireFields(body, ['data']);
+        const { data, priority = 'normal', delay = 0 } = body;
+        const id = await managers.queue(params.name).addJob(data, priority, delay);
+        return { status: 201, body: { id } };
+    }],
+    ['POST', '/queues/:name/retry-failed', async ({ params, query, managers }) => ({
+        retried: await managers.queue(params.name).retryFailedJobs(parseLimit(query.get('limit'), Infinity))
+    })],
+
+    ['GET', '/config/:app', ({ params, managers }) => managers.config(params.app).getAllConfig()],
+    ['GET', '/config/:app/:key', async ({ params, managers }) => {
+        const value = await managers.config(params.app).getConfig(params.key);
+        if (value === null) {
+            throw new HttpError(404, `Config key ${params.key} not found`);
+        }
+        return { key: params.key, value };
+    }],
+    ['PUT', '/config/:app/:key', async ({ params, body, managers }) => {
+        if (!('value' in body)) {
+            throw new HttpError(400, 'Missing field: value');
+        }
+        const config = managers.config(params.app);
+        await config.setConfig(params.key, body.value, body.user ? { user: body.user } : {});
+        return { key: params.key, value: await config.getConfig(params.key) };
+    }],
+    ['DELETE', '/config/:app/:key', async ({ params, managers }) => ({
+        deleted: await managers.config(params.app).deleteConfig(params.key)
+    })],
+    ['GET', '/config/:app/:key/history', ({ params, query, managers }) =>
+        managers.config(params.app).getConfigHistory(params.key, parseLimit(query.get('limit'), 10))],
+
+    ['GET', '/locks/:name', ({ params, managers }) => managers.locks.getLockStatus(params.name)],
+    ['DELETE', '/locks/:name', async ({ params, managers }) => ({
+        released: await managers.locks.forceReleaseLock(params.name)
+    })],
+
+    ['GET', '/ratelimits/:identifier', ({ params, query, managers }) =>
+        managers.rateLimiter.getRateLimitStatus(params.identifier, query.get('strategy') || 'fixed')],
+    ['DELETE', '/ratelimits/:identifier', async ({ params, query, managers }) => {
+        const strategy = query.get('strategy') || 'fixed';
+        await managers.rateLimiter.resetRateLimit(params.identifier, strategy);
+        return { reset: params.identifier, strategy };
+    }]
+].map(([method, path, handler]) => ({ method, path, regex: compilePath(path), handler }));
+
+// Find the handler for a request; distinguishes unknown paths (404) from wrong methods (405)
+function matchRoute(method, pathname) {
+    const allowed = [];
+
+    for (const route of ROUTES) {
+        const match = route.regex.exec(pathname);
+        if (!match) continue;
+
+        if (route.method === method) {
+            const params = {};
+            for (const [name, value] of Object.entries(match.groups || {})) {
+                try {
+                    params[name] = decodeURIComponent(value);
+                } catch {
+                    throw new HttpError(400, `Malformed path parameter ${name}: ${value}`);
+                }
+            }
+            return { route, params };
+        }
+        allowed.push(route.method);
+    }
+
+    if (allowed.length > 0) {
+        const error = new HttpError(405, `Method ${method} not allowed`);
+        error.allow = allowed.join(', ');
+        throw error;
+    }
+    throw new HttpError(404, `No route for ${method} ${pathname}`);
+}
+
+// Read and parse a JSON request body
+async function readJsonBody(request) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new HttpError(413, 'Request body too large');
+        }
+        chunks.push(chunk);
+    }
+
+    if (size === 0) return {};
+
+    try {
+        const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new Error('expected an object');
+        }
+        return body;
+    } catch (error) {
+        throw new HttpError(400, `Invalid JSON body: ${error.message}`);
+    }
+}
+
+// Compares digests so the check takes the same time however much of the token matches
+function checkBearerToken(request, token) {
+    const [scheme, credentials = ''] = (request.headers.authorization || '').split(' ');
+    const digest = value => createHash('sha256').update(value).digest();
+    if (scheme.toLowerCase() !== 'bearer' || !timingSafeEqual(digest(credentials), digest(token))) {
+        const error = new HttpError(401, 'Missing or invalid bearer token');
+        error.authenticate = 'Bearer';
+        throw error;
+    }
+}
+
+function sendJson(response, status, body, headers = {}) {
+    sendText(response, status, JSON.stringify(body), { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+}
+
+function sendText(response, status, payload, headers = {}) {
+    response.writeHead(status, {
+        'Content-Type': 'text/plain; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        ...headers
+    });
+    response.end(payload);
+}
+
+// Create (but do not start) the admin HTTP server for a connected Redis client
+export function createAdminServer(redisClient, options = {}) {
+    const { searchIndex = 'fts', lockPrefix = 'lock:', clock = systemClock, namespace, tenant, hashTag, tracer, token } = options;
+    const logger = options.logger || consoleLogger;
+    const metrics = options.metrics || defaultRegistry;
+    const managerOptions = { clock, namespace, tenant, hashTag, logger, metrics, tracer };
+
+    const requestsMetric = metrics.counter('http_requests_total', 'Admin API requests', ['method', 'route', 'status']);
+    const durationMetric = metrics.histogram('http_request_duration_seconds', 'Admin API response time', ['method', 'route']);
+
+    const managers = {
+        leaderboards: new LeaderboardManager(redisClient, managerOptions),
+        search: new FullTextSearch(redisClient, searchIndex, managerOptions),
+        locks: new DistributedLock(redisClient, lockPrefix, managerOptions),
+        rateLimiter: new RateLimiter(redisClient, managerOptions),
+        queue: name => new JobQueue(redisClient, name, managerOptions),
+        config: app => new ConfigManager(redisClient, app, managerOptions)
+    };
+
+    return createServer(async (request, response) => {
+        const start = process.hrtime.bigint();
+        let routePath = 'unmatched'; // route template, so metric labels stay bounded
+
+        try {
+            if (token) checkBearerToken(request, token);
+
+            const url = new URL(request.url, 'http://localhost');
+            const { route, params } = matchRoute(request.method, url.pathname);
+            routePath = route.path;
+            const body = ['POST', 'PUT', 'PATCH'].includes(request.method) ? await readJsonBody(request) : {};
+
+            const result = await route.handler({ client: redisClient, params, query: url.searchParams, body, managers, metrics });
+
+            // Handlers return either a plain result (200) or { status, body[, headers] }; string bodies are sent as-is
+            if (result && typeof result === 'object' && 'status' in result && 'body' in result) {
+                const send = typeof result.body === 'string' ? sendText : sendJson;
+                send(response, result.status, result.body, result.headers);
+            } else {
+                sendJson(response, 200, result ?? null);
+            }
+        } catch (error) {
+            if (error instanceof HttpError) {
+                const headers = {};
+                if (error.allow) headers.Allow = error.allow;
+                if (error.authenticate) headers['WWW-Authenticate'] = error.authenticate;
+                sendJson(response, error.status, { error: error.message }, headers);
+            } else {
+                logger.error(`Admin API error on ${request.method} ${request.url}:`, error);
+                sendJson(response, 500, { error: error.message });
+            }
+        } finally {
+            requestsMetric.inc({ method: request.method, route: routePath, status: response.statusCode });
+            durationMetric.observe({ method: request.method, route: routePath }, secondsSince(start));
+        }
+    });
+}
+
+// Start the admin API using the shared connection settings
+async function startAdminServer() {
+    const client = await getClient();
+    const port = parseInt(process.env.ADMIN_API_PORT) || 3000;
+    // Loopback only unless told otherwise: the API can change config, locks and rate limits
+    const host = process.env.ADMIN_API_HOST || '127.0.0.1';
+    const server = createAdminServer(client, {
+        searchIndex: process.env.ADMIN_API_SEARCH_INDEX || 'fts',
+        namespace: process.env.ADMIN_API_NAMESPACE,
+        tenant: process.env.ADMIN_API_TENANT,
+        hashTag: process.env.ADMIN_API_HASH_TAG === 'true',
+        token: process.env.ADMIN_API_TOKEN
+    });
+
+    server.listen(port, host, () => {
+        console.log(`Redis admin API listening on http://${host}:${port}`);
+    });
+
+    // Shut down cleanly on Ctrl+C / container stop
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => {
+            server.close(() => closeClient().finally(() => process.exit(0)));
+        });
+    }
+}
+
+// Run the server if this file is executed directly
+if (isMainModule(import.meta.url)) {
+    startAdminServer().catch(console.error);
+}
@@ -1,38 +1,274 @@
-import { createClient } from 'redis';
+import { EventEmitter } from 'node:events';
+import { createHash } from 'node:crypto';
+import { getClient, closeClient } from './connection.js';
+import { systemClock } from './clock.js';
+import { jsonCodec, binaryReplies } from './codecs.js';
+import { createKeyspace } from './keyspace.js';
+import { unlinkKeys, unlinkMatching, globToRegExp, DEFAULT_SCAN_COUNT } from './key_scan.js';
+import { consoleLogger, defaultRegistry, traceClient, secondsSince } from './observability.js';
+import { isMainModule } from './main_module.js';
 
-const client = createClient({
-    username: 'default',
-    password: 'gX94CVL0mRXXi7hligXMmMavy4lr55PV',
-    socket: {
-        host: 'redis-12372.c54.ap-northeast-1-2.ec2.redns.redis-cloud.com',
-        port: 12372
+// Statuses a shared cache may store without explicit permission (RFC 9110, section 15.1)
+const CACHEABLE_STATUSES = new Set([200, 203, 204, 300, 301, 308, 404, 405, 410, 414, 501]);
+
+// Response headers that describe the connection rather than the resource, or that the
+// middleware sets itself on every response
+const UNSTORED_HEADERS = new Set(['connection', 'keep-alive', 'transfer-encoding', 'set-cookie', 'date', 'age', 'x-cache']);
+
+// Request headers keys depend on when no route policy or Vary header says otherwise
+const DEFAULT_KEY_HEADERS = ['accept', 'accept-language', 'user-agent'];
+
+// Copy of headers with lowercase names, as node:http delivers them; direct callers may pass
+// 'Authorization' or 'Accept'
+function lowercaseHeaders(headers = {}) {
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+}
+
+// Device class of a User-Agent: 'bot', 'tablet', 'mobile' or 'desktop'
+function deviceClass(userAgent) {
+    const ua = String(userAgent);
+    if (/bot|crawl|spider|slurp|curl|wget/i.test(ua)) return 'bot';
+    if (/ipad|tablet|kindle|silk|playbook|android(?!.*mobile)/i.test(ua)) return 'tablet';
+    if (/mobi|iphone|ipod|android|blackberry|opera mini|iemobile/i.test(ua)) return 'mobile';
+    return 'desktop';
+}
+
+// Counters kept per hour in api:cache:stats:<YYYY-MM-DDTHH>, in total and per route
+const STAT_COUNTERS = ['hits', 'misses', 'writes', 'invalidations', 'expirations', 'evictions', 'bytesWritten', 'savedMs'];
+
+// An entry gone less than this long before its expiry time still counts as expired, not
+// evicted, to allow for drift between this clock and the server's
+const EXPIRY_SKEW_MS = 1000;
+
+// Removes the fields of the hash KEYS[1] that still hold the values read; ARGV holds
+// field/value pairs. Returns the fields removed.
+export const FORGET_ENTRIES_SCRIPT = `
+    local removed = {}
+    for i = 1, #ARGV, 2 do
+        if redis.call('HGET', KEYS[1], ARGV[i]) == ARGV[i + 1] then
+            redis.call('HDEL', KEYS[1], ARGV[i])
+            table.insert(removed, ARGV[i])
+        end
+    end
+    return removed
+`;
+
+// Zeroed STAT_COUNTERS
+function emptyCounts() {
+    return Object.fromEntries(STAT_COUNTERS.map(counter => [counter, 0]));
+}
+
+// Percentage of lookups that hit, to two decimals ('66.67'), or 0 without lookups
+function hitRate({ hits, misses }) {
+    return hits + misses > 0 ? (hits / (hits + misses) * 100).toFixed(2) : 0;
+}
+
+// Parse a Cache-Control header into { directive: value, or true for directives without one }
+function parseCacheControl(header) {
+    const directives = {};
+    for (const part of String(header ?? '').split(',')) {
+        const [name, value] = part.trim().split('=');
+        if (name) {
+            directives[name.toLowerCase()] = value === undefined ? true : value.replace(/^"|"$/g, '');
+        }
+    }
+    return directives;
+}
+
+// Header names listed in a Vary header, lowercased
+function parseVary(header) {
+    return String(header ?? '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+}
+
+// Headers a 304 Not Modified carries over from the full response (RFC 9110, section 15.4.5), and
+// the only ones a 304 updates in a stored response, so it never rewrites Content-Length
+const NOT_MODIFIED_HEADERS = ['cache-control', 'content-location', 'etag', 'expires', 'last-modified', 'vary'];
+
+// Query parameters as an object; a repeated parameter keeps all its values, in order, as an array
+function queryObject(searchParams) {
+    const query = {};
+    for (const name of new Set(searchParams.keys())) {
+        const values = searchParams.getAll(name);
+        query[name] = values.length > 1 ? values : values[0];
+    }
+    return query;
+}
+
+// Whether response headers include a validator to revalidate with
+function hasValidator(headers = {}) {
+    return headers.etag !== undefined || headers['last-modified'] !== undefined;
+}
+
+// The If-None-Match / If-Modified-Since headers of a request, or null if it has neither
+function conditionalHeaders(headers) {
+    const conditional = {};
+    for (const name of ['if-none-match', 'if-modified-since']) {
+        if (headers[name] !== undefined) conditional[name] = headers[name];
+    }
+    return Object.keys(conditional).length > 0 ? conditional : null;
+}
+
+// Whether a conditional request is satisfied by a response with these validators. If-None-Match
+// uses weak comparison and takes precedence over If-Modified-Since (RFC 9110, section 13.2.2).
+function notModified(conditional, etag, lastModified) {
+    if (!conditional) return false;
+
+    const ifNoneMatch = conditional['if-none-match'];
+    if (ifNoneMatch !== undefined) {
+        if (etag === undefined) return false;
+        const opaque = tag => String(tag).trim().replace(/^W\//, '');
+        const tags = String(ifNoneMatch).split(',').map(opaque);
+        return tags.includes('*') || tags.includes(opaque(etag));
     }
-});
 
-client.on('error', err => console.log('Redis Client Error', err));
+    const since = Date.parse(conditional['if-modified-since']);
+    const modified = Date.parse(lastModified);
+    return !Number.isNaN(since) && !Number.isNaN(modified) && modified <= since;
+}
+
+// Path of a URL without its query string or trailing slash ('/api/users/?page=2' -> '/api/users')
+function normalizePath(url) {
+    const path = String(url).split('?')[0].replace(/\/+$/, '');
+    return path.startsWith('/') ? path : `/${path}`;
+}
+
+// The path and every ancestor on segment boundaries: '/api/users/1' -> '/', '/api', '/api/users', '/api/users/1'
+function pathPrefixes(path) {
+    const segments = path.split('/').filter(Boolean);
+    return ['/', ...segments.map((segment, i) => `/${segments.slice(0, i + 1).join('/')}`)];
+}
+
+// RegExp for the paths a route template matches ('/api/users/:id' matches '/api/users/7')
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
-await client.connect();
+function routeToRegExp(template) {
+    const source = normalizePath(template).split('/')
+        .map(segment => segment.startsWith(':') ? '[^/]+' : escapeRegExp(segment))
+        .join('/');
+    return new RegExp(`^${source || '/'}$`);
+}
 
 // API Response Caching example - caching API responses to reduce backend load
-class APICacheManager {
-    constructor(redisClient, defaultTTL = 300) {
-        this.client = redisClient;
+//
+// middleware() serves HTTP responses from the cache following Cache-Control, Vary and validators;
+// keys, per-route policies, index-based invalidation and hourly statistics are described in
+// README.md.
+//
+// Events: 'hit' { method, url, key }, 'miss' { method, url, key }, 'store' { method, url, key, ttl },
+//         'invalidate' { pattern, count }, 'revalidate' { url, key, ttl }
+class APICacheManager extends EventEmitter {
+    constructor(redisClient, defaultTTL = 300, options = {}) {
+        super();
+        this.client = traceClient(redisClient, options.tracer);
+        this.logger = options.logger || consoleLogger;
+        this.metrics = options.metrics || defaultRegistry;
+        this.clock = options.clock || systemClock;
+        this.codec = options.codec || jsonCodec;
+        this.valueClient = binaryReplies(this.client); // reads encoded values as raw bytes
+        this.keys = createKeyspace(options);
         this.defaultTTL = defaultTTL; // 5 minutes default
-        this.cacheKey = 'api:cache';
-        this.statsKey = 'api:cache:stats';
+        this.cacheKey = this.keys.key('api:cache');
+        this.statsKey = this.keys.key('api:cache:stats');
+        this.legacyKeys = options.legacyKeys ?? true; // also look up keys from the 32-bit hash
+        this.staleTTL = options.staleTTL ?? 3600; // seconds entries with validators are kept for revalidation
+        this.indexKey = this.keys.key('api:cache:idx');
+        this.policies = Object.entries(options.policies || {}).map(([template, policy]) => ({
+            ...policy,
+            template,
+            headers: policy.headers?.map(name => name.toLowerCase()),
+            pattern: routeToRegExp(template)
+        }));
+        this.principal = options.principal || null; // (headers) -> id of the authenticated user
+        this.routes = (options.routes || []).map(template => ({ template, pattern: routeToRegExp(template) }));
+        this.originStarts = new WeakMap(); // response -> when the middleware passed its request on
+        this.requestsMetric = this.metrics.counter('cache_requests_total', 'Cache lookups by result', ['cache', 'result']);
+    }
+
+    // Generate cache key from request details; varyHeaders replaces the default relevant headers
+    generateCacheKey(method, url, queryParams = {}, headers = {}, varyHeaders = undefined) {
+        return `${this.cacheKey}:${this.hashString(this.canonicalRequest(method, url, queryParams, headers, varyHeaders))}`;
+    }
+
+    // Unambiguous text form of the request details a cached response depends on
+    canonicalRequest(method, url, queryParams = {}, headers = {}, varyHeaders = undefined) {
+        const policy = this.policyFor(url);
+        headers = lowercaseHeaders(headers);
+        const parts = [
+            method.toUpperCase(),
+            url,
+            this.sortObject(this.keyQuery(policy, queryParams)),
+            this.sortObject(this.keyHeaders(policy, headers, varyHeaders))
+        ];
+
+        // Anonymous requests without scopes keep the shorter form
+        const principal = this.principalOf(headers);
+        const scopes = policy?.scopes ? [...(policy.scopes(headers) || [])].map(String).sort() : [];
+        if (principal !== null || scopes.length > 0) {
+            parts.push(principal, scopes);
+        }
+        return JSON.stringify(parts);
+    }
+
+    // Key policy of the first route template matching the URL's path, or null
+    policyFor(url) {
+        const path = normalizePath(url);
+        return this.policies.find(({ pattern }) => pattern.test(path)) || null;
+    }
+
+    // Query parameters the policy keys on
+    keyQuery(policy, queryParams) {
+        if (!policy?.query) return queryParams;
+        return Object.fromEntries(Object.entries(queryParams).filter(([name]) => policy.query.includes(name)));
+    }
+
+    // Request headers the policy keys on, with the User-Agent reduced to what the policy asks for
+    keyHeaders(policy, headers, varyHeaders) {
+        const names = varyHeaders === undefined
+            ? policy?.headers ?? DEFAULT_KEY_HEADERS
+            : [...new Set([...varyHeaders, ...(policy?.headers || [])])];
+        const relevant = this.getCacheRelevantHeaders(headers, names);
+
+        const userAgent = policy?.userAgent ?? 'device';
+        if (relevant['user-agent'] !== undefined && userAgent !== 'raw') {
+            relevant['user-agent'] = typeof userAgent === 'function'
+                ? userAgent(relevant['user-agent'])
+                : deviceClass(relevant['user-agent']);
+        }
+        return relevant;
+    }
+
+    // Principal a request is made for, or null if it is anonymous. A request with an
+    // Authorization header always has one, so its responses are never shared.
+    principalOf(headers) {
+        headers = lowercaseHeaders(headers);
+        const principal = this.principal?.(headers);
+        if (principal !== undefined && principal !== null) {
+            return String(principal);
+        }
+        return headers.authorization ? this.hashString(headers.authorization) : null;
     }
 
-    // Generate cache key from request details
-    generateCacheKey(method, url, queryParams = {}, headers = {}) {
-        // Create a deterministic key from request details
+    // Key the same request had before keys were SHA-256 hashes (and before key policies)
+    legacyCacheKey(method, url, queryParams = {}, headers = {}, varyHeaders = DEFAULT_KEY_HEADERS) {
         const keyParts = [
             method.toUpperCase(),
             url,
             JSON.stringify(this.sortObject(queryParams)),
-            JSON.stringify(this.sortObject(this.getCacheRelevantHeaders(headers)))
+            JSON.stringify(this.sortObject(this.legacyRelevantHeaders(headers, varyHeaders)))
         ];
 
-        return `${this.cacheKey}:${this.hashString(keyParts.join('|'))}`;
+        return `${this.cacheKey}:${this.legacyHashString(keyParts.join('|'))}`;
+    }
+
+    // Headers as older releases picked them for keys: exact, case-sensitive names
+    legacyRelevantHeaders(headers, relevantHeaders) {
+        const result = {};
+        for (const header of relevantHeaders) {
+            if (headers[header]) result[header] = headers[header];
+        }
+        return result;
     }
 
     // Sort object keys for consistent hashing
@@ -44,22 +280,27 @@ class APICacheManager {
         return sorted;
     }
 
-    // Extract cache-relevant headers
-    getCacheRelevantHeaders(headers) {
-        const relevantHeaders = ['accept', 'accept-language', 'user-agent'];
+    // Extract cache-relevant headers, matching names case-insensitively; the result has lowercase names
+    getCacheRelevantHeaders(headers, relevantHeaders = DEFAULT_KEY_HEADERS) {
         const result = {};
+        const lowercased = lowercaseHeaders(headers);
 
-        for (const header of relevantHeaders) {
-            if (headers[header]) {
-                result[header] = headers[header];
+        for (const header of relevantHeaders.map(name => name.toLowerCase())) {
+            if (lowercased[header]) {
+                result[header] = lowercased[header];
             }
         }
 
         return result;
     }
 
-    // Simple string hashing for cache keys
+    // SHA-256 of a string, hex encoded
     hashString(str) {
+        return createHash('sha256').update(str).digest('hex');
+    }
+
+    // The 32-bit string hash older releases used for keys; collides easily
+    legacyHashString(str) {
         let hash = 0;
         for (let i = 0; i < str.length; i++) {
             const char = str.charCodeAt(i);
@@ -70,149 +311,664 @@ class APICacheManager {
     }
 
     // Cache API response
-    async cacheResponse(method, url, queryParams, headers, response, ttl = null) {
-        const cacheKey = this.generateCacheKey(method, url, queryParams, headers);
+    // latencyMs is how long the origin took, credited to the entry's hits as latency saved
+    async cacheResponse(method, url, queryParams, headers, response, ttl = null, varyHeaders = undefined, latencyMs = 0) {
+        const fingerprint = this.canonicalRequest(method, url, queryParams, headers, varyHeaders);
+        const cacheKey = `${this.cacheKey}:${this.hashString(fingerprint)}`;
+        const now = this.clock.now();
 
         const cacheData = {
-            response: JSON.stringify(response),
-            cachedAt: new Date().toISOString(),
+            response,
+            cachedAt: new Date(now).toISOString(),
             ttl: ttl || this.defaultTTL,
+            expiresAt: now + (ttl || this.defaultTTL) * 1000,
+            latencyMs: Math.round(latencyMs),
+            fingerprint,
             method,
             url,
-            queryParams: JSON.stringify(queryParams),
-            headers: JSON.stringify(headers)
+            queryParams,
+            headers: this.keyHeaders(this.policyFor(url), headers, varyHeaders)
         };
 
-        await this.client.setEx(cacheKey, ttl || this.defaultTTL, JSON.stringify(cacheData));
+        // Entries that can be revalidated outlive their freshness
+        const hardTTL = cacheData.ttl + (hasValidator(response?.headers) ? this.staleTTL : 0);
+        const encoded = this.codec.encode(cacheData);
+        const transaction = this.client.multi().setEx(cacheKey, hardTTL, encoded);
+        await this.queueIndexes(transaction, cacheKey, url, hardTTL, Buffer.byteLength(encoded)).exec();
 
-        // Update cache statistics
-        await this.updateCacheStats('hit', false); // This is a cache write, not a hit
+        await this.recordStats(this.routeFor(url), { writes: 1, bytesWritten: Buffer.byteLength(encoded) });
 
-        console.log(`Cached response for ${method} ${url}`);
+        this.emit('store', { method, url, key: cacheKey, ttl: cacheData.ttl });
+        this.logger.info(`Cached response for ${method} ${url}`);
         return cacheKey;
     }
 
-    // Get cached response
-    async getCachedResponse(method, url, queryParams = {}, headers = {}) {
-        const cacheKey = this.generateCacheKey(method, url, queryParams, headers);
-        const cachedData = await this.client.get(cacheKey);
+    // Add an entry of the given encoded size to its URL index sets and the size index within a
+    // transaction
+    queueIndexes(transaction, cacheKey, url, ttl, bytes) {
+        const path = normalizePath(url);
+        for (const indexKey of this.indexKeysFor(path)) {
+            // An index lives as long as its longest-lived entry: NX sets the first expiry, GT extends it
+            transaction.sAdd(indexKey, cacheKey)
+                .expire(indexKey, ttl, 'NX')
+                .expire(indexKey, ttl, 'GT');
+        }
+        const size = { bytes, expiresAt: this.clock.now() + ttl * 1000, route: this.routeFor(path) };
+        return transaction.sAdd(this.pathsKey(), path)
+            .expire(this.pathsKey(), ttl, 'NX')
+            .expire(this.pathsKey(), ttl, 'GT')
+            .hSet(this.sizesKey(), cacheKey, JSON.stringify(size))
+            .expire(this.sizesKey(), ttl, 'NX')
+            .expire(this.sizesKey(), ttl, 'GT');
+    }
+
+    // Get cached response; stale entries count as misses
+    async getCachedResponse(method, url, queryParams = {}, headers = {}, varyHeaders = undefined) {
+        const { cacheKey, cacheEntry } = await this.findEntry(method, url, queryParams, headers, varyHeaders);
+        if (!cacheEntry || !this.isFresh(cacheEntry)) {
+            return this.recordMiss(method, url, cacheKey);
+        }
+        return this.recordHit(method, url, cacheKey, cacheEntry);
+    }
+
+    // Stored entry for a request, fresh or stale: { cacheKey, cacheEntry }, where cacheEntry is
+    // null if there is none (or the entry under the key belongs to another request)
+    async findEntry(method, url, queryParams = {}, headers = {}, varyHeaders = undefined) {
+        const fingerprint = this.canonicalRequest(method, url, queryParams, headers, varyHeaders);
+        let cacheKey = `${this.cacheKey}:${this.hashString(fingerprint)}`;
+        let cachedData = await this.valueClient.get(cacheKey);
+
+        if (!cachedData && this.legacyKeys) {
+            cacheKey = this.legacyCacheKey(method, url, queryParams, headers, varyHeaders);
+            cachedData = await this.valueClient.get(cacheKey);
+        }
 
         if (!cachedData) {
-            await this.updateCacheStats('miss');
-            return null;
+            return { cacheKey, cacheEntry: null };
         }
 
         try {
-            const cacheEntry = JSON.parse(cachedData);
-            const response = JSON.parse(cacheEntry.response);
-
-            // Update access time
-            cacheEntry.lastAccessed = new Date().toISOString();
-            await this.client.setEx(cacheKey, cacheEntry.ttl, JSON.stringify(cacheEntry));
-
-            await this.updateCacheStats('hit');
-            console.log(`Cache hit for ${method} ${url}`);
-            return {
-                ...response,
-                _cached: true,
-                _cachedAt: cacheEntry.cachedAt,
-                _cacheKey: cacheKey
-            };
+            const cacheEntry = this.codec.decode(cachedData);
+            if (!this.entryMatches(cacheEntry, fingerprint, varyHeaders)) {
+                this.logger.warn(`Cache key collision on ${cacheKey} for ${method} ${url}`);
+                return { cacheKey, cacheEntry: null };
+            }
+
+            // Entries written before codecs were introduced hold the response as a JSON string
+            if (typeof cacheEntry.response === 'string') {
+                cacheEntry.response = JSON.parse(cacheEntry.response);
+            }
+            return { cacheKey, cacheEntry };
         } catch (error) {
-            console.error('Error parsing cached response:', error);
+            this.logger.error('Error parsing cached response:', error);
             await this.client.del(cacheKey);
-            return null;
+            return { cacheKey, cacheEntry: null };
+        }
+    }
+
+    // Entries from before freshness was tracked are fresh until Redis expires them
+    isFresh(cacheEntry) {
+        return cacheEntry.expiresAt === undefined || this.clock.now() < cacheEntry.expiresAt;
+    }
+
+    // Seconds since the entry was stored or last revalidated
+    entryAge(cacheEntry) {
+        return Math.max(0, Math.floor((this.clock.now() - Date.parse(cacheEntry.cachedAt)) / 1000));
+    }
+
+    async recordHit(method, url, cacheKey, cacheEntry) {
+        await this.recordStats(this.routeFor(url), { hits: 1, savedMs: cacheEntry.latencyMs || 0 });
+        this.requestsMetric.inc({ cache: 'api', result: 'hit' });
+        this.emit('hit', { method, url, key: cacheKey });
+        this.logger.info(`Cache hit for ${method} ${url}`);
+        return {
+            ...cacheEntry.response,
+            _cached: true,
+            _cachedAt: cacheEntry.cachedAt,
+            _cacheKey: cacheKey
+        };
+    }
+
+    async recordMiss(method, url, cacheKey) {
+        await this.recordStats(this.routeFor(url), { misses: 1 });
+        this.requestsMetric.inc({ cache: 'api', result: 'miss' });
+        this.emit('miss', { method, url, key: cacheKey });
+        return null;
+    }
+
+    // Whether a stored entry belongs to the request with this fingerprint. Entries from before
+    // fingerprints existed are checked against the request details stored with them, which the
+    // first releases stored as JSON strings.
+    entryMatches(cacheEntry, fingerprint, varyHeaders) {
+        if (cacheEntry.fingerprint !== undefined) {
+            return cacheEntry.fingerprint === fingerprint;
         }
+        const parse = value => typeof value === 'string' ? JSON.parse(value) : value;
+        const { method = '', url } = cacheEntry;
+        const queryParams = parse(cacheEntry.queryParams) || {};
+        const headers = parse(cacheEntry.headers) || {};
+        return this.canonicalRequest(method, url, queryParams, headers, varyHeaders) === fingerprint;
+    }
+
+    // Scan options for cache entries (strings; the stats hashes share the prefix)
+    entryScanOptions() {
+        return { match: `${this.cacheKey}:*`, type: 'string' };
+    }
+
+    // Index sets listing the entries cached for a path
+    indexKeysFor(path) {
+        return [
+            this.pathIndexKey(path),
+            ...pathPrefixes(path).map(prefix => this.prefixIndexKey(prefix)),
+            ...this.routes.filter(({ pattern }) => pattern.test(path)).map(({ template }) => this.routeIndexKey(template))
+        ];
+    }
+
+    // Route a URL's statistics are kept under: the first matching template, or else the path
+    routeFor(url) {
+        const path = normalizePath(url);
+        const route = [...this.routes, ...this.policies].find(({ pattern }) => pattern.test(path));
+        return route ? route.template : path;
     }
 
-    // Invalidate cache for specific URL pattern
+    pathIndexKey(path) {
+        return `${this.indexKey}:path:${path}`;
+    }
+
+    prefixIndexKey(prefix) {
+        return `${this.indexKey}:prefix:${prefix}`;
+    }
+
+    routeIndexKey(template) {
+        return `${this.indexKey}:route:${template}`;
+    }
+
+    // Set of every path with cached entries
+    pathsKey() {
+        return `${this.indexKey}:paths`;
+    }
+
+    // Hash of cache key -> { bytes, expiresAt, route } for every indexed entry
+    sizesKey() {
+        return `${this.indexKey}:sizes`;
+    }
+
+    // Invalidate cache for a URL pattern: a RegExp or glob ('/api/*/export') goes to
+    // invalidateMatching, a route template ('/api/users/:id') to invalidateRoute, and any other
+    // string matches paths containing it ('users' covers '/api/users/7'). Use invalidatePrefix
+    // to match on segment boundaries only.
     async invalidateCache(urlPattern) {
-        const pattern = `${this.cacheKey}:*`;
-        const keys = await this.client.keys(pattern);
+        if (urlPattern instanceof RegExp || /[*?[]/.test(urlPattern)) {
+            return this.invalidateMatching(urlPattern);
+        }
+        if (urlPattern.includes('/:')) {
+            return this.invalidateRoute(urlPattern);
+        }
+        return this.invalidateMatching(new RegExp(escapeRegExp(urlPattern)), urlPattern);
+    }
+
+    // Remove the entries cached for exactly this path
+    async invalidatePath(path) {
+        return this.invalidateIndexed(path, [this.pathIndexKey(normalizePath(path))], [this.routeFor(path)]);
+    }
+
+    // Remove the entries cached for a path and every path below it
+    async invalidatePrefix(prefix) {
+        return this.invalidateIndexed(prefix, [this.prefixIndexKey(normalizePath(prefix))]);
+    }
+
+    // Remove the entries for paths matching a route template. Templates in the routes option have
+    // their own index; others are matched against the cached paths.
+    async invalidateRoute(template) {
+        if (!this.routes.some(route => route.template === template)) {
+            return this.invalidateMatching(routeToRegExp(template), template);
+        }
+        return this.invalidateIndexed(template, [this.routeIndexKey(template)], [template]);
+    }
+
+    // Remove the entries for cached paths matching a glob (Redis syntax) or RegExp
+    async invalidateMatching(pattern, label = String(pattern)) {
+        const matcher = pattern instanceof RegExp ? pattern : globToRegExp(pattern);
+        const paths = (await this.client.sMembers(this.pathsKey())).filter(path => matcher.test(path));
+        return this.invalidateIndexed(label, paths.map(path => this.pathIndexKey(path)), paths.map(path => this.routeFor(path)));
+    }
+
+    // Unlink the entries listed in index sets and take them out of the sets. Only the members
+    // read are removed, so entries cached meanwhile stay indexed. routes[i], if given, is the
+    // route the entries in indexKeys[i] are counted under as invalidations.
+    async invalidateIndexed(pattern, indexKeys, routes = []) {
         let invalidated = 0;
 
-        for (const key of keys) {
-            const cachedData = await this.client.get(key);
-            if (cachedData) {
-                try {
-                    const cacheEntry = JSON.parse(cachedData);
-                    if (cacheEntry.url.includes(urlPattern)) {
-                        await this.client.del(key);
-                        invalidated++;
-                    }
-                } catch (error) {
-                    // Invalid cache entry, remove it
-                    await this.client.del(key);
-                }
-            }
+        for (const [i, indexKey] of indexKeys.entries()) {
+            const cacheKeys = await this.client.sMembers(indexKey);
+            if (cacheKeys.length === 0) continue;
+
+            const unlinked = await unlinkKeys(this.client, cacheKeys);
+            await this.client.sRem(indexKey, cacheKeys);
+            await this.client.hDel(this.sizesKey(), cacheKeys);
+            await this.recordStats(routes[i] ?? null, { invalidations: unlinked });
+            invalidated += unlinked;
         }
 
-        console.log(`Invalidated ${invalidated} cache entries matching pattern: ${urlPattern}`);
+        this.emit('invalidate', { pattern, count: invalidated });
+        this.logger.info(`Invalidated ${invalidated} cache entries matching pattern: ${pattern}`);
         return invalidated;
     }
 
     // Clear all cache
     async clearAllCache() {
-        const pattern = `${this.cacheKey}:*`;
-        const keys = await this.client.keys(pattern);
-        if (keys.length > 0) {
-            await this.client.del(keys);
+        const cleared = await unlinkMatching(this.client, this.entryScanOptions());
+        await unlinkMatching(this.client, { match: `${this.indexKey}:*` });
+        await this.recordStats(null, { invalidations: cleared });
+        this.logger.info(`Cleared ${cleared} cache entries`);
+        return cleared;
+    }
+
+    // Add to this hour's counters, in total and, unless route is null, for the route
+    async recordStats(route, counts) {
+        const statsKey = this.hourStatsKey(this.clock.now());
+        const transaction = this.client.multi();
+        for (const [counter, amount] of Object.entries(counts)) {
+            if (!amount) continue;
+            transaction.hIncrBy(statsKey, counter, amount);
+            if (route !== null) transaction.hIncrBy(statsKey, `route:${route}:${counter}`, amount);
+        }
+
+        // Keep stats for 30 days
+        await transaction.expire(statsKey, 30 * 24 * 60 * 60).exec();
+    }
+
+    // Stats hash for the UTC hour containing a time
+    hourStatsKey(time) {
+        return `${this.statsKey}:${new Date(time).toISOString().slice(0, 13)}`;
+    }
+
+    // Hash older releases kept that hour's hits and misses in: UTC day, but local hour
+    legacyHourStatsKey(time) {
+        const date = new Date(time);
+        return `${this.statsKey}:${date.toISOString().split('T')[0]}:${date.getHours()}`;
+    }
+
+    // Walk the size index and drop the entries Redis removed by itself: those past their expiry
+    // count as expirations, those gone earlier as evictions. Returns what is still stored:
+    // { entries, bytes, routes: { route: bytes } }.
+    async sweepEntries() {
+        const now = this.clock.now();
+        const stored = { entries: 0, bytes: 0, routes: {} };
+        const removed = {};
+        let cursor = '0';
+
+        do {
+            const reply = await this.client.hScan(this.sizesKey(), cursor, { COUNT: DEFAULT_SCAN_COUNT });
+            cursor = String(reply.cursor);
+            const present = await Promise.all(reply.entries.map(({ field }) => this.client.exists(field)));
+            const gone = [];
+            for (const [i, entry] of reply.entries.entries()) {
+                if (!present[i]) {
+                    gone.push(entry);
+                    continue;
+                }
+                const { bytes, route } = JSON.parse(entry.value);
+                stored.entries++;
+                stored.bytes += bytes;
+                stored.routes[route] = (stored.routes[route] || 0) + bytes;
+            }
+            if (gone.length === 0) continue;
+
+            // Count only fields still holding what was read: a concurrent sweep may have counted
+            // the entry already, or a write stored it again
+            const forgotten = new Set(await this.client.eval(FORGET_ENTRIES_SCRIPT, {
+                keys: [this.sizesKey()],
+                arguments: gone.flatMap(({ field, value }) => [field, value])
+            }));
+            for (const { field, value } of gone) {
+                if (!forgotten.has(field)) continue;
+                const { expiresAt, route } = JSON.parse(value);
+                removed[route] = removed[route] || { expirations: 0, evictions: 0 };
+                removed[route][now >= expiresAt - EXPIRY_SKEW_MS ? 'expirations' : 'evictions']++;
+            }
+        } while (cursor !== '0');
+
+        for (const [route, counts] of Object.entries(removed)) {
+            await this.recordStats(route, counts);
         }
-        console.log(`Cleared ${keys.length} cache entries`);
-        return keys.length;
+        return stored;
     }
 
-    // Update cache statistics
-    async updateCacheStats(type, increment = true) {
-        const now = new Date();
-        const hour = now.getHours();
-        const day = now.toISOString().split('T')[0];
+    // Cache statistics over a number of hours back from now, or over { from, to } (Dates or
+    // ms timestamps; every hour overlapping the range is included). Returns the totals, each
+    // hour's counters (newest first), each route's totals, and what is stored now. Expirations
+    // and evictions are counted in the hour a sweep finds them.
+    async getCacheStats(range = 24) {
+        const stored = await this.sweepEntries();
+        const hourMs = 60 * 60 * 1000;
+        const to = typeof range === 'number' ? this.clock.now() : +(range.to ?? this.clock.now());
+        const from = typeof range === 'number' ? to - (range - 1) * hourMs : +(range.from ?? to - 23 * hourMs);
 
-        const statsKey = `${this.statsKey}:${day}:${hour}`;
+        const hours = [];
+        for (let hour = to - to % hourMs; hour >= from - from % hourMs; hour -= hourMs) {
+            hours.push(hour);
+        }
+        const transaction = this.client.multi();
+        for (const hour of hours) {
+            transaction.hGetAll(this.hourStatsKey(hour)).hGetAll(this.legacyHourStatsKey(hour));
+        }
+        const buckets = hours.length > 0 ? await transaction.execAsPipeline() : [];
+
+        const totals = emptyCounts();
+        const routes = {};
+        const countedLegacy = new Set();
+        const hourlyStats = hours.map((hour, i) => {
+            const counts = emptyCounts();
+
+            // Each legacy hash is counted once, even where DST maps two hours onto it
+            const legacyKey = this.legacyHourStatsKey(hour);
+            const legacy = countedLegacy.has(legacyKey) ? {} : buckets[2 * i + 1] || {};
+            countedLegacy.add(legacyKey);
+            counts.hits += parseInt(legacy.hits) || 0;
+            counts.misses += parseInt(legacy.misses) || 0;
+
+            for (const [field, value] of Object.entries(buckets[2 * i] || {})) {
+                const separator = field.lastIndexOf(':');
+                const counter = field.slice(separator + 1);
+                if (!STAT_COUNTERS.includes(counter)) continue;
+
+                if (separator === -1) {
+                    counts[counter] += Number(value);
+                } else {
+                    const route = field.slice('route:'.length, separator);
+                    routes[route] = routes[route] || emptyCounts();
+                    routes[route][counter] += Number(value);
+                }
+            }
+            for (const counter of STAT_COUNTERS) totals[counter] += counts[counter];
+            return { timestamp: new Date(hour).toISOString(), ...counts, total: counts.hits + counts.misses, hitRate: hitRate(counts) };
+        });
 
-        if (type === 'hit') {
-            await this.client.hIncrBy(statsKey, 'hits', increment ? 1 : 0);
-        } else if (type === 'miss') {
-            await this.client.hIncrBy(statsKey, 'misses', increment ? 1 : 0);
+        for (const route of Object.keys(stored.routes)) {
+            routes[route] = routes[route] || emptyCounts();
+        }
+        for (const [route, counts] of Object.entries(routes)) {
+            counts.storedBytes = stored.routes[route] || 0;
+            counts.hitRate = hitRate(counts);
         }
 
-        // Set expiration (keep stats for 30 days)
-        await this.client.expire(statsKey, 30 * 24 * 60 * 60);
+        return {
+            totalHits: totals.hits,
+            totalMisses: totals.misses,
+            totalWrites: totals.writes,
+            totalInvalidations: totals.invalidations,
+            totalExpirations: totals.expirations,
+            totalEvictions: totals.evictions,
+            storedEntries: stored.entries,
+            storedBytes: stored.bytes,
+            bytesWritten: totals.bytesWritten,
+            latencySavedMs: totals.savedMs,
+            overallHitRate: hitRate(totals),
+            hourlyStats,
+            routes
+        };
     }
 
-    // Get cache statistics
-    async getCacheStats(hours = 24) {
-        const now = new Date();
-        const stats = { totalHits: 0, totalMisses: 0, hourlyStats: [] };
-
-        for (let i = 0; i < hours; i++) {
-            const date = new Date(now);
-            date.setHours(date.getHours() - i);
-            const hour = date.getHours();
-            const day = date.toISOString().split('T')[0];
-
-            const statsKey = `${this.statsKey}:${day}:${hour}`;
-            const hourStats = await this.client.hGetAll(statsKey);
-
-            const hits = parseInt(hourStats.hits) || 0;
-            const misses = parseInt(hourStats.misses) || 0;
-
-            stats.totalHits += hits;
-            stats.totalMisses += misses;
-
-            stats.hourlyStats.push({
-                timestamp: date.toISOString(),
-                hits,
-                misses,
-                total: hits + misses,
-                hitRate: hits + misses > 0 ? (hits / (hits + misses) * 100).toFixed(2) : 0
+    // Hash recording which request headers the responses for a URL vary on
+    varyKey(method, url, queryParams = {}) {
+        const query = this.keyQuery(this.policyFor(url), queryParams);
+        const keyParts = [method.toUpperCase(), url, JSON.stringify(this.sortObject(query))];
+        return `${this.cacheKey}:vary:${this.hashString(keyParts.join('|'))}`;
+    }
+
+    // HTTP caching middleware: (req, res, next) for node:http servers and Express. Pass
+    // defaultTTL: 0 to store only responses that set max-age or s-maxage.
+    middleware(options = {}) {
+        const defaultTTL = options.defaultTTL ?? this.defaultTTL;
+
+        return async (req, res, next) => {
+            let served = false;
+            try {
+                served = await this.serveCached(req, res, defaultTTL);
+            } catch (error) {
+                this.logger.error('HTTP cache error:', error);
+                res.setHeader('X-Cache', 'BYPASS');
+            }
+            if (!served) next();
+        };
+    }
+
+    // Answer a request from the cache if possible; otherwise arrange for its response to be
+    // stored (or the cached one revalidated) and return false
+    async serveCached(req, res, defaultTTL) {
+        const requestControl = parseCacheControl(req.headers['cache-control']);
+        if ((req.method !== 'GET' && req.method !== 'HEAD') || requestControl['no-store']) {
+            res.setHeader('X-Cache', 'BYPASS');
+            return false;
+        }
+
+        const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+        const queryParams = queryObject(searchParams);
+        let stale = null;
+
+        if (!requestControl['no-cache']) {
+            const vary = await this.client.hGet(this.varyKey('GET', pathname, queryParams), 'headers');
+            const { cacheKey, cacheEntry: entry } = await this.findEntry('GET', pathname, queryParams, req.headers, parseVary(vary));
+            // Only serve what the middleware stored; callAPI()/cacheResponse() entries have no HTTP body
+            const cacheEntry = entry?.response?.kind === 'http' ? entry : null;
+            const maxAge = requestControl['max-age'];
+
+            if (cacheEntry && this.isFresh(cacheEntry) && (maxAge === undefined || this.entryAge(cacheEntry) <= Number(maxAge))) {
+                const cached = await this.recordHit('GET', pathname, cacheKey, cacheEntry);
+                this.sendCached(req, res, cached, this.entryAge(cacheEntry), 'HIT', conditionalHeaders(req.headers));
+                return true;
+            }
+
+            await this.recordMiss('GET', pathname, cacheKey);
+            if (cacheEntry && hasValidator(cacheEntry.response.headers)) {
+                stale = { cacheKey, cacheEntry };
+            }
+        }
+
+        res.setHeader('X-Cache', 'MISS');
+        if (req.method !== 'GET') {
+            return false;
+        }
+
+        // The cache answers the client's conditionals itself and asks the server with its own
+        const conditional = conditionalHeaders(req.headers);
+        delete req.headers['if-none-match'];
+        delete req.headers['if-modified-since'];
+        if (stale) {
+            const { etag, 'last-modified': lastModified } = stale.cacheEntry.response.headers;
+            if (etag !== undefined) req.headers['if-none-match'] = etag;
+            if (lastModified !== undefined) req.headers['if-modified-since'] = lastModified;
+        }
+
+        this.originStarts.set(res, process.hrtime.bigint());
+        if (stale || conditional) {
+            this.bufferResponse(res, body => this.finishResponse(req, res, pathname, queryParams, defaultTTL, body, stale, conditional));
+        } else {
+            this.captureResponse(req, res, pathname, queryParams, defaultTTL);
+        }
+        return false;
+    }
+
+    // Write a cached response, or a 304 if it satisfies the client's conditional request
+    sendCached(req, res, response, age, result, conditional) {
+        const headers = response.headers || {};
+        res.setHeader('Age', String(age));
+        res.setHeader('X-Cache', result);
+
+        if (notModified(conditional, headers.etag, headers['last-modified'])) {
+            res.statusCode = 304;
+            for (const name of NOT_MODIFIED_HEADERS) {
+                if (headers[name] !== undefined) res.setHeader(name, headers[name]);
+            }
+            res.end();
+            return;
+        }
+
+        res.statusCode = response.status;
+        for (const [name, value] of Object.entries(headers)) {
+            res.setHeader(name, value);
+        }
+        res.end(req.method === 'HEAD' ? undefined : Buffer.from(response.body, 'base64'));
+    }
+
+    // Collect the body the handler writes and store the response once it ends
+    captureResponse(req, res, url, queryParams, defaultTTL) {
+        const chunks = [];
+        const collect = (chunk, encoding) => {
+            if (chunk && typeof chunk !== 'function') {
+                chunks.push(Buffer.from(chunk, typeof encoding === 'string' ? encoding : undefined));
+            }
+        };
+
+        const write = res.write;
+        const end = res.end;
+        res.write = (chunk, encoding, callback) => {
+            collect(chunk, encoding);
+            return write.call(res, chunk, encoding, callback);
+        };
+        res.end = (chunk, encoding, callback) => {
+            collect(chunk, encoding);
+            const result = end.call(res, chunk, encoding, callback);
+            this.storeResponse(req, res, url, queryParams, Buffer.concat(chunks), defaultTTL)
+                .catch(error => this.logger.error('HTTP cache error:', error));
+            return result;
+        };
+    }
+
+    // Hold back everything the handler writes, status and headers included, and hand the body
+    // to onEnd once it ends; onEnd decides what the client gets
+    bufferResponse(res, onEnd) {
+        const chunks = [];
+        const original = { writeHead: res.writeHead, write: res.write, end: res.end };
+
+        res.writeHead = (statusCode, ...rest) => {
+            res.statusCode = statusCode;
+            const headers = rest.find(arg => arg && typeof arg === 'object' && !Array.isArray(arg));
+            for (const [name, value] of Object.entries(headers || {})) {
+                res.setHeader(name, value);
+            }
+            return res;
+        };
+        res.write = (chunk, encoding) => {
+            if (chunk) chunks.push(Buffer.from(chunk, typeof encoding === 'string' ? encoding : undefined));
+            return true;
+        };
+        res.end = (chunk, encoding) => {
+            if (chunk && typeof chunk !== 'function') {
+                chunks.push(Buffer.from(chunk, typeof encoding === 'string' ? encoding : undefined));
+            }
+            Object.assign(res, original);
+
+            const body = Buffer.concat(chunks);
+            onEnd(body).catch(error => {
+                this.logger.error('HTTP cache error:', error);
+                if (!res.writableEnded) res.end(body);
             });
+            return res;
+        };
+    }
+
+    // Answer a buffered response: the cached one after a 304 from the server, a 304 if the new
+    // response satisfies the client's conditionals, or the response as the server wrote it
+    async finishResponse(req, res, url, queryParams, defaultTTL, body, stale, conditional) {
+        if (stale && res.statusCode === 304) {
+            const refreshed = await this.refreshEntry(stale, res, defaultTTL);
+            // Serve the stored headers, not the ones the 304 set that refreshEntry left out
+            for (const name of res.getHeaderNames()) {
+                if (!UNSTORED_HEADERS.has(name)) res.removeHeader(name);
+            }
+            this.sendCached(req, res, refreshed.response, 0, 'REVALIDATED', conditional);
+            return;
+        }
+
+        // storeResponse reads the status and headers before its first await, so start it
+        // before they are changed for a 304
+        const stored = this.storeResponse(req, res, url, queryParams, body, defaultTTL);
+        if (res.statusCode === 200 && notModified(conditional, res.getHeader('etag'), res.getHeader('last-modified'))) {
+            res.statusCode = 304;
+            res.removeHeader('content-length');
+            res.end();
+        } else {
+            res.end(body);
         }
+        await stored;
+    }
+
+    // Start a new freshness period for an entry the server confirmed with a 304, taking the
+    // 304's headers (and max-age) into the stored response
+    async refreshEntry({ cacheKey, cacheEntry }, res, defaultTTL) {
+        const headers = { ...cacheEntry.response.headers };
+        for (const [name, value] of Object.entries(this.storedHeaders(res))) {
+            if (NOT_MODIFIED_HEADERS.includes(name)) headers[name] = value;
+        }
+        const control = parseCacheControl(headers['cache-control']);
+        const maxAge = parseInt(control['s-maxage'] ?? control['max-age'], 10);
+        const ttl = maxAge > 0 ? maxAge : cacheEntry.ttl || defaultTTL;
+        const now = this.clock.now();
+        const refreshed = {
+            ...cacheEntry,
+            response: { ...cacheEntry.response, headers },
+            cachedAt: new Date(now).toISOString(),
+            ttl,
+            expiresAt: now + ttl * 1000
+        };
 
-        const total = stats.totalHits + stats.totalMisses;
-        stats.overallHitRate = total > 0 ? (stats.totalHits / total * 100).toFixed(2) : 0;
+        const hardTTL = ttl + this.staleTTL;
+        const encoded = this.codec.encode(refreshed);
+        const transaction = this.client.multi()
+            .set(cacheKey, encoded, { EX: hardTTL })
+            .expire(this.varyKey('GET', cacheEntry.url, cacheEntry.queryParams || {}), hardTTL, 'GT');
+        await this.queueIndexes(transaction, cacheKey, cacheEntry.url, hardTTL, Buffer.byteLength(encoded)).exec();
 
-        return stats;
+        this.emit('revalidate', { url: cacheEntry.url, key: cacheKey, ttl });
+        this.logger.info(`Revalidated cached response for ${cacheEntry.url}`);
+        return refreshed;
+    }
+
+    // Response headers worth keeping with a cached response
+    storedHeaders(res) {
+        const headers = {};
+        for (const [name, value] of Object.entries(res.getHeaders())) {
+            if (!UNSTORED_HEADERS.has(name)) headers[name] = value;
+        }
+        return headers;
+    }
+
+    // Seconds a shared cache may keep a response, or 0 when it must not store it
+    responseTTL(req, res, defaultTTL) {
+        if (!CACHEABLE_STATUSES.has(res.statusCode) || res.getHeader('set-cookie') !== undefined) return 0;
+        if (parseVary(res.getHeader('vary')).includes('*')) return 0;
+
+        const control = parseCacheControl(res.getHeader('cache-control'));
+        if (control['no-store'] || control.private || control['no-cache']) return 0;
+        if (req.headers.authorization && !control.public && control['s-maxage'] === undefined) return 0;
+
+        const maxAge = control['s-maxage'] ?? control['max-age'];
+        const ttl = maxAge === undefined ? defaultTTL : parseInt(maxAge, 10);
+        return Number.isInteger(ttl) && ttl > 0 ? ttl : 0;
+    }
+
+    async storeResponse(req, res, url, queryParams, body, defaultTTL) {
+        const ttl = this.responseTTL(req, res, defaultTTL);
+        if (!ttl) return;
+
+        const { statusCode: status } = res;
+        const started = this.originStarts.get(res);
+        const latencyMs = started === undefined ? 0 : secondsSince(started) * 1000;
+        const headers = this.storedHeaders(res);
+        const varyHeaders = parseVary(res.getHeader('vary'));
+        const hardTTL = ttl + (hasValidator(headers) ? this.staleTTL : 0);
+
+        // The vary record outlives every variant it describes: NX sets the first expiry, GT extends it
+        const varyKey = this.varyKey('GET', url, queryParams);
+        await this.client.multi()
+            .hSet(varyKey, 'headers', varyHeaders.join(','))
+            .expire(varyKey, hardTTL, 'NX')
+            .expire(varyKey, hardTTL, 'GT')
+            .exec();
+        await this.cacheResponse('GET', url, queryParams, req.headers,
+            { kind: 'http', status, headers, body: body.toString('base64') }, ttl, varyHeaders, latencyMs);
     }
 
     // Simulate API call with caching
@@ -226,7 +982,8 @@ class APICacheManager {
         }
 
         // Simulate API call delay
-        console.log(`Making API call: ${method} ${url}`);
+        this.logger.info(`Making API call: ${method} ${url}`);
+        const started = process.hrtime.bigint();
         await new Promise(resolve => setTimeout(resolve, 100 + Math.random() * 200)); // 100-300ms delay
 
         // Simulate API response based on URL
@@ -260,20 +1017,20 @@ class APICacheManager {
         } else {
             response = {
                 status: 200,
-                data: { message: 'Hello from API', timestamp: new Date().toISOString() },
+                data: { message: 'Hello from API', timestamp: new Date(this.clock.now()).toISOString() },
                 headers: { 'content-type': 'application/json' }
             };
         }
 
         // Cache the response
-        await this.cacheResponse(method, url, queryParams, headers, response);
+        await this.cacheResponse(method, url, queryParams, headers, response, null, undefined, secondsSince(started) * 1000);
 
         return response;
     }
 
     // Warm up cache with common requests
     async warmupCache(requests) {
-        console.log('Warming up cache...');
+        this.logger.info('Warming up cache...');
         for (const request of requests) {
             await this.callAPI(
                 request.method || 'GET',
@@ -283,12 +1040,13 @@ class APICacheManager {
                 true // Force refresh to ensure fresh data
             );
         }
-        console.log(`Cache warmup completed for ${requests.length} requests`);
+        this.logger.info(`Cache warmup completed for ${requests.length} requests`);
     }
 }
 
 // Demo the API caching functionality
 async function demoAPICaching() {
+    const client = await getClient();
     const cacheManager = new APICacheManager(client, 60); // 1 minute TTL
 
     console.log('=== Redis API Response Caching Demo ===\n');
@@ -325,7 +1083,7 @@ async function demoAPICaching() {
     response = await cacheManager.callAPI('GET', '/api/users', { page: 1 });
     console.log('Cached:', response._cached);
 
-    await cacheManager.invalidateCache('/users');
+    await cacheManager.invalidateCache('/api/users');
 
     console.log('After invalidation:');
     response = await cacheManager.callAPI('GET', '/api/users', { page: 1 });
@@ -363,6 +1121,15 @@ async function demoAPICaching() {
     console.log(`  Cache hits: ${stats.totalHits}`);
     console.log(`  Cache misses: ${stats.totalMisses}`);
     console.log(`  Hit rate: ${stats.overallHitRate}%`);
+    console.log(`  Writes: ${stats.totalWrites} (${stats.bytesWritten} bytes)`);
+    console.log(`  Stored now: ${stats.storedEntries} entries (${stats.storedBytes} bytes)`);
+    console.log(`  Latency saved: ${stats.latencySavedMs} ms`);
+    console.log();
+
+    console.log('Per route:');
+    for (const [route, counts] of Object.entries(stats.routes)) {
+        console.log(`  ${route}: ${counts.hits} hits, ${counts.misses} misses, ${counts.writes} writes`);
+    }
     console.log();
 
     // Show hourly breakdown
@@ -383,8 +1150,13 @@ async function demoAPICaching() {
     response = await cacheManager.callAPI('GET', '/api/users', { page: 1 });
     console.log('After clear (cache miss):', !response._cached);
 
-    await client.disconnect();
+    await closeClient();
     console.log('\nAPI Response Caching demo completed!');
 }
 
-demoAPICaching().catch(console.error);
\ No newline at end of file
+export { APICacheManager };
+
+// Run demonstration if this file is executed directly
+if (isMainModule(import.meta.url)) {
+    demoAPICaching().catch(console.error);
+}
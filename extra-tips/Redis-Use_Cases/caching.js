@@ -1,73 +1,1004 @@
-import { createClient } from 'redis';
+import { EventEmitter } from 'node:events';
+import { randomUUID } from 'node:crypto';
+import { getClient, closeClient } from './connection.js';
+import { systemClock } from './clock.js';
+import { jsonCodec, binaryReplies } from './codecs.js';
+import { createKeyspace } from './keyspace.js';
+import { DistributedLock } from './distributed_locking.js';
+import { PubSubManager } from './pub_sub.js';
+import { LruCache } from './lru_cache.js';
+import { CircuitBreaker, CircuitOpenError } from './circuit_breaker.js';
+import { consoleLogger, defaultRegistry, traceClient, secondsSince } from './observability.js';
+import { isMainModule } from './main_module.js';
 
-const client = createClient({
-    username: 'default',
-    password: 'gX94CVL0mRXXi7hligXMmMavy4lr55PV',
-    socket: {
-        host: 'redis-12372.c54.ap-northeast-1-2.ec2.redns.redis-cloud.com',
-        port: 12372
-    }
-});
+// Removes the entries in the tag sets KEYS[1..ARGV[2]] and the cache keys in the rest of KEYS,
+// then, breadth-first, every entry that depends on a removed one. ARGV[1] is the dependency set
+// prefix and ARGV[3] the length of the keyspace prefix to swap for it. Returns the keys visited.
+export const INVALIDATE_SCRIPT = `
+    local depsPrefix = ARGV[1]
+    local tagCount = tonumber(ARGV[2])
+    local keyPrefixLength = tonumber(ARGV[3])
+    local queue = {}
+    for i, key in ipairs(KEYS) do
+        if i <= tagCount then
+            for _, member in ipairs(redis.call('SMEMBERS', key)) do
+                table.insert(queue, member)
+            end
+            redis.call('DEL', key)
+        else
+            table.insert(queue, key)
+        end
+    end
+    local seen = {}
+    local visited = {}
+    local i = 1
+    while i <= #queue do
+        local key = queue[i]
+        i = i + 1
+        if not seen[key] then
+            seen[key] = true
+            table.insert(visited, key)
+            local depsKey = depsPrefix .. string.sub(key, keyPrefixLength + 1)
+            for _, dependent in ipairs(redis.call('SMEMBERS', depsKey)) do
+                table.insert(queue, dependent)
+            end
+            redis.call('DEL', key, depsKey)
+        end
+    end
+    return visited
+`;
+
+// Removes buffered writes from the pending hash KEYS[1] (and their attempt counts in KEYS[2]),
+// but only if they still hold the value that was flushed. ARGV holds field/value pairs.
+export const ACK_WRITES_SCRIPT = `
+    local removed = 0
+    for i = 1, #ARGV, 2 do
+        if redis.call('HGET', KEYS[1], ARGV[i]) == ARGV[i + 1] then
+            removed = removed + redis.call('HDEL', KEYS[1], ARGV[i])
+            redis.call('HDEL', KEYS[2], ARGV[i])
+        end
+    end
+    return removed
+`;
 
-client.on('error', err => console.log('Redis Client Error', err));
+// Moves a write that ran out of attempts from the pending hash KEYS[1] to the failed hash KEYS[3]
+// if the pending field ARGV[1] still holds the value that failed, ARGV[2]. Either way its attempt
+// count in KEYS[2] is dropped, so a write replaced meanwhile starts over. Returns 1 if moved.
+export const FAIL_WRITE_SCRIPT = `
+    redis.call('HDEL', KEYS[2], ARGV[1])
+    if redis.call('HGET', KEYS[1], ARGV[1]) == ARGV[2] then
+        redis.call('HSET', KEYS[3], ARGV[1], ARGV[2])
+        return redis.call('HDEL', KEYS[1], ARGV[1])
+    end
+    return 0
+`;
 
-await client.connect();
+// Counters kept per key prefix in each shared stats bucket
+const STAT_COUNTERS = ['hits', 'stale', 'misses', 'loads', 'loadErrors', 'loadMs', 'evictions'];
+
+// Add the derived hit rate (stale reads count as hits) and mean load time to a set of counters
+function describeStats(counts) {
+    const lookups = counts.hits + counts.stale + counts.misses;
+    return {
+        ...counts,
+        hitRate: lookups > 0 ? (counts.hits + counts.stale) / lookups : null,
+        avgLoadMs: counts.loads > 0 ? counts.loadMs / counts.loads : null
+    };
+}
 
 // Caching example - simulating database queries with Redis cache
-class CacheManager {
-    constructor(redisClient) {
-        this.client = redisClient;
+//
+// wrap(key, loader, options) is a read-through cache with cascading invalidation, stale-while-
+// revalidate, single-flight loads, an optional in-process L1, write-through/write-behind, negative
+// caching, circuit breakers and shared statistics. README.md describes each option.
+//
+// Events: 'hit' { key }, 'stale' { key }, 'miss' { key }, 'refresh' { key },
+//         'invalidate' { key, keys } or { tags, keys }, each with userId too when from getUser()
+//         or invalidateUserCache(), 'coalesce' { key, via: 'inflight' | 'lock' },
+//         'write' { key, mode }, 'flush' { written, retrying, failed }, 'writeFailed' { key, attempts, error },
+//         'circuit' { source, state: 'open' | 'closed' }
+class CacheManager extends EventEmitter {
+    constructor(redisClient, options = {}) {
+        super();
+        this.client = traceClient(redisClient, options.tracer);
+        this.logger = options.logger || consoleLogger;
+        this.metrics = options.metrics || defaultRegistry;
+        this.clock = options.clock || systemClock;
+        this.codec = options.codec || jsonCodec;
+        this.valueClient = binaryReplies(this.client); // reads encoded values as raw bytes
+        this.keys = createKeyspace(options);
+        this.keyspaceOptions = { namespace: options.namespace, tenant: options.tenant, hashTag: options.hashTag };
+        this.defaultTTL = options.defaultTTL || 300; // seconds fresh
+        this.defaultStaleTTL = options.defaultStaleTTL || 0; // further seconds served stale
+        this.defaultNegativeTTL = options.defaultNegativeTTL || 0; // seconds "not found" is cached
+        this.earlyRefreshBeta = options.earlyRefreshBeta ?? 1; // XFetch beta; 0 disables early refresh
+        this.random = options.random || Math.random;
+        this.loadLockTTL = options.loadLockTTL || 10000; // ms a loader may hold the lock
+        this.loadLockWait = options.loadLockWait ?? 2000; // ms other instances wait for its value
+        this.loadLockPoll = options.loadLockPoll || 50; // ms between their cache checks
+        this.loadLocks = new DistributedLock(this.client, 'cache:lock:', {
+            ...this.keyspaceOptions,
+            logger: this.logger,
+            metrics: this.metrics,
+            clock: this.clock
+        });
+        this.inflight = new Map(); // cache key -> pending load or refresh
+        this.instanceId = randomUUID();
+        this.l1 = null;
+        this.l1Ready = null;
+        if (options.l1) {
+            const { ttl = 60, invalidation, ...limits } = options.l1;
+            this.l1 = new LruCache({
+                ...limits,
+                clock: this.clock,
+                onEvict: cacheKey => this.recordStat(this.keys.strip(cacheKey), 'evictions')
+            });
+            this.l1TTL = ttl;
+            this.l1Invalidation = invalidation || (this.client?.clientSideCache ? 'tracking' : 'pubsub');
+            this.l1Metric = this.metrics.counter('cache_l1_events_total', 'In-process cache hits, misses, evictions and invalidations', ['event']);
+        }
+        this.persistence = options.persistence || null;
+        this.writeMode = options.writeMode || 'through'; // 'through' | 'behind'
+        const { batchSize = 100, maxAttempts = 5, interval = 1000 } = options.writeBehind || {};
+        this.writeBehind = { batchSize, maxAttempts, interval };
+        this.pendingWritesKey = this.keys.key('cache:writebehind:pending');
+        this.writeAttemptsKey = this.keys.key('cache:writebehind:attempts');
+        this.failedWritesKey = this.keys.key('cache:writebehind:failed');
+        this.flushLocks = new DistributedLock(this.client, 'cache:writebehind:', {
+            ...this.keyspaceOptions,
+            logger: this.logger,
+            metrics: this.metrics,
+            clock: this.clock
+        });
+        this.flushTimer = null;
+        this.sharedStats = null;
+        if (options.stats) {
+            const { bucket = 60, retention = 7 * 24 * 3600, flushInterval = 1000 } = options.stats === true ? {} : options.stats;
+            this.sharedStats = { bucket, retention, flushInterval };
+        }
+        this.breakerOptions = options.circuitBreaker === true ? {} : options.circuitBreaker || null;
+        this.breakers = new Map(); // source -> CircuitBreaker
+        this.statsBuffer = new Map(); // bucket start -> Map(field -> amount)
+        this.statsTimer = null;
         this.cacheHits = 0;
         this.cacheMisses = 0;
+        this.requestsMetric = this.metrics.counter('cache_requests_total', 'Cache lookups by result', ['cache', 'result']);
+        this.loadsMetric = this.metrics.counter('cache_loads_total', 'Loader calls made on cache misses', ['cache']);
+        this.loadsSavedMetric = this.metrics.counter('cache_loads_saved_total', 'Cache misses served without calling the loader', ['cache', 'via']);
+        this.circuitMetric = this.metrics.gauge('cache_circuit_open', 'Whether the circuit breaker for a data source is open', ['source']);
+        this.sourceWritesMetric = this.metrics.counter('cache_source_writes_total', 'Writes to the persistence adapter by outcome', ['mode', 'result']);
+    }
+
+    // Set of cache keys carrying a tag
+    tagKey(tag) {
+        return this.keys.key(`cache:tag:${tag}`);
+    }
+
+    // Set of cache keys that depend on an entry
+    depsKey(key) {
+        return this.keys.key(`cache:deps:${key}`);
+    }
+
+    // Shared stats hash for the bucket starting at start (ms)
+    statsKey(start) {
+        return this.keys.key(`cache:stats:${start}`);
+    }
+
+    // Count a lookup; the metric's cache label is the key's first segment ('user:7' -> 'user').
+    // eventData adds fields to the event, such as getUser()'s userId.
+    recordLookup(key, result, eventData = {}) {
+        if (result === 'miss') {
+            this.cacheMisses++;
+        } else {
+            this.cacheHits++;
+        }
+        this.requestsMetric.inc({ cache: key.split(':')[0], result });
+        this.recordStat(key, { hit: 'hits', stale: 'stale', miss: 'misses' }[result]);
+        this.emit(result, { ...eventData, key });
+        this.logger.info(`Cache ${result.toUpperCase()} for ${key}`);
+    }
+
+    // Read-through: return the cached value for key, or call loader() and cache what it returns.
+    // If Redis fails the loader's result is returned uncached. null/undefined results are cached
+    // (as null) only for negativeTTL seconds. A value that cannot be decoded counts as a miss.
+    async wrap(key, loader, options = {}) {
+        const settings = this.entrySettings(key, options);
+        const cacheKey = this.keys.key(key);
+
+        let cached = await this.getLocal(cacheKey);
+        const fromL1 = cached !== undefined;
+        try {
+            if (!fromL1) cached = await this.valueClient.get(cacheKey);
+        } catch (error) {
+            this.logger.error('Cache error:', error);
+            // Fallback to the source
+            return await this.callSource(key, settings.source, loader);
+        }
+
+        const entry = cached ? this.tryReadEntry(cacheKey, cached) : null;
+        if (entry) {
+            const now = this.clock.now();
+            const stale = now >= entry.freshUntil;
+
+            if (!fromL1 && !stale) {
+                this.setLocal(cacheKey, cached, entry);
+            }
+
+            this.recordLookup(key, stale ? 'stale' : 'hit', options.eventData);
+            // With the source's circuit open, keep serving what is cached instead of refreshing
+            const sourceUp = this.breakerFor(settings.source)?.allows() ?? true;
+            if (sourceUp && (stale || this.shouldRefreshEarly(entry, now))) {
+                this.refreshInBackground(key, cacheKey, loader, settings, entry.value);
+            }
+            return entry.value;
+        }
+
+        this.recordLookup(key, 'miss', options.eventData);
+
+        // Single-flight: later misses for the same key join the load already in progress
+        if (this.inflight.has(cacheKey)) {
+            this.recordLoadSaved(key, 'inflight');
+            return this.inflight.get(cacheKey);
+        }
+
+        const load = (settings.lock
+            ? this.loadWithLock(key, cacheKey, loader, settings)
+            : this.loadAndStore(key, cacheKey, loader, settings)
+        ).finally(() => this.inflight.delete(cacheKey));
+        this.inflight.set(cacheKey, load);
+        return load;
+    }
+
+    // wrap()/set() options with the manager's defaults filled in
+    entrySettings(key, options) {
+        return {
+            ttl: options.ttl ?? this.defaultTTL,
+            staleTTL: options.staleTTL ?? this.defaultStaleTTL,
+            tags: options.tags || [],
+            dependsOn: options.dependsOn || [],
+            lock: options.lock !== false,
+            negativeTTL: options.negativeTTL ?? this.defaultNegativeTTL,
+            source: options.source || key.split(':')[0]
+        };
+    }
+
+    recordLoadSaved(key, via) {
+        this.loadsSavedMetric.inc({ cache: key.split(':')[0], via });
+        this.emit('coalesce', { key, via });
+    }
+
+    // Decode a stored entry; values cached before soft TTLs existed stay fresh until they expire
+    readEntry(raw) {
+        const decoded = this.codec.decode(raw);
+        if (decoded && typeof decoded === 'object' && 'value' in decoded && 'freshUntil' in decoded) {
+            return decoded;
+        }
+        return { value: decoded, freshUntil: Infinity, loadMs: 0 };
+    }
+
+    // readEntry(), or null for a value the codec cannot decode; callers reload it from the source
+    tryReadEntry(cacheKey, raw) {
+        try {
+            return this.readEntry(raw);
+        } catch (error) {
+            this.logger.error(`Cache error: cannot decode ${cacheKey}:`, error);
+            return null;
+        }
+    }
+
+    // XFetch: refresh when now - loadMs * beta * ln(random) reaches freshUntil
+    shouldRefreshEarly(entry, now) {
+        if (!this.earlyRefreshBeta || !entry.loadMs) {
+            return false;
+        }
+        return now - entry.loadMs * this.earlyRefreshBeta * Math.log(this.random()) >= entry.freshUntil;
+    }
+
+    // Call the loader and cache its result (an empty one for negativeTTL); a failed cache write
+    // still returns the value
+    async loadAndStore(key, cacheKey, loader, settings) {
+        const start = process.hrtime.bigint();
+        let value;
+        try {
+            value = await this.callSource(key, settings.source, loader);
+        } catch (error) {
+            if (!(error instanceof CircuitOpenError)) this.recordStat(key, 'loadErrors');
+            throw error;
+        }
+
+        const loadMs = secondsSince(start) * 1000;
+        this.recordStat(key, 'loads');
+        this.recordStat(key, 'loadMs', loadMs);
+        const empty = value === null || value === undefined;
+        if (empty && !settings.negativeTTL) {
+            return value;
+        }
+
+        try {
+            const stored = empty ? { ...settings, ttl: settings.negativeTTL, staleTTL: 0 } : settings;
+            await this.store(cacheKey, empty ? null : value, stored, loadMs);
+        } catch (error) {
+            this.logger.error('Cache error:', error);
+        }
+        return value;
+    }
+
+    // Circuit breaker for a source, or null without the circuitBreaker option
+    breakerFor(source) {
+        if (!this.breakerOptions) return null;
+        if (!this.breakers.has(source)) {
+            this.breakers.set(source, new CircuitBreaker({ ...this.breakerOptions, clock: this.clock }));
+        }
+        return this.breakers.get(source);
+    }
+
+    // Call a loader through its source's circuit breaker
+    async callSource(key, source, loader) {
+        const breaker = this.breakerFor(source);
+        if (breaker && !breaker.tryCall()) {
+            throw new CircuitOpenError(source);
+        }
+
+        this.loadsMetric.inc({ cache: key.split(':')[0] });
+        try {
+            const value = await loader();
+            this.circuitChanged(source, breaker?.recordSuccess());
+            return value;
+        } catch (error) {
+            this.circuitChanged(source, breaker?.recordFailure());
+            throw error;
+        }
+    }
+
+    circuitChanged(source, state) {
+        if (!state) return;
+
+        this.circuitMetric.set({ source }, state === 'open' ? 1 : 0);
+        this.emit('circuit', { source, state });
+        this.logger.warn(`Circuit for ${source} is now ${state}`);
+    }
+
+    // Circuit state ('closed', 'open' or 'halfOpen') for a source
+    getCircuitState(source) {
+        return this.breakerFor(source)?.state ?? 'closed';
+    }
+
+    // Load under the cross-process lock, or wait for the instance that holds it
+    async loadWithLock(key, cacheKey, loader, settings) {
+        const ownerId = randomUUID();
+        const lock = await this.loadLocks.acquireLock(key, ownerId, this.loadLockTTL);
+
+        if (lock.success) {
+            try {
+                return await this.loadAndStore(key, cacheKey, loader, settings);
+            } finally {
+                await this.loadLocks.releaseLock(key, ownerId);
+            }
+        }
+
+        const cached = await this.waitForValue(cacheKey, `${this.loadLocks.lockPrefix}${key}`);
+        const entry = cached ? this.tryReadEntry(cacheKey, cached) : null;
+        if (entry) {
+            this.recordLoadSaved(key, 'lock');
+            return entry.value;
+        }
+        return this.loadAndStore(key, cacheKey, loader, settings);
+    }
+
+    // Poll the cache while another instance loads; null once the wait is over, the lock
+    // is released without a value (an empty result) or Redis fails
+    async waitForValue(cacheKey, lockKey) {
+        const deadline = this.clock.now() + this.loadLockWait;
+
+        try {
+            while (this.clock.now() < deadline) {
+                await new Promise(resolve => setTimeout(resolve, this.loadLockPoll));
+
+                const cached = await this.valueClient.get(cacheKey);
+                if (cached) return cached;
+                if (!(await this.client.exists(lockKey))) return null;
+            }
+        } catch (error) {
+            this.logger.error('Cache error:', error);
+        }
+        return null;
+    }
+
+    // Start a refresh without making the caller wait; misses meanwhile join it and get the
+    // refreshed value, or the stale one if the refresh fails or another instance is running it
+    refreshInBackground(key, cacheKey, loader, settings, staleValue) {
+        if (this.inflight.has(cacheKey)) {
+            return;
+        }
+
+        const refresh = this.refresh(key, cacheKey, loader, settings, staleValue)
+            .finally(() => this.inflight.delete(cacheKey));
+        this.inflight.set(cacheKey, refresh);
+    }
+
+    async refresh(key, cacheKey, loader, settings, staleValue) {
+        const ownerId = randomUUID();
+        if (settings.lock && !(await this.loadLocks.acquireLock(key, ownerId, this.loadLockTTL)).success) {
+            return staleValue;
+        }
+
+        try {
+            const value = await this.loadAndStore(key, cacheKey, loader, settings);
+            this.emit('refresh', { key });
+            return value ?? staleValue;
+        } catch (error) {
+            this.logger.error(`Cache refresh failed for ${key}:`, error);
+            return staleValue;
+        } finally {
+            if (settings.lock) {
+                await this.loadLocks.releaseLock(key, ownerId);
+            }
+        }
+    }
+
+    // Alias for wrap()
+    getOrLoad(key, loader, options = {}) {
+        return this.wrap(key, loader, options);
+    }
+
+    // Start listening for invalidations from other replicas (once, before the first L1 read).
+    // If that fails the L1 is turned off rather than risk serving values others have replaced.
+    async startL1() {
+        this.l1Ready ??= this.listenForInvalidations().catch(error => {
+            this.logger.error('L1 cache disabled, cannot receive invalidations:', error);
+            this.l1 = null;
+        });
+        await this.l1Ready;
+    }
+
+    async listenForInvalidations() {
+        if (this.l1Invalidation === 'tracking') {
+            // node-redis reports null when the server asks for everything to be dropped
+            this.trackingListener = key => this.dropLocal(key === null ? null : [String(key)]);
+            this.client.clientSideCache.on('invalidate', this.trackingListener);
+            return;
+        }
+
+        this.invalidations = new PubSubManager(this.client, {
+            ...this.keyspaceOptions,
+            logger: this.logger,
+            metrics: this.metrics,
+            clock: this.clock
+        });
+        await this.invalidations.subscribe('cache:invalidate', message => {
+            if (message.origin !== this.instanceId) {
+                this.dropLocal(message.keys);
+            }
+        });
+    }
+
+    // Raw entry from the L1, or undefined
+    async getLocal(cacheKey) {
+        if (!this.l1) return undefined;
+        await this.startL1();
+        if (!this.l1) return undefined;
+
+        const cached = this.l1.get(cacheKey);
+        this.l1Metric.inc({ event: cached === undefined ? 'miss' : 'hit' });
+        return cached;
+    }
+
+    // Keep a fresh entry in the L1 until it goes stale or the L1 TTL runs out
+    setLocal(cacheKey, raw, entry) {
+        if (!this.l1) return;
+
+        const ttl = Math.min(this.l1TTL * 1000, entry.freshUntil - this.clock.now());
+        if (ttl <= 0) return;
+
+        const evicted = this.l1.set(cacheKey, raw, { size: Buffer.byteLength(cacheKey) + Buffer.byteLength(raw), ttl });
+        if (evicted > 0) {
+            this.l1Metric.inc({ event: 'evict' }, evicted);
+        }
+    }
+
+    // Remove keys (or with null, everything) from the L1
+    dropLocal(cacheKeys) {
+        if (!this.l1) return;
+
+        if (cacheKeys === null) {
+            this.l1Metric.inc({ event: 'invalidate' }, this.l1.size);
+            this.l1.clear();
+            return;
+        }
+        for (const cacheKey of cacheKeys) {
+            if (this.l1.delete(cacheKey)) this.l1Metric.inc({ event: 'invalidate' });
+        }
+    }
+
+    // Tell other replicas to drop their L1 copies; with tracking the server does this itself
+    async broadcastInvalidation(cacheKeys) {
+        if (!this.l1 || this.l1Invalidation !== 'pubsub' || cacheKeys.length === 0) return;
+
+        await this.startL1();
+        await this.invalidations?.publish('cache:invalidate', { origin: this.instanceId, keys: cacheKeys });
+    }
+
+    // Stop listening for L1 invalidations, write buffered stats and stop the write-behind timer
+    // (call flushWrites() first to save what is still buffered)
+    async close() {
+        this.stopWriteBehind();
+        try {
+            await this.flushStats();
+        } catch (error) {
+            this.logger.error('Cache stats flush failed:', error);
+        }
+        if (this.trackingListener) {
+            this.client.clientSideCache.off('invalidate', this.trackingListener);
+            this.trackingListener = null;
+        }
+        if (this.invalidations?.subscriber.isOpen) {
+            await this.invalidations.subscriber.close();
+        }
+    }
+
+    // Write an entry with its tag and dependency memberships in one transaction. Redis keeps it
+    // for ttl + staleTTL seconds; loadMs is how long the loader took, for XFetch. queueWrite adds
+    // the value to the write-behind buffer in the same transaction.
+    async store(cacheKey, value, settings, loadMs = 0, queueWrite = false) {
+        await this.storeMany([{ cacheKey, value, settings, loadMs, queueWrite }]);
+    }
+
+    // store() for several entries ({ cacheKey, value, settings, loadMs, queueWrite }) in one transaction
+    async storeMany(items) {
+        const transaction = this.client.multi();
+        const written = [];
+
+        for (const { cacheKey, value, settings, loadMs = 0, queueWrite = false } of items) {
+            const { ttl, staleTTL = 0, tags = [], dependsOn = [] } = settings;
+            const entry = { value, freshUntil: this.clock.now() + ttl * 1000, loadMs };
+            const hardTTL = ttl + staleTTL;
+
+            const encoded = this.codec.encode(entry);
+            transaction.set(cacheKey, encoded, { EX: hardTTL });
+            const memberships = [...tags.map(tag => this.tagKey(tag)), ...dependsOn.map(key => this.depsKey(key))];
+            for (const setKey of memberships) {
+                // A set lives as long as its longest-lived member: NX sets the first expiry, GT extends it
+                transaction.sAdd(setKey, cacheKey)
+                    .expire(setKey, hardTTL, 'NX')
+                    .expire(setKey, hardTTL, 'GT');
+            }
+            if (queueWrite) {
+                // A newer value replaces an unflushed one and starts its attempt count over
+                const key = this.keys.strip(cacheKey);
+                transaction.hSet(this.pendingWritesKey, key, this.codec.encode(value))
+                    .hDel(this.writeAttemptsKey, key);
+            }
+            written.push({ cacheKey, encoded, entry });
+        }
+        await transaction.exec();
+
+        for (const { cacheKey, encoded, entry } of written) {
+            this.setLocal(cacheKey, encoded, entry);
+        }
+        await this.broadcastInvalidation(written.map(({ cacheKey }) => cacheKey));
+    }
+
+    // Bulk read-through, DataLoader style: one L1 pass and one MGET for all keys, then a single
+    // batchLoader(missingKeys) call for the misses, whose results are written back in one
+    // transaction. batchLoader returns one value per key, in order (null/undefined: not found).
+    // Results come back in the order of keys. Takes wrap()'s options. Stale entries are reloaded
+    // in the same batch as the misses; with no misses they are served and refreshed with one
+    // background batch, so batchLoader is called once either way. Misses skip the single-flight
+    // and the Redis lock. Values that cannot be decoded count as misses.
+    async getMany(keys, batchLoader, options = {}) {
+        const unique = [...new Set(keys)];
+        if (unique.length === 0) return [];
+        const settings = this.entrySettings(unique[0], options);
+        const cacheKeys = unique.map(key => this.keys.key(key));
+        const results = new Map();
+
+        const local = await Promise.all(cacheKeys.map(cacheKey => this.getLocal(cacheKey)));
+        const remote = cacheKeys.filter((cacheKey, i) => local[i] === undefined);
+        let fetched;
+        try {
+            fetched = remote.length > 0 ? await this.valueClient.mGet(remote) : [];
+        } catch (error) {
+            this.logger.error('Cache error:', error);
+            // Fallback to the source
+            const values = await this.loadBatch(unique, batchLoader, settings);
+            return keys.map(key => values[unique.indexOf(key)]);
+        }
+
+        const raws = new Map(remote.map((cacheKey, i) => [cacheKey, fetched[i]]));
+        const missing = [];
+        const stale = [];
+        const now = this.clock.now();
+        unique.forEach((key, i) => {
+            const fromL1 = local[i] !== undefined;
+            const cached = fromL1 ? local[i] : raws.get(cacheKeys[i]);
+            const entry = cached ? this.tryReadEntry(cacheKeys[i], cached) : null;
+            if (!entry) {
+                this.recordLookup(key, 'miss');
+                missing.push(key);
+                return;
+            }
+
+            const isStale = now >= entry.freshUntil;
+            if (!fromL1 && !isStale) {
+                this.setLocal(cacheKeys[i], cached, entry);
+            }
+            this.recordLookup(key, isStale ? 'stale' : 'hit');
+            if (isStale) stale.push(key);
+            results.set(key, entry.value);
+        });
+
+        if (missing.length > 0) {
+            // The caller waits for this load anyway, so it refreshes the stale entries too
+            const loading = [...missing, ...stale];
+            const values = await this.loadAndStoreMany(loading, batchLoader, settings);
+            loading.forEach((key, i) => results.set(key, values[i]));
+        } else if (stale.length > 0 && (this.breakerFor(settings.source)?.allows() ?? true)) {
+            this.loadAndStoreMany(stale, batchLoader, settings)
+                .catch(error => this.logger.error(`Cache refresh failed for ${stale.join(', ')}:`, error));
+        }
+        return keys.map(key => results.get(key));
+    }
+
+    // Call a batch loader through the circuit breaker and check it answered for every key
+    async loadBatch(keys, batchLoader, settings) {
+        const values = await this.callSource(keys[0], settings.source, () => batchLoader(keys));
+        if (!Array.isArray(values) || values.length !== keys.length) {
+            throw new Error(`Batch loader returned ${values?.length ?? 'no'} values for ${keys.length} keys`);
+        }
+        return values;
+    }
+
+    // loadAndStore() for a batch of keys; a failed cache write still returns the values
+    async loadAndStoreMany(keys, batchLoader, settings) {
+        const start = process.hrtime.bigint();
+        let values;
+        try {
+            values = await this.loadBatch(keys, batchLoader, settings);
+        } catch (error) {
+            if (!(error instanceof CircuitOpenError)) this.recordStat(keys[0], 'loadErrors');
+            throw error;
+        }
+
+        const loadMs = secondsSince(start) * 1000;
+        this.recordStat(keys[0], 'loads');
+        this.recordStat(keys[0], 'loadMs', loadMs);
+
+        const items = [];
+        keys.forEach((key, i) => {
+            const empty = values[i] === null || values[i] === undefined;
+            if (empty && !settings.negativeTTL) return;
+            items.push({
+                cacheKey: this.keys.key(key),
+                value: empty ? null : values[i],
+                settings: empty ? { ...settings, ttl: settings.negativeTTL, staleTTL: 0 } : settings,
+                loadMs
+            });
+        });
+
+        try {
+            if (items.length > 0) await this.storeMany(items);
+        } catch (error) {
+            this.logger.error('Cache error:', error);
+        }
+        return values;
     }
 
     // Simulate expensive database operation
     async getUserFromDatabase(userId) {
-        console.log(`Fetching user ${userId} from database...`);
+        this.logger.info(`Fetching user ${userId} from database...`);
         // Simulate database delay
         await new Promise(resolve => setTimeout(resolve, 100));
         return {
             id: userId,
             name: `User ${userId}`,
             email: `user${userId}@example.com`,
-            lastLogin: new Date().toISOString()
+            lastLogin: new Date(this.clock.now()).toISOString()
         };
     }
 
-    // Get user with caching
+    // Get user with caching (5-minute expiration by default)
     async getUser(userId) {
-        const cacheKey = `user:${userId}`;
+        return this.wrap(`user:${userId}`, () => this.getUserFromDatabase(userId), { eventData: { userId } });
+    }
+
+    // Simulate one database query for several users
+    async getUsersFromDatabase(userIds) {
+        this.logger.info(`Fetching users ${userIds.join(', ')} from database...`);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        return userIds.map(userId => ({
+            id: userId,
+            name: `User ${userId}`,
+            email: `user${userId}@example.com`,
+            lastLogin: new Date(this.clock.now()).toISOString()
+        }));
+    }
+
+    // Get several users with one cache round trip and one database query for the misses
+    async getUsers(userIds) {
+        const ids = new Map(userIds.map(userId => [`user:${userId}`, userId]));
+        return this.getMany(userIds.map(userId => `user:${userId}`), keys =>
+            this.getUsersFromDatabase(keys.map(key => ids.get(key))));
+    }
+
+    // Run the cascading invalidation script; returns the manager-relative keys removed
+    async invalidateCascade(tagKeys, cacheKeys) {
+        const visited = await this.client.eval(INVALIDATE_SCRIPT, {
+            keys: [...tagKeys, ...cacheKeys],
+            arguments: [this.keys.key('cache:deps:'), String(tagKeys.length), String(this.keys.prefix.length)]
+        });
+        this.dropLocal(visited);
+        await this.broadcastInvalidation(visited);
+        return visited.map(cacheKey => this.keys.strip(cacheKey));
+    }
+
+    // Remove one cached entry and everything that depends on it; eventData adds fields to the event
+    async invalidate(key, eventData = {}) {
+        const keys = await this.invalidateCascade([], [this.keys.key(key)]);
+        this.emit('invalidate', { ...eventData, key, keys });
+        this.logger.info(`Cache invalidated for ${key} (${keys.length} entries)`);
+        return keys.length;
+    }
+
+    // Remove every entry cached with any of the tags, and everything that depends on them
+    async invalidateTags(tags) {
+        const keys = await this.invalidateCascade(tags.map(tag => this.tagKey(tag)), []);
+        this.emit('invalidate', { tags, keys });
+        this.logger.info(`Cache invalidated ${keys.length} entries tagged ${tags.join(', ')}`);
+        return keys.length;
+    }
+
+    async invalidateTag(tag) {
+        return this.invalidateTags([tag]);
+    }
+
+    // Write a value to the source and the cache. Takes wrap()'s options plus
+    // mode ('through' or 'behind', default the writeMode option).
+    async set(key, value, options = {}) {
+        if (!this.persistence) {
+            throw new Error('CacheManager.set needs a persistence adapter (the persistence option)');
+        }
+
+        const mode = options.mode || this.writeMode;
+        const cacheKey = this.keys.key(key);
+        const settings = this.entrySettings(key, options);
+
+        if (mode === 'behind') {
+            await this.store(cacheKey, value, settings, 0, true);
+        } else if (mode === 'through') {
+            try {
+                await this.persist([{ key, value }]);
+            } catch (error) {
+                this.sourceWritesMetric.inc({ mode, result: 'error' });
+                throw error;
+            }
+            this.sourceWritesMetric.inc({ mode, result: 'written' });
+
+            try {
+                await this.store(cacheKey, value, settings);
+            } catch (error) {
+                // The source has the new value; the cached copy expires at its TTL
+                this.logger.error('Cache error:', error);
+            }
+        } else {
+            throw new Error(`Unknown write mode: ${mode}`);
+        }
+
+        // Entries derived from the old value are out of date (the key itself stays)
+        await this.invalidateCascade([this.depsKey(key)], []);
+        this.emit('write', { key, mode });
+    }
+
+    // Hand entries ({ key, value }) to the adapter, in one call if it supports batches
+    async persist(entries) {
+        if (this.persistence.saveMany) {
+            await this.persistence.saveMany(entries);
+            return;
+        }
+        for (const { key, value } of entries) {
+            await this.persistence.save(key, value);
+        }
+    }
+
+    // Save buffered writes to the source in batches. Only one process flushes at a time; others
+    // return straight away. Returns counts of writes saved, left for a retry and given up on.
+    async flushWrites() {
+        const result = { written: 0, retrying: 0, failed: 0 };
+        const ownerId = randomUUID();
+        if (!(await this.flushLocks.acquireLock('flush', ownerId, this.loadLockTTL)).success) {
+            return result;
+        }
 
         try {
-            // Check cache first
-            const cachedUser = await this.client.get(cacheKey);
-            if (cachedUser) {
-                this.cacheHits++;
-                console.log(`Cache HIT for user ${userId}`);
-                return JSON.parse(cachedUser);
+            const keys = await this.client.hKeys(this.pendingWritesKey);
+
+            for (let i = 0; i < keys.length; i += this.writeBehind.batchSize) {
+                const batch = keys.slice(i, i + this.writeBehind.batchSize);
+                const values = await this.valueClient.hmGet(this.pendingWritesKey, batch);
+                const pending = batch.map((key, j) => ({ key, raw: values[j] })).filter(({ raw }) => raw !== null);
+
+                try {
+                    await this.persist(pending.map(({ key, raw }) => ({ key, value: this.codec.decode(raw) })));
+                } catch (error) {
+                    await this.recordWriteFailures(pending, error, result);
+                    continue;
+                }
+
+                // Writes replaced while the batch was saving stay pending for the next flush
+                await this.client.eval(ACK_WRITES_SCRIPT, {
+                    keys: [this.pendingWritesKey, this.writeAttemptsKey],
+                    arguments: pending.flatMap(({ key, raw }) => [key, raw])
+                });
+                this.sourceWritesMetric.inc({ mode: 'behind', result: 'written' }, pending.length);
+                result.written += pending.length;
+            }
+        } finally {
+            await this.flushLocks.releaseLock('flush', ownerId);
+        }
+
+        this.emit('flush', result);
+        this.logger.info(`Flushed write-behind buffer: ${result.written} written, ${result.retrying} retrying, ${result.failed} failed`);
+        return result;
+    }
+
+    // Count a failed attempt for each write in a batch, moving writes out of attempts to the failed hash
+    async recordWriteFailures(pending, error, result) {
+        this.logger.error('Write-behind flush failed:', error);
+
+        for (const { key, raw } of pending) {
+            const attempts = await this.client.hIncrBy(this.writeAttemptsKey, key, 1);
+            if (attempts < this.writeBehind.maxAttempts) {
+                this.sourceWritesMetric.inc({ mode: 'behind', result: 'retry' });
+                result.retrying++;
+                continue;
             }
 
-            // Cache miss - fetch from database
-            this.cacheMisses++;
-            console.log(`Cache MISS for user ${userId}`);
-            const user = await this.getUserFromDatabase(userId);
+            // A write set() replaced while the batch was saving stays pending for the next flush
+            const moved = await this.client.eval(FAIL_WRITE_SCRIPT, {
+                keys: [this.pendingWritesKey, this.writeAttemptsKey, this.failedWritesKey],
+                arguments: [key, raw]
+            });
+            if (!moved) {
+                this.sourceWritesMetric.inc({ mode: 'behind', result: 'retry' });
+                result.retrying++;
+                continue;
+            }
+            this.sourceWritesMetric.inc({ mode: 'behind', result: 'failed' });
+            this.emit('writeFailed', { key, attempts, error });
+            result.failed++;
+        }
+    }
+
+    // Number of buffered writes not yet saved to the source
+    async getPendingWriteCount() {
+        return await this.client.hLen(this.pendingWritesKey);
+    }
 
-            // Store in cache with 5-minute expiration
-            await this.client.setEx(cacheKey, 300, JSON.stringify(user));
+    // Move writes that ran out of attempts back into the buffer; returns how many
+    async retryFailedWrites() {
+        const failed = await this.valueClient.hGetAll(this.failedWritesKey);
+        const keys = Object.keys(failed);
+        if (keys.length === 0) return 0;
 
-            return user;
-        } catch (error) {
-            console.error('Cache error:', error);
-            // Fallback to database
-            return await this.getUserFromDatabase(userId);
+        const transaction = this.client.multi();
+        for (const key of keys) {
+            transaction.hSetNX(this.pendingWritesKey, key, failed[key]);
         }
+        await transaction.hDel(this.failedWritesKey, keys).exec();
+        return keys.length;
+    }
+
+    // Flush the write-behind buffer every interval ms until stopWriteBehind()
+    startWriteBehind(interval = this.writeBehind.interval) {
+        this.stopWriteBehind();
+        this.flushTimer = setInterval(() => {
+            this.flushWrites().catch(error => this.logger.error('Write-behind flush failed:', error));
+        }, interval);
+        this.flushTimer.unref();
+    }
+
+    stopWriteBehind() {
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
     }
 
     // Invalidate cache for a user
     async invalidateUserCache(userId) {
-        const cacheKey = `user:${userId}`;
-        await this.client.del(cacheKey);
-        console.log(`Cache invalidated for user ${userId}`);
+        await this.invalidate(`user:${userId}`, { userId });
+    }
+
+    // Add to a shared stats counter for the key's prefix in the current bucket; written by flushStats()
+    recordStat(key, counter, amount = 1) {
+        if (!this.sharedStats) return;
+
+        const bucketMs = this.sharedStats.bucket * 1000;
+        this.bufferStat(Math.floor(this.clock.now() / bucketMs) * bucketMs, `${key.split(':')[0]}:${counter}`, amount);
+
+        if (!this.statsTimer) {
+            this.statsTimer = setTimeout(() => {
+                this.flushStats().catch(error => this.logger.error('Cache stats flush failed:', error));
+            }, this.sharedStats.flushInterval);
+            this.statsTimer.unref();
+        }
+    }
+
+    // Write buffered stats to Redis, one transaction per bucket. Counts that could not be
+    // written go back in the buffer for the next flush.
+    async flushStats() {
+        clearTimeout(this.statsTimer);
+        this.statsTimer = null;
+        const buffered = this.statsBuffer;
+        this.statsBuffer = new Map();
+
+        for (const [start, counts] of buffered) {
+            const statsKey = this.statsKey(start);
+            const transaction = this.client.multi();
+            for (const [field, amount] of counts) {
+                if (field.endsWith(':loadMs')) {
+                    transaction.hIncrByFloat(statsKey, field, amount);
+                } else {
+                    transaction.hIncrBy(statsKey, field, amount);
+                }
+            }
+
+            try {
+                await transaction.expire(statsKey, this.sharedStats.retention + this.sharedStats.bucket).exec();
+                buffered.delete(start);
+            } catch (error) {
+                for (const [unsavedStart, unsaved] of buffered) {
+                    for (const [field, amount] of unsaved) {
+                        this.bufferStat(unsavedStart, field, amount);
+                    }
+                }
+                throw error;
+            }
+        }
+    }
+
+    bufferStat(start, field, amount) {
+        if (!this.statsBuffer.has(start)) {
+            this.statsBuffer.set(start, new Map());
+        }
+        const counts = this.statsBuffer.get(start);
+        counts.set(field, (counts.get(field) || 0) + amount);
+    }
+
+    // Shared stats from every instance, per key prefix: totals with hitRate (0-1, null without
+    // lookups) and avgLoadMs, plus the same per bucket for trends. Defaults to the last hour;
+    // from/to are ms timestamps and prefix limits the result to one key prefix.
+    async getStatsHistory(options = {}) {
+        if (!this.sharedStats) {
+            throw new Error('CacheManager.getStatsHistory needs the stats option');
+        }
+        await this.flushStats();
+
+        const bucketMs = this.sharedStats.bucket * 1000;
+        const to = options.to ?? this.clock.now();
+        const from = options.from ?? to - 3600 * 1000;
+        const starts = [];
+        for (let start = Math.floor(from / bucketMs) * bucketMs; start <= to; start += bucketMs) {
+            starts.push(start);
+        }
+
+        const hashes = await Promise.all(starts.map(start => this.client.hGetAll(this.statsKey(start))));
+        const series = {}; // prefix -> per-bucket counters
+        hashes.forEach((hash, i) => {
+            for (const [field, value] of Object.entries(hash)) {
+                const split = field.lastIndexOf(':');
+                const prefix = field.slice(0, split);
+                const counter = field.slice(split + 1);
+                if ((options.prefix && prefix !== options.prefix) || !STAT_COUNTERS.includes(counter)) continue;
+
+                series[prefix] ??= starts.map(start => ({ start, ...Object.fromEntries(STAT_COUNTERS.map(name => [name, 0])) }));
+                series[prefix][i][counter] += Number(value);
+            }
+        });
+
+        const history = {};
+        for (const [prefix, buckets] of Object.entries(series)) {
+            const totals = Object.fromEntries(STAT_COUNTERS.map(name => [name, buckets.reduce((sum, bucket) => sum + bucket[name], 0)]));
+            history[prefix] = { ...describeStats(totals), buckets: buckets.map(describeStats) };
+        }
+        return history;
     }
 
     // Get cache statistics
@@ -84,6 +1015,7 @@ class CacheManager {
 
 // Demo the caching functionality
 async function demoCaching() {
+    const client = await getClient();
     const cache = new CacheManager(client);
 
     console.log('=== Redis Caching Demo ===\n');
@@ -123,11 +1055,29 @@ async function demoCaching() {
     console.log('User:', user);
     console.log();
 
+    // Cache any data source through the same read-through path
+    console.log('7. Caching an arbitrary query with a tag:');
+    const orders = await cache.wrap('orders:user:1', async () => [{ id: 'o1', total: 42 }], { ttl: 60, tags: ['user:1'] });
+    console.log('Orders:', orders);
+    console.log(`Invalidated ${await cache.invalidateTag('user:1')} entries tagged user:1`);
+    console.log();
+
+    // Several users in one round trip; only the uncached ones reach the database
+    console.log('8. Fetching users 1-4 at once:');
+    const users = await cache.getUsers([1, 2, 3, 4]);
+    console.log('Users:', users.map(({ id }) => id));
+    console.log();
+
     // Show cache statistics
-    console.log('7. Cache Statistics:');
+    console.log('9. Cache Statistics:');
     console.log(cache.getStats());
 
-    await client.disconnect();
+    await closeClient();
 }
 
-demoCaching().catch(console.error);
\ No newline at end of file
+export { CacheManager };
+
+// Run demonstration if this file is executed directly
+if (isMainModule(import.meta.url)) {
+    demoCaching().catch(console.error);
+}
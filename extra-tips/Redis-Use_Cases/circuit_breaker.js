@@ -0,0 +1,67 @@
+import { systemClock } from './clock.js';
+
+// Circuit breaker for a failing dependency
+//
+// Closed, calls go through. After failureThreshold consecutive failures it opens, and calls are
+// refused for resetTimeout seconds. Then it is half-open: one probe call is let through. If the
+// probe succeeds the breaker closes, and if it fails the breaker opens for another resetTimeout.
+export class CircuitBreaker {
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold ?? 5;
+        this.resetTimeout = options.resetTimeout ?? 30; // seconds
+        this.clock = options.clock || systemClock;
+        this.failures = 0;
+        this.openedAt = null;
+        this.probing = false;
+    }
+
+    // 'closed', 'open' or 'halfOpen'
+    get state() {
+        if (this.openedAt === null) return 'closed';
+        return this.clock.now() >= this.openedAt + this.resetTimeout * 1000 ? 'halfOpen' : 'open';
+    }
+
+    // Whether a call would be let through right now, without claiming the half-open probe
+    allows() {
+        const state = this.state;
+        return state === 'closed' || (state === 'halfOpen' && !this.probing);
+    }
+
+    // Claim permission for a call; in the half-open state only the first caller gets it
+    tryCall() {
+        if (!this.allows()) return false;
+        if (this.state === 'halfOpen') this.probing = true;
+        return true;
+    }
+
+    // Record a call's outcome; returns the new state if it changed, otherwise null
+    recordSuccess() {
+        // Once open, only the half-open probe can close it, not calls started before it opened
+        if (this.openedAt !== null && !this.probing) return null;
+
+        const previous = this.state;
+        this.failures = 0;
+        this.openedAt = null;
+        this.probing = false;
+        return previous === 'closed' ? null : 'closed';
+    }
+
+    recordFailure() {
+        this.failures++;
+        if (!this.probing) {
+            // Calls started before the breaker opened do not restart its timeout
+            if (this.openedAt !== null || this.failures < this.failureThreshold) return null;
+        }
+        this.openedAt = this.clock.now();
+        this.probing = false;
+        return 'open';
+    }
+}
+
+// Thrown instead of calling a source whose circuit is open
+export class CircuitOpenError extends Error {
+    constructor(source) {
+        super(`Circuit open for ${source}, not calling the source`);
+        this.source = source;
+    }
+}
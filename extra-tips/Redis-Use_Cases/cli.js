@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util';
+import { getClient, closeClient, configureConnections } from './connection.js';
+import { JobQueue } from './message_queuing.js';
+import { DistributedLock } from './distributed_locking.js';
+import { RateLimiter } from './rate_limiting.js';
+import { ConfigManager } from './config_management.js';
+import { FullTextSearch } from './full_text_search.js';
+import { LeaderboardManager } from './leaderboards.js';
+import { isMainModule } from './main_module.js';
+
+// redis-usecases - operate the use-case managers from the command line
+//
+//   redis-usecases <subsystem> <action> [arguments] [--format table|json] [--connection name]
+//
+// Results go to stdout as a table (default) or JSON; the managers' progress messages go to
+// stderr so scripts can pipe the output straight into jq.
+
+const OPTIONS = {
+    format: { type: 'string', default: 'table' },
+    json: { type: 'boolean', default: false },
+    connection: { type: 'string', default: 'default' },
+    queue: { type: 'string', default: 'default' },
+    prefix: { type: 'string', default: 'lock:' },
+    strategy: { type: 'string', default: 'fixed' },
+    app: { type: 'string', default: 'default' },
+    index: { type: 'string', default: 'fts' },
+    limit: { type: 'string' },
+    user: { type: 'string' },
+    description: { type: 'string', default: '' },
+    namespace: { type: 'string' },
+    tenant: { type: 'string' },
+    'hash-tag': { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+// Raised for bad invocations; reported with usage text and exit code 2
+class UsageError extends Error {}
+
+function requireArgs(args, names) {
+    if (args.length < names.length) {
+        throw new UsageError(`Missing argument: <${names[args.length]}>`);
+    }
+    return args;
+}
+
+function parseLimit(options, defaultValue) {
+    if (options.limit === undefined) return defaultValue;
+
+    const limit = parseInt(options.limit);
+    if (!Number.isInteger(limit) || limit <= 0) {
+        throw new UsageError(`--limit must be a positive integer, got: ${options.limit}`);
+    }
+    return limit;
+}
+
+// Key prefix options shared by every manager
+function keyspaceOptions(options) {
+    return { namespace: options.namespace, tenant: options.tenant, hashTag: options['hash-tag'] };
+}
+
+// Accept JSON literals (numbers, booleans, objects) and fall back to a plain string
+function parseValue(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+// Subsystem -> action -> { usage, run(client, args, options) }
+export const COMMANDS = {
+    queue: {
+        stats: {
+            usage: 'queue stats [--queue name]',
+            run: (client, args, options) => new JobQueue(client, options.queue, keyspaceOptions(options)).getQueueStats()
+        },
+        'retry-failed': {
+            usage: 'queue retry-failed [--queue name] [--limit n]',
+            run: async (client, args, options) => ({
+                retried: await new JobQueue(client, options.queue, keyspaceOptions(options)).retryFailedJobs(parseLimit(options, Infinity))
+            })
+        },
+        drain: {
+            usage: 'queue drain [--queue name]',
+            run: async (client, args, options) => ({
+                drained: await new JobQueue(client, options.queue, keyspaceOptions(options)).drainQueue()
+            })
+        }
+    },
+    lock: {
+        status: {
+            usage: 'lock status <name> [--prefix lock:]',
+            run: (client, args, options) => {
+                const [name] = requireArgs(args, ['name']);
+                return new DistributedLock(client, options.prefix, keyspaceOptions(options)).getLockStatus(name);
+            }
+        },
+        'force-release': {
+            usage: 'lock force-release <name> [--prefix lock:]',
+            run: async (client, args, options) => {
+                const [name] = requireArgs(args, ['name']);
+                return { released: await new DistributedLock(client, options.prefix, keyspaceOptions(options)).forceReleaseLock(name) };
+            }
+        }
+    },
+    ratelimit: {
+        status: {
+            usage: 'ratelimit status <identifier> [--strategy fixed|sliding|token_bucket]',
+            run: (client, args, options) => {
+                const [identifier] = requireArgs(args, ['identifier']);
+                return new RateLimiter(client, keyspaceOptions(options)).getRateLimitStatus(identifier, options.strategy);
+            }
+        },
+        reset: {
+            usage: 'ratelimit reset <identifier> [--strategy fixed|sliding|token_bucket]',
+            run: async (client, args, options) => {
+                const [identifier] = requireArgs(args, ['identifier']);
+                await new RateLimiter(client, keyspaceOptions(options)).resetRateLimit(identifier, options.strategy);
+                return { reset: identifier, strategy: options.strategy };
+            }
+        }
+    },
+    config: {
+        get: {
+            usage: 'config get [key] [--app name]',
+            run: async (client, args, options) => {
+                const config = new ConfigManager(client, options.app, keyspaceOptions(options));
+                if (args.length === 0) {
+                    return await config.getAllConfig();
+                }
+                return { [args[0]]: await config.getConfig(args[0]) };
+            }
+        },
+        set: {
+            usage: 'config set <key> <value> [--app name] [--user name]',
+            run: async (client, args, options) => {
+                const [key, value] = requireArgs(args, ['key', 'value']);
+                const config = new ConfigManager(client, options.app, keyspaceOptions(options));
+                await config.setConfig(key, parseValue(value), options.user ? { user: options.user } : {});
+                return { [key]: await config.getConfig(key) };
+            }
+        },
+        history: {
+            usage: 'config history <key> [--app name] [--limit n]',
+            run: async (client, args, options) => {
+                const [key] = requireArgs(args, ['key']);
+                const history = await new ConfigManager(client, options.app, keyspaceOptions(options)).getConfigHistory(key, parseLimit(options, 10));
+                return history.map(record => ({
+                    updatedAt: record.updatedAt,
+                    updatedBy: record.updatedBy,
+                    value: record.deleted ? '(deleted)' : record.value
+                }));
+            }
+        },
+        snapshot: {
+            usage: 'config snapshot <name> [--app name] [--description text]',
+            run: async (client, args, options) => {
+                const [name] = requireArgs(args, ['name']);
+                const snapshot = await new ConfigManager(client, options.app, keyspaceOptions(options)).createSnapshot(name, options.description);
+                return { snapshot: snapshot.name, keys: Object.keys(snapshot.config).length, createdAt: snapshot.createdAt };
+            }
+        },
+        restore: {
+            usage: 'config restore <name> [--app name]',
+            run: async (client, args, options) => {
+                const [name] = requireArgs(args, ['name']);
+                const snapshot = await new ConfigManager(client, options.app, keyspaceOptions(options)).loadSnapshot(name);
+                return { restored: snapshot.name, keys: Object.keys(snapshot.config).length };
+            }
+        }
+    },
+    search: {
+        index: {
+            usage: 'search index <docId> <title> <content> [--index name]',
+            run: async (client, args, options) => {
+                const [docId, title, ...content] = requireArgs(args, ['docId', 'title', 'content']);
+                await new FullTextSearch(client, options.index, keyspaceOptions(options)).indexDocument(docId, title, content.join(' '));
+                return { indexed: docId };
+            }
+        },
+        query: {
+            usage: 'search query <text...> [--index name] [--limit n]',
+            run: async (client, args, options) => {
+                requireArgs(args, ['text']);
+                const { results } = await new FullTextSearch(client, options.index, keyspaceOptions(options))
+                    .search(args.join(' '), { limit: parseLimit(options, 10) });
+                return results.map(({ id, title, score }) => ({ id, title, score }));
+            }
+        }
+    },
+    leaderboard: {
+        top: {
+            usage: 'leaderboard top <board> [--limit n]',
+            run: async (client, args, options) => {
+                const [board] = requireArgs(args, ['board']);
+                const players = await new LeaderboardManager(client, keyspaceOptions(options)).getTopPlayers(board, parseLimit(options, 10));
+                return players.map(({ rank, playerId, name, score }) => ({ rank, playerId, name, score }));
+            }
+        },
+        rank: {
+            usage: 'leaderboard rank <board> <player>',
+            run: async (client, args, options) => {
+                const [board, playerId] = requireArgs(args, ['board', 'player']);
+                const rank = await new LeaderboardManager(client, keyspaceOptions(options)).getPlayerRank(board, playerId);
+                if (!rank) {
+                    throw new Error(`Player ${playerId} is not on leaderboard ${board}`);
+                }
+                return { rank: rank.rank, playerId, name: rank.name, score: rank.score };
+            }
+        }
+    }
+};
+
+export function usage() {
+    const lines = ['Usage: redis-usecases <subsystem> <action> [arguments] [options]', '', 'Commands:'];
+    for (const actions of Object.values(COMMANDS)) {
+        for (const { usage: commandUsage } of Object.values(actions)) {
+            lines.push(`  ${commandUsage}`);
+        }
+    }
+    lines.push('', 'Options:',
+        '  --format table|json   output format (default: table); --json is shorthand for --format json',
+        '  --connection name     named connection from connection.js (default: default)',
+        '  --namespace name      prefix every key with this namespace',
+        '  --tenant id           prefix every key with this tenant',
+        '  --hash-tag            keep a tenant\'s keys in one cluster hash slot',
+        '  -h, --help            show this help');
+    return lines.join('\n');
+}
+
+function formatCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+// Render rows of objects as an aligned plain-text table
+export function formatTable(rows) {
+    if (rows.length === 0) return '(no results)';
+
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const cells = rows.map(row => columns.map(column => formatCell(row[column])));
+    const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(row => row[i].length)));
+    const renderRow = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+    return [
+        renderRow(columns),
+        renderRow(widths.map(width => '-'.repeat(width))),
+        ...cells.map(renderRow)
+    ].join('\n');
+}
+
+// Format a command result for stdout
+export function formatOutput(result, format) {
+    if (format === 'json') {
+        return JSON.stringify(result, null, 2);
+    }
+    if (Array.isArray(result)) {
+        return formatTable(result);
+    }
+    if (result && typeof result === 'object') {
+        return formatTable(Object.entries(result).map(([field, value]) => ({ field, value })));
+    }
+    return formatCell(result);
+}
+
+// Run one CLI invocation; returns the process exit code
+export async function runCli(argv, { client = null, stdout = process.stdout, stderr = process.stderr } = {}) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        stderr.write(`${error.message}\n\n${usage()}\n`);
+        return 2;
+    }
+
+    const { values: options, positionals } = parsed;
+    const [subsystem, action, ...args] = positionals;
+
+    if (options.help || !subsystem || subsystem === 'help') {
+        stdout.write(`${usage()}\n`);
+        return 0;
+    }
+
+    const command = COMMANDS[subsystem]?.[action];
+    if (!command) {
+        stderr.write(`Unknown command: ${[subsystem, action].filter(Boolean).join(' ')}\n\n${usage()}\n`);
+        return 2;
+    }
+
+    const format = options.json ? 'json' : options.format;
+    if (!['table', 'json'].includes(format)) {
+        stderr.write(`Unknown format: ${format} (expected table or json)\n`);
+        return 2;
+    }
+
+    // Keep stdout for results only
+    const originalLog = console.log;
+    console.log = (...messages) => stderr.write(`${messages.join(' ')}\n`);
+
+    const ownsClient = !client;
+    try {
+        if (ownsClient) {
+            // A one-shot command should fail fast rather than retry an unreachable server forever
+            configureConnections({ [options.connection]: { reconnect: false } });
+        }
+        const redis = client || await getClient(options.connection);
+        const result = await command.run(redis, args, options);
+        stdout.write(`${formatOutput(result, format)}\n`);
+        return 0;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            stderr.write(`${error.message}\nUsage: redis-usecases ${command.usage}\n`);
+            return 2;
+        }
+        stderr.write(`Error: ${error.message}\n`);
+        return 1;
+    } finally {
+        console.log = originalLog;
+        if (ownsClient) {
+            await closeClient(options.connection);
+        }
+    }
+}
+
+// Run when executed directly (including through the npm bin symlink)
+if (isMainModule(import.meta.url)) {
+    process.exitCode = await runCli(process.argv.slice(2));
+}
@@ -0,0 +1,29 @@
+// Clocks - time sources for time-dependent logic, so tests can control the passage of time
+
+// Wall clock used by default
+export const systemClock = {
+    now: () => Date.now()
+};
+
+// Manually driven clock for deterministic tests
+export class ManualClock {
+    constructor(startTime = Date.now()) {
+        this.currentTime = startTime;
+    }
+
+    now() {
+        return this.currentTime;
+    }
+
+    // Move time forward by the given number of milliseconds
+    advance(ms) {
+        this.currentTime += ms;
+        return this.currentTime;
+    }
+
+    // Jump to an absolute timestamp (milliseconds since epoch)
+    set(timestamp) {
+        this.currentTime = timestamp;
+        return this.currentTime;
+    }
+}
@@ -0,0 +1,259 @@
+import { brotliCompressSync, brotliDecompressSync, gunzipSync, gzipSync } from 'node:zlib';
+import { RESP_TYPES } from 'redis';
+
+// Codecs - how the managers serialize values before storing them in Redis
+//
+// A codec is { name, encode(value) -> string | Buffer, decode(stored) -> value }.
+//
+// Every encoding except plain JSON starts with a header byte naming its format. JSON text
+// never starts with one of those bytes, so any codec can read values written by any other
+// (including data written before codecs existed). That lets a deployment switch codecs and
+// migrate gradually: old values stay readable and are rewritten in the new format as they change.
+
+export const HEADER = {
+    MSGPACK: 0x01,
+    GZIP: 0x02,
+    BROTLI: 0x03
+};
+
+// Decode any supported encoding, whichever codec wrote it
+export function decodeValue(stored) {
+    if (stored === null || stored === undefined) return null;
+
+    const bytes = Buffer.isBuffer(stored) ? stored : Buffer.from(String(stored));
+    if (bytes.length === 0) {
+        throw new Error('Cannot decode an empty value');
+    }
+
+    switch (bytes[0]) {
+        case HEADER.MSGPACK:
+            return unpack(bytes.subarray(1));
+        case HEADER.GZIP:
+            return decodeValue(gunzipSync(bytes.subarray(1)));
+        case HEADER.BROTLI:
+            return decodeValue(brotliDecompressSync(bytes.subarray(1)));
+        default:
+            return JSON.parse(bytes.toString('utf8'));
+    }
+}
+
+// Plain JSON text - the original storage format, readable with redis-cli
+export const jsonCodec = {
+    name: 'json',
+    encode: value => JSON.stringify(value),
+    decode: decodeValue
+};
+
+// Compact binary encoding following the MessagePack format
+export const msgpackCodec = {
+    name: 'msgpack',
+    encode: value => Buffer.concat([Buffer.from([HEADER.MSGPACK]), pack(value)]),
+    decode: decodeValue
+};
+
+// Wrap another codec and compress its output once it reaches `threshold` bytes
+export function compressedCodec({ algorithm = 'gzip', threshold = 1024, inner = jsonCodec } = {}) {
+    const compressors = {
+        gzip: { header: HEADER.GZIP, compress: gzipSync },
+        brotli: { header: HEADER.BROTLI, compress: brotliCompressSync }
+    };
+    const compressor = compressors[algorithm];
+    if (!compressor) {
+        throw new Error(`Unknown compression algorithm: ${algorithm}`);
+    }
+
+    return {
+        name: `${algorithm}+${inner.name}`,
+        encode(value) {
+            const encoded = inner.encode(value);
+            const bytes = Buffer.isBuffer(encoded) ? encoded : Buffer.from(encoded);
+            if (bytes.length < threshold) {
+                return encoded;
+            }
+            return Buffer.concat([Buffer.from([compressor.header]), compressor.compress(bytes)]);
+        },
+        decode: decodeValue
+    };
+}
+
+// Codec lookup by name, for configuration files and environment variables
+export function getCodec(name) {
+    switch (name) {
+        case undefined:
+        case 'json':
+            return jsonCodec;
+        case 'msgpack':
+            return msgpackCodec;
+        case 'gzip':
+        case 'brotli':
+            return compressedCodec({ algorithm: name });
+        default:
+            throw new Error(`Unknown codec: ${name}`);
+    }
+}
+
+// View of a client that returns bulk strings as Buffers, so binary encodings read back intact
+export function binaryReplies(client) {
+    return typeof client.withTypeMapping === 'function' ?
+        client.withTypeMapping({ [RESP_TYPES.BLOB_STRING]: Buffer }) :
+        client;
+}
+
+// ---- MessagePack ----
+
+// Values are normalized the way JSON.stringify does (toJSON, undefined dropped from objects)
+function pack(value) {
+    const chunks = [];
+    packValue(value, chunks);
+    return Buffer.concat(chunks);
+}
+
+function packHeader(chunks, size, fix, fixLimit, codes) {
+    if (fix !== null && size < fixLimit) {
+        chunks.push(Buffer.from([fix | size]));
+    } else if (codes[0] !== null && size < 0x100) {
+        chunks.push(Buffer.from([codes[0], size]));
+    } else if (size < 0x10000) {
+        const header = Buffer.alloc(3);
+        header[0] = codes[1];
+        header.writeUInt16BE(size, 1);
+        chunks.push(header);
+    } else {
+        const header = Buffer.alloc(5);
+        header[0] = codes[2];
+        header.writeUInt32BE(size, 1);
+        chunks.push(header);
+    }
+}
+
+function packNumber(value, chunks) {
+    if (Number.isInteger(value) && value >= -0x80000000 && value <= 0xffffffff) {
+        if (value >= 0 && value < 0x80) {
+            chunks.push(Buffer.from([value]));
+        } else if (value < 0 && value >= -32) {
+            chunks.push(Buffer.from([value & 0xff]));
+        } else if (value >= 0) {
+            const buffer = Buffer.alloc(5);
+            buffer[0] = 0xce;
+            buffer.writeUInt32BE(value, 1);
+            chunks.push(buffer);
+        } else {
+            const buffer = Buffer.alloc(5);
+            buffer[0] = 0xd2;
+            buffer.writeInt32BE(value, 1);
+            chunks.push(buffer);
+        }
+    } else if (Number.isFinite(value)) {
+        const buffer = Buffer.alloc(9);
+        buffer[0] = 0xcb;
+        buffer.writeDoubleBE(value, 1);
+        chunks.push(buffer);
+    } else {
+        chunks.push(Buffer.from([0xc0])); // JSON turns NaN and Infinity into null
+    }
+}
+
+function packValue(value, chunks) {
+    if (value && typeof value.toJSON === 'function' && !Buffer.isBuffer(value)) {
+        value = value.toJSON();
+    }
+
+    if (value === null || value === undefined || typeof value === 'function' || typeof value === 'symbol') {
+        chunks.push(Buffer.from([0xc0]));
+    } else if (typeof value === 'boolean') {
+        chunks.push(Buffer.from([value ? 0xc3 : 0xc2]));
+    } else if (typeof value === 'number') {
+        packNumber(value, chunks);
+    } else if (typeof value === 'bigint') {
+        throw new TypeError('Cannot encode a BigInt');
+    } else if (typeof value === 'string') {
+        const bytes = Buffer.from(value);
+        packHeader(chunks, bytes.length, 0xa0, 32, [0xd9, 0xda, 0xdb]);
+        chunks.push(bytes);
+    } else if (Buffer.isBuffer(value)) {
+        packHeader(chunks, value.length, null, 0, [0xc4, 0xc5, 0xc6]);
+        chunks.push(value);
+    } else if (Array.isArray(value)) {
+        packHeader(chunks, value.length, 0x90, 16, [null, 0xdc, 0xdd]);
+        for (const item of value) packValue(item, chunks);
+    } else {
+        const entries = Object.entries(value)
+            .filter(([, item]) => item !== undefined && typeof item !== 'function' && typeof item !== 'symbol');
+        packHeader(chunks, entries.length, 0x80, 16, [null, 0xde, 0xdf]);
+        for (const [key, item] of entries) {
+            packValue(key, chunks);
+            packValue(item, chunks);
+        }
+    }
+}
+
+function unpack(bytes) {
+    const reader = { bytes, offset: 0 };
+    const value = unpackValue(reader);
+    if (reader.offset !== bytes.length) {
+        throw new Error('Unexpected trailing bytes in MessagePack value');
+    }
+    return value;
+}
+
+function take(reader, length) {
+    if (reader.offset + length > reader.bytes.length) {
+        throw new Error('Truncated MessagePack value');
+    }
+    const slice = reader.bytes.subarray(reader.offset, reader.offset + length);
+    reader.offset += length;
+    return slice;
+}
+
+function unpackValue(reader) {
+    const type = take(reader, 1)[0];
+
+    if (type < 0x80) return type;
+    if (type >= 0xe0) return type - 0x100;
+    if (type >= 0xa0 && type < 0xc0) return take(reader, type & 0x1f).toString('utf8');
+    if (type >= 0x90 && type < 0xa0) return unpackArray(reader, type & 0x0f);
+    if (type >= 0x80 && type < 0x90) return unpackMap(reader, type & 0x0f);
+
+    switch (type) {
+        case 0xc0: return null;
+        case 0xc2: return false;
+        case 0xc3: return true;
+        case 0xc4: return Buffer.from(take(reader, take(reader, 1)[0]));
+        case 0xc5: return Buffer.from(take(reader, take(reader, 2).readUInt16BE(0)));
+        case 0xc6: return Buffer.from(take(reader, take(reader, 4).readUInt32BE(0)));
+        case 0xca: return take(reader, 4).readFloatBE(0);
+        case 0xcb: return take(reader, 8).readDoubleBE(0);
+        case 0xcc: return take(reader, 1).readUInt8(0);
+        case 0xcd: return take(reader, 2).readUInt16BE(0);
+        case 0xce: return take(reader, 4).readUInt32BE(0);
+        case 0xcf: return Number(take(reader, 8).readBigUInt64BE(0));
+        case 0xd0: return take(reader, 1).readInt8(0);
+        case 0xd1: return take(reader, 2).readInt16BE(0);
+        case 0xd2: return take(reader, 4).readInt32BE(0);
+        case 0xd3: return Number(take(reader, 8).readBigInt64BE(0));
+        case 0xd9: return take(reader, take(reader, 1)[0]).toString('utf8');
+        case 0xda: return take(reader, take(reader, 2).readUInt16BE(0)).toString('utf8');
+        case 0xdb: return take(reader, take(reader, 4).readUInt32BE(0)).toString('utf8');
+        case 0xdc: return unpackArray(reader, take(reader, 2).readUInt16BE(0));
+        case 0xdd: return unpackArray(reader, take(reader, 4).readUInt32BE(0));
+        case 0xde: return unpackMap(reader, take(reader, 2).readUInt16BE(0));
+        case 0xdf: return unpackMap(reader, take(reader, 4).readUInt32BE(0));
+        default:
+            throw new Error(`Unsupported MessagePack type: 0x${type.toString(16)}`);
+    }
+}
+
+function unpackArray(reader, length) {
+    const items = new Array(length);
+    for (let i = 0; i < length; i++) items[i] = unpackValue(reader);
+    return items;
+}
+
+function unpackMap(reader, size) {
+    const map = {};
+    for (let i = 0; i < size; i++) {
+        const key = unpackValue(reader);
+        map[String(key)] = unpackValue(reader);
+    }
+    return map;
+}
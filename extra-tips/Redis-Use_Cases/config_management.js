@@ -1,26 +1,27 @@
-import { createClient } from 'redis';
-
-const client = createClient({
-    username: 'default',
-    password: 'gX94CVL0mRXXi7hligXMmMavy4lr55PV',
-    socket: {
-        host: 'redis-12372.c54.ap-northeast-1-2.ec2.redns.redis-cloud.com',
-        port: 12372
-    }
-});
-
-client.on('error', err => console.log('Redis Client Error', err));
-
-await client.connect();
+import { EventEmitter } from 'node:events';
+import { getClient, closeClient } from './connection.js';
+import { systemClock } from './clock.js';
+import { scanKeys, countKeys } from './key_scan.js';
+import { createKeyspace } from './keyspace.js';
+import { consoleLogger, defaultRegistry, traceClient } from './observability.js';
+import { isMainModule } from './main_module.js';
 
 // Configuration Management example - storing and managing application configuration
-class ConfigManager {
-    constructor(redisClient, appName = 'default') {
-        this.client = redisClient;
+//
+// Events: 'change' { key, value, updatedBy } (once per key, bulk updates included),
+//         'delete' { key }, 'snapshot' { name }, 'restore' { name }
+class ConfigManager extends EventEmitter {
+    constructor(redisClient, appName = 'default', options = {}) {
+        super();
+        this.client = traceClient(redisClient, options.tracer);
+        this.logger = options.logger || consoleLogger;
+        this.metrics = options.metrics || defaultRegistry;
+        this.clock = options.clock || systemClock;
+        this.keys = createKeyspace(options);
         this.appName = appName;
-        this.configKey = `config:${appName}`;
-        this.historyKey = `config:${appName}:history`;
-        this.versionsKey = `config:${appName}:versions`;
+        this.configKey = this.keys.key(`config:${appName}`);
+        this.historyKey = `${this.configKey}:history`;
+        this.versionsKey = `${this.configKey}:versions`;
     }
 
     // Set configuration value
@@ -31,9 +32,9 @@ class ConfigManager {
             key,
             value: JSON.stringify(value),
             type: typeof value,
-            updatedAt: new Date().toISOString(),
+            updatedAt: new Date(this.clock.now()).toISOString(),
             updatedBy: metadata.user || 'system',
-            version: Date.now().toString(),
+            version: this.clock.now().toString(),
             ...metadata
         };
 
@@ -42,7 +43,7 @@ class ConfigManager {
 
         // Add to history
         await this.client.zAdd(this.historyKey, [
-            { score: Date.now(), value: JSON.stringify(configData) }
+            { score: this.clock.now(), value: JSON.stringify(configData) }
         ]);
 
         // Keep only last 100 history entries
@@ -51,7 +52,8 @@ class ConfigManager {
         // Add to versions index
         await this.client.sAdd(this.versionsKey, configData.version);
 
-        console.log(`Set config: ${key} = ${JSON.stringify(value)}`);
+        this.emit('change', { key, value, updatedBy: configData.updatedBy });
+        this.logger.info(`Set config: ${key} = ${JSON.stringify(value)}`);
     }
 
     // Get configuration value
@@ -74,10 +76,10 @@ class ConfigManager {
     // Get all configuration
     async getAllConfig() {
         const pattern = `${this.configKey}:*`;
-        const keys = await this.client.keys(pattern);
         const config = {};
 
-        for (const key of keys) {
+        // Config entries are hashes; history, versions and snapshots share the prefix with other types
+        for await (const key of scanKeys(this.client, { match: pattern, type: 'hash' })) {
             const configKey = key.replace(`${this.configKey}:`, '');
             const value = await this.getConfig(configKey);
             if (value !== null) {
@@ -99,19 +101,22 @@ class ConfigManager {
                 key,
                 value: JSON.stringify(value),
                 type: typeof value,
-                updatedAt: new Date().toISOString(),
+                updatedAt: new Date(this.clock.now()).toISOString(),
                 updatedBy: metadata.user || 'system',
-                version: Date.now().toString(),
+                version: this.clock.now().toString(),
                 ...metadata
             };
 
             pipeline.hSet(configKey, configData);
-            pipeline.zAdd(this.historyKey, [{ score: Date.now(), value: JSON.stringify(configData) }]);
+            pipeline.zAdd(this.historyKey, [{ score: this.clock.now(), value: JSON.stringify(configData) }]);
             pipeline.sAdd(this.versionsKey, configData.version);
         }
 
         const results = await pipeline.exec();
-        console.log(`Set ${Object.keys(configObject).length} configuration values`);
+        for (const [key, value] of Object.entries(configObject)) {
+            this.emit('change', { key, value, updatedBy: metadata.user || 'system' });
+        }
+        this.logger.info(`Set ${Object.keys(configObject).length} configuration values`);
         return results.length;
     }
 
@@ -126,25 +131,29 @@ class ConfigManager {
                 key,
                 value: null,
                 type: 'deletion',
-                updatedAt: new Date().toISOString(),
+                updatedAt: new Date(this.clock.now()).toISOString(),
                 updatedBy: 'system',
-                version: Date.now().toString(),
+                version: this.clock.now().toString(),
                 deleted: true
             };
 
             await this.client.zAdd(this.historyKey, [
-                { score: Date.now(), value: JSON.stringify(deleteRecord) }
+                { score: this.clock.now(), value: JSON.stringify(deleteRecord) }
             ]);
         }
 
         const deleted = await this.client.del(configKey);
-        console.log(`Deleted config: ${key}`);
+        if (deleted > 0) {
+            this.emit('delete', { key });
+        }
+        this.logger.info(`Deleted config: ${key}`);
         return deleted > 0;
     }
 
     // Get configuration history
     async getConfigHistory(key, limit = 10) {
-        const history = await this.client.zRevRangeWithScores(this.historyKey, 0, limit - 1);
+        // History is shared by all keys, so filter before applying the limit
+        const history = await this.client.zRangeWithScores(this.historyKey, 0, -1, { REV: true });
 
         return history
             .map(item => JSON.parse(item.value))
@@ -159,23 +168,24 @@ class ConfigManager {
             name,
             description,
             config: allConfig,
-            createdAt: new Date().toISOString(),
-            version: Date.now().toString()
+            createdAt: new Date(this.clock.now()).toISOString(),
+            version: this.clock.now().toString()
         };
 
-        const snapshotKey = `config:${this.appName}:snapshot:${name}`;
+        const snapshotKey = `${this.configKey}:snapshot:${name}`;
         await this.client.set(snapshotKey, JSON.stringify(snapshot));
 
         // Add to snapshots index
-        await this.client.sAdd(`config:${this.appName}:snapshots`, name);
+        await this.client.sAdd(`${this.configKey}:snapshots`, name);
 
-        console.log(`Created configuration snapshot: ${name}`);
+        this.emit('snapshot', { name });
+        this.logger.info(`Created configuration snapshot: ${name}`);
         return snapshot;
     }
 
     // Load configuration from snapshot
     async loadSnapshot(name) {
-        const snapshotKey = `config:${this.appName}:snapshot:${name}`;
+        const snapshotKey = `${this.configKey}:snapshot:${name}`;
         const snapshotData = await this.client.get(snapshotKey);
 
         if (!snapshotData) {
@@ -188,19 +198,20 @@ class ConfigManager {
             source: `snapshot:${name}`
         });
 
-        console.log(`Loaded configuration from snapshot: ${name}`);
+        this.emit('restore', { name });
+        this.logger.info(`Loaded configuration from snapshot: ${name}`);
         return snapshot;
     }
 
     // Get configuration by environment
     async setEnvironmentConfig(environment, config) {
-        const envKey = `config:${this.appName}:env:${environment}`;
+        const envKey = `${this.configKey}:env:${environment}`;
         await this.client.set(envKey, JSON.stringify(config));
-        console.log(`Set configuration for environment: ${environment}`);
+        this.logger.info(`Set configuration for environment: ${environment}`);
     }
 
     async getEnvironmentConfig(environment) {
-        const envKey = `config:${this.appName}:env:${environment}`;
+        const envKey = `${this.configKey}:env:${environment}`;
         const configData = await this.client.get(envKey);
 
         if (!configData) {
@@ -257,7 +268,7 @@ class ConfigManager {
     async watchConfig(callback) {
         // This would require setting up pub/sub notifications
         // For demo purposes, we'll simulate with polling
-        console.log('Configuration watching started (simulated)');
+        this.logger.info('Configuration watching started (simulated)');
 
         const watcher = setInterval(async () => {
             // In a real implementation, you'd use Redis keyspace notifications
@@ -269,7 +280,7 @@ class ConfigManager {
         return {
             stop: () => {
                 clearInterval(watcher);
-                console.log('Configuration watching stopped');
+                this.logger.info('Configuration watching stopped');
             }
         };
     }
@@ -282,9 +293,9 @@ class ConfigManager {
             snapshots,
             versions
         ] = await Promise.all([
-            this.client.keys(`${this.configKey}:*`).then(keys => keys.length),
+            countKeys(this.client, { match: `${this.configKey}:*` }),
             this.client.zCard(this.historyKey),
-            this.client.sCard(`config:${this.appName}:snapshots`),
+            this.client.sCard(`${this.configKey}:snapshots`),
             this.client.sCard(this.versionsKey)
         ]);
 
@@ -299,6 +310,7 @@ class ConfigManager {
 
 // Demo the configuration management functionality
 async function demoConfigManagement() {
+    const client = await getClient();
     const config = new ConfigManager(client, 'myapp');
 
     console.log('=== Redis Configuration Management Demo ===\n');
@@ -412,8 +424,13 @@ async function demoConfigManagement() {
     const stats = await config.getStats();
     console.log('Stats:', stats);
 
-    await client.disconnect();
+    await closeClient();
     console.log('\nConfiguration management demo completed!');
 }
 
-demoConfigManagement().catch(console.error);
\ No newline at end of file
+export { ConfigManager };
+
+// Run demonstration if this file is executed directly
+if (isMainModule(import.meta.url)) {
+    demoConfigManagement().catch(console.error);
+}
@@ -0,0 +1,221 @@
+import { readFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { createClient, createCluster, createSentinel } from 'redis';
+import YAML from 'yaml';
+
+// Connection factory - builds Redis clients from environment variables or a config file
+//
+// Settings are resolved in this order (later wins):
+//   1. built-in defaults (standalone server on localhost:6379)
+//   2. the JSON/YAML file named by REDIS_CONFIG (top-level settings, then `clients.<name>`)
+//   3. REDIS_* environment variables
+//
+// Clients are created and connected lazily the first time getClient(name) is called,
+// so importing a module that uses this factory never opens a connection by itself.
+
+const DEFAULT_SETTINGS = {
+    topology: 'standalone', // standalone | sentinel | cluster
+    url: null,
+    host: 'localhost',
+    port: 6379,
+    tls: false,
+    username: null,
+    password: null,
+    database: 0,
+    reconnect: true, // false: fail instead of retrying when the server is unreachable
+    clientSideCache: false, // true or { ttl, maxEntries }: RESP3 client-side caching (CLIENT TRACKING)
+    sentinel: { name: 'mymaster', nodes: [] },
+    cluster: { nodes: [] }
+};
+
+const clients = new Map();
+let overrides = {};
+
+// Parse "host:port,host:port" lists used by the sentinel/cluster variables
+function parseNodeList(value) {
+    return value.split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            if (entry.includes('://')) {
+                return { url: entry };
+            }
+            const [host, port] = entry.split(':');
+            return { host, port: parseInt(port) || 6379 };
+        });
+}
+
+function parseBoolean(value) {
+    return ['1', 'true', 'yes', 'on'].includes(String(value).toLowerCase());
+}
+
+// Read settings from a JSON or YAML file
+export function loadConfigFile(filePath) {
+    const raw = readFileSync(filePath, 'utf8');
+    const extension = extname(filePath).toLowerCase();
+
+    try {
+        return extension === '.yaml' || extension === '.yml' ? YAML.parse(raw) || {} : JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`Invalid Redis config file ${filePath}: ${error.message}`);
+    }
+}
+
+// Collect settings from REDIS_* environment variables
+function settingsFromEnv(env) {
+    const settings = {};
+
+    if (env.REDIS_TOPOLOGY) settings.topology = env.REDIS_TOPOLOGY;
+    if (env.REDIS_URL) settings.url = env.REDIS_URL;
+    if (env.REDIS_HOST) settings.host = env.REDIS_HOST;
+    if (env.REDIS_PORT) settings.port = parseInt(env.REDIS_PORT);
+    if (env.REDIS_TLS !== undefined) settings.tls = parseBoolean(env.REDIS_TLS);
+    if (env.REDIS_USERNAME) settings.username = env.REDIS_USERNAME;
+    if (env.REDIS_PASSWORD) settings.password = env.REDIS_PASSWORD;
+    if (env.REDIS_DB !== undefined) settings.database = parseInt(env.REDIS_DB) || 0;
+    if (env.REDIS_CLIENT_SIDE_CACHE !== undefined) settings.clientSideCache = parseBoolean(env.REDIS_CLIENT_SIDE_CACHE);
+
+    if (env.REDIS_SENTINELS || env.REDIS_SENTINEL_NAME) {
+        settings.sentinel = {};
+        if (env.REDIS_SENTINELS) settings.sentinel.nodes = parseNodeList(env.REDIS_SENTINELS);
+        if (env.REDIS_SENTINEL_NAME) settings.sentinel.name = env.REDIS_SENTINEL_NAME;
+    }
+
+    if (env.REDIS_CLUSTER_NODES) {
+        settings.cluster = { nodes: parseNodeList(env.REDIS_CLUSTER_NODES) };
+    }
+
+    return settings;
+}
+
+function mergeSettings(...sources) {
+    const result = { ...DEFAULT_SETTINGS };
+
+    for (const source of sources) {
+        if (!source) continue;
+        for (const [key, value] of Object.entries(source)) {
+            if (key === 'clients' || value === undefined) continue;
+            if ((key === 'sentinel' || key === 'cluster') && value) {
+                result[key] = { ...result[key], ...value };
+            } else {
+                result[key] = value;
+            }
+        }
+    }
+
+    return result;
+}
+
+// Resolve the settings for a named client
+export function resolveSettings(name = 'default', { env = process.env, configFile = env.REDIS_CONFIG } = {}) {
+    const fileConfig = configFile ? loadConfigFile(configFile) : {};
+    const fileClientConfig = fileConfig.clients?.[name];
+
+    return mergeSettings(fileConfig, fileClientConfig, settingsFromEnv(env), overrides.default, overrides[name]);
+}
+
+// Translate resolved settings into node-redis client options
+export function buildClientOptions(settings) {
+    const options = {};
+
+    if (settings.url) {
+        options.url = settings.url;
+    } else {
+        options.socket = { host: settings.host, port: settings.port };
+    }
+
+    if (settings.tls) {
+        options.socket = { ...options.socket, tls: true };
+    }
+    if (settings.reconnect === false) {
+        options.socket = { ...options.socket, reconnectStrategy: false };
+    }
+    if (settings.username) options.username = settings.username;
+    if (settings.password) options.password = settings.password;
+    if (settings.database) options.database = settings.database;
+
+    // Client-side caching needs RESP3; the server then pushes invalidations for keys this client read
+    if (settings.clientSideCache) {
+        options.RESP = 3;
+        options.clientSideCache = settings.clientSideCache === true ? {} : settings.clientSideCache;
+    }
+
+    return options;
+}
+
+// Create an (unconnected) client for the configured topology
+export function createRedisClient(settings) {
+    const options = buildClientOptions(settings);
+
+    switch (settings.topology) {
+        case 'standalone':
+            return createClient(options);
+        case 'sentinel': {
+            if (settings.sentinel.nodes.length === 0) {
+                throw new Error('Sentinel topology requires at least one sentinel node');
+            }
+            const { url, RESP, clientSideCache, ...nodeClientOptions } = options;
+            return createSentinel({
+                name: settings.sentinel.name,
+                sentinelRootNodes: settings.sentinel.nodes,
+                nodeClientOptions,
+                RESP,
+                clientSideCache
+            });
+        }
+        case 'cluster': {
+            if (settings.cluster.nodes.length === 0) {
+                throw new Error('Cluster topology requires at least one cluster node');
+            }
+            const { url, socket, database, RESP, clientSideCache, ...defaults } = options;
+            return createCluster({
+                rootNodes: settings.cluster.nodes.map(node => node.url ?
+                    { url: node.url } :
+                    { socket: { host: node.host, port: node.port, tls: settings.tls || undefined } }),
+                defaults,
+                RESP,
+                clientSideCache
+            });
+        }
+        default:
+            throw new Error(`Unknown Redis topology: ${settings.topology}`);
+    }
+}
+
+// Get a named client, creating and connecting it on first use
+export async function getClient(name = 'default') {
+    if (!clients.has(name)) {
+        const client = createRedisClient(resolveSettings(name));
+        client.on('error', err => console.log(`Redis Client Error (${name})`, err));
+
+        const connecting = client.connect().then(() => client);
+        clients.set(name, connecting);
+
+        // Forget failed connections so the next call can retry
+        connecting.catch(() => clients.delete(name));
+    }
+
+    return await clients.get(name);
+}
+
+// Close a named client
+export async function closeClient(name = 'default') {
+    const connecting = clients.get(name);
+    if (!connecting) return;
+
+    clients.delete(name);
+    const client = await connecting.catch(() => null);
+    if (client?.isOpen) {
+        await client.close();
+    }
+}
+
+// Close every client handed out by getClient
+export async function closeAllClients() {
+    await Promise.all(Array.from(clients.keys()).map(name => closeClient(name)));
+}
+
+// Override settings programmatically (e.g. from application bootstrap code)
+export function configureConnections(settingsByName = {}) {
+    overrides = { ...overrides, ...settingsByName };
+}
@@ -1,17 +1,5 @@
-import { createClient } from 'redis';
-
-const client = createClient({
-    username: 'default',
-    password: 'gX94CVL0mRXXi7hligXMmMavy4lr55PV',
-    socket: {
-        host: 'redis-12372.c54.ap-northeast-1-2.ec2.redns.redis-cloud.com',
-        port: 12372
-    }
-});
-
-client.on('error', err => console.log('Redis Client Error', err));
-
-await client.connect();
+import { getClient, closeClient } from './connection.js';
+import { isMainModule } from './main_module.js';
 
 // Data Structures example - demonstrating Redis data types
 class DataStructuresDemo {
@@ -213,7 +201,7 @@ class DataStructuresDemo {
         console.log('Added player scores to sorted set');
 
         // Get top players (highest scores)
-        const topPlayers = await this.client.zRevRangeWithScores('game:scores', 0, 2);
+        const topPlayers = await this.client.zRangeWithScores('game:scores', 0, 2, { REV: true });
         console.log('Top 3 players:');
         topPlayers.forEach((player, index) => {
             console.log(`  ${index + 1}. ${player.value}: ${player.score}`);
@@ -237,7 +225,7 @@ class DataStructuresDemo {
         console.log('Updated scores for Alice (+100) and Charlie (-50)');
 
         // Get updated rankings
-        const updatedTop = await this.client.zRevRangeWithScores('game:scores', 0, 2);
+        const updatedTop = await this.client.zRangeWithScores('game:scores', 0, 2, { REV: true });
         console.log('Updated top 3 players:');
         updatedTop.forEach((player, index) => {
             console.log(`  ${index + 1}. ${player.value}: ${player.score}`);
@@ -345,14 +333,20 @@ class DataStructuresDemo {
 
 // Demo the data structures functionality
 async function demoDataStructures() {
+    const client = await getClient();
     const dsDemo = new DataStructuresDemo(client);
 
     console.log('=== Redis Data Structures Demo ===\n');
 
     await dsDemo.runAllDemos();
 
-    await client.disconnect();
+    await closeClient();
     console.log('Data structures demo completed!');
 }
 
-demoDataStructures().catch(console.error);
\ No newline at end of file
+export { DataStructuresDemo };
+
+// Run demonstration if this file is executed directly
+if (isMainModule(import.meta.url)) {
+    demoDataStructures().catch(console.error);
+}
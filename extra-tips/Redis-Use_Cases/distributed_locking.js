@@ -1,30 +1,32 @@
-import { createClient } from 'redis';
-
-const client = createClient({
-    username: 'default',
-    password: 'gX94CVL0mRXXi7hligXMmMavy4lr55PV',
-    socket: {
-        host: 'redis-12372.c54.ap-northeast-1-2.ec2.redns.redis-cloud.com',
-        port: 12372
-    }
-});
-
-client.on('error', err => console.log('Redis Client Error', err));
-
-await client.connect();
+import { EventEmitter } from 'node:events';
+import { getClient, closeClient } from './connection.js';
+import { systemClock } from './clock.js';
+import { createKeyspace } from './keyspace.js';
+import { consoleLogger, defaultRegistry, traceClient, secondsSince } from './observability.js';
+import { isMainModule } from './main_module.js';
 
 // Distributed Locking example - implementing locks across distributed systems
-class DistributedLock {
-    constructor(redisClient, lockPrefix = 'lock:') {
-        this.client = redisClient;
-        this.lockPrefix = lockPrefix;
+//
+// Events: 'acquire' { lockName, ownerId, expiresAt }, 'contend' { lockName, ownerId },
+//         'release' { lockName, ownerId }, 'extend' { lockName, ownerId, additionalTTL }, 'forceRelease' { lockName }
+class DistributedLock extends EventEmitter {
+    constructor(redisClient, lockPrefix = 'lock:', options = {}) {
+        super();
+        this.client = traceClient(redisClient, options.tracer);
+        this.logger = options.logger || consoleLogger;
+        this.metrics = options.metrics || defaultRegistry;
+        this.clock = options.clock || systemClock;
+        this.keys = createKeyspace(options);
+        this.lockPrefix = this.keys.key(lockPrefix);
         this.defaultTTL = 30000; // 30 seconds default
+        this.attemptsMetric = this.metrics.counter('lock_attempts_total', 'Lock acquisition attempts by outcome', ['result']);
+        this.waitMetric = this.metrics.histogram('lock_wait_seconds', 'Time spent waiting to acquire a lock, including retries', ['result']);
     }
 
     // Acquire a lock
     async acquireLock(lockName, ownerId, ttl = this.defaultTTL) {
         const lockKey = `${this.lockPrefix}${lockName}`;
-        const lockValue = `${ownerId}:${Date.now()}`;
+        const lockValue = `${ownerId}:${this.clock.now()}`;
 
         try {
             // Use SET with NX (only if key doesn't exist) and PX (expire in milliseconds)
@@ -34,19 +36,25 @@ class DistributedLock {
             });
 
             if (result === 'OK') {
-                console.log(`Lock acquired: ${lockName} by ${ownerId}`);
+                const expiresAt = this.clock.now() + ttl;
+                this.attemptsMetric.inc({ result: 'acquired' });
+                this.emit('acquire', { lockName, ownerId, expiresAt });
+                this.logger.info(`Lock acquired: ${lockName} by ${ownerId}`);
                 return {
                     success: true,
                     lockKey,
                     lockValue,
-                    expiresAt: Date.now() + ttl
+                    expiresAt
                 };
             } else {
-                console.log(`Failed to acquire lock: ${lockName} (already held)`);
+                this.attemptsMetric.inc({ result: 'contended' });
+                this.emit('contend', { lockName, ownerId });
+                this.logger.info(`Failed to acquire lock: ${lockName} (already held)`);
                 return { success: false };
             }
         } catch (error) {
-            console.error('Error acquiring lock:', error);
+            this.attemptsMetric.inc({ result: 'error' });
+            this.logger.error('Error acquiring lock:', error);
             return { success: false };
         }
     }
@@ -69,7 +77,7 @@ class DistributedLock {
             // Get current lock value to check ownership
             const currentValue = await this.client.get(lockKey);
             if (!currentValue) {
-                console.log(`Lock ${lockName} not found`);
+                this.logger.info(`Lock ${lockName} not found`);
                 return false;
             }
 
@@ -81,15 +89,16 @@ class DistributedLock {
                 });
 
                 if (result === 1) {
-                    console.log(`Lock released: ${lockName} by ${ownerId}`);
+                    this.emit('release', { lockName, ownerId });
+                    this.logger.info(`Lock released: ${lockName} by ${ownerId}`);
                     return true;
                 }
             }
 
-            console.log(`Cannot release lock ${lockName}: not owned by ${ownerId}`);
+            this.logger.info(`Cannot release lock ${lockName}: not owned by ${ownerId}`);
             return false;
         } catch (error) {
-            console.error('Error releasing lock:', error);
+            this.logger.error('Error releasing lock:', error);
             return false;
         }
     }
@@ -110,7 +119,7 @@ class DistributedLock {
 
             const currentValue = await this.client.get(lockKey);
             if (!currentValue || !currentValue.startsWith(`${ownerId}:`)) {
-                console.log(`Cannot extend lock ${lockName}: not owned by ${ownerId}`);
+                this.logger.info(`Cannot extend lock ${lockName}: not owned by ${ownerId}`);
                 return false;
             }
 
@@ -120,17 +129,30 @@ class DistributedLock {
             });
 
             if (result === 1) {
-                console.log(`Lock extended: ${lockName} by ${ownerId} (+${additionalTTL}ms)`);
+                this.emit('extend', { lockName, ownerId, additionalTTL });
+                this.logger.info(`Lock extended: ${lockName} by ${ownerId} (+${additionalTTL}ms)`);
                 return true;
             }
 
             return false;
         } catch (error) {
-            console.error('Error extending lock:', error);
+            this.logger.error('Error extending lock:', error);
             return false;
         }
     }
 
+    // Delete a lock whatever its owner (recovery when the holder has crashed)
+    async forceReleaseLock(lockName) {
+        const lockKey = `${this.lockPrefix}${lockName}`;
+        const deleted = await this.client.del(lockKey);
+        if (deleted > 0) {
+            this.emit('forceRelease', { lockName });
+        }
+
+        this.logger.info(deleted > 0 ? `Lock force-released: ${lockName}` : `Lock ${lockName} not found`);
+        return deleted > 0;
+    }
+
     // Check lock status
     async getLockStatus(lockName) {
         const lockKey = `${this.lockPrefix}${lockName}`;
@@ -149,10 +171,10 @@ class DistributedLock {
                 ownerId,
                 acquiredAt: parseInt(timestamp),
                 ttl,
-                expiresAt: Date.now() + ttl
+                expiresAt: this.clock.now() + ttl
             };
         } catch (error) {
-            console.error('Error getting lock status:', error);
+            this.logger.error('Error getting lock status:', error);
             return { exists: false };
         }
     }
@@ -168,23 +190,26 @@ class DistributedLock {
 
         let attempt = 0;
         let delay = retryDelay;
+        const start = process.hrtime.bigint();
 
         while (attempt < maxRetries) {
             const result = await this.acquireLock(lockName, ownerId, ttl);
 
             if (result.success) {
+                this.waitMetric.observe({ result: 'acquired' }, secondsSince(start));
                 return result;
             }
 
             attempt++;
             if (attempt < maxRetries) {
-                console.log(`Lock acquisition failed, retrying in ${delay}ms... (${attempt}/${maxRetries})`);
+                this.logger.info(`Lock acquisition failed, retrying in ${delay}ms... (${attempt}/${maxRetries})`);
                 await new Promise(resolve => setTimeout(resolve, delay));
                 delay = Math.floor(delay * backoffMultiplier);
             }
         }
 
-        console.log(`Failed to acquire lock ${lockName} after ${maxRetries} attempts`);
+        this.waitMetric.observe({ result: 'timeout' }, secondsSince(start));
+        this.logger.info(`Failed to acquire lock ${lockName} after ${maxRetries} attempts`);
         return { success: false };
     }
 
@@ -207,9 +232,10 @@ class DistributedLock {
 
 // Simulate a shared resource
 class SharedCounter {
-    constructor(redisClient) {
+    constructor(redisClient, options = {}) {
         this.client = redisClient;
-        this.key = 'shared:counter';
+        this.keys = createKeyspace(options);
+        this.key = this.keys.key('shared:counter');
     }
 
     async increment(amount = 1) {
@@ -229,6 +255,7 @@ class SharedCounter {
 
 // Demo the distributed locking functionality
 async function demoDistributedLocking() {
+    const client = await getClient();
     const lockManager = new DistributedLock(client);
     const counter = new SharedCounter(client);
 
@@ -362,8 +389,13 @@ async function demoDistributedLocking() {
     // Wait for demo to complete
     await new Promise(resolve => setTimeout(resolve, 8000));
 
-    await client.disconnect();
+    await closeClient();
     console.log('\nDistributed locking demo completed!');
 }
 
-demoDistributedLocking().catch(console.error);
\ No newline at end of file
+export { DistributedLock, SharedCounter };
+
+// Run demonstration if this file is executed directly
+if (isMainModule(import.meta.url)) {
+    demoDistributedLocking().catch(console.error);
+}
@@ -1,25 +1,27 @@
-import { createClient } from 'redis';
-
-const client = createClient({
-    username: 'default',
-    password: 'gX94CVL0mRXXi7hligXMmMavy4lr55PV',
-    socket: {
-        host: 'redis-12372.c54.ap-northeast-1-2.ec2.redns.redis-cloud.com',
-        port: 12372
-    }
-});
-
-client.on('error', err => console.log('Redis Client Error', err));
-
-await client.connect();
+import { EventEmitter } from 'node:events';
+import { getClient, closeClient } from './connection.js';
+import { systemClock } from './clock.js';
+import { scanKeys, unlinkMatching } from './key_scan.js';
+import { createKeyspace } from './keyspace.js';
+import { consoleLogger, defaultRegistry, traceClient, secondsSince } from './observability.js';
+import { isMainModule } from './main_module.js';
 
 // Full-text Search example - basic search functionality using inverted indexes
-class FullTextSearch {
-    constructor(redisClient, indexName = 'fts') {
-        this.client = redisClient;
+//
+// Events: 'index' { docId, words }, 'remove' { docId }, 'search' { query, total, durationSeconds }
+class FullTextSearch extends EventEmitter {
+    constructor(redisClient, indexName = 'fts', options = {}) {
+        super();
+        this.client = traceClient(redisClient, options.tracer);
+        this.logger = options.logger || consoleLogger;
+        this.metrics = options.metrics || defaultRegistry;
+        this.clock = options.clock || systemClock;
+        this.keys = createKeyspace(options);
         this.indexName = indexName;
-        this.documentsKey = `${indexName}:documents`;
-        this.wordsKey = `${indexName}:words`;
+        this.indexKey = this.keys.key(indexName);
+        this.documentsKey = `${this.indexKey}:documents`;
+        this.wordsKey = `${this.indexKey}:words`;
+        this.searchMetric = this.metrics.histogram('search_duration_seconds', 'Full-text search latency', ['index']);
     }
 
     // Tokenize text into words
@@ -38,7 +40,7 @@ class FullTextSearch {
             id: docId,
             title,
             content,
-            indexedAt: new Date().toISOString(),
+            indexedAt: new Date(this.clock.now()).toISOString(),
             ...metadata
         });
 
@@ -56,9 +58,10 @@ class FullTextSearch {
         }
 
         // Add to all documents set
-        await this.client.sAdd(`${this.indexName}:all_docs`, docId);
+        await this.client.sAdd(`${this.indexKey}:all_docs`, docId);
 
-        console.log(`Indexed document: ${docId} - "${title}" (${words.length} unique words)`);
+        this.emit('index', { docId, words: words.length });
+        this.logger.info(`Indexed document: ${docId} - "${title}" (${words.length} unique words)`);
     }
 
     // Remove document from index
@@ -88,13 +91,25 @@ class FullTextSearch {
 
         // Remove document data
         await this.client.del(`${this.documentsKey}:${docId}`);
-        await this.client.sRem(`${this.indexName}:all_docs`, docId);
+        await this.client.sRem(`${this.indexKey}:all_docs`, docId);
 
-        console.log(`Removed document: ${docId}`);
+        this.emit('remove', { docId });
+        this.logger.info(`Removed document: ${docId}`);
     }
 
-    // Search documents
+    // Search documents, timing the lookup
     async search(query, options = {}) {
+        const start = process.hrtime.bigint();
+        const result = await this.findDocuments(query, options);
+        const durationSeconds = secondsSince(start);
+
+        this.searchMetric.observe({ index: this.indexName }, durationSeconds);
+        this.emit('search', { query, total: result.total, durationSeconds });
+        return result;
+    }
+
+    // Find, score and paginate the documents matching a query
+    async findDocuments(query, options = {}) {
         const { limit = 10, offset = 0, sortBy = 'relevance' } = options;
 
         const queryWords = this.tokenize(query);
@@ -135,7 +150,7 @@ class FullTextSearch {
                 const freqKey = `${this.wordsKey}:${word}:${docId}`;
                 const freq = parseInt(await this.client.get(freqKey) || '0');
                 const docFreq = await this.client.sCard(`${this.wordsKey}:${word}`);
-                const totalDocs = await this.client.sCard(`${this.indexName}:all_docs`);
+                const totalDocs = await this.client.sCard(`${this.indexKey}:all_docs`);
 
                 // Simple TF-IDF calculation
                 const tf = freq;
@@ -175,31 +190,29 @@ class FullTextSearch {
     async getSuggestions(prefix, limit = 5) {
         const suggestions = new Set();
 
-        // Get all words that start with the prefix
+        // Word sets that start with the prefix (frequency counters are strings, so TYPE skips them)
         const pattern = `${this.wordsKey}:${prefix}*`;
-        const keys = await this.client.keys(pattern);
 
-        for (const key of keys) {
-            const word = key.replace(`${this.wordsKey}:`, '');
-            suggestions.add(word);
+        for await (const key of scanKeys(this.client, { match: pattern, type: 'set' })) {
+            suggestions.add(key.replace(`${this.wordsKey}:`, ''));
+            if (suggestions.size >= limit) break;
         }
 
-        return Array.from(suggestions).slice(0, limit);
+        return Array.from(suggestions);
     }
 
     // Get search statistics
     async getStats() {
-        const totalDocs = await this.client.sCard(`${this.indexName}:all_docs`);
-        const wordKeys = await this.client.keys(`${this.wordsKey}:*`);
-        const uniqueWords = wordKeys.filter(key => !key.includes(':')).length;
+        const totalDocs = await this.client.sCard(`${this.indexKey}:all_docs`);
+        const wordKeys = new Set();
 
         let totalWordOccurrences = 0;
-        for (const key of wordKeys) {
-            if (!key.includes(':')) { // Skip frequency keys
-                const count = await this.client.sCard(key);
-                totalWordOccurrences += count;
-            }
+        for await (const key of scanKeys(this.client, { match: `${this.wordsKey}:*`, type: 'set' })) {
+            if (wordKeys.has(key)) continue; // SCAN may return a key twice
+            wordKeys.add(key);
+            totalWordOccurrences += await this.client.sCard(key);
         }
+        const uniqueWords = wordKeys.size;
 
         return {
             totalDocuments: totalDocs,
@@ -211,22 +224,17 @@ class FullTextSearch {
 
     // Clear entire index
     async clearIndex() {
-        const allKeys = await this.client.keys(`${this.indexName}:*`);
-        const wordKeys = await this.client.keys(`${this.wordsKey}:*`);
-
-        if (allKeys.length > 0) {
-            await this.client.del(allKeys);
-        }
-        if (wordKeys.length > 0) {
-            await this.client.del(wordKeys);
-        }
+        // Documents, word sets and frequency counters all live under the index name
+        const removed = await unlinkMatching(this.client, { match: `${this.indexKey}:*` });
 
-        console.log('Search index cleared');
+        this.logger.info(`Search index cleared (${removed} keys)`);
+        return removed;
     }
 }
 
 // Demo the full-text search functionality
 async function demoFullTextSearch() {
+    const client = await getClient();
     const search = new FullTextSearch(client);
 
     console.log('=== Redis Full-text Search Demo ===\n');
@@ -341,8 +349,13 @@ async function demoFullTextSearch() {
         console.log(`     Category: ${result.metadata.category}`);
     });
 
-    await client.disconnect();
+    await closeClient();
     console.log('\nFull-text search demo completed!');
 }
 
-demoFullTextSearch().catch(console.error);
\ No newline at end of file
+export { FullTextSearch };
+
+// Run demonstration if this file is executed directly
+if (isMainModule(import.meta.url)) {
+    demoFullTextSearch().catch(console.error);
+}
@@ -1,44 +1,42 @@
-import { createClient } from 'redis';
-
-const client = createClient({
-    username: 'default',
-    password: 'gX94CVL0mRXXi7hligXMmMavy4lr55PV',
-    socket: {
-        host: 'redis-12372.c54.ap-northeast-1-2.ec2.redns.redis-cloud.com',
-        port: 12372
-    }
-});
-
-client.on('error', err => console.log('Redis Client Error', err));
-
-await client.connect();
+import { EventEmitter } from 'node:events';
+import { getClient, closeClient } from './connection.js';
+import { createKeyspace } from './keyspace.js';
+import { consoleLogger, defaultRegistry, traceClient } from './observability.js';
+import { isMainModule } from './main_module.js';
 
 // Geospatial Data example - storing and querying location data
-class GeospatialManager {
-    constructor(redisClient) {
-        this.client = redisClient;
+//
+// Events: 'locationsAdd' { key, added }, 'locationsRemove' { key, removed }
+class GeospatialManager extends EventEmitter {
+    constructor(redisClient, options = {}) {
+        super();
+        this.client = traceClient(redisClient, options.tracer);
+        this.logger = options.logger || consoleLogger;
+        this.metrics = options.metrics || defaultRegistry;
+        this.keys = createKeyspace(options);
     }
 
     // Add locations to a geospatial index
     async addLocations(key, locations) {
-        const args = [];
-
-        for (const location of locations) {
-            args.push(location.longitude, location.latitude, location.id);
-        }
+        const members = locations.map(location => ({
+            longitude: location.longitude,
+            latitude: location.latitude,
+            member: location.id
+        }));
 
-        const added = await this.client.geoAdd(key, args);
-        console.log(`Added ${added} locations to ${key}`);
+        const added = await this.client.geoAdd(this.keys.key(key), members);
+        this.emit('locationsAdd', { key, added });
+        this.logger.info(`Added ${added} locations to ${key}`);
         return added;
     }
 
     // Get position of a specific location
     async getPosition(key, member) {
-        const position = await this.client.geoPos(key, member);
-        if (position && position.length > 0) {
+        const position = await this.client.geoPos(this.keys.key(key), member);
+        if (position && position.length > 0 && position[0]) {
             return {
-                longitude: position[0][0],
-                latitude: position[0][1]
+                longitude: parseFloat(position[0].longitude),
+                latitude: parseFloat(position[0].latitude)
             };
         }
         return null;
@@ -46,7 +44,7 @@ class GeospatialManager {
 
     // Calculate distance between two locations
     async getDistance(key, member1, member2, unit = 'km') {
-        const distance = await this.client.geoDist(key, member1, member2, unit);
+        const distance = await this.client.geoDist(this.keys.key(key), member1, member2, unit);
         return distance;
     }
 
@@ -54,54 +52,57 @@ class GeospatialManager {
     async findNearby(key, longitude, latitude, radius, unit = 'km', options = {}) {
         const { count, sort = 'ASC' } = options;
 
-        const args = [key, longitude, latitude, radius, unit];
-        if (count) args.push('COUNT', count);
-        if (sort === 'DESC') args.push('DESC');
-        args.push('WITHCOORD', 'WITHDIST');
-
-        const results = await this.client.geoRadius(key, ...args);
+        const results = await this.client.geoRadiusWith(
+            this.keys.key(key),
+            { longitude, latitude },
+            radius,
+            unit,
+            ['WITHCOORD', 'WITHDIST'],
+            { SORT: sort, ...(count ? { COUNT: count } : {}) }
+        );
 
-        return results.map(result => ({
-            id: result[0],
-            coordinates: {
-                longitude: result[1][0],
-                latitude: result[1][1]
-            },
-            distance: parseFloat(result[2])
-        }));
+        return results.map(result => this.formatResult(result));
     }
 
     // Find locations within radius of another location
     async findNearbyLocation(key, member, radius, unit = 'km', options = {}) {
         const { count, sort = 'ASC' } = options;
 
-        const args = [key, member, radius, unit];
-        if (count) args.push('COUNT', count);
-        if (sort === 'DESC') args.push('DESC');
-        args.push('WITHCOORD', 'WITHDIST');
+        const results = await this.client.geoRadiusByMemberWith(
+            this.keys.key(key),
+            member,
+            radius,
+            unit,
+            ['WITHCOORD', 'WITHDIST'],
+            { SORT: sort, ...(count ? { COUNT: count } : {}) }
+        );
 
-        const results = await this.client.geoRadiusByMember(key, ...args);
+        return results.map(result => this.formatResult(result));
+    }
 
-        return results.map(result => ({
-            id: result[0],
+    // Convert a GEORADIUS reply entry into a plain location object
+    formatResult(result) {
+        return {
+            id: result.member,
             coordinates: {
-                longitude: result[0][0],
-                latitude: result[0][1]
+                longitude: parseFloat(result.coordinates.longitude),
+                latitude: parseFloat(result.coordinates.latitude)
             },
-            distance: parseFloat(result[2])
-        }));
+            distance: parseFloat(result.distance)
+        };
     }
 
     // Get geohash for a location
     async getGeohash(key, member) {
-        const geohash = await this.client.geoHash(key, member);
+        const geohash = await this.client.geoHash(this.keys.key(key), member);
         return geohash.length > 0 ? geohash[0] : null;
     }
 
     // Remove locations from geospatial index
     async removeLocations(key, members) {
-        const removed = await this.client.zRem(key, members);
-        console.log(`Removed ${removed} locations from ${key}`);
+        const removed = await this.client.zRem(this.keys.key(key), members);
+        this.emit('locationsRemove', { key, removed });
+        this.logger.info(`Removed ${removed} locations from ${key}`);
         return removed;
     }
 
@@ -109,13 +110,14 @@ class GeospatialManager {
     async searchBoundingBox(key, minLongitude, minLatitude, maxLongitude, maxLatitude) {
         // This would require Redis 6.2+ with GEOSEARCH command
         // For now, we'll implement a workaround using ZRANGEBYSCORE
-        console.log('Bounding box search requires Redis 6.2+ with GEOSEARCH command');
+        this.logger.info('Bounding box search requires Redis 6.2+ with GEOSEARCH command');
         return [];
     }
 }
 
 // Demo the geospatial functionality
 async function demoGeospatial() {
+    const client = await getClient();
     const geo = new GeospatialManager(client);
 
     console.log('=== Redis Geospatial Data Demo ===\n');
@@ -260,8 +262,13 @@ async function demoGeospatial() {
         console.log(`  ${restaurant.name} (${restaurant.distance.toFixed(2)} km away)`);
     });
 
-    await client.disconnect();
+    await closeClient();
     console.log('\nGeospatial demo completed!');
 }
 
-demoGeospatial().catch(console.error);
\ No newline at end of file
+export { GeospatialManager };
+
+// Run demonstration if this file is executed directly
+if (isMainModule(import.meta.url)) {
+    demoGeospatial().catch(console.error);
+}
@@ -0,0 +1,1589 @@
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { ClientClosedError, ErrorReply, MultiErrorReply, RESP_TYPES, WatchError } from 'redis';
+import { systemClock } from './clock.js';
+import { globToRegExp } from './key_scan.js';
+import { INVALIDATE_SCRIPT, ACK_WRITES_SCRIPT, FAIL_WRITE_SCRIPT } from './caching.js';
+import { FORGET_ENTRIES_SCRIPT } from './api_caching.js';
+
+// In-memory Redis stand-in - an in-process replacement for a node-redis v5 client
+//
+// Implements the subset of the node-redis v5 command API used by the use-case managers
+// (same method names, arguments and reply shapes), so they can run without a server.
+// Expiration is evaluated lazily against an injectable clock, which makes TTL-based
+// behaviour deterministic in tests. Lua scripts cannot be executed; instead, known
+// scripts are mapped to JavaScript handlers with registerScript().
+
+const WRONGTYPE = 'WRONGTYPE Operation against a key holding the wrong kind of value';
+
+// Geohash limits used by Redis (latitude is limited to the Web Mercator range)
+const GEO_LAT_MIN = -85.05112878;
+const GEO_LAT_MAX = 85.05112878;
+const GEO_LONG_MIN = -180;
+const GEO_LONG_MAX = 180;
+const GEO_STEP = 26;
+const EARTH_RADIUS_IN_METERS = 6372797.560856;
+const GEO_UNITS = { m: 1, km: 1000, mi: 1609.34, ft: 0.3048 };
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Commands exposed on clients and MULTI transactions
+const COMMANDS = [
+    // Strings
+    'get', 'set', 'setEx', 'pSetEx', 'setNX', 'getDel', 'mGet', 'mSet', 'append', 'strLen',
+    'incr', 'incrBy', 'incrByFloat', 'decr', 'decrBy',
+    // Keys
+    'del', 'unlink', 'exists', 'type', 'keys', 'scan', 'rename',
+    'expire', 'pExpire', 'expireAt', 'pExpireAt', 'ttl', 'pTTL', 'persist',
+    'dbSize', 'flushAll', 'flushDb', 'ping',
+    // Hashes
+    'hSet', 'hSetNX', 'hGet', 'hGetAll', 'hmGet', 'hDel', 'hExists', 'hKeys', 'hVals', 'hLen',
+    'hIncrBy', 'hIncrByFloat', 'hScan',
+    // Lists
+    'lPush', 'rPush', 'lPop', 'rPop', 'lRange', 'lLen', 'lIndex', 'lRem', 'lTrim', 'lInsert',
+    // Sets
+    'sAdd', 'sRem', 'sMembers', 'sIsMember', 'sCard', 'sInter', 'sUnion', 'sDiff', 'sRandMember', 'sPop',
+    // Sorted sets
+    'zAdd', 'zRem', 'zCard', 'zScore', 'zIncrBy', 'zCount', 'zRank', 'zRevRank',
+    'zRange', 'zRangeWithScores', 'zRangeByScore', 'zRangeByScoreWithScores',
+    'zRemRangeByScore', 'zRemRangeByRank', 'zPopMax', 'zPopMin',
+    // Geospatial
+    'geoAdd', 'geoPos', 'geoDist', 'geoHash', 'geoRadius', 'geoRadiusWith',
+    'geoRadiusByMember', 'geoRadiusByMemberWith', 'geoSearch', 'geoSearchWith',
+    // HyperLogLog
+    'pfAdd', 'pfCount',
+    // Scripting
+    'eval', 'evalSha', 'scriptLoad',
+    // Pub/Sub (publishing side)
+    'publish', 'pubSubChannels', 'pubSubNumSub'
+];
+
+function toArray(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+// Binary values that are not valid UTF-8 are stored as latin1 text behind this marker,
+// so their bytes survive the string-based store
+const BINARY_MARKER = '\u0000binary:';
+
+function toRedisString(value) {
+    if (!Buffer.isBuffer(value)) return String(value);
+
+    const text = value.toString();
+    return Buffer.from(text).equals(value) ? text : BINARY_MARKER + value.toString('latin1');
+}
+
+// Bytes of a stored string (inverse of toRedisString)
+function storedToBuffer(value) {
+    return value.startsWith(BINARY_MARKER) ?
+        Buffer.from(value.slice(BINARY_MARKER.length), 'latin1') :
+        Buffer.from(value);
+}
+
+// Stored string as a default (UTF-8 decoded) reply, like a real server returns binary data
+function storedToString(value) {
+    return value.startsWith(BINARY_MARKER) ? storedToBuffer(value).toString() : value;
+}
+
+// Apply a conversion to every string inside a reply (arrays and plain objects, not their keys)
+function mapReplyStrings(reply, convert) {
+    if (typeof reply === 'string') return convert(reply);
+    if (Array.isArray(reply)) return reply.map(item => mapReplyStrings(item, convert));
+
+    if (reply && typeof reply === 'object') {
+        const prototype = Object.getPrototypeOf(reply);
+        if (prototype === Object.prototype || prototype === null) {
+            const mapped = {};
+            for (const [key, value] of Object.entries(reply)) {
+                mapped[key] = mapReplyStrings(value, convert);
+            }
+            return mapped;
+        }
+    }
+    return reply;
+}
+
+// Resolve Redis-style start/stop indexes (negative = from the end) to an inclusive range
+function resolveRange(start, stop, length) {
+    let from = Number(start);
+    let to = Number(stop);
+    if (from < 0) from = Math.max(length + from, 0);
+    if (to < 0) to = length + to;
+    if (to >= length) to = length - 1;
+    return [from, to];
+}
+
+// Parse a sorted set score bound: number, "-inf", "+inf" or "(exclusive"
+function parseScoreBound(bound) {
+    if (typeof bound === 'number') {
+        return { value: bound, exclusive: false };
+    }
+
+    const text = toRedisString(bound);
+    const exclusive = text.startsWith('(');
+    const raw = exclusive ? text.slice(1) : text;
+    let value;
+    if (raw === '-inf') value = -Infinity;
+    else if (raw === '+inf' || raw === 'inf') value = Infinity;
+    else value = Number(raw);
+
+    if (raw === '' || Number.isNaN(value)) {
+        throw new ErrorReply('ERR min or max is not a float');
+    }
+    return { value, exclusive };
+}
+
+function scoreInRange(score, min, max) {
+    const aboveMin = min.exclusive ? score > min.value : score >= min.value;
+    const belowMax = max.exclusive ? score < max.value : score <= max.value;
+    return aboveMin && belowMax;
+}
+
+function parseInteger(value, message = 'ERR value is not an integer or out of range') {
+    const text = toRedisString(value);
+    if (!/^-?\d+$/.test(text)) {
+        throw new ErrorReply(message);
+    }
+    return parseInt(text);
+}
+
+function parseFloatValue(value) {
+    const number = Number(toRedisString(value));
+    if (Number.isNaN(number)) {
+        throw new ErrorReply('ERR value is not a valid float');
+    }
+    return number;
+}
+
+// Format a double the way Redis does in bulk string replies
+function formatDouble(value) {
+    if (value === Infinity) return 'inf';
+    if (value === -Infinity) return '-inf';
+    return String(Number(value.toPrecision(17)));
+}
+
+// Encode coordinates into the 52-bit interleaved geohash Redis uses as the sorted set score
+function geoEncode(longitude, latitude, latMin = GEO_LAT_MIN, latMax = GEO_LAT_MAX) {
+    const cells = 2 ** GEO_STEP;
+    const latOffset = Math.min(Math.floor((latitude - latMin) / (latMax - latMin) * cells), cells - 1);
+    const longOffset = Math.min(Math.floor((longitude - GEO_LONG_MIN) / (GEO_LONG_MAX - GEO_LONG_MIN) * cells), cells - 1);
+
+    let bits = 0;
+    for (let i = GEO_STEP - 1; i >= 0; i--) {
+        const longBit = Math.floor(longOffset / 2 ** i) % 2;
+        const latBit = Math.floor(latOffset / 2 ** i) % 2;
+        bits = bits * 4 + longBit * 2 + latBit;
+    }
+    return bits;
+}
+
+// Decode a geohash score back to the centre of its cell
+function geoDecode(bits) {
+    let latOffset = 0;
+    let longOffset = 0;
+    let remaining = bits;
+
+    for (let i = 0; i < GEO_STEP; i++) {
+        const pair = remaining % 4;
+        remaining = Math.floor(remaining / 4);
+        latOffset += (pair % 2) * 2 ** i;
+        longOffset += Math.floor(pair / 2) * 2 ** i;
+    }
+
+    const cells = 2 ** GEO_STEP;
+    const latStep = (GEO_LAT_MAX - GEO_LAT_MIN) / cells;
+    const longStep = (GEO_LONG_MAX - GEO_LONG_MIN) / cells;
+    return {
+        longitude: GEO_LONG_MIN + (longOffset + 0.5) * longStep,
+        latitude: GEO_LAT_MIN + (latOffset + 0.5) * latStep
+    };
+}
+
+function geoDistance(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const lat1 = toRadians(from.latitude);
+    const lat2 = toRadians(to.latitude);
+    const u = Math.sin((lat2 - lat1) / 2);
+    const v = Math.sin(toRadians(to.longitude - from.longitude) / 2);
+    return 2 * EARTH_RADIUS_IN_METERS * Math.asin(Math.sqrt(u * u + Math.cos(lat1) * Math.cos(lat2) * v * v));
+}
+
+function geoUnit(unit = 'm') {
+    const factor = GEO_UNITS[String(unit).toLowerCase()];
+    if (!factor) {
+        throw new ErrorReply('ERR unsupported unit provided. please use M, KM, FT, MI');
+    }
+    return factor;
+}
+
+// Normalize a Lua script so formatting differences don't matter when matching handlers
+function normalizeScript(script) {
+    return script.replace(/\s+/g, ' ').trim();
+}
+
+function sha1(text) {
+    return createHash('sha1').update(text).digest('hex');
+}
+
+// Shared state behind one or more clients (the "server")
+export class InMemoryRedisServer {
+    constructor(options = {}) {
+        this.clock = options.clock || systemClock;
+        this.entries = new Map();
+        this.versions = new Map(); // key -> modification counter, used by WATCH
+        this.scripts = new Map(); // normalized source -> handler
+        this.scriptsBySha = new Map(); // sha1 -> normalized source
+        this.channelSubscribers = new Map(); // channel -> Set of clients
+        this.patternSubscribers = new Map(); // pattern -> Set of clients
+
+        registerDefaultScripts(this);
+    }
+
+    // ---- Internal helpers ----
+
+    getEntry(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        if (entry.expiresAt !== null && entry.expiresAt <= this.clock.now()) {
+            this.entries.delete(key);
+            this.markModified(key);
+            return undefined;
+        }
+        return entry;
+    }
+
+    // Read the value of a key, checking its type
+    readValue(key, type) {
+        const entry = this.getEntry(toRedisString(key));
+        if (!entry) {
+            return undefined;
+        }
+        if (entry.type !== type) {
+            throw new ErrorReply(WRONGTYPE);
+        }
+        return entry.value;
+    }
+
+    // Get the value of a key for writing, creating it when missing
+    writeValue(key, type, create) {
+        const name = toRedisString(key);
+        let entry = this.getEntry(name);
+        if (!entry) {
+            entry = { type, value: create(), expiresAt: null };
+            this.entries.set(name, entry);
+        } else if (entry.type !== type) {
+            throw new ErrorReply(WRONGTYPE);
+        }
+        this.markModified(name);
+        return entry.value;
+    }
+
+    // Delete collection keys that became empty, as Redis does
+    removeIfEmpty(key) {
+        const name = toRedisString(key);
+        const entry = this.entries.get(name);
+        if (!entry || entry.type === 'string') return;
+
+        const size = entry.value instanceof Map || entry.value instanceof Set ?
+            entry.value.size :
+            entry.value.length;
+        if (size === 0) {
+            this.entries.delete(name);
+        }
+    }
+
+    markModified(key) {
+        this.versions.set(key, (this.versions.get(key) || 0) + 1);
+    }
+
+    getVersion(key) {
+        return this.versions.get(key) || 0;
+    }
+
+    liveKeys() {
+        return Array.from(this.entries.keys()).filter(key => this.getEntry(key));
+    }
+
+    // Return sorted set members ordered by score, then lexicographically
+    sortedMembers(key) {
+        const zset = this.readValue(key, 'zset');
+        if (!zset) {
+            return [];
+        }
+        return Array.from(zset, ([value, score]) => ({ value, score }))
+            .sort((a, b) => a.score - b.score || (a.value < b.value ? -1 : a.value > b.value ? 1 : 0));
+    }
+
+    // Register a JavaScript handler that stands in for a Lua script
+    registerScript(script, handler) {
+        const normalized = normalizeScript(script);
+        this.scripts.set(normalized, handler);
+        this.scriptsBySha.set(sha1(script), normalized);
+    }
+
+    // ---- Strings ----
+
+    get(key) {
+        const value = this.readValue(key, 'string');
+        return value === undefined ? null : value;
+    }
+
+    set(key, value, options = {}) {
+        const name = toRedisString(key);
+        const existing = this.getEntry(name);
+        const condition = options.condition || (options.NX ? 'NX' : options.XX ? 'XX' : null);
+
+        if (options.GET && existing && existing.type !== 'string') {
+            throw new ErrorReply(WRONGTYPE);
+        }
+        const previous = existing && existing.type === 'string' ? existing.value : null;
+
+        if ((condition === 'NX' && existing) || (condition === 'XX' && !existing)) {
+            return options.GET ? previous : null;
+        }
+
+        const now = this.clock.now();
+        let expiresAt = null;
+        const expiration = options.expiration;
+        if (expiration && typeof expiration === 'object' && expiration.type !== 'KEEPTTL') {
+            const amount = Number(expiration.value);
+            expiresAt = { EX: now + amount * 1000, PX: now + amount, EXAT: amount * 1000, PXAT: amount }[expiration.type];
+        } else if (options.EX !== undefined) {
+            expiresAt = now + Number(options.EX) * 1000;
+        } else if (options.PX !== undefined) {
+            expiresAt = now + Number(options.PX);
+        } else if (options.EXAT !== undefined) {
+            expiresAt = Number(options.EXAT) * 1000;
+        } else if (options.PXAT !== undefined) {
+            expiresAt = Number(options.PXAT);
+        }
+
+        const keepTTL = options.KEEPTTL || expiration === 'KEEPTTL' || expiration?.type === 'KEEPTTL';
+        if (keepTTL && existing) {
+            expiresAt = existing.expiresAt;
+        }
+
+        this.entries.set(name, { type: 'string', value: toRedisString(value), expiresAt });
+        this.markModified(name);
+        return options.GET ? previous : 'OK';
+    }
+
+    setEx(key, seconds, value) {
+        if (Number(seconds) <= 0) {
+            throw new ErrorReply('ERR invalid expire time in \'setex\' command');
+        }
+        return this.set(key, value, { EX: seconds });
+    }
+
+    pSetEx(key, milliseconds, value) {
+        if (Number(milliseconds) <= 0) {
+            throw new ErrorReply('ERR invalid expire time in \'psetex\' command');
+        }
+        return this.set(key, value, { PX: milliseconds });
+    }
+
+    setNX(key, value) {
+        return this.set(key, value, { NX: true }) === 'OK' ? 1 : 0;
+    }
+
+    getDel(key) {
+        const value = this.get(key);
+        if (value !== null) {
+            this.del(key);
+        }
+        return value;
+    }
+
+    mGet(keys) {
+        return toArray(keys).map(key => {
+            const entry = this.getEntry(toRedisString(key));
+            return entry && entry.type === 'string' ? entry.value : null;
+        });
+    }
+
+    // Accepts an object, an array of [key, value] tuples or a flat [key, value, ...] array
+    mSet(toSet) {
+        let pairs;
+        if (!Array.isArray(toSet)) {
+            pairs = Object.entries(toSet);
+        } else if (Array.isArray(toSet[0])) {
+            pairs = toSet;
+        } else {
+            pairs = [];
+            for (let i = 0; i < toSet.length; i += 2) {
+                pairs.push([toSet[i], toSet[i + 1]]);
+            }
+        }
+
+        for (const [key, value] of pairs) {
+            this.set(key, value);
+        }
+        return 'OK';
+    }
+
+    append(key, value) {
+        const name = toRedisString(key);
+        const updated = (this.get(name) || '') + toRedisString(value);
+        const entry = this.getEntry(name);
+        if (entry) {
+            entry.value = updated;
+            this.markModified(name);
+        } else {
+            this.set(name, updated);
+        }
+        return updated.length;
+    }
+
+    strLen(key) {
+        const value = this.get(key);
+        return value === null ? 0 : value.length;
+    }
+
+    incrBy(key, increment) {
+        const current = this.get(key);
+        const value = (current === null ? 0 : parseInteger(current)) + parseInteger(increment);
+        this.set(key, value.toString(), { KEEPTTL: true });
+        return value;
+    }
+
+    incr(key) {
+        return this.incrBy(key, 1);
+    }
+
+    decr(key) {
+        return this.incrBy(key, -1);
+    }
+
+    decrBy(key, decrement) {
+        return this.incrBy(key, -parseInteger(decrement));
+    }
+
+    incrByFloat(key, increment) {
+        const current = this.get(key);
+        const value = (current === null ? 0 : parseFloatValue(current)) + parseFloatValue(increment);
+        const formatted = formatDouble(value);
+        this.set(key, formatted, { KEEPTTL: true });
+        return formatted;
+    }
+
+    // ---- Keys ----
+
+    del(keys) {
+        let removed = 0;
+        for (const key of toArray(keys)) {
+            const name = toRedisString(key);
+            if (this.getEntry(name)) {
+                this.entries.delete(name);
+                this.markModified(name);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    unlink(keys) {
+        return this.del(keys);
+    }
+
+    exists(keys) {
+        return toArray(keys).filter(key => this.getEntry(toRedisString(key))).length;
+    }
+
+    type(key) {
+        const entry = this.getEntry(toRedisString(key));
+        if (!entry) return 'none';
+        return entry.type === 'hll' ? 'string' : entry.type;
+    }
+
+    keys(pattern) {
+        const matcher = globToRegExp(toRedisString(pattern));
+        return this.liveKeys().filter(key => matcher.test(key));
+    }
+
+    // Cursor-based iteration; the cursor is an offset into the sorted key space
+    scan(cursor, options = {}) {
+        const matcher = options.MATCH ? globToRegExp(toRedisString(options.MATCH)) : null;
+        const count = Number(options.COUNT) || 10;
+        const allKeys = this.liveKeys().sort();
+        const start = parseInt(cursor) || 0;
+        const batch = allKeys.slice(start, start + count);
+        const next = start + count >= allKeys.length ? 0 : start + count;
+
+        return {
+            cursor: next.toString(),
+            keys: batch.filter(key =>
+                (!matcher || matcher.test(key)) && (!options.TYPE || this.type(key) === options.TYPE))
+        };
+    }
+
+    rename(key, newKey) {
+        const name = toRedisString(key);
+        const entry = this.getEntry(name);
+        if (!entry) {
+            throw new ErrorReply('ERR no such key');
+        }
+        this.entries.delete(name);
+        this.entries.set(toRedisString(newKey), entry);
+        this.markModified(name);
+        this.markModified(toRedisString(newKey));
+        return 'OK';
+    }
+
+    // mode is NX (no expiry yet), XX (has one), GT or LT (compared with the current expiry,
+    // where no expiry counts as infinite)
+    pExpireAt(key, timestamp, mode) {
+        const name = toRedisString(key);
+        const entry = this.getEntry(name);
+        if (!entry) {
+            return 0;
+        }
+        const current = entry.expiresAt ?? Infinity;
+        const allowed = {
+            NX: entry.expiresAt === null,
+            XX: entry.expiresAt !== null,
+            GT: Number(timestamp) > current,
+            LT: Number(timestamp) < current
+        }[mode] ?? true;
+        if (!allowed) {
+            return 0;
+        }
+        entry.expiresAt = Number(timestamp);
+        this.markModified(name);
+        // Expiring in the past deletes the key immediately
+        this.getEntry(name);
+        return 1;
+    }
+
+    expireAt(key, timestamp, mode) {
+        return this.pExpireAt(key, Number(timestamp) * 1000, mode);
+    }
+
+    pExpire(key, milliseconds, mode) {
+        return this.pExpireAt(key, this.clock.now() + Number(milliseconds), mode);
+    }
+
+    expire(key, seconds, mode) {
+        return this.pExpire(key, Number(seconds) * 1000, mode);
+    }
+
+    pTTL(key) {
+        const entry = this.getEntry(toRedisString(key));
+        if (!entry) return -2;
+        if (entry.expiresAt === null) return -1;
+        return Math.max(entry.expiresAt - this.clock.now(), 0);
+    }
+
+    ttl(key) {
+        const remaining = this.pTTL(key);
+        return remaining < 0 ? remaining : Math.round(remaining / 1000);
+    }
+
+    persist(key) {
+        const entry = this.getEntry(toRedisString(key));
+        if (!entry || entry.expiresAt === null) {
+            return 0;
+        }
+        entry.expiresAt = null;
+        return 1;
+    }
+
+    dbSize() {
+        return this.liveKeys().length;
+    }
+
+    flushAll() {
+        for (const key of this.entries.keys()) {
+            this.markModified(key);
+        }
+        this.entries.clear();
+        return 'OK';
+    }
+
+    flushDb() {
+        return this.flushAll();
+    }
+
+    ping(message) {
+        return message === undefined ? 'PONG' : message;
+    }
+
+    // ---- Hashes ----
+
+    hSet(key, fieldOrValues, value) {
+        let pairs;
+        if (typeof fieldOrValues === 'string' || typeof fieldOrValues === 'number' || Buffer.isBuffer(fieldOrValues)) {
+            pairs = [[fieldOrValues, value]];
+        } else if (fieldOrValues instanceof Map) {
+            pairs = Array.from(fieldOrValues);
+        } else if (Array.isArray(fieldOrValues)) {
+            const flat = fieldOrValues.flat(Infinity);
+            pairs = [];
+            for (let i = 0; i < flat.length; i += 2) {
+                pairs.push([flat[i], flat[i + 1]]);
+            }
+        } else {
+            pairs = Object.entries(fieldOrValues);
+        }
+
+        const hash = this.writeValue(key, 'hash', () => new Map());
+        let added = 0;
+        for (const [field, fieldValue] of pairs) {
+            const name = toRedisString(field);
+            if (!hash.has(name)) added++;
+            hash.set(name, toRedisString(fieldValue));
+        }
+        this.removeIfEmpty(key);
+        return added;
+    }
+
+    hSetNX(key, field, value) {
+        const hash = this.readValue(key, 'hash');
+        if (hash && hash.has(toRedisString(field))) {
+            return 0;
+        }
+        this.hSet(key, field, value);
+        return 1;
+    }
+
+    hGet(key, field) {
+        const hash = this.readValue(key, 'hash');
+        const value = hash?.get(toRedisString(field));
+        return value === undefined ? null : value;
+    }
+
+    hGetAll(key) {
+        const hash = this.readValue(key, 'hash');
+        return hash ? Object.fromEntries(hash) : {};
+    }
+
+    hmGet(key, fields) {
+        return toArray(fields).map(field => this.hGet(key, field));
+    }
+
+    hDel(key, fields) {
+        const hash = this.readValue(key, 'hash');
+        if (!hash) return 0;
+
+        let removed = 0;
+        for (const field of toArray(fields)) {
+            if (hash.delete(toRedisString(field))) removed++;
+        }
+        if (removed > 0) {
+            this.markModified(toRedisString(key));
+            this.removeIfEmpty(key);
+        }
+        return removed;
+    }
+
+    hExists(key, field) {
+        const hash = this.readValue(key, 'hash');
+        return hash && hash.has(toRedisString(field)) ? 1 : 0;
+    }
+
+    hKeys(key) {
+        const hash = this.readValue(key, 'hash');
+        return hash ? Array.from(hash.keys()) : [];
+    }
+
+    hVals(key) {
+        const hash = this.readValue(key, 'hash');
+        return hash ? Array.from(hash.values()) : [];
+    }
+
+    hLen(key) {
+        const hash = this.readValue(key, 'hash');
+        return hash ? hash.size : 0;
+    }
+
+    hScan(key, cursor, options = {}) {
+        const matcher = options.MATCH ? globToRegExp(toRedisString(options.MATCH)) : null;
+        const count = Number(options.COUNT) || 10;
+        const fields = this.hKeys(key).sort();
+        const start = parseInt(cursor) || 0;
+        const next = start + count >= fields.length ? 0 : start + count;
+
+        return {
+            cursor: next.toString(),
+            entries: fields.slice(start, start + count)
+                .filter(field => !matcher || matcher.test(field))
+                .map(field => ({ field, value: this.hGet(key, field) }))
+        };
+    }
+
+    hIncrBy(key, field, increment) {
+        const current = this.hGet(key, field);
+        const value = (current === null ? 0 : parseInteger(current, 'ERR hash value is not an integer')) + parseInteger(increment);
+        this.hSet(key, field, value.toString());
+        return value;
+    }
+
+    hIncrByFloat(key, field, increment) {
+        const current = this.hGet(key, field);
+        const value = (current === null ? 0 : parseFloatValue(current)) + parseFloatValue(increment);
+        const formatted = formatDouble(value);
+        this.hSet(key, field, formatted);
+        return formatted;
+    }
+
+    // ---- Lists ----
+
+    lPush(key, elements) {
+        const list = this.writeValue(key, 'list', () => []);
+        for (const element of toArray(elements)) {
+            list.unshift(toRedisString(element));
+        }
+        return list.length;
+    }
+
+    rPush(key, elements) {
+        const list = this.writeValue(key, 'list', () => []);
+        for (const element of toArray(elements)) {
+            list.push(toRedisString(element));
+        }
+        return list.length;
+    }
+
+    lPop(key) {
+        const list = this.readValue(key, 'list');
+        if (!list) return null;
+
+        const value = list.shift();
+        this.markModified(toRedisString(key));
+        this.removeIfEmpty(key);
+        return value;
+    }
+
+    rPop(key) {
+        const list = this.readValue(key, 'list');
+        if (!list) return null;
+
+        const value = list.pop();
+        this.markModified(toRedisString(key));
+        this.removeIfEmpty(key);
+        return value;
+    }
+
+    lRange(key, start, stop) {
+        const list = this.readValue(key, 'list') || [];
+        const [from, to] = resolveRange(start, stop, list.length);
+        return from > to ? [] : list.slice(from, to + 1);
+    }
+
+    lLen(key) {
+        const list = this.readValue(key, 'list');
+        return list ? list.length : 0;
+    }
+
+    lIndex(key, index) {
+        const list = this.readValue(key, 'list') || [];
+        const position = Number(index) < 0 ? list.length + Number(index) : Number(index);
+        return list[position] === undefined ? null : list[position];
+    }
+
+    // Remove `count` occurrences (0 = all, negative = from the tail)
+    lRem(key, count, element) {
+        const list = this.readValue(key, 'list');
+        if (!list) return 0;
+
+        const target = toRedisString(element);
+        const limit = Math.abs(Number(count)) || Infinity;
+        const fromTail = Number(count) < 0;
+        let removed = 0;
+
+        if (fromTail) {
+            for (let i = list.length - 1; i >= 0 && removed < limit; i--) {
+                if (list[i] === target) {
+                    list.splice(i, 1);
+                    removed++;
+                }
+            }
+        } else {
+            for (let i = 0; i < list.length && removed < limit;) {
+                if (list[i] === target) {
+                    list.splice(i, 1);
+                    removed++;
+                } else {
+                    i++;
+                }
+            }
+        }
+
+        if (removed > 0) {
+            this.markModified(toRedisString(key));
+            this.removeIfEmpty(key);
+        }
+        return removed;
+    }
+
+    lTrim(key, start, stop) {
+        const list = this.readValue(key, 'list');
+        if (!list) return 'OK';
+
+        const [from, to] = resolveRange(start, stop, list.length);
+        const kept = from > to ? [] : list.slice(from, to + 1);
+        list.splice(0, list.length, ...kept);
+        this.markModified(toRedisString(key));
+        this.removeIfEmpty(key);
+        return 'OK';
+    }
+
+    lInsert(key, position, pivot, element) {
+        const list = this.readValue(key, 'list');
+        if (!list) return 0;
+
+        const index = list.indexOf(toRedisString(pivot));
+        if (index === -1) return -1;
+
+        list.splice(String(position).toUpperCase() === 'BEFORE' ? index : index + 1, 0, toRedisString(element));
+        this.markModified(toRedisString(key));
+        return list.length;
+    }
+
+    // ---- Sets ----
+
+    sAdd(key, members) {
+        const set = this.writeValue(key, 'set', () => new Set());
+        let added = 0;
+        for (const member of toArray(members)) {
+            const value = toRedisString(member);
+            if (!set.has(value)) {
+                set.add(value);
+                added++;
+            }
+        }
+        return added;
+    }
+
+    sRem(key, members) {
+        const set = this.readValue(key, 'set');
+        if (!set) return 0;
+
+        let removed = 0;
+        for (const member of toArray(members)) {
+            if (set.delete(toRedisString(member))) removed++;
+        }
+        if (removed > 0) {
+            this.markModified(toRedisString(key));
+            this.removeIfEmpty(key);
+        }
+        return removed;
+    }
+
+    sMembers(key) {
+        const set = this.readValue(key, 'set');
+        return set ? Array.from(set) : [];
+    }
+
+    sIsMember(key, member) {
+        const set = this.readValue(key, 'set');
+        return set && set.has(toRedisString(member)) ? 1 : 0;
+    }
+
+    sCard(key) {
+        const set = this.readValue(key, 'set');
+        return set ? set.size : 0;
+    }
+
+    sInter(keys) {
+        const [first, ...rest] = toArray(keys).map(key => new Set(this.sMembers(key)));
+        return Array.from(first || []).filter(member => rest.every(set => set.has(member)));
+    }
+
+    sUnion(keys) {
+        const result = new Set();
+        for (const key of toArray(keys)) {
+            for (const member of this.sMembers(key)) result.add(member);
+        }
+        return Array.from(result);
+    }
+
+    sDiff(keys) {
+        const [first, ...rest] = toArray(keys).map(key => new Set(this.sMembers(key)));
+        return Array.from(first || []).filter(member => rest.every(set => !set.has(member)));
+    }
+
+    sRandMember(key) {
+        const members = this.sMembers(key);
+        return members.length > 0 ? members[Math.floor(Math.random() * members.length)] : null;
+    }
+
+    sPop(key) {
+        const member = this.sRandMember(key);
+        if (member !== null) {
+            this.sRem(key, member);
+        }
+        return member;
+    }
+
+    // ---- Sorted sets ----
+
+    zAdd(key, members, options = {}) {
+        const zset = this.writeValue(key, 'zset', () => new Map());
+        const condition = options.condition || (options.NX ? 'NX' : options.XX ? 'XX' : null);
+        const comparison = options.comparison || (options.GT ? 'GT' : options.LT ? 'LT' : null);
+        let added = 0;
+        let changed = 0;
+
+        for (const { score, value } of toArray(members)) {
+            const member = toRedisString(value);
+            const newScore = parseFloatValue(score);
+            const exists = zset.has(member);
+
+            if ((condition === 'NX' && exists) || (condition === 'XX' && !exists)) continue;
+            if (exists && comparison === 'GT' && newScore <= zset.get(member)) continue;
+            if (exists && comparison === 'LT' && newScore >= zset.get(member)) continue;
+
+            if (!exists) added++;
+            if (!exists || zset.get(member) !== newScore) changed++;
+            zset.set(member, newScore);
+        }
+
+        this.removeIfEmpty(key);
+        return options.CH ? changed : added;
+    }
+
+    zRem(key, members) {
+        const zset = this.readValue(key, 'zset');
+        if (!zset) return 0;
+
+        let removed = 0;
+        for (const member of toArray(members)) {
+            if (zset.delete(toRedisString(member))) removed++;
+        }
+        if (removed > 0) {
+            this.markModified(toRedisString(key));
+            this.removeIfEmpty(key);
+        }
+        return removed;
+    }
+
+    zCard(key) {
+        const zset = this.readValue(key, 'zset');
+        return zset ? zset.size : 0;
+    }
+
+    zScore(key, member) {
+        const zset = this.readValue(key, 'zset');
+        const score = zset?.get(toRedisString(member));
+        return score === undefined ? null : score;
+    }
+
+    zIncrBy(key, increment, member) {
+        const zset = this.writeValue(key, 'zset', () => new Map());
+        const name = toRedisString(member);
+        const score = (zset.get(name) || 0) + parseFloatValue(increment);
+        zset.set(name, score);
+        return score;
+    }
+
+    zCount(key, min, max) {
+        const minBound = parseScoreBound(min);
+        const maxBound = parseScoreBound(max);
+        return this.sortedMembers(key).filter(item => scoreInRange(item.score, minBound, maxBound)).length;
+    }
+
+    zRank(key, member) {
+        const index = this.sortedMembers(key).findIndex(item => item.value === toRedisString(member));
+        return index === -1 ? null : index;
+    }
+
+    zRevRank(key, member) {
+        const members = this.sortedMembers(key);
+        const index = members.findIndex(item => item.value === toRedisString(member));
+        return index === -1 ? null : members.length - 1 - index;
+    }
+
+    // ZRANGE with BY SCORE / REV / LIMIT support, returning { value, score } items
+    zRangeWithScores(key, min, max, options = {}) {
+        let members = this.sortedMembers(key);
+
+        if (options.BY === 'SCORE') {
+            // With REV the bounds are given as max, min
+            const minBound = parseScoreBound(options.REV ? max : min);
+            const maxBound = parseScoreBound(options.REV ? min : max);
+            members = members.filter(item => scoreInRange(item.score, minBound, maxBound));
+            if (options.REV) members.reverse();
+        } else if (options.BY === 'LEX') {
+            throw new ErrorReply('ERR BYLEX is not supported by the in-memory client');
+        } else {
+            if (options.REV) members.reverse();
+            const [from, to] = resolveRange(min, max, members.length);
+            members = from > to ? [] : members.slice(from, to + 1);
+        }
+
+        if (options.LIMIT) {
+            const { offset, count } = options.LIMIT;
+            members = members.slice(offset, count < 0 ? undefined : offset + count);
+        }
+
+        return members;
+    }
+
+    zRange(key, min, max, options = {}) {
+        return this.zRangeWithScores(key, min, max, options).map(item => item.value);
+    }
+
+    zRangeByScoreWithScores(key, min, max, options = {}) {
+        return this.zRangeWithScores(key, min, max, { ...options, BY: 'SCORE', REV: false });
+    }
+
+    zRangeByScore(key, min, max, options = {}) {
+        return this.zRangeByScoreWithScores(key, min, max, options).map(item => item.value);
+    }
+
+    zRemRangeByScore(key, min, max) {
+        const members = this.zRangeByScore(key, min, max);
+        return members.length > 0 ? this.zRem(key, members) : 0;
+    }
+
+    zRemRangeByRank(key, start, stop) {
+        const members = this.zRange(key, start, stop);
+        return members.length > 0 ? this.zRem(key, members) : 0;
+    }
+
+    zPopMax(key) {
+        const members = this.sortedMembers(key);
+        if (members.length === 0) return null;
+
+        const item = members[members.length - 1];
+        this.zRem(key, item.value);
+        return item;
+    }
+
+    zPopMin(key) {
+        const members = this.sortedMembers(key);
+        if (members.length === 0) return null;
+
+        const item = members[0];
+        this.zRem(key, item.value);
+        return item;
+    }
+
+    // ---- Geospatial (stored as sorted sets scored by geohash, like Redis) ----
+
+    geoAdd(key, toAdd, options = {}) {
+        const members = toArray(toAdd).map(({ longitude, latitude, member }) => {
+            const lon = Number(longitude);
+            const lat = Number(latitude);
+            if (lon < GEO_LONG_MIN || lon > GEO_LONG_MAX || lat < GEO_LAT_MIN || lat > GEO_LAT_MAX) {
+                throw new ErrorReply(`ERR invalid longitude,latitude pair ${lon},${lat}`);
+            }
+            return { score: geoEncode(lon, lat), value: member };
+        });
+        return this.zAdd(key, members, options);
+    }
+
+    geoPosition(key, member) {
+        const score = this.zScore(key, member);
+        return score === null ? null : geoDecode(score);
+    }
+
+    geoPos(key, members) {
+        return toArray(members).map(member => {
+            const position = this.geoPosition(key, member);
+            return position ? {
+                longitude: formatDouble(position.longitude),
+                latitude: formatDouble(position.latitude)
+            } : null;
+        });
+    }
+
+    geoDist(key, member1, member2, unit = 'm') {
+        const from = this.geoPosition(key, member1);
+        const to = this.geoPosition(key, member2);
+        if (!from || !to) return null;
+        return Number((geoDistance(from, to) / geoUnit(unit)).toFixed(4));
+    }
+
+    geoHash(key, members) {
+        return toArray(members).map(member => {
+            const position = this.geoPosition(key, member);
+            if (!position) return null;
+
+            // GEOHASH reports standard geohashes, which use the full -90..90 latitude range
+            const bits = geoEncode(position.longitude, position.latitude, -90, 90);
+            let hash = '';
+            for (let i = 0; i < 11; i++) {
+                const index = i === 10 ? 0 : Math.floor(bits / 2 ** (47 - i * 5)) % 32;
+                hash += GEOHASH_ALPHABET[index];
+            }
+            return hash;
+        });
+    }
+
+    // Core search used by GEORADIUS/GEOSEARCH variants
+    geoQuery(key, from, by, options = {}) {
+        const center = typeof from === 'object' && !Buffer.isBuffer(from) ?
+            { longitude: Number(from.longitude), latitude: Number(from.latitude) } :
+            this.geoPosition(key, from);
+        if (!center) {
+            throw new ErrorReply('ERR could not decode requested zset member');
+        }
+
+        const factor = geoUnit(by.unit);
+        const results = [];
+        for (const item of this.sortedMembers(key)) {
+            const position = geoDecode(item.score);
+            const distance = geoDistance(center, position);
+
+            let inside;
+            if ('radius' in by) {
+                inside = distance <= Number(by.radius) * factor;
+            } else {
+                const dx = geoDistance(center, { longitude: position.longitude, latitude: center.latitude });
+                const dy = geoDistance(center, { longitude: center.longitude, latitude: position.latitude });
+                inside = dx <= Number(by.width) * factor / 2 && dy <= Number(by.height) * factor / 2;
+            }
+
+            if (inside) {
+                results.push({ member: item.value, distance: distance / factor, position, score: item.score });
+            }
+        }
+
+        results.sort((a, b) => options.SORT === 'DESC' ? b.distance - a.distance : a.distance - b.distance);
+
+        const count = typeof options.COUNT === 'object' ? options.COUNT.value : options.COUNT;
+        return count ? results.slice(0, count) : results;
+    }
+
+    formatGeoResults(results, replyWith) {
+        return results.map(result => {
+            const item = { member: result.member };
+            if (replyWith.includes('WITHDIST')) item.distance = result.distance.toFixed(4);
+            if (replyWith.includes('WITHHASH')) item.hash = result.score;
+            if (replyWith.includes('WITHCOORD')) {
+                item.coordinates = {
+                    longitude: formatDouble(result.position.longitude),
+                    latitude: formatDouble(result.position.latitude)
+                };
+            }
+            return item;
+        });
+    }
+
+    geoSearch(key, from, by, options) {
+        return this.geoQuery(key, from, by, options).map(result => result.member);
+    }
+
+    geoSearchWith(key, from, by, replyWith, options) {
+        return this.formatGeoResults(this.geoQuery(key, from, by, options), toArray(replyWith));
+    }
+
+    geoRadius(key, from, radius, unit, options) {
+        return this.geoSearch(key, from, { radius, unit }, options);
+    }
+
+    geoRadiusWith(key, from, radius, unit, replyWith, options) {
+        return this.geoSearchWith(key, from, { radius, unit }, replyWith, options);
+    }
+
+    geoRadiusByMember(key, member, radius, unit, options) {
+        return this.geoSearch(key, toRedisString(member), { radius, unit }, options);
+    }
+
+    geoRadiusByMemberWith(key, member, radius, unit, replyWith, options) {
+        return this.geoSearchWith(key, toRedisString(member), { radius, unit }, replyWith, options);
+    }
+
+    // ---- HyperLogLog (exact counts; Redis reports the type as "string") ----
+
+    pfAdd(key, elements = []) {
+        const existed = this.getEntry(toRedisString(key));
+        const registers = this.writeValue(key, 'hll', () => new Set());
+        const sizeBefore = registers.size;
+        for (const element of toArray(elements)) {
+            registers.add(toRedisString(element));
+        }
+        return !existed || registers.size !== sizeBefore ? 1 : 0;
+    }
+
+    pfCount(keys) {
+        const union = new Set();
+        for (const key of toArray(keys)) {
+            for (const element of this.readValue(key, 'hll') || []) union.add(element);
+        }
+        return union.size;
+    }
+
+    // ---- Scripting ----
+
+    eval(script, options = {}) {
+        const handler = this.scripts.get(normalizeScript(script));
+        if (!handler) {
+            throw new ErrorReply('ERR script is not supported by the in-memory client (register it with registerScript)');
+        }
+        return handler(this, (options.keys || []).map(toRedisString), (options.arguments || []).map(toRedisString));
+    }
+
+    evalSha(sha, options = {}) {
+        const script = this.scriptsBySha.get(sha);
+        if (!script) {
+            throw new ErrorReply('NOSCRIPT No matching script. Please use EVAL.');
+        }
+        return this.eval(script, options);
+    }
+
+    scriptLoad(script) {
+        const sha = sha1(script);
+        if (!this.scripts.has(normalizeScript(script))) {
+            throw new ErrorReply('ERR script is not supported by the in-memory client (register it with registerScript)');
+        }
+        this.scriptsBySha.set(sha, normalizeScript(script));
+        return sha;
+    }
+
+    // ---- Pub/Sub (publishing side; subscriptions live on the clients) ----
+
+    publish(channel, message) {
+        const name = toRedisString(channel);
+        const payload = toRedisString(message);
+        let receivers = 0;
+
+        for (const client of this.channelSubscribers.get(name) || []) {
+            client.deliver(client.channelListeners.get(name), payload, name);
+            receivers++;
+        }
+
+        for (const [pattern, clients] of this.patternSubscribers) {
+            if (!globToRegExp(pattern).test(name)) continue;
+            for (const client of clients) {
+                client.deliver(client.patternListeners.get(pattern), payload, name);
+                receivers++;
+            }
+        }
+
+        return receivers;
+    }
+
+    pubSubChannels(pattern) {
+        const matcher = pattern ? globToRegExp(toRedisString(pattern)) : null;
+        return Array.from(this.channelSubscribers.keys()).filter(channel => !matcher || matcher.test(channel));
+    }
+
+    pubSubNumSub(channels = []) {
+        const reply = {};
+        for (const channel of toArray(channels)) {
+            reply[channel] = this.channelSubscribers.get(toRedisString(channel))?.size || 0;
+        }
+        return reply;
+    }
+}
+
+// Handlers for the Lua scripts used by DistributedLock (compare-and-delete, compare-and-pexpire),
+// by CacheManager (cascading tag/dependency invalidation, write-behind acknowledgements and failures)
+// and by APICacheManager (size index sweeps)
+function registerDefaultScripts(server) {
+    server.registerScript(`
+        if redis.call('GET', KEYS[1]) == ARGV[1] then
+            return redis.call('DEL', KEYS[1])
+        else
+            return 0
+        end
+    `, (redis, keys, args) => redis.get(keys[0]) === args[0] ? redis.del(keys[0]) : 0);
+
+    server.registerScript(`
+        if redis.call('GET', KEYS[1]) == ARGV[1] then
+            return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+        else
+            return 0
+        end
+    `, (redis, keys, args) => redis.get(keys[0]) === args[0] ? redis.pExpire(keys[0], args[1]) : 0);
+
+    server.registerScript(INVALIDATE_SCRIPT, (redis, keys, [depsPrefix, tagCount, keyPrefixLength]) => {
+        const queue = [];
+        keys.forEach((key, i) => {
+            if (i < Number(tagCount)) {
+                queue.push(...redis.sMembers(key));
+                redis.del(key);
+            } else {
+                queue.push(key);
+            }
+        });
+
+        const seen = new Set();
+        for (const key of queue) {
+            if (seen.has(key)) continue;
+            seen.add(key);
+            const depsKey = depsPrefix + key.slice(Number(keyPrefixLength));
+            queue.push(...redis.sMembers(depsKey));
+            redis.del([key, depsKey]);
+        }
+        return [...seen];
+    });
+
+    server.registerScript(ACK_WRITES_SCRIPT, (redis, [pendingKey, attemptsKey], args) => {
+        let removed = 0;
+        for (let i = 0; i < args.length; i += 2) {
+            if (redis.hGet(pendingKey, args[i]) === args[i + 1]) {
+                removed += redis.hDel(pendingKey, args[i]);
+                redis.hDel(attemptsKey, args[i]);
+            }
+        }
+        return removed;
+    });
+
+    server.registerScript(FAIL_WRITE_SCRIPT, (redis, [pendingKey, attemptsKey, failedKey], [field, value]) => {
+        redis.hDel(attemptsKey, field);
+        if (redis.hGet(pendingKey, field) !== value) return 0;
+        redis.hSet(failedKey, field, value);
+        return redis.hDel(pendingKey, field);
+    });
+
+    server.registerScript(FORGET_ENTRIES_SCRIPT, (redis, [hashKey], args) => {
+        const removed = [];
+        for (let i = 0; i < args.length; i += 2) {
+            if (redis.hGet(hashKey, args[i]) === args[i + 1]) {
+                redis.hDel(hashKey, args[i]);
+                removed.push(args[i]);
+            }
+        }
+        return removed;
+    });
+}
+
+// A queued MULTI transaction (or pipeline) - commands run when exec() is called
+class InMemoryMulti {
+    constructor(client) {
+        this.client = client;
+        this.queue = [];
+    }
+
+    async exec() {
+        return this.run(true);
+    }
+
+    async execAsPipeline() {
+        return this.run(false);
+    }
+
+    discard() {
+        this.queue = [];
+        this.client.watched.clear();
+    }
+
+    async run(checkWatched) {
+        this.client.ensureOpen();
+        const server = this.client.server;
+
+        if (checkWatched) {
+            const changed = Array.from(this.client.watched).some(([key, version]) => server.getVersion(key) !== version);
+            this.client.watched.clear();
+            if (changed) {
+                this.queue = [];
+                throw new WatchError();
+            }
+        }
+
+        const replies = [];
+        const errorIndexes = [];
+        for (const [index, { name, args }] of this.queue.entries()) {
+            try {
+                replies.push(this.client.formatReply(server[name](...args)));
+            } catch (error) {
+                replies.push(error);
+                errorIndexes.push(index);
+            }
+        }
+        this.queue = [];
+
+        if (errorIndexes.length > 0) {
+            throw new MultiErrorReply(replies, errorIndexes);
+        }
+        return replies;
+    }
+}
+
+for (const name of COMMANDS) {
+    InMemoryMulti.prototype[name] = function (...args) {
+        this.queue.push({ name, args });
+        return this;
+    };
+}
+
+// Client connection - mirrors the node-redis client lifecycle and command methods
+export class InMemoryRedisClient extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.server = options.server || new InMemoryRedisServer({ clock: options.clock });
+        this.isOpen = false;
+        this.isReady = false;
+        this.bufferReplies = false; // see withTypeMapping()
+        this.watched = new Map(); // key -> version at WATCH time
+        this.channelListeners = new Map(); // channel -> Set of listeners
+        this.patternListeners = new Map(); // pattern -> Set of listeners
+    }
+
+    get clock() {
+        return this.server.clock;
+    }
+
+    async connect() {
+        if (this.isOpen) {
+            throw new Error('Socket already opened');
+        }
+        this.isOpen = true;
+        this.isReady = true;
+        this.emit('connect');
+        this.emit('ready');
+        return this;
+    }
+
+    // Create another connection to the same in-memory server
+    duplicate() {
+        return new InMemoryRedisClient({ server: this.server });
+    }
+
+    ensureOpen() {
+        if (!this.isOpen) {
+            throw new ClientClosedError();
+        }
+    }
+
+    async close() {
+        this.ensureOpen();
+        this.dropSubscriptions();
+        this.isOpen = false;
+        this.isReady = false;
+        this.emit('end');
+    }
+
+    async quit() {
+        await this.close();
+        return 'OK';
+    }
+
+    async disconnect() {
+        await this.close();
+    }
+
+    destroy() {
+        if (this.isOpen) {
+            this.dropSubscriptions();
+            this.isOpen = false;
+            this.isReady = false;
+            this.emit('end');
+        }
+    }
+
+    multi() {
+        return new InMemoryMulti(this);
+    }
+
+    // Client view whose bulk-string replies are Buffers, like node-redis withTypeMapping
+    withTypeMapping(typeMapping) {
+        const view = Object.create(this);
+        view.bufferReplies = typeMapping[RESP_TYPES.BLOB_STRING] === Buffer;
+        return view;
+    }
+
+    formatReply(reply) {
+        return mapReplyStrings(reply, this.bufferReplies ? storedToBuffer : storedToString);
+    }
+
+    async watch(keys) {
+        this.ensureOpen();
+        for (const key of toArray(keys)) {
+            const name = toRedisString(key);
+            this.watched.set(name, this.server.getVersion(name));
+        }
+        return 'OK';
+    }
+
+    async unwatch() {
+        this.watched.clear();
+        return 'OK';
+    }
+
+    registerScript(script, handler) {
+        this.server.registerScript(script, handler);
+    }
+
+    async *scanIterator(options = {}) {
+        let cursor = options.cursor ?? '0';
+        do {
+            const reply = await this.scan(cursor, options);
+            cursor = reply.cursor;
+            yield reply.keys;
+        } while (cursor !== '0');
+    }
+
+    // ---- Pub/Sub (subscribing side) ----
+
+    deliver(listeners, message, channel) {
+        for (const listener of listeners || []) {
+            try {
+                listener(message, channel);
+            } catch (error) {
+                this.emit('error', error);
+            }
+        }
+    }
+
+    addSubscription(registry, serverRegistry, names, listener) {
+        for (const name of toArray(names).map(toRedisString)) {
+            if (!registry.has(name)) registry.set(name, new Set());
+            registry.get(name).add(listener);
+
+            if (!serverRegistry.has(name)) serverRegistry.set(name, new Set());
+            serverRegistry.get(name).add(this);
+        }
+    }
+
+    removeSubscriptions(registry, serverRegistry, names, listener) {
+        const targets = names === undefined ? Array.from(registry.keys()) : toArray(names).map(toRedisString);
+        for (const name of targets) {
+            const listeners = registry.get(name);
+            if (!listeners) continue;
+
+            if (listener) {
+                listeners.delete(listener);
+            } else {
+                listeners.clear();
+            }
+
+            if (listeners.size === 0) {
+                registry.delete(name);
+                serverRegistry.get(name)?.delete(this);
+                if (serverRegistry.get(name)?.size === 0) serverRegistry.delete(name);
+            }
+        }
+    }
+
+    dropSubscriptions() {
+        this.removeSubscriptions(this.channelListeners, this.server.channelSubscribers);
+        this.removeSubscriptions(this.patternListeners, this.server.patternSubscribers);
+    }
+
+    async subscribe(channels, listener) {
+        this.ensureOpen();
+        this.addSubscription(this.channelListeners, this.server.channelSubscribers, channels, listener);
+    }
+
+    async unsubscribe(channels, listener) {
+        this.ensureOpen();
+        this.removeSubscriptions(this.channelListeners, this.server.channelSubscribers, channels, listener);
+    }
+
+    async pSubscribe(patterns, listener) {
+        this.ensureOpen();
+        this.addSubscription(this.patternListeners, this.server.patternSubscribers, patterns, listener);
+    }
+
+    async pUnsubscribe(patterns, listener) {
+        this.ensureOpen();
+        this.removeSubscriptions(this.patternListeners, this.server.patternSubscribers, patterns, listener);
+    }
+}
+
+for (const name of COMMANDS) {
+    InMemoryRedisClient.prototype[name] = async function (...args) {
+        this.ensureOpen();
+        return this.formatReply(this.server[name](...args));
+    };
+}
+
+// Create an unconnected in-memory client (call connect() as with node-redis)
+export function createInMemoryClient(options = {}) {
+    return new InMemoryRedisClient(options);
+}
@@ -0,0 +1,43 @@
+// Package entry point - re-exports every use-case manager and the connection factory
+
+export {
+    getClient,
+    closeClient,
+    closeAllClients,
+    configureConnections,
+    resolveSettings,
+    createRedisClient
+} from './connection.js';
+export { InMemoryRedisClient, InMemoryRedisServer, createInMemoryClient } from './in_memory_redis.js';
+export { ManualClock, systemClock } from './clock.js';
+export { scanKeyBatches, scanKeys, countKeys, unlinkKeys, unlinkMatching } from './key_scan.js';
+export { jsonCodec, msgpackCodec, compressedCodec, getCodec, decodeValue, binaryReplies, HEADER as CODEC_HEADER } from './codecs.js';
+export { createKeyspace, keyPrefix } from './keyspace.js';
+export { LruCache } from './lru_cache.js';
+export { CircuitBreaker, CircuitOpenError } from './circuit_breaker.js';
+export {
+    consoleLogger,
+    silentLogger,
+    MetricsRegistry,
+    defaultRegistry,
+    traceClient,
+    PROMETHEUS_CONTENT_TYPE
+} from './observability.js';
+
+export { CacheManager } from './caching.js';
+export { APICacheManager } from './api_caching.js';
+export { SessionManager } from './session_storage.js';
+export { RateLimiter } from './rate_limiting.js';
+export { DistributedLock, SharedCounter } from './distributed_locking.js';
+export { JobQueue } from './message_queuing.js';
+export { PubSubManager } from './pub_sub.js';
+export { LeaderboardManager } from './leaderboards.js';
+export { GeospatialManager } from './geospatial.js';
+export { TimeSeriesManager } from './time_series.js';
+export { AnalyticsTracker } from './real_time_analytics.js';
+export { FullTextSearch } from './full_text_search.js';
+export { ConfigManager } from './config_management.js';
+export { MLFeatureStore } from './ml_feature_store.js';
+export { VideoStreamingPlatform } from './video_streaming.js';
+
+export { createAdminServer, HttpError } from './admin_api.js';
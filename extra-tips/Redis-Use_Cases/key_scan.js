@@ -0,0 +1,119 @@
+// Key scanning - cursor-based alternatives to KEYS that never block the server
+//
+// KEYS walks the whole keyspace in one command and stalls every other client while it runs.
+// SCAN returns a small batch per call, so large keyspaces are walked incrementally.
+
+export const DEFAULT_SCAN_COUNT = 100;
+export const DEFAULT_DELETE_CHUNK = 500;
+
+// Convert a Redis glob-style pattern (*, ?, [abc], [^a-z], \x) into a RegExp
+export function globToRegExp(pattern) {
+    let source = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*') {
+            source += '.*';
+        } else if (char === '?') {
+            source += '.';
+        } else if (char === '[') {
+            const end = pattern.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+                continue;
+            }
+            let group = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+            if (group.startsWith('^')) {
+                group = `^${group.slice(1)}`;
+            }
+            source += `[${group}]`;
+            i = end;
+        } else if (char === '\\' && i + 1 < pattern.length) {
+            source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`, 's');
+}
+
+// Cluster clients expose their shards; each master has to be scanned on its own
+export function isClusterClient(client) {
+    return Array.isArray(client.masters) && typeof client.nodeClient === 'function';
+}
+
+// Yield batches of keys matching a pattern
+//   match - glob pattern (default '*')
+//   count - SCAN COUNT hint, i.e. roughly how many keys to examine per round trip
+//   type  - only keys of this Redis type ('string', 'hash', 'set', 'zset', 'list', ...)
+export async function* scanKeyBatches(client, { match = '*', count = DEFAULT_SCAN_COUNT, type } = {}) {
+    const options = { MATCH: match, COUNT: count };
+    if (type) options.TYPE = type;
+
+    const nodes = isClusterClient(client) ?
+        await Promise.all(client.masters.map(master => client.nodeClient(master))) :
+        [client];
+
+    for (const node of nodes) {
+        for await (const keys of node.scanIterator(options)) {
+            // SCAN may return empty batches (and, rarely, repeat a key) while the cursor advances
+            if (keys.length > 0) yield keys;
+        }
+    }
+}
+
+// Yield matching keys one at a time
+export async function* scanKeys(client, options = {}) {
+    for await (const keys of scanKeyBatches(client, options)) {
+        yield* keys;
+    }
+}
+
+// Count matching keys
+export async function countKeys(client, options = {}) {
+    const seen = new Set();
+    for await (const key of scanKeys(client, options)) {
+        seen.add(key);
+    }
+    return seen.size;
+}
+
+// Delete keys with UNLINK (memory is reclaimed in the background), chunkSize keys per command
+export async function unlinkKeys(client, keys, chunkSize = DEFAULT_DELETE_CHUNK) {
+    let removed = 0;
+
+    for (let i = 0; i < keys.length; i += chunkSize) {
+        const chunk = keys.slice(i, i + chunkSize);
+
+        if (isClusterClient(client)) {
+            // Multi-key commands must stay within one hash slot, so unlink one key at a time
+            const results = await Promise.all(chunk.map(key => client.unlink(key)));
+            removed += results.reduce((sum, count) => sum + count, 0);
+        } else {
+            removed += await client.unlink(chunk);
+        }
+    }
+
+    return removed;
+}
+
+// Delete every key matching a pattern, streaming through the keyspace
+export async function unlinkMatching(client, { chunkSize = DEFAULT_DELETE_CHUNK, ...scanOptions } = {}) {
+    let removed = 0;
+    let pending = [];
+
+    for await (const key of scanKeys(client, scanOptions)) {
+        pending.push(key);
+        if (pending.length >= chunkSize) {
+            removed += await unlinkKeys(client, pending, chunkSize);
+            pending = [];
+        }
+    }
+
+    if (pending.length > 0) {
+        removed += await unlinkKeys(client, pending, chunkSize);
+    }
+
+    return removed;
+}
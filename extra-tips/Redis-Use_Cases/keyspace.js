@@ -0,0 +1,54 @@
+// Keyspaces - namespace and tenant prefixes for every key (and channel) a manager touches
+//
+// Managers accept these constructor options:
+//   namespace - application or component name, e.g. 'shop'
+//   tenant    - tenant identifier for multi-tenant deployments, e.g. 'acme'
+//   hashTag   - wrap the tenant (or the namespace if there is no tenant) in a cluster hash tag,
+//               so all of a tenant's keys hash to one slot and multi-key commands keep working
+//
+//   { namespace: 'shop', tenant: 'acme' }                -> 'shop:acme:session:abc'
+//   { namespace: 'shop', tenant: 'acme', hashTag: true } -> 'shop:{acme}:session:abc'
+//
+// Without any of them keys keep their original, unprefixed names.
+
+// Characters that would change the meaning of SCAN/PSUBSCRIBE patterns or of hash tags
+const RESERVED_CHARACTERS = /[*?[\]\\{}\s]/;
+
+function checkSegment(name, value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const segment = String(value);
+    if (RESERVED_CHARACTERS.test(segment)) {
+        throw new Error(`Invalid ${name} "${segment}": glob characters, braces and whitespace are not allowed`);
+    }
+    return segment;
+}
+
+// Build the key prefix for a set of manager options
+export function keyPrefix({ namespace, tenant, hashTag = false } = {}) {
+    const parts = [checkSegment('namespace', namespace), checkSegment('tenant', tenant)];
+
+    if (hashTag) {
+        const tagged = parts[1] !== null ? 1 : 0;
+        if (parts[tagged] === null) {
+            throw new Error('hashTag needs a namespace or tenant to tag');
+        }
+        parts[tagged] = `{${parts[tagged]}}`;
+    }
+
+    const prefix = parts.filter(part => part !== null).join(':');
+    return prefix ? `${prefix}:` : '';
+}
+
+// Key builder shared by the managers
+export function createKeyspace(options = {}) {
+    const prefix = keyPrefix(options);
+
+    return {
+        prefix,
+        // Full key (or channel) name for a manager-relative name
+        key: name => `${prefix}${name}`,
+        // Manager-relative name for a full key, e.g. one returned by SCAN
+        strip: key => key.startsWith(prefix) ? key.slice(prefix.length) : key
+    };
+}
@@ -1,53 +1,53 @@
-import { createClient } from 'redis';
-
-const client = createClient({
-    username: 'default',
-    password: 'gX94CVL0mRXXi7hligXMmMavy4lr55PV',
-    socket: {
-        host: 'redis-12372.c54.ap-northeast-1-2.ec2.redns.redis-cloud.com',
-        port: 12372
-    }
-});
-
-client.on('error', err => console.log('Redis Client Error', err));
-
-await client.connect();
+import { EventEmitter } from 'node:events';
+import { getClient, closeClient } from './connection.js';
+import { systemClock } from './clock.js';
+import { createKeyspace } from './keyspace.js';
+import { consoleLogger, defaultRegistry, traceClient } from './observability.js';
+import { isMainModule } from './main_module.js';
 
 // Leaderboards example - maintaining sorted sets for rankings
-class LeaderboardManager {
-    constructor(redisClient) {
-        this.client = redisClient;
+//
+// Events: 'scoreUpdate' { leaderboardName, playerId, score }, 'playerRemove' { leaderboardName, playerId }
+class LeaderboardManager extends EventEmitter {
+    constructor(redisClient, options = {}) {
+        super();
+        this.client = traceClient(redisClient, options.tracer);
+        this.logger = options.logger || consoleLogger;
+        this.metrics = options.metrics || defaultRegistry;
+        this.clock = options.clock || systemClock;
+        this.keys = createKeyspace(options);
     }
 
     // Update player score
     async updateScore(leaderboardName, playerId, score, playerData = {}) {
-        const key = `leaderboard:${leaderboardName}`;
+        const key = this.keys.key(`leaderboard:${leaderboardName}`);
 
         // Update score in sorted set (higher score = better rank)
         await this.client.zAdd(key, [{ score, value: playerId }]);
 
         // Store player metadata
-        const playerKey = `player:${playerId}`;
+        const playerKey = this.keys.key(`player:${playerId}`);
         await this.client.hSet(playerKey, {
             id: playerId,
             name: playerData.name || `Player ${playerId}`,
             avatar: playerData.avatar || '',
-            lastUpdated: new Date().toISOString(),
+            lastUpdated: new Date(this.clock.now()).toISOString(),
             ...playerData
         });
 
-        console.log(`Updated score for ${playerData.name || playerId}: ${score}`);
+        this.emit('scoreUpdate', { leaderboardName, playerId, score });
+        this.logger.info(`Updated score for ${playerData.name || playerId}: ${score}`);
     }
 
     // Get top players
     async getTopPlayers(leaderboardName, limit = 10, withScores = true) {
-        const key = `leaderboard:${leaderboardName}`;
+        const key = this.keys.key(`leaderboard:${leaderboardName}`);
 
-        const results = await this.client.zRevRangeWithScores(key, 0, limit - 1);
+        const results = await this.client.zRangeWithScores(key, 0, limit - 1, { REV: true });
 
         const players = [];
         for (const result of results) {
-            const playerData = await this.client.hGetAll(`player:${result.value}`);
+            const playerData = await this.client.hGetAll(this.keys.key(`player:${result.value}`));
             players.push({
                 rank: players.length + 1,
                 playerId: result.value,
@@ -61,7 +61,7 @@ class LeaderboardManager {
 
     // Get player rank
     async getPlayerRank(leaderboardName, playerId) {
-        const key = `leaderboard:${leaderboardName}`;
+        const key = this.keys.key(`leaderboard:${leaderboardName}`);
 
         const rank = await this.client.zRevRank(key, playerId);
         const score = await this.client.zScore(key, playerId);
@@ -70,7 +70,7 @@ class LeaderboardManager {
             return null; // Player not in leaderboard
         }
 
-        const playerData = await this.client.hGetAll(`player:${playerId}`);
+        const playerData = await this.client.hGetAll(this.keys.key(`player:${playerId}`));
 
         return {
             rank: rank + 1, // Redis ranks are 0-based
@@ -82,17 +82,17 @@ class LeaderboardManager {
 
     // Get players around a specific rank
     async getPlayersAroundRank(leaderboardName, targetRank, range = 2) {
-        const key = `leaderboard:${leaderboardName}`;
+        const key = this.keys.key(`leaderboard:${leaderboardName}`);
 
         // Get rank 0-based for Redis
         const startRank = Math.max(0, targetRank - 1 - range);
         const endRank = targetRank - 1 + range;
 
-        const results = await this.client.zRevRangeWithScores(key, startRank, endRank);
+        const results = await this.client.zRangeWithScores(key, startRank, endRank, { REV: true });
 
         const players = [];
         for (const result of results) {
-            const playerData = await this.client.hGetAll(`player:${result.value}`);
+            const playerData = await this.client.hGetAll(this.keys.key(`player:${result.value}`));
             players.push({
                 rank: startRank + players.length + 1,
                 playerId: result.value,
@@ -106,13 +106,13 @@ class LeaderboardManager {
 
     // Get players in score range
     async getPlayersInScoreRange(leaderboardName, minScore, maxScore) {
-        const key = `leaderboard:${leaderboardName}`;
+        const key = this.keys.key(`leaderboard:${leaderboardName}`);
 
         const results = await this.client.zRangeByScoreWithScores(key, minScore, maxScore);
 
         const players = [];
         for (const result of results) {
-            const playerData = await this.client.hGetAll(`player:${result.value}`);
+            const playerData = await this.client.hGetAll(this.keys.key(`player:${result.value}`));
             players.push({
                 playerId: result.value,
                 score: result.score,
@@ -125,28 +125,30 @@ class LeaderboardManager {
 
     // Increment player score
     async incrementScore(leaderboardName, playerId, increment = 1) {
-        const key = `leaderboard:${leaderboardName}`;
+        const key = this.keys.key(`leaderboard:${leaderboardName}`);
 
         const newScore = await this.client.zIncrBy(key, increment, playerId);
 
         // Update last updated timestamp
-        await this.client.hSet(`player:${playerId}`, 'lastUpdated', new Date().toISOString());
+        await this.client.hSet(this.keys.key(`player:${playerId}`), 'lastUpdated', new Date(this.clock.now()).toISOString());
 
-        console.log(`Incremented score for ${playerId} by ${increment}. New score: ${newScore}`);
+        this.emit('scoreUpdate', { leaderboardName, playerId, score: newScore });
+        this.logger.info(`Incremented score for ${playerId} by ${increment}. New score: ${newScore}`);
         return newScore;
     }
 
     // Remove player from leaderboard
     async removePlayer(leaderboardName, playerId) {
-        const key = `leaderboard:${leaderboardName}`;
+        const key = this.keys.key(`leaderboard:${leaderboardName}`);
 
         await this.client.zRem(key, playerId);
-        console.log(`Removed player ${playerId} from leaderboard ${leaderboardName}`);
+        this.emit('playerRemove', { leaderboardName, playerId });
+        this.logger.info(`Removed player ${playerId} from leaderboard ${leaderboardName}`);
     }
 
     // Get leaderboard statistics
     async getLeaderboardStats(leaderboardName) {
-        const key = `leaderboard:${leaderboardName}`;
+        const key = this.keys.key(`leaderboard:${leaderboardName}`);
 
         const [totalPlayers, totalScore] = await Promise.all([
             this.client.zCard(key),
@@ -174,19 +176,19 @@ class LeaderboardManager {
     // Create a seasonal leaderboard (with expiration)
     async createSeasonalLeaderboard(seasonName, durationDays = 30) {
         const leaderboardName = `seasonal:${seasonName}`;
-        const key = `leaderboard:${leaderboardName}`;
+        const key = this.keys.key(`leaderboard:${leaderboardName}`);
 
         // Set expiration on the leaderboard
         await this.client.expire(key, durationDays * 24 * 60 * 60);
 
-        console.log(`Created seasonal leaderboard: ${seasonName} (expires in ${durationDays} days)`);
+        this.logger.info(`Created seasonal leaderboard: ${seasonName} (expires in ${durationDays} days)`);
         return leaderboardName;
     }
 
     // Merge seasonal leaderboard into all-time leaderboard
     async mergeSeasonalToAllTime(seasonName, allTimeName = 'all_time') {
-        const seasonalKey = `leaderboard:seasonal:${seasonName}`;
-        const allTimeKey = `leaderboard:${allTimeName}`;
+        const seasonalKey = this.keys.key(`leaderboard:seasonal:${seasonName}`);
+        const allTimeKey = this.keys.key(`leaderboard:${allTimeName}`);
 
         // Get all players from seasonal leaderboard
         const seasonalPlayers = await this.client.zRangeWithScores(seasonalKey, 0, -1);
@@ -196,13 +198,14 @@ class LeaderboardManager {
             await this.client.zIncrBy(allTimeKey, player.score, player.value);
         }
 
-        console.log(`Merged ${seasonalPlayers.length} players from seasonal leaderboard to all-time`);
+        this.logger.info(`Merged ${seasonalPlayers.length} players from seasonal leaderboard to all-time`);
         return seasonalPlayers.length;
     }
 }
 
 // Demo the leaderboard functionality
 async function demoLeaderboards() {
+    const client = await getClient();
     const leaderboard = new LeaderboardManager(client);
 
     console.log('=== Redis Leaderboards Demo ===\n');
@@ -278,7 +281,12 @@ async function demoLeaderboards() {
     const allTimeTop = await leaderboard.getTopPlayers('all_time', 5);
     console.table(allTimeTop);
 
-    await client.disconnect();
+    await closeClient();
 }
 
-demoLeaderboards().catch(console.error);
\ No newline at end of file
+export { LeaderboardManager };
+
+// Run demonstration if this file is executed directly
+if (isMainModule(import.meta.url)) {
+    demoLeaderboards().catch(console.error);
+}
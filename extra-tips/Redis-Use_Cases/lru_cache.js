@@ -0,0 +1,73 @@
+import { systemClock } from './clock.js';
+
+// In-process LRU cache bounded by entry count and total bytes, with per-entry expiry
+//
+// Map iteration order is insertion order, so re-inserting an entry on every read keeps the
+// least recently used entry first in line for eviction. onEvict(key), if given, is called for
+// every entry pushed out to make room.
+export class LruCache {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries ?? 1000;
+        this.maxBytes = options.maxBytes ?? Infinity;
+        this.clock = options.clock || systemClock;
+        this.onEvict = options.onEvict || null;
+        this.entries = new Map(); // key -> { value, size, expiresAt }
+        this.bytes = 0;
+        this.evictions = 0;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    // Value for key, or undefined if it is missing or expired
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        if (entry.expiresAt <= this.clock.now()) {
+            this.delete(key);
+            return undefined;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    // Store a value of `size` bytes for ttl ms (Infinity: until evicted). Values larger than
+    // maxBytes are not stored. Returns the number of entries evicted to make room.
+    set(key, value, { size = 0, ttl = Infinity } = {}) {
+        this.delete(key);
+        if (size > this.maxBytes || this.maxEntries <= 0) {
+            return 0;
+        }
+
+        this.entries.set(key, { value, size, expiresAt: this.clock.now() + ttl });
+        this.bytes += size;
+
+        let evicted = 0;
+        while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+            const oldest = this.entries.keys().next().value;
+            this.delete(oldest);
+            this.onEvict?.(oldest);
+            evicted++;
+        }
+        this.evictions += evicted;
+        return evicted;
+    }
+
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return false;
+
+        this.entries.delete(key);
+        this.bytes -= entry.size;
+        return true;
+    }
+
+    clear() {
+        this.entries.clear();
+        this.bytes = 0;
+    }
+}
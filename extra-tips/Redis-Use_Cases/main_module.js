@@ -0,0 +1,15 @@
+import { realpathSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+// Entry-point check - whether a module is the script node was started with
+
+// True when moduleUrl (a module's import.meta.url) names the script being run. Compares real
+// paths, so percent-encoded characters and symlinks (such as npm bin links) still match.
+export function isMainModule(moduleUrl, scriptPath = process.argv[1]) {
+    if (!scriptPath) return false;
+    try {
+        return realpathSync(scriptPath) === realpathSync(fileURLToPath(moduleUrl));
+    } catch {
+        return false;
+    }
+}
@@ -1,26 +1,38 @@
-import { createClient } from 'redis';
-
-const client = createClient({
-    username: 'default',
-    password: 'gX94CVL0mRXXi7hligXMmMavy4lr55PV',
-    socket: {
-        host: 'redis-12372.c54.ap-northeast-1-2.ec2.redns.redis-cloud.com',
-        port: 12372
-    }
-});
-
-client.on('error', err => console.log('Redis Client Error', err));
-
-await client.connect();
+import { EventEmitter } from 'node:events';
+import { getClient, closeClient } from './connection.js';
+import { systemClock } from './clock.js';
+import { jsonCodec, binaryReplies } from './codecs.js';
+import { createKeyspace } from './keyspace.js';
+import { consoleLogger, defaultRegistry, traceClient } from './observability.js';
+import { isMainModule } from './main_module.js';
 
 // Message Queuing example - job queues and background task processing
-class JobQueue {
-    constructor(redisClient, queueName = 'default') {
-        this.client = redisClient;
+//
+// Events: 'add' { jobId, priority, delay }, 'start' { jobId, priority }, 'complete' { jobId },
+//         'retry' { jobId, attempts, error }, 'fail' { jobId, attempts, error }
+class JobQueue extends EventEmitter {
+    constructor(redisClient, queueName = 'default', options = {}) {
+        super();
+        this.client = traceClient(redisClient, options.tracer);
+        this.logger = options.logger || consoleLogger;
+        this.metrics = options.metrics || defaultRegistry;
+        this.clock = options.clock || systemClock;
+        this.codec = options.codec || jsonCodec;
+        this.valueClient = binaryReplies(this.client); // reads encoded jobs as raw bytes
+        this.keys = createKeyspace(options);
         this.queueName = queueName;
-        this.processingQueue = `${queueName}:processing`;
-        this.failedQueue = `${queueName}:failed`;
-        this.delayedQueue = `${queueName}:delayed`;
+        this.queueKey = this.keys.key(queueName);
+        this.processingQueue = `${this.queueKey}:processing`;
+        this.failedQueue = `${this.queueKey}:failed`;
+        this.delayedQueue = `${this.queueKey}:delayed`;
+        this.jobsMetric = this.metrics.counter('queue_jobs_total', 'Job lifecycle transitions', ['queue', 'event']);
+        this.depthMetric = this.metrics.gauge('queue_depth', 'Jobs per queue state, as of the last getQueueStats()', ['queue', 'state']);
+    }
+
+    // Count a job transition and tell listeners
+    recordJob(event, details) {
+        this.jobsMetric.inc({ queue: this.queueName, event });
+        this.emit(event, details);
     }
 
     // Add a job to the queue
@@ -29,37 +41,38 @@ class JobQueue {
             id: this.generateJobId(),
             data: jobData,
             priority,
-            createdAt: new Date().toISOString(),
+            createdAt: new Date(this.clock.now()).toISOString(),
             status: 'queued',
             attempts: 0
         };
 
         if (delay > 0) {
             // Add to delayed queue with score as execution time
-            const executeAt = Date.now() + (delay * 1000);
+            const executeAt = this.clock.now() + (delay * 1000);
             await this.client.zAdd(this.delayedQueue, [
-                { score: executeAt, value: JSON.stringify(job) }
+                { score: executeAt, value: this.codec.encode(job) }
             ]);
-            console.log(`Job ${job.id} scheduled for delayed execution`);
+            this.logger.info(`Job ${job.id} scheduled for delayed execution`);
         } else {
             // Add to regular queue based on priority
-            const queueKey = priority === 'high' ? `${this.queueName}:high` : this.queueName;
-            await this.client.lPush(queueKey, JSON.stringify(job));
-            console.log(`Job ${job.id} added to ${priority} priority queue`);
+            const queueKey = priority === 'high' ? `${this.queueKey}:high` : this.queueKey;
+            await this.client.lPush(queueKey, this.codec.encode(job));
+            this.logger.info(`Job ${job.id} added to ${priority} priority queue`);
         }
 
+        this.recordJob('add', { jobId: job.id, priority, delay });
         return job.id;
     }
 
     // Get next job from queue (round-robin between priorities)
     async getNextJob() {
         // First check high priority queue
-        let jobData = await this.client.rPop(`${this.queueName}:high`);
+        let jobData = await this.valueClient.rPop(`${this.queueKey}:high`);
         let priority = 'high';
 
         // If no high priority jobs, check regular queue
         if (!jobData) {
-            jobData = await this.client.rPop(this.queueName);
+            jobData = await this.valueClient.rPop(this.queueKey);
             priority = 'normal';
         }
 
@@ -67,82 +80,86 @@ class JobQueue {
             return null;
         }
 
-        const job = JSON.parse(jobData);
+        const job = this.codec.decode(jobData);
         job.status = 'processing';
-        job.startedAt = new Date().toISOString();
+        job.startedAt = new Date(this.clock.now()).toISOString();
 
         // Move to processing queue
-        await this.client.lPush(this.processingQueue, JSON.stringify(job));
+        await this.client.lPush(this.processingQueue, this.codec.encode(job));
 
-        console.log(`Job ${job.id} (${priority} priority) started processing`);
+        this.recordJob('start', { jobId: job.id, priority });
+        this.logger.info(`Job ${job.id} (${priority} priority) started processing`);
         return job;
     }
 
     // Mark job as completed
     async completeJob(jobId) {
-        const processingJobs = await this.client.lRange(this.processingQueue, 0, -1);
+        const processingJobs = await this.valueClient.lRange(this.processingQueue, 0, -1);
 
         for (let i = 0; i < processingJobs.length; i++) {
-            const job = JSON.parse(processingJobs[i]);
+            const job = this.codec.decode(processingJobs[i]);
             if (job.id === jobId) {
                 await this.client.lRem(this.processingQueue, 1, processingJobs[i]);
-                console.log(`Job ${jobId} completed successfully`);
+                this.recordJob('complete', { jobId });
+                this.logger.info(`Job ${jobId} completed successfully`);
                 return true;
             }
         }
 
-        console.log(`Job ${jobId} not found in processing queue`);
+        this.logger.info(`Job ${jobId} not found in processing queue`);
         return false;
     }
 
     // Mark job as failed and retry or move to failed queue
     async failJob(jobId, error, maxRetries = 3) {
-        const processingJobs = await this.client.lRange(this.processingQueue, 0, -1);
+        const processingJobs = await this.valueClient.lRange(this.processingQueue, 0, -1);
 
         for (let i = 0; i < processingJobs.length; i++) {
-            const job = JSON.parse(processingJobs[i]);
+            const job = this.codec.decode(processingJobs[i]);
             if (job.id === jobId) {
                 job.attempts++;
                 job.lastError = error;
-                job.failedAt = new Date().toISOString();
+                job.failedAt = new Date(this.clock.now()).toISOString();
 
                 await this.client.lRem(this.processingQueue, 1, processingJobs[i]);
 
                 if (job.attempts < maxRetries) {
                     // Retry - add back to queue with lower priority
                     job.status = 'retry';
-                    await this.client.lPush(this.queueName, JSON.stringify(job));
-                    console.log(`Job ${jobId} failed, retrying (attempt ${job.attempts}/${maxRetries})`);
+                    await this.client.lPush(this.queueKey, this.codec.encode(job));
+                    this.recordJob('retry', { jobId, attempts: job.attempts, error });
+                    this.logger.info(`Job ${jobId} failed, retrying (attempt ${job.attempts}/${maxRetries})`);
                 } else {
                     // Max retries reached - move to failed queue
                     job.status = 'failed';
-                    await this.client.lPush(this.failedQueue, JSON.stringify(job));
-                    console.log(`Job ${jobId} failed permanently after ${maxRetries} attempts`);
+                    await this.client.lPush(this.failedQueue, this.codec.encode(job));
+                    this.recordJob('fail', { jobId, attempts: job.attempts, error });
+                    this.logger.info(`Job ${jobId} failed permanently after ${maxRetries} attempts`);
                 }
 
                 return true;
             }
         }
 
-        console.log(`Job ${jobId} not found in processing queue`);
+        this.logger.info(`Job ${jobId} not found in processing queue`);
         return false;
     }
 
     // Process delayed jobs
     async processDelayedJobs() {
-        const now = Date.now();
-        const delayedJobs = await this.client.zRangeByScore(this.delayedQueue, 0, now);
+        const now = this.clock.now();
+        const delayedJobs = await this.valueClient.zRangeByScore(this.delayedQueue, 0, now);
 
         for (const jobData of delayedJobs) {
-            const job = JSON.parse(jobData);
+            const job = this.codec.decode(jobData);
             job.status = 'queued';
 
             // Remove from delayed queue
             await this.client.zRem(this.delayedQueue, jobData);
 
             // Add to regular queue
-            await this.client.lPush(this.queueName, JSON.stringify(job));
-            console.log(`Delayed job ${job.id} moved to active queue`);
+            await this.client.lPush(this.queueKey, this.codec.encode(job));
+            this.logger.info(`Delayed job ${job.id} moved to active queue`);
         }
 
         return delayedJobs.length;
@@ -151,12 +168,16 @@ class JobQueue {
     // Get queue statistics
     async getQueueStats() {
         const [queued, processing, failed, delayed] = await Promise.all([
-            this.client.lLen(this.queueName),
+            this.client.lLen(this.queueKey),
             this.client.lLen(this.processingQueue),
             this.client.lLen(this.failedQueue),
             this.client.zCard(this.delayedQueue)
         ]);
 
+        for (const [state, depth] of Object.entries({ queued, processing, failed, delayed })) {
+            this.depthMetric.set({ queue: this.queueName, state }, depth);
+        }
+
         return {
             queued,
             processing,
@@ -166,20 +187,54 @@ class JobQueue {
         };
     }
 
+    // Move failed jobs back onto the queue, oldest first, with a fresh retry budget
+    async retryFailedJobs(limit = Infinity) {
+        let retried = 0;
+
+        while (retried < limit) {
+            const jobData = await this.valueClient.rPop(this.failedQueue);
+            if (!jobData) break;
+
+            const job = this.codec.decode(jobData);
+            job.status = 'queued';
+            job.attempts = 0;
+
+            await this.client.lPush(this.queueKey, this.codec.encode(job));
+            retried++;
+        }
+
+        this.logger.info(`Re-queued ${retried} failed jobs`);
+        return retried;
+    }
+
+    // Discard jobs waiting to run (normal, high priority and delayed); processing and failed jobs are kept
+    async drainQueue() {
+        const [queued, high, delayed] = await this.client.multi()
+            .lLen(this.queueKey)
+            .lLen(`${this.queueKey}:high`)
+            .zCard(this.delayedQueue)
+            .del([this.queueKey, `${this.queueKey}:high`, this.delayedQueue])
+            .exec();
+
+        const drained = queued + high + delayed;
+        this.logger.info(`Drained ${drained} waiting jobs`);
+        return drained;
+    }
+
     // Clear all queues (for testing)
     async clearQueues() {
         await Promise.all([
-            this.client.del(this.queueName),
-            this.client.del(`${this.queueName}:high`),
+            this.client.del(this.queueKey),
+            this.client.del(`${this.queueKey}:high`),
             this.client.del(this.processingQueue),
             this.client.del(this.failedQueue),
             this.client.del(this.delayedQueue)
         ]);
-        console.log('All queues cleared');
+        this.logger.info('All queues cleared');
     }
 
     generateJobId() {
-        return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        return `job_${this.clock.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 }
 
@@ -206,6 +261,7 @@ async function processJob(job) {
 
 // Demo the message queuing functionality
 async function demoMessageQueuing() {
+    const client = await getClient();
     const queue = new JobQueue(client, 'demo_queue');
 
     console.log('=== Redis Message Queuing Demo ===\n');
@@ -270,7 +326,12 @@ async function demoMessageQueuing() {
     stats = await queue.getQueueStats();
     console.log('Queue stats:', JSON.stringify(stats, null, 2));
 
-    await client.disconnect();
+    await closeClient();
 }
 
-demoMessageQueuing().catch(console.error);
\ No newline at end of file
+export { JobQueue };
+
+// Run demonstration if this file is executed directly
+if (isMainModule(import.meta.url)) {
+    demoMessageQueuing().catch(console.error);
+}
@@ -1,25 +1,37 @@
-import { createClient } from 'redis';
-
-const client = createClient({
-    username: 'default',
-    password: 'gX94CVL0mRXXi7hligXMmMavy4lr55PV',
-    socket: {
-        host: 'redis-12372.c54.ap-northeast-1-2.ec2.redns.redis-cloud.com',
-        port: 12372
+import { EventEmitter } from 'node:events';
+import { getClient, closeClient } from './connection.js';
+import { systemClock } from './clock.js';
+import { countKeys } from './key_scan.js';
+import { jsonCodec, binaryReplies } from './codecs.js';
+import { createKeyspace } from './keyspace.js';
+import { consoleLogger, defaultRegistry, traceClient } from './observability.js';
+import { isMainModule } from './main_module.js';
+
+// Hash fields read as raw bytes; turn everything except the encoded fields back into text
+function hashFieldsToText(data, encodedFields) {
+    const fields = {};
+    for (const [field, value] of Object.entries(data)) {
+        fields[field] = Buffer.isBuffer(value) && !encodedFields.includes(field) ? value.toString() : value;
     }
-});
-
-client.on('error', err => console.log('Redis Client Error', err));
-
-await client.connect();
+    return fields;
+}
 
 // ML Feature Store example - storing and retrieving machine learning model features
-class MLFeatureStore {
-    constructor(redisClient) {
-        this.client = redisClient;
-        this.featuresKey = 'ml:features';
-        this.modelsKey = 'ml:models';
-        this.datasetsKey = 'ml:datasets';
+//
+// Events: 'featureStore' { featureName, entityIds }, 'modelStore' { modelId }
+class MLFeatureStore extends EventEmitter {
+    constructor(redisClient, options = {}) {
+        super();
+        this.client = traceClient(redisClient, options.tracer);
+        this.logger = options.logger || consoleLogger;
+        this.metrics = options.metrics || defaultRegistry;
+        this.clock = options.clock || systemClock;
+        this.codec = options.codec || jsonCodec;
+        this.valueClient = binaryReplies(this.client); // reads encoded vectors and weights as raw bytes
+        this.keys = createKeyspace(options);
+        this.featuresKey = this.keys.key('ml:features');
+        this.modelsKey = this.keys.key('ml:models');
+        this.datasetsKey = this.keys.key('ml:datasets');
     }
 
     // Store feature vector for an entity
@@ -30,9 +42,9 @@ class MLFeatureStore {
         const featureData = {
             entityId,
             featureName,
-            vector: JSON.stringify(featureVector),
+            vector: this.codec.encode(featureVector),
             dimensions: featureVector.length,
-            createdAt: new Date().toISOString(),
+            createdAt: new Date(this.clock.now()).toISOString(),
             version: '1.0',
             ...metadata
         };
@@ -45,22 +57,23 @@ class MLFeatureStore {
         // Add to global feature index
         await this.client.sAdd(`${this.featuresKey}:all`, `${featureName}:${entityId}`);
 
-        console.log(`Stored feature vector: ${featureName} for ${entityId} (${featureVector.length} dimensions)`);
+        this.emit('featureStore', { featureName, entityIds: [entityId] });
+        this.logger.info(`Stored feature vector: ${featureName} for ${entityId} (${featureVector.length} dimensions)`);
     }
 
     // Retrieve feature vector
     async getFeatureVector(entityId, featureName) {
         const key = `${this.featuresKey}:${featureName}:${entityId}`;
-        const data = await this.client.hGetAll(key);
+        const { vector, ...data } = hashFieldsToText(await this.valueClient.hGetAll(key), ['vector']);
 
-        if (!data.vector) {
+        if (!vector) {
             return null;
         }
 
         return {
             entityId: data.entityId,
             featureName: data.featureName,
-            vector: JSON.parse(data.vector),
+            vector: this.codec.decode(vector),
             dimensions: parseInt(data.dimensions),
             createdAt: data.createdAt,
             metadata: { ...data }
@@ -78,9 +91,9 @@ class MLFeatureStore {
             const featureData = {
                 entityId,
                 featureName,
-                vector: JSON.stringify(vector),
+                vector: this.codec.encode(vector),
                 dimensions: vector.length,
-                createdAt: new Date().toISOString(),
+                createdAt: new Date(this.clock.now()).toISOString(),
                 version: '1.0',
                 ...metadata,
                 ...itemMetadata
@@ -92,13 +105,14 @@ class MLFeatureStore {
         }
 
         const results = await pipeline.exec();
-        console.log(`Stored ${featureBatch.length} feature vectors for ${featureName}`);
+        this.emit('featureStore', { featureName, entityIds: featureBatch.map(item => item.entityId) });
+        this.logger.info(`Stored ${featureBatch.length} feature vectors for ${featureName}`);
         return results.length;
     }
 
     // Get feature vectors for multiple entities
     async getBatchFeatureVectors(entityIds, featureName) {
-        const pipeline = this.client.multi();
+        const pipeline = this.valueClient.multi();
 
         for (const entityId of entityIds) {
             const key = `${this.featuresKey}:${featureName}:${entityId}`;
@@ -107,16 +121,16 @@ class MLFeatureStore {
 
         const results = await pipeline.exec();
 
-        return results.map((result, index) => {
-            const data = result[1]; // Pipeline returns [error, result]
-            if (!data.vector) {
+        return results.map((reply, index) => {
+            const { vector, ...data } = hashFieldsToText(reply, ['vector']);
+            if (!vector) {
                 return null;
             }
 
             return {
                 entityId: entityIds[index],
                 featureName,
-                vector: JSON.parse(data.vector),
+                vector: this.codec.decode(vector),
                 dimensions: parseInt(data.dimensions),
                 createdAt: data.createdAt,
                 metadata: { ...data }
@@ -134,7 +148,7 @@ class MLFeatureStore {
             type: modelData.type,
             framework: modelData.framework || 'custom',
             version: modelData.version || '1.0',
-            createdAt: new Date().toISOString(),
+            createdAt: new Date(this.clock.now()).toISOString(),
             inputFeatures: JSON.stringify(modelData.inputFeatures || []),
             outputShape: JSON.stringify(modelData.outputShape || []),
             accuracy: modelData.accuracy || 0,
@@ -146,13 +160,14 @@ class MLFeatureStore {
 
         // Store model weights if provided (as compressed/serialized data)
         if (modelData.weights) {
-            await this.client.set(`${key}:weights`, JSON.stringify(modelData.weights));
+            await this.client.set(`${key}:weights`, this.codec.encode(modelData.weights));
         }
 
         // Add to models index
         await this.client.sAdd(`${this.modelsKey}:index`, modelId);
 
-        console.log(`Stored model: ${modelId} (${modelData.name})`);
+        this.emit('modelStore', { modelId });
+        this.logger.info(`Stored model: ${modelId} (${modelData.name})`);
     }
 
     // Get model information
@@ -165,13 +180,13 @@ class MLFeatureStore {
         }
 
         // Get weights if they exist
-        const weights = await this.client.get(`${key}:weights`);
+        const weights = await this.valueClient.get(`${key}:weights`);
 
         return {
             ...modelInfo,
             inputFeatures: JSON.parse(modelInfo.inputFeatures || '[]'),
             outputShape: JSON.parse(modelInfo.outputShape || '[]'),
-            weights: weights ? JSON.parse(weights) : null
+            weights: weights ? this.codec.decode(weights) : null
         };
     }
 
@@ -185,7 +200,7 @@ class MLFeatureStore {
             description: datasetData.description,
             size: datasetData.size || 0,
             features: JSON.stringify(datasetData.features || []),
-            createdAt: new Date().toISOString(),
+            createdAt: new Date(this.clock.now()).toISOString(),
             version: datasetData.version || '1.0',
             format: datasetData.format || 'json',
             ...datasetData.metadata
@@ -194,7 +209,7 @@ class MLFeatureStore {
         await this.client.hSet(key, datasetInfo);
         await this.client.sAdd(`${this.datasetsKey}:index`, datasetId);
 
-        console.log(`Stored dataset: ${datasetId} (${datasetData.name})`);
+        this.logger.info(`Stored dataset: ${datasetId} (${datasetData.name})`);
     }
 
     // Calculate feature statistics
@@ -328,21 +343,21 @@ class MLFeatureStore {
             this.client.sCard(`${this.datasetsKey}:index`)
         ]);
 
-        // Get feature types
-        const featureKeys = await this.client.keys(`${this.featuresKey}:index:*`);
-        const featureTypes = featureKeys.map(key => key.replace(`${this.featuresKey}:index:`, ''));
+        // Count feature types (one index set per feature name)
+        const featureTypes = await countKeys(this.client, { match: `${this.featuresKey}:index:*`, type: 'set' });
 
         return {
             totalFeatures,
             totalModels,
             totalDatasets,
-            featureTypes: featureTypes.length
+            featureTypes
         };
     }
 }
 
 // Demo the ML feature store functionality
 async function demoMLFeatureStore() {
+    const client = await getClient();
     const featureStore = new MLFeatureStore(client);
 
     console.log('=== Redis ML Feature Store Demo ===\n');
@@ -467,8 +482,13 @@ async function demoMLFeatureStore() {
     const stats = await featureStore.getStats();
     console.log('Feature store stats:', stats);
 
-    await client.disconnect();
+    await closeClient();
     console.log('\nML Feature Store demo completed!');
 }
 
-demoMLFeatureStore().catch(console.error);
\ No newline at end of file
+export { MLFeatureStore };
+
+// Run demonstration if this file is executed directly
+if (isMainModule(import.meta.url)) {
+    demoMLFeatureStore().catch(console.error);
+}
@@ -0,0 +1,322 @@
+// Observability - loggers, Prometheus-style metrics and OpenTelemetry-compatible tracing
+//
+// Every manager accepts these constructor options:
+//   logger  - object with debug/info/warn/error methods (console, pino, winston, ...);
+//             defaults to consoleLogger, pass silentLogger to turn the narration off
+//   metrics - MetricsRegistry to record into; defaults to the shared defaultRegistry
+//   tracer  - OpenTelemetry tracer (trace.getTracer(...)); when set, every Redis command the
+//             manager sends is wrapped in a client span
+//
+// Managers are also EventEmitters; the events each one emits are listed above its class.
+
+// Writes to the console, looked up on every call so tests and hosts can redirect it
+export const consoleLogger = {
+    debug: () => {},
+    info: (...args) => console.log(...args),
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args)
+};
+
+export const silentLogger = {
+    debug: () => {},
+    info: () => {},
+    warn: () => {},
+    error: () => {}
+};
+
+export const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Seconds elapsed since a process.hrtime.bigint() reading
+export function secondsSince(start) {
+    return Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatNumber(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+// Base for the metric types: one series per distinct label set
+class Metric {
+    constructor(type, name, help, labelNames) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // serialized labels -> { labels, ...state }
+    }
+
+    // Keep only the declared labels, in declaration order
+    pickLabels(labels) {
+        const picked = {};
+        for (const name of this.labelNames) {
+            picked[name] = labels[name] ?? '';
+        }
+        return picked;
+    }
+
+    // Find (or create) the series for a label set
+    seriesFor(labels, create) {
+        const picked = this.pickLabels(labels);
+        const id = JSON.stringify(picked);
+        if (!this.series.has(id)) {
+            this.series.set(id, { labels: picked, ...create() });
+        }
+        return this.series.get(id);
+    }
+
+    // Existing series for a label set, without creating one
+    peek(labels) {
+        return this.series.get(JSON.stringify(this.pickLabels(labels)));
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.renderSeries()];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        if (amount < 0) {
+            throw new Error(`Counter ${this.name} cannot decrease`);
+        }
+        this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    get(labels = {}) {
+        return this.peek(labels)?.value ?? 0;
+    }
+
+    renderSeries() {
+        return Array.from(this.series.values(), ({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatNumber(value)}`);
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+
+    get(labels = {}) {
+        return this.peek(labels)?.value ?? 0;
+    }
+
+    renderSeries() {
+        return Array.from(this.series.values(), ({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatNumber(value)}`);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // { count, sum } for a label set, mostly for tests and dashboards built in code
+    get(labels = {}) {
+        const { count = 0, sum = 0 } = this.peek(labels) || {};
+        return { count, sum };
+    }
+
+    renderSeries() {
+        const lines = [];
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatNumber(bound) })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+// Collection of metrics rendered together in the Prometheus text exposition format
+export class MetricsRegistry {
+    constructor(options = {}) {
+        this.prefix = options.prefix ?? 'redis_usecases_';
+        this.metrics = new Map();
+    }
+
+    // Return the existing metric with this name, or register a new one
+    register(MetricClass, name, help, labelNames, ...extra) {
+        const fullName = `${this.prefix}${name}`;
+        const existing = this.metrics.get(fullName);
+
+        if (existing) {
+            if (!(existing instanceof MetricClass)) {
+                throw new Error(`Metric ${fullName} is already registered as a ${existing.type}`);
+            }
+            return existing;
+        }
+
+        const metric = new MetricClass(fullName, help, labelNames, ...extra);
+        this.metrics.set(fullName, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames = []) {
+        return this.register(Counter, name, help, labelNames);
+    }
+
+    gauge(name, help, labelNames = []) {
+        return this.register(Gauge, name, help, labelNames);
+    }
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        return this.register(Histogram, name, help, labelNames, buckets);
+    }
+
+    // Prometheus text exposition format (text/plain; version=0.0.4)
+    toPrometheus() {
+        const blocks = [];
+        for (const metric of this.metrics.values()) {
+            if (metric.series.size > 0) blocks.push(metric.render().join('\n'));
+        }
+        return blocks.length > 0 ? `${blocks.join('\n')}\n` : '';
+    }
+
+    reset() {
+        for (const metric of this.metrics.values()) metric.reset();
+    }
+}
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Shared registry used by managers that are not given one
+export const defaultRegistry = new MetricsRegistry();
+
+// ---- Tracing ----
+
+// Values of the OpenTelemetry SpanKind and SpanStatusCode enums
+const SPAN_KIND_CLIENT = 2;
+const SPAN_STATUS_ERROR = 2;
+
+// Client methods that do not send a command (or return a sub-client that is traced separately)
+const UNTRACED_METHODS = new Set([
+    'connect', 'disconnect', 'destroy', 'close', 'quit', 'on', 'once', 'off', 'emit',
+    'addListener', 'removeListener', 'removeAllListeners', 'duplicate', 'withTypeMapping',
+    'multi', 'MULTI', 'scanIterator'
+]);
+
+function runInSpan(tracer, name, attributes, run) {
+    const span = tracer.startSpan(name, { kind: SPAN_KIND_CLIENT, attributes });
+
+    let result;
+    try {
+        result = run();
+    } catch (error) {
+        span.recordException(error);
+        span.setStatus({ code: SPAN_STATUS_ERROR, message: error.message });
+        span.end();
+        throw error;
+    }
+
+    if (!result || typeof result.then !== 'function') {
+        span.end();
+        return result;
+    }
+
+    return result.then(
+        value => {
+            span.end();
+            return value;
+        },
+        error => {
+            span.recordException(error);
+            span.setStatus({ code: SPAN_STATUS_ERROR, message: error.message });
+            span.end();
+            throw error;
+        }
+    );
+}
+
+// Wrap a transaction so exec() is traced as one span named after its commands
+function traceMulti(multi, tracer) {
+    const commands = [];
+
+    const proxy = new Proxy(multi, {
+        get(target, property) {
+            const value = target[property];
+            if (typeof value !== 'function') return value;
+
+            if (property === 'exec' || property === 'execAsPipeline') {
+                return (...args) => runInSpan(tracer, 'redis.MULTI', {
+                    'db.system': 'redis',
+                    'db.operation': 'MULTI',
+                    'db.redis.commands': commands.join(' ')
+                }, () => value.apply(target, args));
+            }
+
+            // Queueing methods return the transaction for chaining; keep returning the proxy
+            return (...args) => {
+                commands.push(String(property).toUpperCase());
+                const result = value.apply(target, args);
+                return result === target ? proxy : result;
+            };
+        }
+    });
+
+    return proxy;
+}
+
+// Wrap a node-redis (or in-memory) client so every command runs inside a span
+export function traceClient(client, tracer) {
+    if (!tracer || !client) return client;
+
+    return new Proxy(client, {
+        get(target, property) {
+            const value = target[property];
+            if (typeof value !== 'function' || typeof property === 'symbol') return value;
+
+            if (property === 'multi' || property === 'MULTI') {
+                return (...args) => traceMulti(value.apply(target, args), tracer);
+            }
+            if (property === 'withTypeMapping' || property === 'duplicate') {
+                return (...args) => traceClient(value.apply(target, args), tracer);
+            }
+            if (UNTRACED_METHODS.has(property)) {
+                return value.bind(target);
+            }
+
+            const operation = property.toUpperCase();
+            return (...args) => runInSpan(tracer, `redis.${operation}`, {
+                'db.system': 'redis',
+                'db.operation': operation
+            }, () => value.apply(target, args));
+        }
+    });
+}
@@ -1,25 +1,37 @@
-import { createClient } from 'redis';
-
-const client = createClient({
-    username: 'default',
-    password: 'gX94CVL0mRXXi7hligXMmMavy4lr55PV',
-    socket: {
-        host: 'redis-12372.c54.ap-northeast-1-2.ec2.redns.redis-cloud.com',
-        port: 12372
-    }
-});
-
-client.on('error', err => console.log('Redis Client Error', err));
-
-await client.connect();
+import { EventEmitter } from 'node:events';
+import { getClient, closeClient } from './connection.js';
+import { systemClock } from './clock.js';
+import { createKeyspace } from './keyspace.js';
+import { consoleLogger, defaultRegistry, traceClient } from './observability.js';
+import { isMainModule } from './main_module.js';
 
 // Pub/Sub Messaging example - real-time messaging between applications
-class PubSubManager {
-    constructor(redisClient) {
-        this.client = redisClient;
-        this.subscriber = redisClient.duplicate(); // Separate connection for subscribing
-        this.publisher = redisClient; // Use main client for publishing
+//
+// Events: 'publish' { channel, subscribers }, 'message' { channel, message }
+class PubSubManager extends EventEmitter {
+    constructor(redisClient, options = {}) {
+        super();
+        this.client = traceClient(redisClient, options.tracer);
+        this.logger = options.logger || consoleLogger;
+        this.metrics = options.metrics || defaultRegistry;
+        this.clock = options.clock || systemClock;
+        this.keys = createKeyspace(options); // channel names are prefixed like keys
+        this.subscriber = this.client.duplicate(); // Separate connection for subscribing
+        this.publisher = this.client; // Use main client for publishing
         this.subscriptions = new Map();
+        this.messagesMetric = this.metrics.counter('pubsub_messages_total', 'Messages published and received', ['direction']);
+    }
+
+    // Count a delivered message and tell listeners before handing it to the subscriber
+    recordMessage(channel, message) {
+        this.messagesMetric.inc({ direction: 'received' });
+        this.emit('message', { channel, message });
+    }
+
+    // Count a published message and tell listeners
+    recordPublish(channel, subscribers) {
+        this.messagesMetric.inc({ direction: 'published' });
+        this.emit('publish', { channel, subscribers });
     }
 
     // Subscribe to a channel
@@ -30,12 +42,13 @@ class PubSubManager {
         }
 
         // Subscribe to channel
-        await this.subscriber.subscribe(channel, (message) => {
+        await this.subscriber.subscribe(this.keys.key(channel), (message) => {
+            this.recordMessage(channel, message);
             try {
                 const data = JSON.parse(message);
                 callback(data);
             } catch (error) {
-                console.error(`Error parsing message from ${channel}:`, error);
+                this.logger.error(`Error parsing message from ${channel}:`, error);
                 callback(message); // Pass raw message if JSON parsing fails
             }
         });
@@ -46,7 +59,7 @@ class PubSubManager {
         }
         this.subscriptions.get(channel).push(callback);
 
-        console.log(`Subscribed to channel: ${channel}`);
+        this.logger.info(`Subscribed to channel: ${channel}`);
     }
 
     // Unsubscribe from a channel
@@ -60,36 +73,38 @@ class PubSubManager {
             }
 
             if (callbacks.length === 0) {
-                await this.subscriber.unsubscribe(channel);
+                await this.subscriber.unsubscribe(this.keys.key(channel));
                 this.subscriptions.delete(channel);
             }
         } else {
             // Remove all callbacks for channel
-            await this.subscriber.unsubscribe(channel);
+            await this.subscriber.unsubscribe(this.keys.key(channel));
             this.subscriptions.delete(channel);
         }
 
-        console.log(`Unsubscribed from channel: ${channel}`);
+        this.logger.info(`Unsubscribed from channel: ${channel}`);
     }
 
     // Publish a message to a channel
     async publish(channel, message) {
         const messageStr = typeof message === 'string' ? message : JSON.stringify(message);
-        const subscribers = await this.publisher.publish(channel, messageStr);
-        console.log(`Published to ${channel}: ${subscribers} subscribers received the message`);
+        const subscribers = await this.publisher.publish(this.keys.key(channel), messageStr);
+        this.recordPublish(channel, subscribers);
+        this.logger.info(`Published to ${channel}: ${subscribers} subscribers received the message`);
         return subscribers;
     }
 
-    // Get list of active channels
+    // Get list of active channels in this namespace
     async getActiveChannels() {
-        const channels = await this.publisher.pubsubChannels();
-        return channels;
+        const channels = await this.publisher.pubSubChannels(this.keys.key('*'));
+        return channels.map(channel => this.keys.strip(channel));
     }
 
     // Get number of subscribers for a channel
     async getSubscriberCount(channel) {
-        const counts = await this.publisher.pubsubNumsub([channel]);
-        return counts.length > 0 ? counts[0][1] : 0;
+        const fullChannel = this.keys.key(channel);
+        const counts = await this.publisher.pubSubNumSub([fullChannel]);
+        return counts[fullChannel] || 0;
     }
 
     // Pattern subscription (subscribe to channels matching a pattern)
@@ -98,17 +113,19 @@ class PubSubManager {
             await this.subscriber.connect();
         }
 
-        await this.subscriber.pSubscribe(pattern, (message, channel) => {
+        await this.subscriber.pSubscribe(this.keys.key(pattern), (message, fullChannel) => {
+            const channel = this.keys.strip(fullChannel);
+            this.recordMessage(channel, message);
             try {
                 const data = JSON.parse(message);
                 callback(data, channel);
             } catch (error) {
-                console.error(`Error parsing message from ${channel}:`, error);
+                this.logger.error(`Error parsing message from ${channel}:`, error);
                 callback(message, channel);
             }
         });
 
-        console.log(`Pattern subscribed to: ${pattern}`);
+        this.logger.info(`Pattern subscribed to: ${pattern}`);
     }
 
     // Publish to multiple channels
@@ -117,12 +134,13 @@ class PubSubManager {
         let totalSubscribers = 0;
 
         for (const channel of channels) {
-            const subscribers = await this.publisher.publish(channel, messageStr);
+            const subscribers = await this.publisher.publish(this.keys.key(channel), messageStr);
+            this.recordPublish(channel, subscribers);
             totalSubscribers += subscribers;
-            console.log(`Published to ${channel}: ${subscribers} subscribers`);
+            this.logger.info(`Published to ${channel}: ${subscribers} subscribers`);
         }
 
-        console.log(`Total subscribers across all channels: ${totalSubscribers}`);
+        this.logger.info(`Total subscribers across all channels: ${totalSubscribers}`);
         return totalSubscribers;
     }
 
@@ -131,7 +149,7 @@ class PubSubManager {
         const roomChannel = `chat:${roomName}`;
         const systemChannel = `system:${roomName}`;
 
-        console.log(`Created chat room: ${roomName}`);
+        this.logger.info(`Created chat room: ${roomName}`);
         return {
             roomChannel,
             systemChannel,
@@ -148,7 +166,7 @@ class PubSubManager {
             userId,
             username,
             message,
-            timestamp: new Date().toISOString()
+            timestamp: new Date(this.clock.now()).toISOString()
         };
 
         return await this.publish(roomChannel, chatMessage);
@@ -162,7 +180,7 @@ class PubSubManager {
             room: roomName,
             message,
             messageType,
-            timestamp: new Date().toISOString()
+            timestamp: new Date(this.clock.now()).toISOString()
         };
 
         return await this.publish(systemChannel, systemMessage);
@@ -190,6 +208,7 @@ class PubSubManager {
 
 // Demo the pub/sub functionality
 async function demoPubSub() {
+    const client = await getClient();
     const pubsub = new PubSubManager(client);
 
     console.log('=== Redis Pub/Sub Messaging Demo ===\n');
@@ -302,7 +321,13 @@ async function demoPubSub() {
     await new Promise(resolve => setTimeout(resolve, 500));
 
     await pubsub.close();
+    await closeClient();
     console.log('\nPub/Sub demo completed!');
 }
 
-demoPubSub().catch(console.error);
\ No newline at end of file
+export { PubSubManager };
+
+// Run demonstration if this file is executed directly
+if (isMainModule(import.meta.url)) {
+    demoPubSub().catch(console.error);
+}
@@ -1,65 +1,77 @@
-import { createClient } from 'redis';
-
-const client = createClient({
-    username: 'default',
-    password: 'gX94CVL0mRXXi7hligXMmMavy4lr55PV',
-    socket: {
-        host: 'redis-12372.c54.ap-northeast-1-2.ec2.redns.redis-cloud.com',
-        port: 12372
-    }
-});
+import { EventEmitter } from 'node:events';
+import { getClient, closeClient } from './connection.js';
+import { systemClock } from './clock.js';
+import { createKeyspace } from './keyspace.js';
+import { consoleLogger, defaultRegistry, traceClient } from './observability.js';
+import { isMainModule } from './main_module.js';
 
-client.on('error', err => console.log('Redis Client Error', err));
+// Rate Limiting example - controlling API request rates
+//
+// Events: 'allowed' and 'rejected' { identifier, strategy, ...decision }
+class RateLimiter extends EventEmitter {
+    constructor(redisClient, options = {}) {
+        super();
+        this.client = traceClient(redisClient, options.tracer);
+        this.logger = options.logger || consoleLogger;
+        this.metrics = options.metrics || defaultRegistry;
+        this.clock = options.clock || systemClock;
+        this.keys = createKeyspace(options);
+        this.decisionsMetric = this.metrics.counter('ratelimit_decisions_total', 'Rate limit checks by outcome', ['strategy', 'result']);
+    }
 
-await client.connect();
+    // Count the decision, tell listeners and pass the result through
+    recordDecision(identifier, strategy, result) {
+        this.decisionsMetric.inc({ strategy, result: result.allowed ? 'allowed' : 'rejected' });
+        this.emit(result.allowed ? 'allowed' : 'rejected', { identifier, strategy, ...result });
+        return result;
+    }
 
-// Rate Limiting example - controlling API request rates
-class RateLimiter {
-    constructor(redisClient) {
-        this.client = redisClient;
+    // Unique sorted-set member for a request, so requests in the same millisecond are all counted
+    requestId(now) {
+        return `${now}:${Math.random().toString(36).slice(2, 10)}`;
     }
 
     // Fixed window rate limiting
     async checkFixedWindow(identifier, limit, windowSeconds) {
-        const key = `ratelimit:fixed:${identifier}`;
-        const now = Date.now();
+        const key = this.keys.key(`ratelimit:fixed:${identifier}`);
+        const now = this.clock.now();
         const windowStart = Math.floor(now / 1000 / windowSeconds) * windowSeconds;
 
         // Remove old entries outside current window
-        await this.client.zRemRangeByScore(key, 0, windowStart - 1);
+        await this.client.zRemRangeByScore(key, 0, `(${windowStart}`);
 
         // Count requests in current window
         const requestCount = await this.client.zCard(key);
 
         if (requestCount >= limit) {
-            return {
+            return this.recordDecision(identifier, 'fixed', {
                 allowed: false,
                 remaining: 0,
                 resetTime: windowStart + windowSeconds,
                 limit,
                 windowSeconds
-            };
+            });
         }
 
         // Add current request
-        await this.client.zAdd(key, [{ score: now / 1000, value: now.toString() }]);
+        await this.client.zAdd(key, [{ score: now / 1000, value: this.requestId(now) }]);
 
         // Set expiration on the key
         await this.client.expire(key, windowSeconds * 2);
 
-        return {
+        return this.recordDecision(identifier, 'fixed', {
             allowed: true,
             remaining: limit - requestCount - 1,
             resetTime: windowStart + windowSeconds,
             limit,
             windowSeconds
-        };
+        });
     }
 
     // Sliding window rate limiting
     async checkSlidingWindow(identifier, limit, windowSeconds) {
-        const key = `ratelimit:sliding:${identifier}`;
-        const now = Date.now() / 1000;
+        const key = this.keys.key(`ratelimit:sliding:${identifier}`);
+        const now = this.clock.now() / 1000;
         const windowStart = now - windowSeconds;
 
         // Remove old entries
@@ -74,39 +86,39 @@ class RateLimiter {
             const resetTime = oldestRequest.length > 0 ?
                 oldestRequest[0].score + windowSeconds : now + windowSeconds;
 
-            return {
+            return this.recordDecision(identifier, 'sliding', {
                 allowed: false,
                 remaining: 0,
                 resetTime,
                 limit,
                 windowSeconds
-            };
+            });
         }
 
         // Add current request
-        await this.client.zAdd(key, [{ score: now, value: now.toString() }]);
+        await this.client.zAdd(key, [{ score: now, value: this.requestId(now) }]);
 
         // Set expiration (keep data a bit longer than window)
         await this.client.expire(key, windowSeconds * 2);
 
-        return {
+        return this.recordDecision(identifier, 'sliding', {
             allowed: true,
             remaining: limit - requestCount - 1,
             resetTime: now + windowSeconds,
             limit,
             windowSeconds
-        };
+        });
     }
 
     // Token bucket algorithm
     async checkTokenBucket(identifier, capacity, refillRatePerSecond) {
-        const key = `ratelimit:bucket:${identifier}`;
-        const now = Date.now() / 1000;
+        const key = this.keys.key(`ratelimit:bucket:${identifier}`);
+        const now = this.clock.now() / 1000;
 
         // Get current bucket state
         const bucketData = await this.client.hGetAll(key);
-        let tokens = parseFloat(bucketData.tokens) || capacity;
-        let lastRefill = parseFloat(bucketData.lastRefill) || now;
+        let tokens = bucketData.tokens !== undefined ? parseFloat(bucketData.tokens) : capacity;
+        let lastRefill = bucketData.lastRefill !== undefined ? parseFloat(bucketData.lastRefill) : now;
 
         // Calculate tokens to add since last refill
         const timePassed = now - lastRefill;
@@ -118,13 +130,13 @@ class RateLimiter {
             const timeToNextToken = (1 - tokens) / refillRatePerSecond;
             const resetTime = now + timeToNextToken;
 
-            return {
+            return this.recordDecision(identifier, 'token_bucket', {
                 allowed: false,
                 remaining: Math.floor(tokens),
                 resetTime,
                 capacity,
                 refillRate: refillRatePerSecond
-            };
+            });
         }
 
         // Consume a token
@@ -139,13 +151,13 @@ class RateLimiter {
         // Set expiration (keep bucket for a reasonable time)
         await this.client.expire(key, 3600); // 1 hour
 
-        return {
+        return this.recordDecision(identifier, 'token_bucket', {
             allowed: true,
             remaining: Math.floor(tokens),
             resetTime: now + (1 / refillRatePerSecond),
             capacity,
             refillRate: refillRatePerSecond
-        };
+        });
     }
 
     // Check rate limit with multiple strategies
@@ -171,9 +183,9 @@ class RateLimiter {
 
     // Get rate limit status
     async getRateLimitStatus(identifier, strategy = 'fixed') {
-        const key = strategy === 'token_bucket' ?
+        const key = this.keys.key(strategy === 'token_bucket' ?
             `ratelimit:bucket:${identifier}` :
-            `ratelimit:${strategy}:${identifier}`;
+            `ratelimit:${strategy}:${identifier}`);
 
         if (strategy === 'token_bucket') {
             const data = await this.client.hGetAll(key);
@@ -193,12 +205,12 @@ class RateLimiter {
 
     // Reset rate limit for an identifier
     async resetRateLimit(identifier, strategy = 'fixed') {
-        const key = strategy === 'token_bucket' ?
+        const key = this.keys.key(strategy === 'token_bucket' ?
             `ratelimit:bucket:${identifier}` :
-            `ratelimit:${strategy}:${identifier}`;
+            `ratelimit:${strategy}:${identifier}`);
 
         await this.client.del(key);
-        console.log(`Reset rate limit for ${identifier} using ${strategy} strategy`);
+        this.logger.info(`Reset rate limit for ${identifier} using ${strategy} strategy`);
     }
 }
 
@@ -224,6 +236,7 @@ async function simulateAPIRequest(rateLimiter, userId, endpoint, strategy = 'fix
 
 // Demo the rate limiting functionality
 async function demoRateLimiting() {
+    const client = await getClient();
     const rateLimiter = new RateLimiter(client);
 
     console.log('=== Redis Rate Limiting Demo ===\n');
@@ -297,7 +310,12 @@ async function demoRateLimiting() {
     await simulateAPIRequest(rateLimiter, 'alice', '/api/posts', 'fixed');
     await simulateAPIRequest(rateLimiter, 'alice', '/api/comments', 'fixed');
 
-    await client.disconnect();
+    await closeClient();
 }
 
-demoRateLimiting().catch(console.error);
\ No newline at end of file
+export { RateLimiter };
+
+// Run demonstration if this file is executed directly
+if (isMainModule(import.meta.url)) {
+    demoRateLimiting().catch(console.error);
+}
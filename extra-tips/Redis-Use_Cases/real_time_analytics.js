@@ -1,35 +1,36 @@
-import { createClient } from 'redis';
-
-const client = createClient({
-    username: 'default',
-    password: 'gX94CVL0mRXXi7hligXMmMavy4lr55PV',
-    socket: {
-        host: 'redis-12372.c54.ap-northeast-1-2.ec2.redns.redis-cloud.com',
-        port: 12372
-    }
-});
-
-client.on('error', err => console.log('Redis Client Error', err));
-
-await client.connect();
+import { EventEmitter } from 'node:events';
+import { getClient, closeClient } from './connection.js';
+import { systemClock } from './clock.js';
+import { scanKeys } from './key_scan.js';
+import { createKeyspace } from './keyspace.js';
+import { consoleLogger, defaultRegistry, traceClient } from './observability.js';
+import { isMainModule } from './main_module.js';
 
 // Real-time Analytics example - tracking metrics and counters
-class AnalyticsTracker {
-    constructor(redisClient) {
-        this.client = redisClient;
+//
+// Events: 'pageView' { page, userId, referrer }, 'event' { eventName, userId, metadata },
+//         'performanceMetric' { metricName, value, userId }
+class AnalyticsTracker extends EventEmitter {
+    constructor(redisClient, options = {}) {
+        super();
+        this.client = traceClient(redisClient, options.tracer);
+        this.logger = options.logger || consoleLogger;
+        this.metrics = options.metrics || defaultRegistry;
+        this.clock = options.clock || systemClock;
+        this.keys = createKeyspace(options);
     }
 
     // Track page views
     async trackPageView(page, userId = null, referrer = null) {
-        const now = new Date();
+        const now = new Date(this.clock.now());
         const hour = now.getHours();
         const day = now.toISOString().split('T')[0]; // YYYY-MM-DD format
 
         const keys = [
-            `pageviews:${page}:total`,
-            `pageviews:${page}:${day}`,
-            `pageviews:hourly:${day}:${hour}`,
-            `pageviews:daily:${day}`
+            this.keys.key(`pageviews:${page}:total`),
+            this.keys.key(`pageviews:${page}:${day}`),
+            this.keys.key(`pageviews:hourly:${day}:${hour}`),
+            this.keys.key(`pageviews:daily:${day}`)
         ];
 
         // Increment counters
@@ -38,34 +39,35 @@ class AnalyticsTracker {
         }
 
         // Track unique visitors (using HyperLogLog)
-        await this.client.pfAdd(`unique_visitors:${day}`, userId || `anon_${Date.now()}`);
+        await this.client.pfAdd(this.keys.key(`unique_visitors:${day}`), userId || `anon_${this.clock.now()}`);
 
         // Track referrer if provided
         if (referrer) {
-            await this.client.zIncrBy(`referrers:${page}:${day}`, 1, referrer);
+            await this.client.zIncrBy(this.keys.key(`referrers:${page}:${day}`), 1, referrer);
         }
 
         // Track user-specific data
         if (userId) {
-            await this.client.sAdd(`users_visited:${page}:${day}`, userId);
-            await this.client.zIncrBy(`user_pageviews:${userId}:${day}`, 1, page);
+            await this.client.sAdd(this.keys.key(`users_visited:${page}:${day}`), userId);
+            await this.client.zIncrBy(this.keys.key(`user_pageviews:${userId}:${day}`), 1, page);
         }
 
-        console.log(`Tracked page view: ${page}`);
+        this.emit('pageView', { page, userId, referrer });
+        this.logger.info(`Tracked page view: ${page}`);
     }
 
     // Track events (button clicks, form submissions, etc.)
     async trackEvent(eventName, userId = null, metadata = {}) {
-        const day = new Date().toISOString().split('T')[0];
+        const day = new Date(this.clock.now()).toISOString().split('T')[0];
 
         // Increment event counter
-        await this.client.incr(`events:${eventName}:${day}`);
+        await this.client.incr(this.keys.key(`events:${eventName}:${day}`));
 
         // Store event metadata in a hash
-        const eventKey = `event_data:${eventName}:${Date.now()}`;
+        const eventKey = this.keys.key(`event_data:${eventName}:${this.clock.now()}`);
         await this.client.hSet(eventKey, {
             userId: userId || 'anonymous',
-            timestamp: new Date().toISOString(),
+            timestamp: new Date(this.clock.now()).toISOString(),
             ...metadata
         });
 
@@ -74,46 +76,48 @@ class AnalyticsTracker {
 
         // Track unique users for this event
         if (userId) {
-            await this.client.sAdd(`event_users:${eventName}:${day}`, userId);
+            await this.client.sAdd(this.keys.key(`event_users:${eventName}:${day}`), userId);
         }
 
-        console.log(`Tracked event: ${eventName}`);
+        this.emit('event', { eventName, userId, metadata });
+        this.logger.info(`Tracked event: ${eventName}`);
     }
 
     // Track performance metrics
     async trackPerformanceMetric(metricName, value, userId = null) {
-        const day = new Date().toISOString().split('T')[0];
+        const day = new Date(this.clock.now()).toISOString().split('T')[0];
 
         // Store individual measurements
-        await this.client.lPush(`performance:${metricName}:${day}`, value);
+        await this.client.lPush(this.keys.key(`performance:${metricName}:${day}`), value);
 
         // Keep only last 1000 measurements
-        await this.client.lTrim(`performance:${metricName}:${day}`, 0, 999);
+        await this.client.lTrim(this.keys.key(`performance:${metricName}:${day}`), 0, 999);
 
         // Update min/max/avg using sorted sets
-        const metricKey = `performance_stats:${metricName}:${day}`;
+        const metricKey = this.keys.key(`performance_stats:${metricName}:${day}`);
         await this.client.zAdd(metricKey, [
-            { score: value, value: Date.now().toString() }
+            { score: value, value: this.clock.now().toString() }
         ]);
 
         // Keep only last 1000 stats entries
         await this.client.zRemRangeByRank(metricKey, 0, -1001);
 
-        console.log(`Tracked performance metric: ${metricName} = ${value}`);
+        this.emit('performanceMetric', { metricName, value, userId });
+        this.logger.info(`Tracked performance metric: ${metricName} = ${value}`);
     }
 
     // Get analytics data
     async getAnalytics(page, days = 7) {
         const results = {};
-        const now = new Date();
+        const now = new Date(this.clock.now());
 
         for (let i = 0; i < days; i++) {
             const date = new Date(now);
             date.setDate(date.getDate() - i);
             const day = date.toISOString().split('T')[0];
 
-            const totalViews = await this.client.get(`pageviews:${page}:${day}`) || 0;
-            const uniqueVisitors = await this.client.pfCount(`unique_visitors:${day}`) || 0;
+            const totalViews = await this.client.get(this.keys.key(`pageviews:${page}:${day}`)) || 0;
+            const uniqueVisitors = await this.client.pfCount(this.keys.key(`unique_visitors:${day}`)) || 0;
 
             results[day] = {
                 pageViews: parseInt(totalViews),
@@ -126,16 +130,20 @@ class AnalyticsTracker {
 
     // Get top pages
     async getTopPages(limit = 10) {
-        const day = new Date().toISOString().split('T')[0];
-        const pattern = `pageviews:*:${day}`;
+        const day = new Date(this.clock.now()).toISOString().split('T')[0];
+        const pattern = this.keys.key(`pageviews:*:${day}`);
 
-        // Get all page view keys for today
-        const keys = await this.client.keys(pattern);
+        // Walk today's page view counters
         const pageViews = [];
+        const seen = new Set();
+
+        for await (const key of scanKeys(this.client, { match: pattern, type: 'string' })) {
+            if (key === this.keys.key(`pageviews:daily:${day}`)) continue; // Site-wide total, not a page
+            if (seen.has(key)) continue; // SCAN may return a key twice
+            seen.add(key);
 
-        for (const key of keys) {
             const views = await this.client.get(key);
-            const page = key.replace(`pageviews:`, '').replace(`:${day}`, '');
+            const page = this.keys.strip(key).replace(`pageviews:`, '').replace(`:${day}`, '');
             pageViews.push({ page, views: parseInt(views) || 0 });
         }
 
@@ -145,12 +153,12 @@ class AnalyticsTracker {
 
     // Get real-time stats
     async getRealTimeStats() {
-        const day = new Date().toISOString().split('T')[0];
-        const hour = new Date().getHours();
+        const day = new Date(this.clock.now()).toISOString().split('T')[0];
+        const hour = new Date(this.clock.now()).getHours();
 
-        const totalPageViews = await this.client.get(`pageviews:daily:${day}`) || 0;
-        const hourlyPageViews = await this.client.get(`pageviews:hourly:${day}:${hour}`) || 0;
-        const uniqueVisitors = await this.client.pfCount(`unique_visitors:${day}`) || 0;
+        const totalPageViews = await this.client.get(this.keys.key(`pageviews:daily:${day}`)) || 0;
+        const hourlyPageViews = await this.client.get(this.keys.key(`pageviews:hourly:${day}:${hour}`)) || 0;
+        const uniqueVisitors = await this.client.pfCount(this.keys.key(`unique_visitors:${day}`)) || 0;
 
         return {
             totalPageViews: parseInt(totalPageViews),
@@ -164,6 +172,7 @@ class AnalyticsTracker {
 
 // Demo the analytics functionality
 async function demoRealTimeAnalytics() {
+    const client = await getClient();
     const analytics = new AnalyticsTracker(client);
 
     console.log('=== Redis Real-time Analytics Demo ===\n');
@@ -209,7 +218,12 @@ async function demoRealTimeAnalytics() {
     const homeAnalytics = await analytics.getAnalytics('/home', 3);
     console.log('Home page analytics:', JSON.stringify(homeAnalytics, null, 2));
 
-    await client.disconnect();
+    await closeClient();
 }
 
-demoRealTimeAnalytics().catch(console.error);
\ No newline at end of file
+export { AnalyticsTracker };
+
+// Run demonstration if this file is executed directly
+if (isMainModule(import.meta.url)) {
+    demoRealTimeAnalytics().catch(console.error);
+}
@@ -1,19 +1,9 @@
-import { createClient } from 'redis';
+import { getClient, closeClient } from './connection.js';
 
-const client = createClient({
-    username: 'default',
-    password: 'gX94CVL0mRXXi7hligXMmMavy4lr55PV',
-    socket: {
-        host: 'redis-12372.c54.ap-northeast-1-2.ec2.redns.redis-cloud.com',
-        port: 12372
-    }
-});
-
-client.on('error', err => console.log('Redis Client Error', err));
-
-await client.connect();
+const client = await getClient();
 
 await client.set('foo', 'bar');
 const result = await client.get('foo');
 console.log(result)  // >>> bar
 
+await closeClient();
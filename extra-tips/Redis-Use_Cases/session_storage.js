@@ -1,105 +1,115 @@
-import { createClient } from 'redis';
-
-const client = createClient({
-    username: 'default',
-    password: 'gX94CVL0mRXXi7hligXMmMavy4lr55PV',
-    socket: {
-        host: 'redis-12372.c54.ap-northeast-1-2.ec2.redns.redis-cloud.com',
-        port: 12372
-    }
-});
-
-client.on('error', err => console.log('Redis Client Error', err));
-
-await client.connect();
+import { EventEmitter } from 'node:events';
+import { getClient, closeClient } from './connection.js';
+import { systemClock } from './clock.js';
+import { jsonCodec, binaryReplies } from './codecs.js';
+import { createKeyspace } from './keyspace.js';
+import { scanKeys } from './key_scan.js';
+import { consoleLogger, defaultRegistry, traceClient } from './observability.js';
+import { isMainModule } from './main_module.js';
 
 // Session Storage example - managing user sessions
-class SessionManager {
-    constructor(redisClient) {
-        this.client = redisClient;
+//
+// Events: 'create' { sessionId, userId }, 'update' { sessionId }, 'destroy' { sessionId }
+class SessionManager extends EventEmitter {
+    constructor(redisClient, options = {}) {
+        super();
+        this.client = traceClient(redisClient, options.tracer);
+        this.logger = options.logger || consoleLogger;
+        this.metrics = options.metrics || defaultRegistry;
+        this.clock = options.clock || systemClock;
+        this.codec = options.codec || jsonCodec;
+        this.valueClient = binaryReplies(this.client); // reads encoded values as raw bytes
+        this.keys = createKeyspace(options);
         this.sessionTTL = 3600; // 1 hour in seconds
+        this.sessionsMetric = this.metrics.counter('sessions_total', 'Session lifecycle operations', ['operation']);
     }
 
     // Create a new session
     async createSession(userId, userData = {}) {
         const sessionId = this.generateSessionId();
-        const sessionKey = `session:${sessionId}`;
+        const sessionKey = this.keys.key(`session:${sessionId}`);
 
         const sessionData = {
             userId,
-            createdAt: new Date().toISOString(),
-            lastActivity: new Date().toISOString(),
+            createdAt: new Date(this.clock.now()).toISOString(),
+            lastActivity: new Date(this.clock.now()).toISOString(),
             ...userData
         };
 
         try {
-            await this.client.setEx(sessionKey, this.sessionTTL, JSON.stringify(sessionData));
-            console.log(`Session created for user ${userId}: ${sessionId}`);
+            await this.client.setEx(sessionKey, this.sessionTTL, this.codec.encode(sessionData));
+            this.sessionsMetric.inc({ operation: 'create' });
+            this.emit('create', { sessionId, userId });
+            this.logger.info(`Session created for user ${userId}: ${sessionId}`);
             return sessionId;
         } catch (error) {
-            console.error('Error creating session:', error);
+            this.logger.error('Error creating session:', error);
             throw error;
         }
     }
 
     // Get session data
     async getSession(sessionId) {
-        const sessionKey = `session:${sessionId}`;
+        const sessionKey = this.keys.key(`session:${sessionId}`);
 
         try {
-            const sessionData = await this.client.get(sessionKey);
+            const sessionData = await this.valueClient.get(sessionKey);
             if (!sessionData) {
                 return null; // Session not found or expired
             }
 
-            const session = JSON.parse(sessionData);
+            const session = this.codec.decode(sessionData);
 
             // Update last activity
-            session.lastActivity = new Date().toISOString();
-            await this.client.setEx(sessionKey, this.sessionTTL, JSON.stringify(session));
+            session.lastActivity = new Date(this.clock.now()).toISOString();
+            await this.client.setEx(sessionKey, this.sessionTTL, this.codec.encode(session));
 
             return session;
         } catch (error) {
-            console.error('Error getting session:', error);
+            this.logger.error('Error getting session:', error);
             return null;
         }
     }
 
     // Update session data
     async updateSession(sessionId, updates) {
-        const sessionKey = `session:${sessionId}`;
+        const sessionKey = this.keys.key(`session:${sessionId}`);
 
         try {
-            const sessionData = await this.client.get(sessionKey);
+            const sessionData = await this.valueClient.get(sessionKey);
             if (!sessionData) {
                 throw new Error('Session not found');
             }
 
-            const session = JSON.parse(sessionData);
+            const session = this.codec.decode(sessionData);
             const updatedSession = {
                 ...session,
                 ...updates,
-                lastActivity: new Date().toISOString()
+                lastActivity: new Date(this.clock.now()).toISOString()
             };
 
-            await this.client.setEx(sessionKey, this.sessionTTL, JSON.stringify(updatedSession));
-            console.log(`Session ${sessionId} updated`);
+            await this.client.setEx(sessionKey, this.sessionTTL, this.codec.encode(updatedSession));
+            this.sessionsMetric.inc({ operation: 'update' });
+            this.emit('update', { sessionId });
+            this.logger.info(`Session ${sessionId} updated`);
             return updatedSession;
         } catch (error) {
-            console.error('Error updating session:', error);
+            this.logger.error('Error updating session:', error);
             throw error;
         }
     }
 
     // Destroy session
     async destroySession(sessionId) {
-        const sessionKey = `session:${sessionId}`;
+        const sessionKey = this.keys.key(`session:${sessionId}`);
 
         try {
             await this.client.del(sessionKey);
-            console.log(`Session ${sessionId} destroyed`);
+            this.sessionsMetric.inc({ operation: 'destroy' });
+            this.emit('destroy', { sessionId });
+            this.logger.info(`Session ${sessionId} destroyed`);
         } catch (error) {
-            console.error('Error destroying session:', error);
+            this.logger.error('Error destroying session:', error);
             throw error;
         }
     }
@@ -107,17 +117,19 @@ class SessionManager {
     // Get all active sessions for a user
     async getUserSessions(userId) {
         try {
-            const pattern = `session:*`;
-            const keys = await this.client.keys(pattern);
             const userSessions = [];
+            const seen = new Set();
 
-            for (const key of keys) {
-                const sessionData = await this.client.get(key);
+            for await (const key of scanKeys(this.client, { match: this.keys.key('session:*'), type: 'string' })) {
+                if (seen.has(key)) continue; // SCAN may return a key twice
+                seen.add(key);
+
+                const sessionData = await this.valueClient.get(key);
                 if (sessionData) {
-                    const session = JSON.parse(sessionData);
+                    const session = this.codec.decode(sessionData);
                     if (session.userId === userId) {
                         userSessions.push({
-                            sessionId: key.replace('session:', ''),
+                            sessionId: this.keys.strip(key).replace('session:', ''),
                             ...session
                         });
                     }
@@ -126,24 +138,25 @@ class SessionManager {
 
             return userSessions;
         } catch (error) {
-            console.error('Error getting user sessions:', error);
+            this.logger.error('Error getting user sessions:', error);
             return [];
         }
     }
 
     // Clean expired sessions (Redis handles this automatically with EXPIRE)
     async cleanupExpiredSessions() {
-        console.log('Redis automatically expires sessions after TTL');
+        this.logger.info('Redis automatically expires sessions after TTL');
     }
 
     // Generate a unique session ID
     generateSessionId() {
-        return `sess_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        return `sess_${this.clock.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 }
 
 // Demo the session management functionality
 async function demoSessionStorage() {
+    const client = await getClient();
     const sessionManager = new SessionManager(client);
 
     console.log('=== Redis Session Storage Demo ===\n');
@@ -204,7 +217,12 @@ async function demoSessionStorage() {
     const activeSession = await sessionManager.getSession(sessionId2);
     console.log('Active session:', activeSession ? 'Exists' : 'Not found');
 
-    await client.disconnect();
+    await closeClient();
 }
 
-demoSessionStorage().catch(console.error);
\ No newline at end of file
+export { SessionManager };
+
+// Run demonstration if this file is executed directly
+if (isMainModule(import.meta.url)) {
+    demoSessionStorage().catch(console.error);
+}
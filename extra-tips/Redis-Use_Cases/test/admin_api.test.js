@@ -0,0 +1,126 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupRedis } from './helpers.js';
+import { createAdminServer } from '../admin_api.js';
+import { JobQueue } from '../message_queuing.js';
+import { DistributedLock } from '../distributed_locking.js';
+
+const redis = setupRedis();
+let server;
+let baseUrl;
+
+before(async () => {
+    server = createAdminServer(redis.client, { clock: redis.clock });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+async function request(method, path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+describe('admin API', () => {
+    it('reports health', async () => {
+        assert.deepEqual((await request('GET', '/health')).body, { status: 'ok', redis: 'PONG' });
+    });
+
+    it('records scores and serves the top of a leaderboard', async () => {
+        await request('POST', '/leaderboards/weekly/scores', { playerId: 'p1', score: 10, name: 'Ann' });
+        const created = await request('POST', '/leaderboards/weekly/scores', { playerId: 'p2', score: 30, name: 'Bob' });
+        assert.equal(created.body.rank, 1);
+
+        const top = await request('GET', '/leaderboards/weekly/top?limit=1');
+        assert.equal(top.status, 200);
+        assert.deepEqual(top.body.map(player => [player.playerId, player.score]), [['p2', 30]]);
+
+        assert.equal((await request('GET', '/leaderboards/weekly/players/p1')).body.rank, 2);
+        assert.equal((await request('GET', '/leaderboards/weekly/players/p9')).status, 404);
+        assert.equal((await request('POST', '/leaderboards/weekly/scores', { playerId: 'p3', score: 'high' })).status, 400);
+    });
+
+    it('indexes documents and searches with GET and POST', async () => {
+        const indexed = await request('POST', '/search/documents', { id: 'doc1', title: 'Redis streams', content: 'Consumer groups' });
+        assert.equal(indexed.status, 201);
+        await request('POST', '/search/documents', { id: 'doc2', title: 'Gardening', content: 'Growing tomatoes' });
+
+        const viaGet = await request('GET', '/search?q=streams');
+        assert.deepEqual(viaGet.body.results.map(result => result.id), ['doc1']);
+
+        const viaPost = await request('POST', '/search', { query: 'tomatoes' });
+        assert.deepEqual(viaPost.body.results.map(result => result.id), ['doc2']);
+
+        assert.equal((await request('GET', '/search')).status, 400);
+        await request('DELETE', '/search/documents/doc2');
+        assert.equal((await request('GET', '/search?q=tomatoes')).body.total, 0);
+    });
+
+    it('exposes queue stats and job submission', async () => {
+        const created = await request('POST', '/queues/emails/jobs', { data: { to: 'a@example.com' }, priority: 'high' });
+        assert.equal(created.status, 201);
+        assert.match(created.body.id, /^job_/);
+
+        await new JobQueue(redis.client, 'emails').addJob({ to: 'b@example.com' });
+        const stats = await request('GET', '/queues/emails/stats');
+        assert.equal(stats.body.queued, 1);
+    });
+
+    it('reads and writes configuration', async () => {
+        const written = await request('PUT', '/config/shop/maxItems', { value: 50, user: 'ops' });
+        assert.deepEqual(written.body, { key: 'maxItems', value: 50 });
+        await request('PUT', '/config/shop/currency', { value: 'EUR' });
+
+        assert.deepEqual((await request('GET', '/config/shop')).body, { maxItems: 50, currency: 'EUR' });
+        assert.equal((await request('GET', '/config/shop/missing')).status, 404);
+
+        const history = await request('GET', '/config/shop/maxItems/history');
+        assert.equal(history.body[0].updatedBy, 'ops');
+    });
+
+    it('inspects and force-releases locks', async () => {
+        await new DistributedLock(redis.client).acquireLock('report', 'worker1', 60000);
+
+        assert.equal((await request('GET', '/locks/report')).body.ownerId, 'worker1');
+        assert.deepEqual((await request('DELETE', '/locks/report')).body, { released: true });
+        assert.equal((await request('GET', '/locks/report')).body.exists, false);
+    });
+
+    it('rejects unknown routes, wrong methods and malformed bodies', async () => {
+        assert.equal((await request('GET', '/nope')).status, 404);
+
+        const wrongMethod = await request('PATCH', '/locks/report');
+        assert.equal(wrongMethod.status, 405);
+        assert.equal(wrongMethod.headers.get('allow'), 'GET, DELETE');
+
+        const malformed = await request('POST', '/search', '{not json');
+        assert.equal(malformed.status, 400);
+        assert.match(malformed.body.error, /Invalid JSON body/);
+
+        const badEscape = await request('GET', '/locks/%E0%A4%A');
+        assert.equal(badEscape.status, 400);
+        assert.match(badEscape.body.error, /Malformed path parameter name/);
+    });
+
+    it('requires the bearer token when one is configured', async () => {
+        const guarded = createAdminServer(redis.client, { clock: redis.clock, token: 's3cret' });
+        await new Promise(resolve => guarded.listen(0, '127.0.0.1', resolve));
+        const url = `http://127.0.0.1:${guarded.address().port}/health`;
+        try {
+            const anonymous = await fetch(url);
+            assert.equal(anonymous.status, 401);
+            assert.equal(anonymous.headers.get('www-authenticate'), 'Bearer');
+            assert.equal((await fetch(url, { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+            assert.equal((await fetch(url, { headers: { Authorization: 'Bearer s3cret' } })).status, 200);
+        } finally {
+            await new Promise(resolve => guarded.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,577 @@
+import { describe, it } from 'node:test';
+import { once } from 'node:events';
+import { createServer } from 'node:http';
+import assert from 'node:assert/strict';
+import { setupRedis, clockDrivesExpiry } from './helpers.js';
+import { APICacheManager } from '../api_caching.js';
+import { silentLogger } from '../observability.js';
+
+const redis = setupRedis();
+
+describe('APICacheManager', () => {
+    it('builds the same key regardless of query parameter order', () => {
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock });
+
+        assert.equal(
+            api.generateCacheKey('get', '/api/users', { page: 1, limit: 10 }),
+            api.generateCacheKey('GET', '/api/users', { limit: 10, page: 1 })
+        );
+        assert.notEqual(
+            api.generateCacheKey('GET', '/api/users', {}, { accept: 'application/json' }),
+            api.generateCacheKey('GET', '/api/users', {}, { accept: 'text/html' })
+        );
+    });
+
+    it('keys requests by the SHA-256 of their canonical form', () => {
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock });
+
+        // 'Aa' and 'BB' have the same 32-bit string hash
+        assert.equal(api.legacyCacheKey('GET', '/Aa'), api.legacyCacheKey('GET', '/BB'));
+        assert.notEqual(api.generateCacheKey('GET', '/Aa'), api.generateCacheKey('GET', '/BB'));
+        assert.match(api.generateCacheKey('GET', '/Aa'), /^api:cache:[0-9a-f]{64}$/);
+        assert.notEqual(
+            api.generateCacheKey('GET', '/a', { b: 'c|d' }),
+            api.generateCacheKey('GET', '/a', { 'b": "c': 'd' })
+        );
+    });
+
+    it('keys on device classes and the query parameters and headers a route policy names', () => {
+        const api = new APICacheManager(redis.client, 300, {
+            clock: redis.clock,
+            policies: {
+                '/api/products/:id': { headers: ['X-Currency'], query: ['fields'] },
+                '/api/raw': { userAgent: 'raw' }
+            }
+        });
+        const agent = userAgent => ({ 'user-agent': userAgent });
+        const iphone = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) Mobile/15E148';
+        const pixel = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) Chrome/120.0 Mobile Safari/537.36';
+        const mac = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_2) Safari/605.1.15';
+
+        assert.equal(api.generateCacheKey('GET', '/api/list', {}, agent(iphone)), api.generateCacheKey('GET', '/api/list', {}, agent(pixel)));
+        assert.notEqual(api.generateCacheKey('GET', '/api/list', {}, agent(iphone)), api.generateCacheKey('GET', '/api/list', {}, agent(mac)));
+        assert.notEqual(api.generateCacheKey('GET', '/api/raw', {}, agent(iphone)), api.generateCacheKey('GET', '/api/raw', {}, agent(pixel)));
+
+        const product = (query, headers) => api.generateCacheKey('GET', '/api/products/7', query, headers);
+        assert.equal(product({ fields: 'name', utm_source: 'mail' }, agent(mac)), product({ fields: 'name' }, agent(iphone)));
+        assert.notEqual(product({ fields: 'name' }), product({ fields: 'price' }));
+        assert.notEqual(product({}, { 'x-currency': 'EUR' }), product({}, { 'x-currency': 'USD' }));
+    });
+
+    it('never shares entries between principals or auth scopes', async () => {
+        const api = new APICacheManager(redis.client, 300, {
+            clock: redis.clock,
+            logger: silentLogger,
+            principal: headers => headers['x-user-id'],
+            policies: { '/api/reports': { scopes: headers => headers['x-roles']?.split(',') } }
+        });
+        const alice = { authorization: 'Bearer alice' };
+        const bob = { authorization: 'Bearer bob' };
+
+        const key = await api.cacheResponse('GET', '/api/me', {}, alice, { name: 'alice' });
+        assert.equal((await api.getCachedResponse('GET', '/api/me', {}, { ...alice })).name, 'alice');
+        assert.equal(await api.getCachedResponse('GET', '/api/me', {}, bob), null);
+        assert.equal(await api.getCachedResponse('GET', '/api/me'), null);
+        assert.equal(api.generateCacheKey('GET', '/api/me', {}, alice, []), key);
+        assert.ok(!(await redis.client.get(key)).includes('Bearer'));
+
+        // Header names are case-insensitive
+        await api.cacheResponse('GET', '/api/account', {}, { Authorization: 'Bearer alice' }, { name: 'alice' });
+        assert.equal((await api.getCachedResponse('GET', '/api/account', {}, { authorization: 'Bearer alice' })).name, 'alice');
+        assert.equal(await api.getCachedResponse('GET', '/api/account', {}, { Authorization: 'Bearer bob' }), null);
+        assert.equal(await api.getCachedResponse('GET', '/api/account'), null);
+        assert.equal(
+            api.generateCacheKey('GET', '/api/list', {}, { Accept: 'text/html' }),
+            api.generateCacheKey('GET', '/api/list', {}, { accept: 'text/html' })
+        );
+
+        assert.notEqual(
+            api.generateCacheKey('GET', '/api/me', {}, { 'x-user-id': '1' }),
+            api.generateCacheKey('GET', '/api/me', {}, { 'x-user-id': '2' })
+        );
+        assert.equal(
+            api.generateCacheKey('GET', '/api/reports', {}, { 'x-roles': 'admin,sales' }),
+            api.generateCacheKey('GET', '/api/reports', {}, { 'x-roles': 'sales,admin' })
+        );
+        assert.notEqual(
+            api.generateCacheKey('GET', '/api/reports', {}, { 'x-roles': 'sales' }),
+            api.generateCacheKey('GET', '/api/reports', {}, { 'x-roles': 'admin' })
+        );
+    });
+
+    it('treats an entry with another request\'s fingerprint as a miss', async () => {
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock, logger: silentLogger });
+        const key = await api.cacheResponse('GET', '/Aa', {}, {}, { secret: 'aa' });
+        await redis.client.set(api.generateCacheKey('GET', '/BB'), await redis.client.get(key));
+
+        assert.equal(await api.getCachedResponse('GET', '/BB'), null);
+        assert.deepEqual((await api.getCachedResponse('GET', '/Aa')).secret, 'aa');
+    });
+
+    it('reads entries stored under old-format keys until they expire', async () => {
+        const legacyEntry = url => JSON.stringify({
+            response: { url }, cachedAt: new Date(redis.clock.now()).toISOString(), ttl: 60, method: 'GET', url, queryParams: {}, headers: {}
+        });
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock, logger: silentLogger });
+        await redis.client.setEx(api.legacyCacheKey('GET', '/Aa'), 60, legacyEntry('/Aa'));
+
+        assert.deepEqual((await api.getCachedResponse('GET', '/Aa')).url, '/Aa');
+        assert.equal(await api.getCachedResponse('GET', '/BB'), null);
+
+        // The first release stored the response, query and headers as JSON strings
+        const headers = { accept: 'application/json', 'user-agent': 'curl/8.4.0' };
+        await redis.client.setEx(api.legacyCacheKey('GET', '/api/users', { page: 2 }, headers), 60, JSON.stringify({
+            response: JSON.stringify({ users: ['bo'] }),
+            cachedAt: new Date(redis.clock.now()).toISOString(),
+            ttl: 60,
+            method: 'GET',
+            url: '/api/users',
+            queryParams: JSON.stringify({ page: 2 }),
+            headers: JSON.stringify(headers)
+        }));
+        assert.deepEqual((await api.getCachedResponse('GET', '/api/users', { page: 2 }, headers)).users, ['bo']);
+        assert.equal(await api.getCachedResponse('GET', '/api/users', { page: 2 }, { ...headers, accept: 'text/html' }), null);
+
+        const migrated = new APICacheManager(redis.client, 300, { clock: redis.clock, logger: silentLogger, legacyKeys: false });
+        assert.equal(await migrated.getCachedResponse('GET', '/Aa'), null);
+    });
+
+    it('returns cached responses and counts hits and misses', async () => {
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock });
+
+        assert.equal(await api.getCachedResponse('GET', '/api/users', { page: 1 }), null);
+
+        await api.cacheResponse('GET', '/api/users', { page: 1 }, {}, { users: ['ann'] });
+        const cached = await api.getCachedResponse('GET', '/api/users', { page: 1 });
+
+        assert.deepEqual(cached.users, ['ann']);
+        assert.equal(cached._cached, true);
+        assert.equal(cached._cachedAt, new Date(redis.clock.now()).toISOString());
+
+        const stats = await api.getCacheStats(1);
+        assert.equal(stats.totalHits, 1);
+        assert.equal(stats.totalMisses, 1);
+    });
+
+    it('records writes, bytes written, latency saved, invalidations and expirations per route without rewriting entries on hits', { skip: !clockDrivesExpiry && 'expiry follows the real clock' }, async () => {
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock, logger: silentLogger, routes: ['/api/users/:id'] });
+        const started = redis.clock.now();
+
+        const key = await api.cacheResponse('GET', '/api/users/1', {}, {}, { name: 'ann' }, 3 * 60 * 60, undefined, 120);
+        const statusKey = await api.cacheResponse('GET', '/api/status', {}, {}, { ok: true }, null, undefined, 40);
+        const stored = await redis.client.get(key);
+        const bytes = Buffer.byteLength(stored) + Buffer.byteLength(await redis.client.get(statusKey));
+        await api.getCachedResponse('GET', '/api/users/1');
+        await api.getCachedResponse('GET', '/api/users/1');
+        await api.getCachedResponse('GET', '/api/users/2');
+        assert.equal(await redis.client.get(key), stored);
+
+        redis.clock.advance(2 * 60 * 60 * 1000);
+        await api.getCachedResponse('GET', '/api/status');
+        await api.invalidatePath('/api/users/1');
+
+        const stats = await api.getCacheStats({ from: started, to: redis.clock.now() });
+        assert.deepEqual(
+            [stats.totalHits, stats.totalMisses, stats.totalWrites, stats.totalInvalidations, stats.totalExpirations, stats.latencySavedMs],
+            [2, 2, 2, 1, 1, 240]
+        );
+        assert.equal(stats.bytesWritten, bytes);
+        assert.equal(stats.hourlyStats.length, 3);
+        assert.deepEqual(stats.routes['/api/users/:id'], {
+            hits: 2, misses: 1, writes: 1, invalidations: 1, expirations: 0, evictions: 0,
+            bytesWritten: Buffer.byteLength(stored), savedMs: 240, storedBytes: 0, hitRate: '66.67'
+        });
+        assert.deepEqual([stats.routes['/api/status'].misses, stats.routes['/api/status'].expirations], [1, 1]);
+        assert.deepEqual([stats.storedEntries, stats.storedBytes], [0, 0]);
+
+        const lastHour = await api.getCacheStats(1);
+        assert.deepEqual([lastHour.totalHits, lastHour.totalMisses, lastHour.totalInvalidations], [0, 1, 1]);
+    });
+
+    it('reports the bytes stored now and counts entries Redis evicted', async () => {
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock, logger: silentLogger, routes: ['/api/users/:id'] });
+        const size = async key => Buffer.byteLength(await redis.client.get(key));
+
+        await api.cacheResponse('GET', '/api/users/1', {}, {}, { name: 'ann' });
+        const key = await api.cacheResponse('GET', '/api/users/1', {}, {}, { name: 'ann b.' }); // overwrites
+        const evictedKey = await api.cacheResponse('GET', '/api/users/2', {}, {}, { name: 'bob' });
+        const statusKey = await api.cacheResponse('GET', '/api/status', {}, {}, { ok: true });
+        const userBytes = await size(key);
+        await redis.client.del(evictedKey); // as maxmemory eviction would
+
+        let stats = await api.getCacheStats(1);
+        assert.deepEqual([stats.storedEntries, stats.storedBytes], [2, userBytes + await size(statusKey)]);
+        assert.deepEqual([stats.totalWrites, stats.totalEvictions, stats.totalExpirations], [4, 1, 0]);
+        assert.deepEqual([stats.routes['/api/users/:id'].storedBytes, stats.routes['/api/users/:id'].evictions], [userBytes, 1]);
+
+        await api.invalidatePath('/api/status');
+        stats = await api.getCacheStats(1);
+        assert.deepEqual([stats.storedEntries, stats.storedBytes, stats.totalEvictions], [1, userBytes, 1]);
+    });
+
+    it('counts hits and misses from the local-hour buckets older releases wrote', async () => {
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock, logger: silentLogger });
+        const now = new Date(redis.clock.now());
+        await redis.client.hSet(`api:cache:stats:${now.toISOString().split('T')[0]}:${now.getHours()}`, { hits: 2, misses: 1 });
+
+        await api.getCachedResponse('GET', '/api/users/1');
+
+        const stats = await api.getCacheStats(1);
+        assert.deepEqual([stats.totalHits, stats.totalMisses], [2, 2]);
+        assert.deepEqual([stats.hourlyStats[0].hits, stats.hourlyStats[0].misses], [2, 2]);
+    });
+
+    it('expires entries after their TTL', { skip: !clockDrivesExpiry && 'expiry follows the real clock' }, async () => {
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock });
+
+        await api.cacheResponse('GET', '/api/products', {}, {}, { products: [] }, 60);
+        redis.clock.advance(60 * 1000);
+
+        assert.equal(await api.getCachedResponse('GET', '/api/products'), null);
+    });
+
+    it('invalidates entries whose URL matches', async () => {
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock });
+
+        await api.cacheResponse('GET', '/api/users', {}, {}, { users: [] });
+        await api.cacheResponse('GET', '/api/users/1', {}, {}, { id: 1 });
+        await api.cacheResponse('GET', '/api/products', {}, {}, { products: [] });
+
+        assert.equal(await api.invalidateCache('/api/users'), 2);
+        assert.equal(await api.getCachedResponse('GET', '/api/users'), null);
+        assert.ok(await api.getCachedResponse('GET', '/api/products'));
+
+        await api.cacheResponse('GET', '/api/users/1', {}, {}, { id: 1 });
+        assert.equal(await api.invalidateCache('users'), 1);
+        assert.equal(await api.invalidatePrefix('users'), 0);
+
+        assert.equal(await api.clearAllCache(), 1);
+    });
+
+    it('invalidates by exact path, prefix and route template from the URL indexes', async t => {
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock, logger: silentLogger, routes: ['/api/users/:id'] });
+        const cache = url => api.cacheResponse('GET', url, {}, {}, { url });
+        for (const url of ['/api/users', '/api/users/1', '/api/users/2', '/api/users/2/orders', '/api/products/9']) {
+            await cache(url);
+        }
+        await api.cacheResponse('GET', '/api/users/1', { expand: 'true' }, {}, { expanded: true });
+        const get = t.mock.method(redis.client, 'get');
+
+        assert.equal(await api.invalidatePath('/api/users/1'), 2);
+        assert.equal(await api.invalidateRoute('/api/users/:id'), 1);
+        assert.ok(await api.getCachedResponse('GET', '/api/users/2/orders'));
+        assert.equal(await api.invalidatePrefix('/api/users/'), 2);
+        assert.equal(await api.invalidateCache('/api'), 1);
+        assert.equal(get.mock.callCount(), 1);
+        assert.equal(await api.clearAllCache(), 0);
+    });
+
+    it('invalidates paths matching a glob, a RegExp or an unregistered route template', async () => {
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock, logger: silentLogger });
+        const invalidated = [];
+        api.on('invalidate', ({ pattern, count }) => invalidated.push([pattern, count]));
+        for (const url of ['/api/reports/1/export', '/api/reports/2/export', '/api/reports/2', '/api/items/7', '/api/items/7/reviews']) {
+            await api.cacheResponse('GET', url, {}, {}, { url });
+        }
+
+        assert.equal(await api.invalidateCache('/api/reports/*/export'), 2);
+        assert.equal(await api.invalidateCache(/^\/api\/reports\/\d+$/), 1);
+        assert.equal(await api.invalidateCache('/api/items/:id'), 1);
+        assert.ok(await api.getCachedResponse('GET', '/api/items/7/reviews'));
+        assert.deepEqual(invalidated, [['/api/reports/*/export', 2], ['/^\\/api\\/reports\\/\\d+$/', 1], ['/api/items/:id', 1]]);
+    });
+});
+
+// Serve handler behind the cache middleware on a free port for the duration of run(baseUrl)
+async function withCachedServer(api, handler, run) {
+    const middleware = api.middleware();
+    const server = createServer((req, res) => middleware(req, res, () => handler(req, res)));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        await run(`http://127.0.0.1:${server.address().port}`);
+    } finally {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+// Fetch and wait for the middleware to finish storing the response
+async function fetchAndStore(api, url, init) {
+    const stored = once(api, 'store');
+    const response = await fetch(url, init);
+    const body = await response.text();
+    await stored;
+    return { response, body };
+}
+
+describe('APICacheManager.middleware', () => {
+    it('serves repeat GETs from the cache with Age and X-Cache', async () => {
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock, logger: silentLogger });
+        let calls = 0;
+        const handler = (req, res) => {
+            calls++;
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('Cache-Control', 'max-age=60');
+            res.write('{"users":');
+            res.end(`[${calls}]}`);
+        };
+
+        await withCachedServer(api, handler, async baseUrl => {
+            const first = await fetchAndStore(api, `${baseUrl}/api/users?page=1`);
+            assert.equal(first.response.headers.get('x-cache'), 'MISS');
+            assert.equal(first.body, '{"users":[1]}');
+
+            redis.clock.advance(5000);
+            const second = await fetch(`${baseUrl}/api/users?page=1`);
+            assert.equal(second.headers.get('x-cache'), 'HIT');
+            assert.equal(second.headers.get('age'), '5');
+            assert.equal(second.headers.get('content-type'), 'application/json');
+            assert.equal(await second.text(), '{"users":[1]}');
+
+            const head = await fetch(`${baseUrl}/api/users?page=1`, { method: 'HEAD' });
+            assert.equal(head.headers.get('x-cache'), 'HIT');
+            assert.equal(calls, 1);
+
+            const stats = await api.getCacheStats(1);
+            assert.deepEqual([stats.totalHits, stats.totalMisses], [2, 1]);
+        });
+    });
+
+    it('does not serve entries stored by callAPI', async () => {
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock, logger: silentLogger });
+        await api.cacheResponse('GET', '/api/status', {}, {}, { status: 200, data: { ok: true } });
+
+        await withCachedServer(api, (req, res) => res.end('live'), async baseUrl => {
+            const { response, body } = await fetchAndStore(api, `${baseUrl}/api/status`);
+            assert.equal(response.headers.get('x-cache'), 'MISS');
+            assert.equal(body, 'live');
+            assert.equal((await fetch(`${baseUrl}/api/status`)).headers.get('x-cache'), 'HIT');
+        });
+    });
+
+    it('keys on every value of a repeated query parameter', async () => {
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock, logger: silentLogger });
+
+        await withCachedServer(api, (req, res) => res.end(`handler saw ${req.url}`), async baseUrl => {
+            assert.equal((await fetchAndStore(api, `${baseUrl}/items?id=1&id=2`)).body, 'handler saw /items?id=1&id=2');
+
+            const stored = once(api, 'store');
+            const single = await fetch(`${baseUrl}/items?id=2`);
+            assert.equal(single.headers.get('x-cache'), 'MISS');
+            assert.equal(await single.text(), 'handler saw /items?id=2');
+            await stored;
+
+            const repeated = await fetch(`${baseUrl}/items?id=1&id=2`);
+            assert.equal(repeated.headers.get('x-cache'), 'HIT');
+            assert.equal(await repeated.text(), 'handler saw /items?id=1&id=2');
+        });
+    });
+
+    it('keeps responses for s-maxage, then max-age, then the default TTL', async () => {
+        const api = new APICacheManager(redis.client, 120, { clock: redis.clock, logger: silentLogger });
+        const handler = (req, res) => {
+            const cacheControl = new URL(req.url, 'http://localhost').searchParams.get('cc');
+            if (cacheControl) res.setHeader('Cache-Control', cacheControl);
+            res.end('ok');
+        };
+
+        await withCachedServer(api, handler, async baseUrl => {
+            for (const [cacheControl, ttl] of [['max-age=60, s-maxage=600', 600], ['max-age=60', 60], ['', 120]]) {
+                const url = `/r?cc=${encodeURIComponent(cacheControl)}`;
+                await fetchAndStore(api, `${baseUrl}${url}`);
+                const key = api.generateCacheKey('GET', '/r', { cc: cacheControl }, {}, []);
+                assert.equal(await redis.client.ttl(key), ttl);
+            }
+        });
+    });
+
+    it('does not store private, no-store, cookie-setting or authorized responses', async () => {
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock, logger: silentLogger });
+        let calls = 0;
+        const handler = (req, res) => {
+            calls++;
+            const path = new URL(req.url, 'http://localhost').pathname;
+            if (path === '/private') res.setHeader('Cache-Control', 'private, max-age=60');
+            if (path === '/no-store') res.setHeader('Cache-Control', 'no-store');
+            if (path === '/cookie') res.setHeader('Set-Cookie', 'session=abc');
+            if (path === '/error') res.statusCode = 500;
+            res.end(path);
+        };
+
+        await withCachedServer(api, handler, async baseUrl => {
+            for (const path of ['/private', '/no-store', '/cookie', '/error']) {
+                await fetch(`${baseUrl}${path}`);
+                assert.equal((await fetch(`${baseUrl}${path}`)).headers.get('x-cache'), 'MISS');
+            }
+            const authorized = { headers: { authorization: 'Bearer token' } };
+            await fetch(`${baseUrl}/account`, authorized);
+            assert.equal((await fetch(`${baseUrl}/account`, authorized)).headers.get('x-cache'), 'MISS');
+            assert.equal(calls, 10);
+        });
+    });
+
+    it('honours request Cache-Control and bypasses other methods', async () => {
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock, logger: silentLogger });
+        let calls = 0;
+        const handler = (req, res) => {
+            calls++;
+            res.end(String(calls));
+        };
+
+        await withCachedServer(api, handler, async baseUrl => {
+            await fetchAndStore(api, `${baseUrl}/feed`);
+            redis.clock.advance(30 * 1000);
+
+            const stale = await fetchAndStore(api, `${baseUrl}/feed`, { headers: { 'cache-control': 'max-age=10' } });
+            assert.equal(stale.body, '2');
+            const noCache = await fetchAndStore(api, `${baseUrl}/feed`, { headers: { 'cache-control': 'no-cache' } });
+            assert.equal(noCache.body, '3');
+            assert.equal(await (await fetch(`${baseUrl}/feed`)).text(), '3');
+
+            const noStore = await fetch(`${baseUrl}/feed`, { headers: { 'cache-control': 'no-store' } });
+            assert.equal(noStore.headers.get('x-cache'), 'BYPASS');
+            const post = await fetch(`${baseUrl}/feed`, { method: 'POST' });
+            assert.equal(post.headers.get('x-cache'), 'BYPASS');
+            assert.equal(calls, 5);
+        });
+    });
+
+    it('keys responses on the request headers they vary on', async () => {
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock, logger: silentLogger });
+        let calls = 0;
+        const handler = (req, res) => {
+            calls++;
+            res.setHeader('Vary', 'Accept-Language, X-Tenant');
+            res.end(`${req.headers['accept-language']}/${req.headers['x-tenant']}`);
+        };
+        const get = (baseUrl, language, tenant) =>
+            fetch(`${baseUrl}/greeting`, { headers: { 'accept-language': language, 'x-tenant': tenant } });
+
+        await withCachedServer(api, handler, async baseUrl => {
+            await fetchAndStore(api, `${baseUrl}/greeting`, { headers: { 'accept-language': 'en', 'x-tenant': 'a' } });
+            await fetchAndStore(api, `${baseUrl}/greeting`, { headers: { 'accept-language': 'fr', 'x-tenant': 'a' } });
+
+            assert.equal(await (await get(baseUrl, 'en', 'a')).text(), 'en/a');
+            assert.equal(await (await get(baseUrl, 'fr', 'a')).text(), 'fr/a');
+            const otherTenant = await fetchAndStore(api, `${baseUrl}/greeting`, { headers: { 'accept-language': 'en', 'x-tenant': 'b' } });
+            assert.equal(otherTenant.response.headers.get('x-cache'), 'MISS');
+            assert.equal(calls, 3);
+        });
+    });
+
+    it('revalidates stale entries with their validators and extends them on 304', async () => {
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock, logger: silentLogger, staleTTL: 600 });
+        let version = 1;
+        const requests = [];
+        const handler = (req, res) => {
+            requests.push([req.headers['if-none-match'], req.headers['if-modified-since']]);
+            res.setHeader('Cache-Control', 'max-age=60');
+            res.setHeader('ETag', `"v${version}"`);
+            res.setHeader('Last-Modified', 'Mon, 15 Jan 2024 12:00:00 GMT');
+            if (req.headers['if-none-match'] === `"v${version}"`) {
+                res.statusCode = 304;
+                res.setHeader('Content-Length', '0');
+                res.end();
+                return;
+            }
+            res.setHeader('Content-Type', 'text/plain');
+            res.end(`version ${version}`);
+        };
+        const key = api.generateCacheKey('GET', '/doc', {}, {}, []);
+        const revalidated = [];
+        api.on('revalidate', ({ url, ttl }) => revalidated.push([url, ttl]));
+
+        await withCachedServer(api, handler, async baseUrl => {
+            await fetchAndStore(api, `${baseUrl}/doc`);
+            assert.equal(await redis.client.ttl(key), 660);
+
+            redis.clock.advance(90 * 1000);
+            const confirmed = await fetch(`${baseUrl}/doc`);
+            assert.equal(confirmed.headers.get('x-cache'), 'REVALIDATED');
+            assert.equal(confirmed.headers.get('age'), '0');
+            assert.equal(confirmed.headers.get('content-type'), 'text/plain');
+            assert.equal(await confirmed.text(), 'version 1');
+            assert.equal(await redis.client.ttl(key), 660);
+            const hit = await fetch(`${baseUrl}/doc`);
+            assert.equal(hit.headers.get('x-cache'), 'HIT');
+            assert.equal(await hit.text(), 'version 1');
+
+            redis.clock.advance(90 * 1000);
+            version = 2;
+            const changed = await fetchAndStore(api, `${baseUrl}/doc`);
+            assert.equal(changed.response.headers.get('x-cache'), 'MISS');
+            assert.equal(changed.body, 'version 2');
+            assert.equal(await (await fetch(`${baseUrl}/doc`)).text(), 'version 2');
+        });
+
+        assert.deepEqual(requests, [
+            [undefined, undefined],
+            ['"v1"', 'Mon, 15 Jan 2024 12:00:00 GMT'],
+            ['"v1"', 'Mon, 15 Jan 2024 12:00:00 GMT']
+        ]);
+        assert.deepEqual(revalidated, [['/doc', 60]]);
+        redis.clock.advance(90 * 1000);
+        assert.equal(await api.getCachedResponse('GET', '/doc', {}, {}, []), null);
+    });
+
+    it('answers clients\' conditional requests with 304 when the cached validator matches', async () => {
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock, logger: silentLogger });
+        const requests = [];
+        const handler = (req, res) => {
+            requests.push(req.headers['if-none-match']);
+            res.setHeader('Cache-Control', 'max-age=60');
+            res.setHeader('ETag', 'W/"abc"');
+            res.setHeader('Last-Modified', 'Mon, 15 Jan 2024 12:00:00 GMT');
+            res.end('body');
+        };
+
+        // fetch() sends conditional requests with Cache-Control: no-cache unless they set their own
+        const conditional = headers => ({ headers: { 'cache-control': 'max-age=600', ...headers } });
+
+        await withCachedServer(api, handler, async baseUrl => {
+            const miss = await fetchAndStore(api, `${baseUrl}/etag`, conditional({ 'if-none-match': '"abc"' }));
+            assert.equal(miss.response.status, 304);
+            assert.equal(miss.response.headers.get('etag'), 'W/"abc"');
+            assert.equal(miss.body, '');
+
+            const hit = await fetch(`${baseUrl}/etag`, conditional({ 'if-none-match': '"other", W/"abc"' }));
+            assert.equal(hit.status, 304);
+            assert.equal(hit.headers.get('x-cache'), 'HIT');
+            assert.equal(hit.headers.get('cache-control'), 'max-age=60');
+
+            const since = await fetch(`${baseUrl}/etag`, conditional({ 'if-modified-since': 'Tue, 16 Jan 2024 00:00:00 GMT' }));
+            assert.equal(since.status, 304);
+            const older = await fetch(`${baseUrl}/etag`, conditional({ 'if-modified-since': 'Sun, 14 Jan 2024 00:00:00 GMT' }));
+            assert.equal(older.status, 200);
+            assert.equal(await older.text(), 'body');
+            const mismatch = await fetch(`${baseUrl}/etag`, conditional({ 'if-none-match': '"xyz"' }));
+            assert.equal(await mismatch.text(), 'body');
+        });
+
+        // The server was asked once, for the full response
+        assert.deepEqual(requests, [undefined]);
+    });
+
+    it('keeps public authenticated responses per principal', async () => {
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock, logger: silentLogger });
+        let calls = 0;
+        const handler = (req, res) => {
+            calls++;
+            res.setHeader('Cache-Control', 'public, max-age=60');
+            res.end(req.headers.authorization);
+        };
+        const as = token => ({ headers: { authorization: `Bearer ${token}` } });
+
+        await withCachedServer(api, handler, async baseUrl => {
+            await fetchAndStore(api, `${baseUrl}/profile`, as('alice'));
+            const other = await fetchAndStore(api, `${baseUrl}/profile`, as('bob'));
+            assert.equal(other.response.headers.get('x-cache'), 'MISS');
+            assert.equal(other.body, 'Bearer bob');
+
+            const again = await fetch(`${baseUrl}/profile`, as('alice'));
+            assert.equal(again.headers.get('x-cache'), 'HIT');
+            assert.equal(await again.text(), 'Bearer alice');
+            assert.equal(calls, 2);
+        });
+    });
+});
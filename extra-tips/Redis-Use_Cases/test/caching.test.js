@@ -0,0 +1,649 @@
+import { describe, it } from 'node:test';
+import { EventEmitter, once } from 'node:events';
+import assert from 'node:assert/strict';
+import { setupRedis, clockDrivesExpiry } from './helpers.js';
+import { CacheManager } from '../caching.js';
+import { CircuitOpenError } from '../circuit_breaker.js';
+import { MetricsRegistry, silentLogger } from '../observability.js';
+import { scanKeys } from '../key_scan.js';
+
+const redis = setupRedis();
+
+// Persistence adapter that records what it saves, optionally failing
+function recordingSource({ batches = false } = {}) {
+    const source = { saved: new Map(), calls: [], failing: false };
+    const save = async entries => {
+        if (source.failing) throw new Error('database down');
+        source.calls.push(entries.map(({ key }) => key));
+        for (const { key, value } of entries) source.saved.set(key, value);
+    };
+    return batches ?
+        Object.assign(source, { saveMany: save }) :
+        Object.assign(source, { save: (key, value) => save([{ key, value }]) });
+}
+
+async function allKeys() {
+    const keys = [];
+    for await (const key of scanKeys(redis.client)) keys.push(key);
+    return keys.sort();
+}
+
+// Replace the simulated 100ms database call with an instant, counted one
+function withFakeDatabase(cache) {
+    const calls = [];
+    cache.getUserFromDatabase = async userId => {
+        calls.push(userId);
+        return { id: userId, name: `User ${userId}` };
+    };
+    return calls;
+}
+
+describe('CacheManager', () => {
+    it('serves repeat reads from the cache', async () => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock });
+        const calls = withFakeDatabase(cache);
+
+        assert.deepEqual(await cache.getUser(1), { id: 1, name: 'User 1' });
+        assert.deepEqual(await cache.getUser(1), { id: 1, name: 'User 1' });
+
+        assert.deepEqual(calls, [1]);
+        assert.deepEqual(cache.getStats(), { cacheHits: 1, cacheMisses: 1, hitRate: '50.00%' });
+    });
+
+    it('reloads after invalidation', async () => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock });
+        const calls = withFakeDatabase(cache);
+
+        await cache.getUser(2);
+        await cache.invalidateUserCache(2);
+        await cache.getUser(2);
+
+        assert.deepEqual(calls, [2, 2]);
+    });
+
+    it('reloads after the five minute TTL', { skip: !clockDrivesExpiry && 'expiry follows the real clock' }, async () => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock });
+        const calls = withFakeDatabase(cache);
+
+        await cache.getUser(3);
+        redis.clock.advance(299 * 1000);
+        await cache.getUser(3);
+        redis.clock.advance(1000);
+        await cache.getUser(3);
+
+        assert.deepEqual(calls, [3, 3]);
+    });
+
+    it('falls back to the database when Redis fails', async t => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock });
+        const calls = withFakeDatabase(cache);
+        t.mock.method(console, 'error', () => {});
+        t.mock.method(redis.client, 'get', async () => { throw new Error('connection lost'); });
+
+        assert.deepEqual(await cache.getUser(4), { id: 4, name: 'User 4' });
+        assert.deepEqual(calls, [4]);
+    });
+
+    it('reloads values the codec cannot decode', async () => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger });
+        const calls = withFakeDatabase(cache);
+        await redis.client.set('user:5', '{not json');
+
+        assert.deepEqual(await cache.getUser(5), { id: 5, name: 'User 5' });
+        assert.deepEqual(await cache.getUser(5), { id: 5, name: 'User 5' });
+        assert.deepEqual(calls, [5]);
+    });
+
+    it('caches any loader through wrap with a per-call TTL', { skip: !clockDrivesExpiry && 'expiry follows the real clock' }, async () => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock, namespace: 'shop' });
+        let loads = 0;
+        const loader = async () => ({ rows: ++loads });
+
+        assert.deepEqual(await cache.wrap('report:daily', loader, { ttl: 10 }), { rows: 1 });
+        assert.deepEqual(await cache.getOrLoad('report:daily', loader, { ttl: 10 }), { rows: 1 });
+        assert.equal(await redis.client.ttl('shop:report:daily'), 10);
+
+        redis.clock.advance(10 * 1000);
+        assert.deepEqual(await cache.wrap('report:daily', loader, { ttl: 10 }), { rows: 2 });
+        assert.deepEqual(cache.getStats(), { cacheHits: 1, cacheMisses: 2, hitRate: '33.33%' });
+    });
+
+    it('does not cache empty results', async () => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock });
+        let loads = 0;
+        const loader = async () => { loads++; return null; };
+
+        assert.equal(await cache.wrap('missing', loader), null);
+        assert.equal(await cache.wrap('missing', loader), null);
+        assert.equal(loads, 2);
+    });
+
+    it('caches not-found results for the negative TTL', { skip: !clockDrivesExpiry && 'expiry follows the real clock' }, async () => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger, defaultNegativeTTL: 30 });
+        let loads = 0;
+        const loader = async () => { loads++; return undefined; };
+
+        assert.equal(await cache.wrap('user:404', loader), undefined);
+        assert.equal(await cache.wrap('user:404', loader), null);
+        assert.equal(await redis.client.ttl('user:404'), 30);
+        assert.equal(loads, 1);
+
+        redis.clock.advance(30 * 1000);
+        await cache.wrap('user:404', loader, { negativeTTL: 0 });
+        await cache.wrap('user:404', loader, { negativeTTL: 0 });
+        assert.equal(loads, 3);
+    });
+
+    it('opens the circuit after repeated source failures and probes it later', async () => {
+        const metrics = new MetricsRegistry();
+        const cache = new CacheManager(redis.client, {
+            clock: redis.clock, logger: silentLogger, metrics, circuitBreaker: { failureThreshold: 2, resetTimeout: 30 }
+        });
+        const transitions = [];
+        cache.on('circuit', ({ source, state }) => transitions.push([source, state]));
+        let calls = 0;
+        const failing = async () => { calls++; throw new Error('database down'); };
+
+        await assert.rejects(cache.wrap('user:1', failing), /database down/);
+        await assert.rejects(cache.wrap('user:2', failing), /database down/);
+        await assert.rejects(cache.wrap('user:3', failing), CircuitOpenError);
+        assert.equal(calls, 2);
+        assert.equal(cache.getCircuitState('user'), 'open');
+        assert.equal(metrics.gauge('cache_circuit_open').get({ source: 'user' }), 1);
+
+        // Other sources are unaffected
+        assert.deepEqual(await cache.wrap('orders:1', async () => ['o1']), ['o1']);
+
+        redis.clock.advance(30 * 1000);
+        assert.deepEqual(await cache.wrap('user:3', async () => ({ id: 3 })), { id: 3 });
+        assert.equal(cache.getCircuitState('user'), 'closed');
+        assert.deepEqual(transitions, [['user', 'open'], ['user', 'closed']]);
+    });
+
+    it('serves stale entries without refreshing while the circuit is open', async () => {
+        const cache = new CacheManager(redis.client, {
+            clock: redis.clock, logger: silentLogger, circuitBreaker: { failureThreshold: 1 }
+        });
+        await cache.wrap('user:1', async () => ({ v: 1 }), { ttl: 10, staleTTL: 600 });
+        await assert.rejects(cache.wrap('user:2', async () => { throw new Error('database down'); }));
+        redis.clock.advance(10 * 1000);
+
+        let calls = 0;
+        assert.deepEqual(await cache.wrap('user:1', async () => ({ v: ++calls }), { ttl: 10, staleTTL: 600 }), { v: 1 });
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(calls, 0);
+        assert.equal(cache.inflight.size, 0);
+    });
+
+    it('fetches many keys with one batch load for the misses', async t => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger });
+        const batches = [];
+        const batchLoader = async keys => {
+            batches.push(keys);
+            return keys.map(key => key === 'user:9' ? null : { key });
+        };
+        await cache.wrap('user:2', async () => ({ key: 'cached' }));
+        const mGet = t.mock.method(redis.client, 'mGet');
+
+        const values = await cache.getMany(['user:3', 'user:2', 'user:1', 'user:9', 'user:3'], batchLoader);
+        assert.deepEqual(values, [{ key: 'user:3' }, { key: 'cached' }, { key: 'user:1' }, null, { key: 'user:3' }]);
+        assert.deepEqual(batches, [['user:3', 'user:1', 'user:9']]);
+        assert.equal(mGet.mock.callCount(), 1);
+
+        assert.deepEqual(await cache.getMany(['user:1', 'user:3'], batchLoader), [{ key: 'user:1' }, { key: 'user:3' }]);
+        assert.equal(batches.length, 1);
+        assert.equal(await redis.client.exists('user:9'), 0);
+        assert.deepEqual(cache.getStats(), { cacheHits: 3, cacheMisses: 4, hitRate: '42.86%' });
+    });
+
+    it('reloads stale keys in the same batch as the misses', async () => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger });
+        const batches = [];
+        const batchLoader = async keys => {
+            batches.push(keys);
+            return keys.map(key => ({ key, batch: batches.length }));
+        };
+        await cache.getMany(['user:1'], batchLoader, { ttl: 10, staleTTL: 600 });
+        redis.clock.advance(10 * 1000);
+
+        const values = await cache.getMany(['user:1', 'user:2'], batchLoader, { ttl: 10, staleTTL: 600 });
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(batches, [['user:1'], ['user:2', 'user:1']]);
+        assert.deepEqual(values, [{ key: 'user:1', batch: 2 }, { key: 'user:2', batch: 2 }]);
+
+        redis.clock.advance(10 * 1000);
+        assert.deepEqual(await cache.getMany(['user:1', 'user:2'], batchLoader, { ttl: 10, staleTTL: 600 }),
+            [{ key: 'user:1', batch: 2 }, { key: 'user:2', batch: 2 }]);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(batches.at(-1), ['user:1', 'user:2']);
+        assert.equal(batches.length, 3);
+    });
+
+    it('rejects batch loaders that do not answer for every key', async () => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger });
+        await assert.rejects(cache.getMany(['a', 'b'], async () => [1]), /returned 1 values for 2 keys/);
+        assert.deepEqual(await cache.getMany([], async () => []), []);
+    });
+
+    it('fetches users in bulk through getUsers', async () => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger, defaultNegativeTTL: 30 });
+        const queries = [];
+        cache.getUsersFromDatabase = async userIds => {
+            queries.push(userIds);
+            return userIds.map(userId => userId === 404 ? null : { id: userId });
+        };
+
+        await cache.getUsers([1, 404]);
+        const users = await cache.getUsers([2, 1, 404]);
+
+        assert.deepEqual(users, [{ id: 2 }, { id: 1 }, null]);
+        assert.deepEqual(queries, [[1, 404], [2]]);
+    });
+
+    it('invalidates every entry carrying a tag', async () => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock });
+        await cache.wrap('orders:7', async () => ['o1'], { ttl: 60, tags: ['user:7'] });
+        await cache.wrap('profile:7', async () => ({ name: 'Ann' }), { ttl: 600, tags: ['user:7'] });
+        await cache.wrap('profile:8', async () => ({ name: 'Bob' }), { tags: ['user:8'] });
+
+        assert.equal(await redis.client.ttl('cache:tag:user:7'), 600);
+        assert.equal(await cache.invalidateTag('user:7'), 2);
+        assert.equal(await redis.client.exists(['orders:7', 'profile:7', 'cache:tag:user:7']), 0);
+        assert.equal(await redis.client.exists('profile:8'), 1);
+    });
+
+    it('returns the loaded value when the cache write fails', async t => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock });
+        t.mock.method(console, 'error', () => {});
+        t.mock.method(redis.client, 'multi', () => { throw new Error('connection lost'); });
+        let loads = 0;
+
+        assert.deepEqual(await cache.wrap('report', async () => ({ rows: ++loads })), { rows: 1 });
+        assert.equal(loads, 1);
+    });
+
+    it('coalesces concurrent misses into one load', async () => {
+        const metrics = new MetricsRegistry();
+        const cache = new CacheManager(redis.client, { clock: redis.clock, metrics, logger: silentLogger });
+        const calls = withFakeDatabase(cache);
+
+        const users = await Promise.all([cache.getUser(5), cache.getUser(5), cache.getUser(5)]);
+
+        assert.deepEqual(users, Array(3).fill({ id: 5, name: 'User 5' }));
+        assert.deepEqual(calls, [5]);
+        assert.equal(metrics.counter('cache_loads_total').get({ cache: 'user' }), 1);
+        assert.equal(metrics.counter('cache_loads_saved_total').get({ cache: 'user', via: 'inflight' }), 2);
+    });
+
+    it('lets one instance repopulate while others wait for its value', async () => {
+        const metrics = new MetricsRegistry();
+        const options = { clock: redis.clock, metrics, logger: silentLogger, loadLockPoll: 5 };
+        const first = new CacheManager(redis.client, options);
+        const second = new CacheManager(redis.client, options);
+        let finishLoad;
+        const slowLoad = new Promise(resolve => { finishLoad = resolve; });
+        let secondLoads = 0;
+
+        const loading = first.wrap('report', () => slowLoad);
+        await new Promise(resolve => setTimeout(resolve, 5)); // let the first instance take the lock
+        const waiting = second.wrap('report', async () => ++secondLoads);
+        setTimeout(() => finishLoad({ rows: 3 }), 20);
+
+        assert.deepEqual(await Promise.all([loading, waiting]), [{ rows: 3 }, { rows: 3 }]);
+        assert.equal(secondLoads, 0);
+        assert.equal(metrics.counter('cache_loads_saved_total').get({ cache: 'report', via: 'lock' }), 1);
+        assert.equal(await redis.client.exists('cache:lock:report'), 0);
+    });
+
+    it('loads anyway when the lock holder takes too long', async () => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger, loadLockWait: 2000, loadLockPoll: 5 });
+        await redis.client.set('cache:lock:report', 'crashed-worker:0', { PX: 60000 });
+
+        // The wait is measured on the manager's clock
+        const loading = cache.wrap('report', async () => ({ rows: 1 }));
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.equal(await redis.client.exists('report'), 0); // still waiting after 20ms of real time
+        redis.clock.advance(2000);
+        assert.deepEqual(await loading, { rows: 1 });
+        assert.deepEqual(await cache.wrap('report', async () => ({ rows: 2 })), { rows: 1 });
+    });
+
+    it('skips the Redis lock on request', async () => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger, loadLockWait: 60000 });
+        await redis.client.set('cache:lock:report', 'other-worker:0', { PX: 60000 });
+
+        assert.deepEqual(await cache.wrap('report', async () => ({ rows: 1 }), { lock: false }), { rows: 1 });
+    });
+
+    it('serves stale values while refreshing in the background', async () => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger });
+        let loads = 0;
+        const loader = async () => ({ rows: ++loads });
+
+        await cache.wrap('report', loader, { ttl: 10, staleTTL: 60 });
+        assert.equal(await redis.client.ttl('report'), 70);
+
+        redis.clock.advance(15 * 1000);
+        const refreshed = once(cache, 'refresh');
+        assert.deepEqual(await cache.wrap('report', loader, { ttl: 10, staleTTL: 60 }), { rows: 1 });
+        await refreshed;
+
+        assert.deepEqual(await cache.wrap('report', loader, { ttl: 10, staleTTL: 60 }), { rows: 2 });
+        assert.deepEqual(cache.getStats(), { cacheHits: 2, cacheMisses: 1, hitRate: '66.67%' });
+    });
+
+    it('keeps serving the stale value when a refresh fails', async () => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger });
+        await cache.wrap('report', async () => ({ rows: 1 }), { ttl: 10, staleTTL: 60 });
+        redis.clock.advance(15 * 1000);
+
+        const failing = async () => { throw new Error('database down'); };
+        assert.deepEqual(await cache.wrap('report', failing, { ttl: 10, staleTTL: 60 }), { rows: 1 });
+        await cache.inflight.get('report');
+        assert.deepEqual(await cache.wrap('report', failing, { ttl: 10, staleTTL: 60 }), { rows: 1 });
+    });
+
+    it('drops entries at the hard TTL', { skip: !clockDrivesExpiry && 'expiry follows the real clock' }, async () => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger, defaultStaleTTL: 60 });
+        let loads = 0;
+
+        await cache.wrap('report', async () => ++loads, { ttl: 10 });
+        redis.clock.advance(70 * 1000);
+
+        assert.equal(await cache.wrap('report', async () => ++loads, { ttl: 10 }), 2);
+        assert.deepEqual(cache.getStats(), { cacheHits: 0, cacheMisses: 2, hitRate: '0.00%' });
+    });
+
+    it('refreshes slow-loading entries early with XFetch', async () => {
+        // An entry half a second from going stale whose loader took 100ms
+        const entry = JSON.stringify({ value: { rows: 1 }, freshUntil: redis.clock.now() + 500, loadMs: 100 });
+        await redis.client.set('report', entry, { EX: 60 });
+        const loader = async () => ({ rows: 2 });
+
+        // -100 * ln(0.9) = 10ms: too far from expiry to refresh
+        const unlucky = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger, random: () => 0.9 });
+        await unlucky.wrap('report', loader);
+        assert.equal(unlucky.inflight.size, 0);
+
+        // -100 * ln(0.0001) = 921ms: refresh now
+        const lucky = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger, random: () => 0.0001 });
+        const refreshed = once(lucky, 'refresh');
+        assert.deepEqual(await lucky.wrap('report', loader), { rows: 1 });
+        await refreshed;
+        assert.deepEqual(await unlucky.wrap('report', loader), { rows: 2 });
+    });
+
+    it('reads values cached before soft TTLs as fresh', async () => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger });
+        await redis.client.set('user:9', JSON.stringify({ id: 9, name: 'User 9' }), { EX: 300 });
+
+        assert.deepEqual(await cache.getUser(9), { id: 9, name: 'User 9' });
+        assert.equal(cache.inflight.size, 0);
+    });
+
+    it('serves repeat reads from the in-process L1', async t => {
+        const metrics = new MetricsRegistry();
+        const cache = new CacheManager(redis.client, { clock: redis.clock, metrics, logger: silentLogger, l1: { maxEntries: 10 } });
+        t.after(() => cache.close());
+
+        await cache.wrap('report', async () => ({ rows: 1 }));
+        await redis.client.del('report'); // only the L1 copy is left
+        assert.deepEqual(await cache.wrap('report', async () => ({ rows: 2 })), { rows: 1 });
+
+        const l1Events = metrics.counter('cache_l1_events_total');
+        assert.equal(l1Events.get({ event: 'hit' }), 1);
+        assert.equal(l1Events.get({ event: 'miss' }), 1);
+    });
+
+    it('keeps only fresh entries in the L1', async t => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger, l1: { ttl: 600 } });
+        t.after(() => cache.close());
+
+        await cache.wrap('report', async () => ({ rows: 1 }), { ttl: 10, staleTTL: 60 });
+        redis.clock.advance(10 * 1000);
+
+        const refreshed = once(cache, 'refresh');
+        assert.deepEqual(await cache.wrap('report', async () => ({ rows: 2 }), { ttl: 10, staleTTL: 60 }), { rows: 1 });
+        await refreshed;
+        assert.deepEqual(await cache.wrap('report', async () => ({ rows: 3 }), { ttl: 10, staleTTL: 60 }), { rows: 2 });
+    });
+
+    it('drops other replicas\' L1 copies over pub/sub', async t => {
+        const options = { clock: redis.clock, logger: silentLogger, namespace: 'shop', l1: { maxEntries: 10 } };
+        const writer = new CacheManager(redis.client, options);
+        const reader = new CacheManager(redis.client, options);
+        t.after(() => Promise.all([writer.close(), reader.close()]));
+
+        await writer.wrap('report', async () => ({ rows: 1 }));
+        assert.deepEqual(await reader.wrap('report', async () => ({ rows: 9 })), { rows: 1 });
+        assert.equal(reader.l1.size, 1);
+
+        const delivered = once(reader.invalidations, 'message');
+        await writer.invalidate('report');
+        const [{ channel }] = await delivered;
+
+        assert.equal(channel, 'cache:invalidate');
+        assert.equal(reader.l1.size, 0);
+        assert.deepEqual(await redis.client.pubSubChannels(), ['shop:cache:invalidate']);
+    });
+
+    it('drops L1 copies on CLIENT TRACKING invalidations', async t => {
+        const clientSideCache = new EventEmitter();
+        redis.client.clientSideCache = clientSideCache;
+        const cache = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger, l1: {} });
+        t.after(async () => {
+            await cache.close();
+            delete redis.client.clientSideCache;
+        });
+
+        await cache.wrap('a', async () => 1);
+        await cache.wrap('b', async () => 2);
+        assert.equal(cache.l1Invalidation, 'tracking');
+        assert.equal(cache.invalidations, undefined);
+
+        clientSideCache.emit('invalidate', Buffer.from('a'));
+        assert.equal(cache.l1.size, 1);
+        clientSideCache.emit('invalidate', null);
+        assert.equal(cache.l1.size, 0);
+
+        await cache.close();
+        assert.equal(clientSideCache.listenerCount('invalidate'), 0);
+    });
+
+    it('cascades invalidation through dependent entries', async () => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger, namespace: 'shop', tenant: 'acme' });
+        await cache.wrap('user:7', async () => ({ name: 'Ann' }), { tags: ['org:42'] });
+        await cache.wrap('team:3', async () => ['user:7'], { dependsOn: ['user:7'] });
+        await cache.wrap('page:home', async () => '<html>', { dependsOn: ['team:3', 'user:7'] });
+        await cache.wrap('page:about', async () => '<html>');
+
+        let event;
+        cache.on('invalidate', details => { event = details; });
+        assert.equal(await cache.invalidateTag('org:42'), 3);
+
+        assert.deepEqual(event, { tags: ['org:42'], keys: ['user:7', 'team:3', 'page:home'] });
+        assert.deepEqual(await allKeys(), ['shop:acme:page:about']);
+    });
+
+    it('invalidates a single key with its dependents', async () => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger });
+        await cache.wrap('user:7', async () => ({ name: 'Ann' }));
+        await cache.wrap('team:3', async () => ['user:7'], { dependsOn: ['user:7'] });
+        await cache.wrap('team:4', async () => ['user:8'], { dependsOn: ['user:8'] });
+
+        assert.equal(await cache.invalidate('user:7'), 2);
+        assert.equal(await redis.client.exists(['user:7', 'team:3', 'cache:deps:user:7']), 0);
+        assert.equal(await redis.client.exists(['team:4', 'cache:deps:user:8']), 2);
+        assert.equal(await cache.invalidateTags(['nothing']), 0);
+    });
+
+    it('writes through to the source and the cache', async () => {
+        const persistence = recordingSource();
+        const cache = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger, persistence });
+        await cache.wrap('team:3', async () => ['Ann'], { dependsOn: ['user:7'] });
+
+        await cache.set('user:7', { name: 'Ann B.' }, { ttl: 60 });
+
+        assert.deepEqual(persistence.saved.get('user:7'), { name: 'Ann B.' });
+        assert.deepEqual(await cache.wrap('user:7', async () => assert.fail('should be cached')), { name: 'Ann B.' });
+        assert.equal(await redis.client.ttl('user:7'), 60);
+        assert.equal(await redis.client.exists('team:3'), 0);
+    });
+
+    it('leaves the cache alone when the source write fails', async () => {
+        const persistence = recordingSource();
+        persistence.failing = true;
+        const cache = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger, persistence });
+
+        await assert.rejects(cache.set('user:7', { name: 'Ann' }), /database down/);
+        assert.equal(await redis.client.exists('user:7'), 0);
+        await assert.rejects(new CacheManager(redis.client).set('user:7', {}), /persistence adapter/);
+    });
+
+    it('buffers write-behind writes and flushes them in batches', async () => {
+        const persistence = recordingSource({ batches: true });
+        const cache = new CacheManager(redis.client, {
+            clock: redis.clock, logger: silentLogger, persistence, writeMode: 'behind', writeBehind: { batchSize: 2 }
+        });
+
+        await cache.set('user:1', { v: 1 });
+        await cache.set('user:2', { v: 1 });
+        await cache.set('user:1', { v: 2 }); // replaces the unflushed write
+        await cache.set('user:3', { v: 1 });
+
+        assert.equal(persistence.calls.length, 0);
+        assert.deepEqual(await cache.wrap('user:1', async () => null), { v: 2 });
+        assert.equal(await cache.getPendingWriteCount(), 3);
+
+        assert.deepEqual(await cache.flushWrites(), { written: 3, retrying: 0, failed: 0 });
+        assert.deepEqual(persistence.calls, [['user:1', 'user:2'], ['user:3']]);
+        assert.deepEqual(persistence.saved.get('user:1'), { v: 2 });
+        assert.equal(await cache.getPendingWriteCount(), 0);
+    });
+
+    it('keeps writes replaced during a flush for the next one', async () => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger, writeMode: 'behind' });
+        const saved = [];
+        cache.persistence = {
+            async save(key, value) {
+                saved.push(value);
+                if (saved.length === 1) await cache.set(key, { v: 2 });
+            }
+        };
+
+        await cache.set('user:1', { v: 1 });
+        await cache.flushWrites();
+        assert.equal(await cache.getPendingWriteCount(), 1);
+
+        await cache.flushWrites();
+        assert.deepEqual(saved, [{ v: 1 }, { v: 2 }]);
+        assert.equal(await cache.getPendingWriteCount(), 0);
+    });
+
+    it('retries failed flushes and parks writes that keep failing', async () => {
+        const metrics = new MetricsRegistry();
+        const persistence = recordingSource();
+        const cache = new CacheManager(redis.client, {
+            clock: redis.clock, logger: silentLogger, metrics, persistence, writeMode: 'behind', writeBehind: { maxAttempts: 2 }
+        });
+        const failures = [];
+        cache.on('writeFailed', ({ key, attempts }) => failures.push([key, attempts]));
+
+        await cache.set('user:1', { v: 1 });
+        persistence.failing = true;
+        assert.deepEqual(await cache.flushWrites(), { written: 0, retrying: 1, failed: 0 });
+        assert.deepEqual(await cache.flushWrites(), { written: 0, retrying: 0, failed: 1 });
+        assert.deepEqual(failures, [['user:1', 2]]);
+        assert.equal(await cache.getPendingWriteCount(), 0);
+
+        persistence.failing = false;
+        assert.equal(await cache.retryFailedWrites(), 1);
+        assert.deepEqual(await cache.flushWrites(), { written: 1, retrying: 0, failed: 0 });
+        assert.deepEqual(persistence.saved.get('user:1'), { v: 1 });
+
+        const writes = metrics.counter('cache_source_writes_total');
+        assert.deepEqual(['written', 'retry', 'failed'].map(result => writes.get({ mode: 'behind', result })), [1, 1, 1]);
+    });
+
+    it('keeps writes replaced during a failing flush pending instead of parking the old value', async () => {
+        const cache = new CacheManager(redis.client, {
+            clock: redis.clock, logger: silentLogger, writeMode: 'behind', writeBehind: { maxAttempts: 1 }
+        });
+        const saved = [];
+        cache.persistence = {
+            async save(key, value) {
+                if (value.v === 1) {
+                    await cache.set(key, { v: 2 });
+                    throw new Error('database down');
+                }
+                saved.push(value);
+            }
+        };
+
+        await cache.set('user:1', { v: 1 });
+        assert.deepEqual(await cache.flushWrites(), { written: 0, retrying: 1, failed: 0 });
+        assert.equal(await redis.client.exists('cache:writebehind:failed'), 0);
+
+        assert.deepEqual(await cache.flushWrites(), { written: 1, retrying: 0, failed: 0 });
+        assert.deepEqual(saved, [{ v: 2 }]);
+    });
+
+    it('aggregates hit-rate trends across instances in shared stats buckets', async () => {
+        const options = { clock: redis.clock, logger: silentLogger, stats: { bucket: 60 } };
+        const first = new CacheManager(redis.client, options);
+        const second = new CacheManager(redis.client, options);
+        const from = redis.clock.now();
+
+        await first.wrap('user:1', async () => ({ id: 1 }));
+        await second.wrap('user:1', async () => ({ id: 1 }));
+        redis.clock.advance(60000);
+        await second.wrap('user:1', async () => ({ id: 1 }));
+        await first.wrap('orders:1', async () => []);
+        await assert.rejects(first.wrap('orders:2', async () => { throw new Error('database down'); }));
+        await first.close();
+
+        const history = await second.getStatsHistory({ from });
+        assert.deepEqual(Object.keys(history).sort(), ['orders', 'user']);
+
+        const user = history.user;
+        assert.deepEqual([user.hits, user.misses, user.loads, user.loadErrors], [2, 1, 1, 0]);
+        assert.equal(user.hitRate, 2 / 3);
+        assert.deepEqual(user.buckets.map(bucket => [bucket.hits, bucket.misses]), [[1, 1], [1, 0]]);
+        assert.equal(user.buckets[1].start - user.buckets[0].start, 60000);
+        assert.ok(user.avgLoadMs >= 0);
+
+        const orders = history.orders;
+        assert.deepEqual([orders.misses, orders.loads, orders.loadErrors, orders.hitRate], [2, 1, 1, 0]);
+        assert.deepEqual(Object.keys(await second.getStatsHistory({ from, prefix: 'user' })), ['user']);
+        assert.deepEqual(second.getStats(), { cacheHits: 2, cacheMisses: 0, hitRate: '100.00%' });
+    });
+
+    it('counts L1 evictions in the shared stats', async t => {
+        const cache = new CacheManager(redis.client, {
+            clock: redis.clock, logger: silentLogger, stats: true, l1: { maxEntries: 1, invalidation: 'pubsub' }
+        });
+        t.after(() => cache.close());
+
+        await cache.wrap('user:1', async () => ({ id: 1 }));
+        await cache.wrap('user:2', async () => ({ id: 2 }));
+
+        assert.equal((await cache.getStatsHistory()).user.evictions, 1);
+        await assert.rejects(new CacheManager(redis.client).getStatsHistory(), /needs the stats option/);
+    });
+
+    it('flushes on a timer until stopped', async () => {
+        const persistence = recordingSource();
+        const cache = new CacheManager(redis.client, { clock: redis.clock, logger: silentLogger, persistence, writeMode: 'behind' });
+        await cache.set('user:1', { v: 1 });
+
+        const flushed = once(cache, 'flush');
+        const keepAlive = setTimeout(() => {}, 1000); // the flush timer is unref'd
+        cache.startWriteBehind(5);
+        await flushed;
+        clearTimeout(keepAlive);
+        await cache.close();
+
+        assert.deepEqual(persistence.saved.get('user:1'), { v: 1 });
+        assert.equal(cache.flushTimer, null);
+    });
+});
@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker } from '../circuit_breaker.js';
+import { ManualClock } from '../clock.js';
+
+describe('CircuitBreaker', () => {
+    it('opens after consecutive failures and refuses calls until the timeout', () => {
+        const clock = new ManualClock(0);
+        const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeout: 10, clock });
+
+        assert.equal(breaker.recordFailure(), null);
+        assert.equal(breaker.recordSuccess(), null);
+        assert.equal(breaker.recordFailure(), null);
+        assert.equal(breaker.recordFailure(), 'open');
+        assert.equal(breaker.state, 'open');
+        assert.equal(breaker.tryCall(), false);
+
+        clock.advance(10000);
+        assert.equal(breaker.state, 'halfOpen');
+    });
+
+    it('lets one probe through when half-open', () => {
+        const clock = new ManualClock(0);
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 10, clock });
+        breaker.recordFailure();
+        clock.advance(10000);
+
+        assert.equal(breaker.tryCall(), true);
+        assert.equal(breaker.tryCall(), false);
+        assert.equal(breaker.recordFailure(), 'open');
+        assert.equal(breaker.allows(), false);
+
+        clock.advance(10000);
+        assert.equal(breaker.tryCall(), true);
+        assert.equal(breaker.recordSuccess(), 'closed');
+        assert.equal(breaker.state, 'closed');
+    });
+
+    it('does not restart the timeout for calls started before it opened', () => {
+        const clock = new ManualClock(0);
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 10, clock });
+        breaker.recordFailure();
+        clock.advance(5000);
+
+        assert.equal(breaker.recordFailure(), null);
+        clock.advance(5000);
+        assert.equal(breaker.state, 'halfOpen');
+    });
+
+    it('is closed only by the probe, not by calls started before it opened', () => {
+        const clock = new ManualClock(0);
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 10, clock });
+        breaker.recordFailure();
+
+        assert.equal(breaker.recordSuccess(), null);
+        assert.equal(breaker.state, 'open');
+        clock.advance(10000);
+        assert.equal(breaker.recordSuccess(), null);
+        assert.equal(breaker.state, 'halfOpen');
+
+        assert.equal(breaker.tryCall(), true);
+        assert.equal(breaker.recordSuccess(), 'closed');
+    });
+});
@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupRedis } from './helpers.js';
+import { runCli, formatTable } from '../cli.js';
+import { JobQueue } from '../message_queuing.js';
+import { DistributedLock } from '../distributed_locking.js';
+import { LeaderboardManager } from '../leaderboards.js';
+
+const redis = setupRedis();
+
+// Run the CLI against the test client and capture its output
+async function cli(...argv) {
+    let stdout = '';
+    let stderr = '';
+    const code = await runCli(argv, {
+        client: redis.client,
+        stdout: { write: text => { stdout += text; } },
+        stderr: { write: text => { stderr += text; } }
+    });
+    return { code, stdout, stderr };
+}
+
+describe('redis-usecases CLI', () => {
+    it('prints queue stats as JSON and keeps manager chatter off stdout', async () => {
+        const queue = new JobQueue(redis.client, 'emails');
+        await queue.addJob({ to: 'a@example.com' });
+
+        const { code, stdout, stderr } = await cli('queue', 'stats', '--queue', 'emails', '--json');
+        assert.equal(code, 0);
+        assert.deepEqual(JSON.parse(stdout), { queued: 1, processing: 0, failed: 0, delayed: 0, total: 1 });
+        assert.equal(stderr, '');
+    });
+
+    it('scopes commands to a tenant', async () => {
+        await new JobQueue(redis.client, 'emails', { tenant: 'acme', hashTag: true }).addJob({ to: 'a@example.com' });
+        await new JobQueue(redis.client, 'emails').addJob({ to: 'b@example.com' });
+
+        const { stdout } = await cli('queue', 'drain', '--queue', 'emails', '--tenant', 'acme', '--hash-tag', '--json');
+        assert.deepEqual(JSON.parse(stdout), { drained: 1 });
+        assert.equal(await redis.client.lLen('emails'), 1);
+    });
+
+    it('re-queues failed jobs and drains waiting ones', async () => {
+        const queue = new JobQueue(redis.client, 'emails');
+        const jobId = await queue.addJob({ to: 'a@example.com' });
+        await queue.getNextJob();
+        await queue.failJob(jobId, 'smtp down', 1);
+        await queue.addJob({ to: 'b@example.com' }, 'high', 60);
+
+        assert.deepEqual(JSON.parse((await cli('queue', 'retry-failed', '--queue', 'emails', '--json')).stdout), { retried: 1 });
+        const [retried] = await redis.client.lRange('emails', 0, -1);
+        assert.equal(JSON.parse(retried).attempts, 0);
+
+        assert.deepEqual(JSON.parse((await cli('queue', 'drain', '--queue', 'emails', '--json')).stdout), { drained: 2 });
+        assert.equal((await queue.getQueueStats()).total, 0);
+    });
+
+    it('inspects and force-releases locks', async () => {
+        await new DistributedLock(redis.client).acquireLock('nightly-report', 'worker7', 60000);
+
+        const status = JSON.parse((await cli('lock', 'status', 'nightly-report', '--json')).stdout);
+        assert.equal(status.ownerId, 'worker7');
+
+        assert.deepEqual(JSON.parse((await cli('lock', 'force-release', 'nightly-report', '--json')).stdout), { released: true });
+        assert.equal(await redis.client.exists('lock:nightly-report'), 0);
+    });
+
+    it('round-trips config through set, history, snapshot and restore', async () => {
+        await cli('config', 'set', 'maxUsers', '100', '--app', 'shop');
+        await cli('config', 'snapshot', 'v1', '--app', 'shop');
+        await cli('config', 'set', 'maxUsers', '250', '--app', 'shop', '--user', 'ops');
+
+        const history = JSON.parse((await cli('config', 'history', 'maxUsers', '--app', 'shop', '--json')).stdout);
+        assert.equal(history.length, 2);
+
+        await cli('config', 'restore', 'v1', '--app', 'shop');
+        const { stdout } = await cli('config', 'get', 'maxUsers', '--app', 'shop', '--json');
+        assert.deepEqual(JSON.parse(stdout), { maxUsers: 100 });
+    });
+
+    it('indexes and queries documents', async () => {
+        await cli('search', 'index', 'doc1', 'Redis streams', 'Consumer', 'groups', 'with', 'redis', 'streams');
+        await cli('search', 'index', 'doc2', 'Gardening', 'Growing', 'tomatoes');
+
+        const results = JSON.parse((await cli('search', 'query', 'streams', '--json')).stdout);
+        assert.deepEqual(results.map(result => result.id), ['doc1']);
+    });
+
+    it('renders leaderboards as a table by default', async () => {
+        const leaderboard = new LeaderboardManager(redis.client);
+        await leaderboard.updateScore('weekly', 'p1', 10, { name: 'Ann' });
+        await leaderboard.updateScore('weekly', 'p2', 30, { name: 'Bob' });
+
+        const { stdout } = await cli('leaderboard', 'top', 'weekly');
+        const lines = stdout.trim().split('\n');
+        assert.match(lines[0], /^rank\s+playerId\s+name\s+score$/);
+        assert.match(lines[2], /^1\s+p2\s+Bob\s+30$/);
+
+        const missing = await cli('leaderboard', 'rank', 'weekly', 'p9');
+        assert.equal(missing.code, 1);
+        assert.match(missing.stderr, /not on leaderboard weekly/);
+    });
+
+    it('reports usage errors with exit code 2', async () => {
+        assert.equal((await cli('queue', 'explode')).code, 2);
+        assert.equal((await cli('lock', 'status')).code, 2);
+        assert.equal((await cli('leaderboard', 'top', 'weekly', '--limit', 'lots')).code, 2);
+        assert.equal((await cli('queue', 'stats', '--format', 'xml')).code, 2);
+        assert.match((await cli('--help')).stdout, /^Usage: redis-usecases/);
+    });
+
+    it('formats rows with aligned columns', () => {
+        assert.equal(formatTable([{ a: 1, b: 'x' }, { a: 22 }]), 'a   b\n--  -\n1   x\n22');
+        assert.equal(formatTable([]), '(no results)');
+    });
+});
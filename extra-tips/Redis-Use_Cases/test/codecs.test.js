@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupRedis } from './helpers.js';
+import { HEADER, jsonCodec, msgpackCodec, compressedCodec, getCodec, decodeValue } from '../codecs.js';
+import { CacheManager } from '../caching.js';
+import { APICacheManager } from '../api_caching.js';
+import { SessionManager } from '../session_storage.js';
+import { JobQueue } from '../message_queuing.js';
+import { TimeSeriesManager } from '../time_series.js';
+import { MLFeatureStore } from '../ml_feature_store.js';
+
+const redis = setupRedis();
+
+const sample = {
+    id: 42,
+    name: 'Zoë',
+    negative: -7,
+    large: 4294967295,
+    signed: -2147483648,
+    ratio: 0.125,
+    flags: [true, false, null],
+    nested: { tags: ['a', 'b'], empty: {} },
+    text: 'x'.repeat(300)
+};
+
+describe('codecs', () => {
+    it('round-trips values through MessagePack', () => {
+        const encoded = msgpackCodec.encode(sample);
+
+        assert.equal(encoded[0], HEADER.MSGPACK);
+        assert.ok(encoded.length < jsonCodec.encode(sample).length);
+        assert.deepEqual(msgpackCodec.decode(encoded), sample);
+    });
+
+    it('normalizes MessagePack values the way JSON does', () => {
+        const value = { when: new Date(0), skipped: undefined, list: [undefined, NaN] };
+
+        assert.deepEqual(msgpackCodec.decode(msgpackCodec.encode(value)), JSON.parse(JSON.stringify(value)));
+    });
+
+    it('only compresses values at or above the threshold', () => {
+        const codec = compressedCodec({ algorithm: 'gzip', threshold: 256 });
+
+        assert.equal(codec.encode({ small: true }), '{"small":true}');
+
+        const encoded = codec.encode(sample);
+        assert.equal(encoded[0], HEADER.GZIP);
+        assert.deepEqual(codec.decode(encoded), sample);
+    });
+
+    it('compresses the output of another codec', () => {
+        const codec = compressedCodec({ algorithm: 'brotli', threshold: 0, inner: msgpackCodec });
+        const encoded = codec.encode(sample);
+
+        assert.equal(codec.name, 'brotli+msgpack');
+        assert.equal(encoded[0], HEADER.BROTLI);
+        assert.deepEqual(codec.decode(encoded), sample);
+    });
+
+    it('decodes whatever any codec wrote', () => {
+        const brotli = compressedCodec({ algorithm: 'brotli', threshold: 0 });
+
+        for (const writer of [jsonCodec, msgpackCodec, brotli]) {
+            for (const reader of [jsonCodec, msgpackCodec, brotli]) {
+                assert.deepEqual(reader.decode(writer.encode(sample)), sample, `${writer.name} -> ${reader.name}`);
+            }
+        }
+        assert.deepEqual(decodeValue(Buffer.from('{"legacy":1}')), { legacy: 1 });
+        assert.equal(decodeValue(null), null);
+    });
+
+    it('rejects unknown codecs and corrupt data', () => {
+        assert.throws(() => getCodec('zstd'), /Unknown codec/);
+        assert.throws(() => compressedCodec({ algorithm: 'lz4' }), /Unknown compression algorithm/);
+        assert.throws(() => decodeValue(Buffer.from([HEADER.MSGPACK, 0xa5, 0x61])), /Truncated/);
+    });
+});
+
+describe('managers with a binary codec', () => {
+    const codec = compressedCodec({ algorithm: 'brotli', threshold: 64, inner: msgpackCodec });
+
+    it('stores binary values that survive a round trip', async () => {
+        const cache = new CacheManager(redis.client, { clock: redis.clock, codec });
+        cache.getUserFromDatabase = async userId => ({ id: userId, bio: 'é'.repeat(200) });
+
+        const user = await cache.getUser(7);
+        assert.deepEqual(await cache.getUser(7), user);
+        assert.equal(cache.cacheHits, 1);
+
+        const stored = await cache.valueClient.get('user:7');
+        assert.equal(stored[0], HEADER.BROTLI);
+    });
+
+    it('reads values written by the JSON codec', async () => {
+        const sessions = new SessionManager(redis.client, { clock: redis.clock });
+        const sessionId = await sessions.createSession('user-1', { role: 'admin' });
+
+        const migrated = new SessionManager(redis.client, { clock: redis.clock, codec });
+        assert.equal((await migrated.getSession(sessionId)).role, 'admin');
+        assert.equal((await sessions.getSession(sessionId)).role, 'admin');
+    });
+
+    it('caches API responses', async () => {
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock, codec: msgpackCodec });
+        await api.cacheResponse('GET', '/users', { page: 1 }, {}, { users: [1, 2, 3] });
+
+        const cached = await api.getCachedResponse('GET', '/users', { page: 1 });
+        assert.deepEqual(cached.users, [1, 2, 3]);
+        assert.equal(cached._cached, true);
+    });
+
+    it('queues and completes jobs', async () => {
+        const queue = new JobQueue(redis.client, 'binary', { clock: redis.clock, codec });
+        const jobId = await queue.addJob({ payload: 'x'.repeat(500) });
+
+        const job = await queue.getNextJob();
+        assert.equal(job.id, jobId);
+        assert.equal(job.data.payload.length, 500);
+
+        await queue.completeJob(jobId);
+        assert.equal(await redis.client.lLen(queue.processingQueue), 0);
+    });
+
+    it('stores time series points, feature vectors and model weights', async () => {
+        const now = redis.clock.now();
+        const series = new TimeSeriesManager(redis.client, { clock: redis.clock, codec });
+        await series.addDataPoint('cpu', now, 0.5, { host: 'web-1' });
+        assert.deepEqual(await series.getLatestDataPoints('cpu', 1), [{ timestamp: now, value: 0.5, host: 'web-1' }]);
+
+        const store = new MLFeatureStore(redis.client, { clock: redis.clock, codec });
+        const vector = Array.from({ length: 64 }, (_, i) => i / 8);
+        await store.storeFeatureVector('user-1', 'embedding', vector);
+        await store.storeModel('model-1', { name: 'ranker', type: 'linear', weights: { bias: 0.5, w: vector } });
+
+        const feature = await store.getFeatureVector('user-1', 'embedding');
+        assert.deepEqual(feature.vector, vector);
+        assert.equal(feature.dimensions, 64);
+        assert.deepEqual((await store.getBatchFeatureVectors(['user-1'], 'embedding'))[0].vector, vector);
+        assert.deepEqual((await store.getModel('model-1')).weights, { bias: 0.5, w: vector });
+    });
+});
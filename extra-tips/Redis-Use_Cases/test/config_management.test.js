@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupRedis } from './helpers.js';
+import { ConfigManager } from '../config_management.js';
+
+const redis = setupRedis();
+
+describe('ConfigManager', () => {
+    it('stores typed values and falls back to defaults', async () => {
+        const config = new ConfigManager(redis.client, 'shop', { clock: redis.clock });
+
+        await config.setConfig('maxItems', 50);
+        await config.setConfig('features', { beta: true });
+
+        assert.equal(await config.getConfig('maxItems'), 50);
+        assert.deepEqual(await config.getConfig('features'), { beta: true });
+        assert.equal(await config.getConfig('missing', 'fallback'), 'fallback');
+    });
+
+    it('lists only config entries, not history or snapshot keys', async () => {
+        const config = new ConfigManager(redis.client, 'shop', { clock: redis.clock });
+
+        await config.setBulkConfig({ currency: 'EUR', taxRate: 0.2 });
+        await config.createSnapshot('before-sale');
+        await config.setEnvironmentConfig('production', { debug: false });
+
+        assert.deepEqual(await config.getAllConfig(), { currency: 'EUR', taxRate: 0.2 });
+    });
+
+    it('keeps per-key history, newest first', async () => {
+        const config = new ConfigManager(redis.client, 'shop', { clock: redis.clock });
+
+        await config.setConfig('timeout', 10);
+        redis.clock.advance(1000);
+        await config.setConfig('other', true);
+        redis.clock.advance(1000);
+        await config.setConfig('timeout', 20);
+        redis.clock.advance(1000);
+        await config.deleteConfig('timeout');
+
+        const history = await config.getConfigHistory('timeout');
+        assert.equal(history.length, 3);
+        assert.equal(history[0].deleted, true);
+        assert.equal(history[1].value, '20');
+        assert.equal(history[2].value, '10');
+        assert.equal((await config.getConfigHistory('timeout', 1)).length, 1);
+    });
+
+    it('restores configuration from a snapshot', async () => {
+        const config = new ConfigManager(redis.client, 'shop', { clock: redis.clock });
+
+        await config.setBulkConfig({ currency: 'EUR', banner: 'Welcome' });
+        await config.createSnapshot('stable', 'known good');
+
+        await config.setConfig('currency', 'USD');
+        await config.deleteConfig('banner');
+
+        await config.loadSnapshot('stable');
+        assert.deepEqual(await config.getAllConfig(), { currency: 'EUR', banner: 'Welcome' });
+
+        await assert.rejects(config.loadSnapshot('missing'), /Snapshot missing not found/);
+        assert.equal((await config.getStats()).snapshots, 1);
+    });
+});
@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupRedis, clockDrivesExpiry } from './helpers.js';
+import { DistributedLock, SharedCounter } from '../distributed_locking.js';
+
+const redis = setupRedis();
+
+describe('DistributedLock', () => {
+    it('allows a single owner at a time', async () => {
+        const locks = new DistributedLock(redis.client, 'lock:', { clock: redis.clock });
+
+        assert.equal((await locks.acquireLock('resource', 'alice', 5000)).success, true);
+        assert.equal((await locks.acquireLock('resource', 'bob', 5000)).success, false);
+
+        const status = await locks.getLockStatus('resource');
+        assert.equal(status.exists, true);
+        assert.equal(status.ownerId, 'alice');
+        assert.equal(status.acquiredAt, redis.clock.now());
+    });
+
+    it('only lets the owner release or extend the lock', async () => {
+        const locks = new DistributedLock(redis.client, 'lock:', { clock: redis.clock });
+        await locks.acquireLock('resource', 'alice', 5000);
+
+        assert.equal(await locks.releaseLock('resource', 'bob'), false);
+        assert.equal(await locks.extendLock('resource', 'bob', 10000), false);
+
+        assert.equal(await locks.extendLock('resource', 'alice', 10000), true);
+        assert.ok(await redis.client.pTTL('lock:resource') > 5000);
+
+        assert.equal(await locks.releaseLock('resource', 'alice'), true);
+        assert.equal((await locks.getLockStatus('resource')).exists, false);
+    });
+
+    it('expires abandoned locks', { skip: !clockDrivesExpiry && 'expiry follows the real clock' }, async () => {
+        const locks = new DistributedLock(redis.client, 'lock:', { clock: redis.clock });
+        await locks.acquireLock('resource', 'alice', 1000);
+
+        redis.clock.advance(1000);
+        assert.equal((await locks.acquireLock('resource', 'bob', 1000)).success, true);
+        assert.equal(await locks.releaseLock('resource', 'alice'), false);
+    });
+
+    it('withLock releases the lock when the callback throws', async () => {
+        const locks = new DistributedLock(redis.client, 'lock:', { clock: redis.clock });
+
+        await assert.rejects(
+            locks.withLock('job', 'worker1', async () => { throw new Error('task failed'); }),
+            /task failed/
+        );
+        assert.equal((await locks.getLockStatus('job')).exists, false);
+    });
+
+    it('withLock gives up when the lock stays taken', async () => {
+        const locks = new DistributedLock(redis.client, 'lock:', { clock: redis.clock });
+        await locks.acquireLock('job', 'worker1', 5000);
+
+        await assert.rejects(
+            locks.withLock('job', 'worker2', async () => 'never', { maxRetries: 2, retryDelay: 1 }),
+            /Could not acquire lock: job/
+        );
+    });
+
+    it('serializes increments on a shared counter', async () => {
+        const locks = new DistributedLock(redis.client, 'lock:', { clock: redis.clock });
+        const counter = new SharedCounter(redis.client);
+        await counter.reset();
+
+        await Promise.all(['w1', 'w2', 'w3'].map(worker =>
+            locks.withLock('counter', worker, () => counter.increment(2), { maxRetries: 20, retryDelay: 1 })
+        ));
+
+        assert.equal(await counter.getValue(), 6);
+    });
+});
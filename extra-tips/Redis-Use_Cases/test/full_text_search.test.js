@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupRedis } from './helpers.js';
+import { FullTextSearch } from '../full_text_search.js';
+
+const redis = setupRedis();
+
+async function indexSampleDocuments(search) {
+    await search.indexDocument('doc1', 'Redis caching', 'Redis makes caching fast. Redis everywhere with redis clients.');
+    await search.indexDocument('doc2', 'Database tuning', 'Tuning a relational database, sometimes with Redis in front.');
+    await search.indexDocument('doc3', 'Gardening tips', 'Tomatoes need sunlight and water.');
+}
+
+describe('FullTextSearch', () => {
+    it('ranks documents by term frequency', async () => {
+        const search = new FullTextSearch(redis.client, 'fts', { clock: redis.clock });
+        await indexSampleDocuments(search);
+
+        const { total, results } = await search.search('redis');
+        assert.equal(total, 2);
+        assert.deepEqual(results.map(result => result.id), ['doc1', 'doc2']);
+        assert.ok(results[0].score > results[1].score);
+    });
+
+    it('only returns documents containing every query word', async () => {
+        const search = new FullTextSearch(redis.client, 'fts', { clock: redis.clock });
+        await indexSampleDocuments(search);
+
+        const { results } = await search.search('redis database');
+        assert.deepEqual(results.map(result => result.id), ['doc2']);
+        assert.equal((await search.search('kubernetes')).total, 0);
+    });
+
+    it('drops removed documents from results, suggestions and stats', async () => {
+        const search = new FullTextSearch(redis.client, 'fts', { clock: redis.clock });
+        await indexSampleDocuments(search);
+
+        assert.deepEqual((await search.getSuggestions('tom')).sort(), ['tomatoe']);
+
+        await search.removeDocument('doc3');
+        assert.equal((await search.search('tomatoes')).total, 0);
+        assert.deepEqual(await search.getSuggestions('tom'), []);
+
+        const stats = await search.getStats();
+        assert.equal(stats.totalDocuments, 2);
+        assert.ok(stats.uniqueWords > 0);
+        assert.equal(await redis.client.exists('fts:words:tomatoe'), 0);
+    });
+
+    it('clears the whole index', async () => {
+        const search = new FullTextSearch(redis.client, 'fts', { clock: redis.clock });
+        await indexSampleDocuments(search);
+
+        await search.clearIndex();
+        assert.deepEqual(await redis.client.keys('fts:*'), []);
+    });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupRedis } from './helpers.js';
+import { GeospatialManager } from '../geospatial.js';
+
+const redis = setupRedis();
+
+const places = [
+    { id: 'city-hall', longitude: -74.0060, latitude: 40.7128 },
+    { id: 'times-square', longitude: -73.9851, latitude: 40.7589 },
+    { id: 'penn-station', longitude: -73.9934, latitude: 40.7505 },
+    { id: 'jfk', longitude: -73.7781, latitude: 40.6413 }
+];
+
+describe('GeospatialManager', () => {
+    it('stores positions and measures distances', async () => {
+        const geo = new GeospatialManager(redis.client);
+
+        assert.equal(await geo.addLocations('places', places), 4);
+
+        const position = await geo.getPosition('places', 'city-hall');
+        assert.ok(Math.abs(position.longitude - -74.0060) < 0.0001);
+        assert.ok(Math.abs(position.latitude - 40.7128) < 0.0001);
+        assert.equal(await geo.getPosition('places', 'nowhere'), null);
+
+        const distance = await geo.getDistance('places', 'city-hall', 'times-square', 'km');
+        assert.ok(distance > 5 && distance < 5.5, `unexpected distance ${distance}`);
+    });
+
+    it('finds nearby locations sorted by distance', async () => {
+        const geo = new GeospatialManager(redis.client);
+        await geo.addLocations('places', places);
+
+        const nearby = await geo.findNearby('places', -73.9900, 40.7550, 2, 'km');
+        assert.deepEqual(nearby.map(place => place.id), ['penn-station', 'times-square']);
+        assert.ok(nearby[0].distance < nearby[1].distance);
+        assert.equal(typeof nearby[0].coordinates.longitude, 'number');
+
+        const closest = await geo.findNearbyLocation('places', 'city-hall', 30, 'km', { count: 2 });
+        assert.deepEqual(closest.map(place => place.id), ['city-hall', 'penn-station']);
+        assert.equal(closest[0].distance, 0);
+    });
+
+    it('removes locations', async () => {
+        const geo = new GeospatialManager(redis.client);
+        await geo.addLocations('places', places);
+
+        await geo.removeLocations('places', ['jfk']);
+        assert.equal(await geo.getPosition('places', 'jfk'), null);
+        assert.equal(typeof await geo.getGeohash('places', 'city-hall'), 'string');
+    });
+});
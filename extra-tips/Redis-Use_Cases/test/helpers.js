@@ -0,0 +1,132 @@
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { before, after, beforeEach } from 'node:test';
+import { createClient } from 'redis';
+import { createInMemoryClient } from '../in_memory_redis.js';
+import { ManualClock } from '../clock.js';
+
+// Test harness - gives every test file a clean Redis and a controllable clock
+//
+// REDIS_TEST_BACKEND selects where commands go:
+//   memory (default) - the in-memory client, driven by the same ManualClock as the managers
+//   server           - a real redis-server: REDIS_TEST_URL if set, otherwise a throwaway
+//                      server spawned on a free port (REDIS_SERVER_BIN overrides the binary)
+//
+// The database is flushed before every test, so never point REDIS_TEST_URL at real data.
+
+export const backend = process.env.REDIS_TEST_BACKEND || 'memory';
+
+// Key expiry only follows the ManualClock on the in-memory backend
+export const clockDrivesExpiry = backend === 'memory';
+
+// The managers narrate everything they do; keep test output readable unless asked for it
+if (!process.env.REDIS_TEST_VERBOSE) {
+    console.log = () => {};
+}
+
+// Ask the OS for a port nobody is listening on
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Start a redis-server that keeps nothing on disk
+async function startRedisServer() {
+    const port = await findFreePort();
+    const bin = process.env.REDIS_SERVER_BIN || 'redis-server';
+    const child = spawn(bin, ['--port', String(port), '--save', '', '--appendonly', 'no'], {
+        stdio: 'ignore'
+    });
+
+    const exited = new Promise((resolve, reject) => {
+        child.once('error', error => reject(new Error(`Could not start ${bin}: ${error.message}`)));
+        child.once('exit', code => reject(new Error(`${bin} exited with code ${code}`)));
+    });
+
+    const url = `redis://127.0.0.1:${port}`;
+    const deadline = Date.now() + 5000;
+
+    // Poll until the server accepts connections
+    while (true) {
+        const probe = createClient({ url, socket: { reconnectStrategy: false } });
+        probe.on('error', () => {});
+        try {
+            await Promise.race([probe.connect(), exited]);
+            await probe.close();
+            break;
+        } catch (error) {
+            if (child.exitCode !== null || Date.now() > deadline) {
+                child.kill();
+                throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+    }
+
+    exited.catch(() => {});
+    return { url, stop: () => child.kill() };
+}
+
+// Client whose SCAN returns every batch twice, as a real SCAN may repeat keys during a rehash
+export function repeatingScans(client) {
+    return new Proxy(client, {
+        get(target, property) {
+            if (property === 'scanIterator') {
+                return async function* (options) {
+                    for await (const keys of target.scanIterator(options)) {
+                        yield keys;
+                        yield keys;
+                    }
+                };
+            }
+            const value = target[property];
+            return typeof value === 'function' ? value.bind(target) : value;
+        }
+    });
+}
+
+// Register before/after hooks for the calling test file and return its context
+export function setupRedis() {
+    const context = { backend, client: null, clock: null };
+    let server = null;
+
+    before(async () => {
+        context.clock = new ManualClock(Date.UTC(2024, 0, 15, 12, 0, 0));
+
+        if (backend === 'memory') {
+            context.client = createInMemoryClient({ clock: context.clock });
+        } else if (backend === 'server') {
+            let url = process.env.REDIS_TEST_URL;
+            if (!url) {
+                server = await startRedisServer();
+                url = server.url;
+            }
+            context.client = createClient({ url });
+            context.client.on('error', error => console.error('Redis test client error', error));
+        } else {
+            throw new Error(`Unknown REDIS_TEST_BACKEND: ${backend}`);
+        }
+
+        await context.client.connect();
+    });
+
+    beforeEach(async () => {
+        await context.client.flushDb();
+    });
+
+    after(async () => {
+        if (context.client?.isOpen) {
+            await context.client.close();
+        }
+        server?.stop();
+    });
+
+    return context;
+}
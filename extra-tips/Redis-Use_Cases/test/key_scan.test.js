@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupRedis } from './helpers.js';
+import { createInMemoryClient } from '../in_memory_redis.js';
+import { scanKeyBatches, scanKeys, countKeys, unlinkKeys, unlinkMatching } from '../key_scan.js';
+import { APICacheManager } from '../api_caching.js';
+import { SessionManager } from '../session_storage.js';
+import { AnalyticsTracker } from '../real_time_analytics.js';
+import { FullTextSearch } from '../full_text_search.js';
+import { ConfigManager } from '../config_management.js';
+import { MLFeatureStore } from '../ml_feature_store.js';
+
+const redis = setupRedis();
+
+async function collect(iterator) {
+    const items = [];
+    for await (const item of iterator) items.push(item);
+    return items;
+}
+
+// Minimal stand-in for a node-redis cluster client with one client per master
+function fakeCluster(nodes) {
+    return {
+        masters: nodes.map((client, id) => ({ id })),
+        nodeClient: async master => nodes[master.id],
+        unlink: async key => {
+            let removed = 0;
+            for (const node of nodes) removed += await node.unlink(key);
+            return removed;
+        }
+    };
+}
+
+describe('key scanning', () => {
+    it('streams matching keys in batches', async () => {
+        for (let i = 0; i < 250; i++) {
+            await redis.client.set(`item:${i}`, 'x');
+        }
+        await redis.client.set('other', 'x');
+
+        const batches = await collect(scanKeyBatches(redis.client, { match: 'item:*', count: 50 }));
+        assert.ok(batches.length > 1);
+        assert.equal(new Set(batches.flat()).size, 250);
+        assert.equal(await countKeys(redis.client, { match: 'item:*' }), 250);
+    });
+
+    it('filters by key type', async () => {
+        await redis.client.set('mixed:string', 'x');
+        await redis.client.hSet('mixed:hash', 'field', 'x');
+        await redis.client.sAdd('mixed:set', 'x');
+
+        assert.deepEqual(await collect(scanKeys(redis.client, { match: 'mixed:*', type: 'hash' })), ['mixed:hash']);
+    });
+
+    it('unlinks in chunks', async t => {
+        for (let i = 0; i < 12; i++) {
+            await redis.client.set(`tmp:${i}`, 'x');
+        }
+        await redis.client.set('keep', 'x');
+        const unlink = t.mock.method(redis.client, 'unlink');
+
+        assert.equal(await unlinkMatching(redis.client, { match: 'tmp:*', chunkSize: 5 }), 12);
+        assert.deepEqual(unlink.mock.calls.map(call => call.arguments[0].length), [5, 5, 2]);
+        assert.equal(await redis.client.exists('keep'), 1);
+        assert.equal(await unlinkKeys(redis.client, []), 0);
+    });
+
+    it('fans out across every cluster master', async () => {
+        const nodes = [createInMemoryClient(), createInMemoryClient()];
+        await Promise.all(nodes.map(node => node.connect()));
+        await nodes[0].set('user:1', 'a');
+        await nodes[1].set('user:2', 'b');
+        await nodes[1].set('order:1', 'c');
+        const cluster = fakeCluster(nodes);
+
+        assert.deepEqual((await collect(scanKeys(cluster, { match: 'user:*' }))).sort(), ['user:1', 'user:2']);
+        assert.equal(await unlinkMatching(cluster, { match: 'user:*' }), 2);
+        assert.equal(await nodes[1].exists('order:1'), 1);
+
+        await Promise.all(nodes.map(node => node.close()));
+    });
+
+    it('keeps the managers off KEYS', async t => {
+        t.mock.method(redis.client, 'keys', async () => { throw new Error('KEYS is not allowed'); });
+
+        const api = new APICacheManager(redis.client, 300, { clock: redis.clock });
+        await api.cacheResponse('GET', '/api/users', {}, {}, { users: [] });
+        assert.equal(await api.invalidateCache('/api/users'), 1);
+        assert.equal(await api.clearAllCache(), 0);
+
+        const sessions = new SessionManager(redis.client, { clock: redis.clock });
+        await sessions.createSession('u1');
+        assert.equal((await sessions.getUserSessions('u1')).length, 1);
+
+        const analytics = new AnalyticsTracker(redis.client, { clock: redis.clock });
+        await analytics.trackPageView('/home');
+        assert.deepEqual(await analytics.getTopPages(), [{ page: '/home', views: 1 }]);
+
+        const search = new FullTextSearch(redis.client, 'fts', { clock: redis.clock });
+        await search.indexDocument('doc1', 'Redis scanning', 'Cursor based iteration');
+        assert.deepEqual(await search.getSuggestions('scan'), ['scanning']);
+        assert.equal((await search.getStats()).totalDocuments, 1);
+        assert.ok(await search.clearIndex() > 0);
+
+        const config = new ConfigManager(redis.client, 'app', { clock: redis.clock });
+        await config.setConfig('debug', true);
+        assert.deepEqual(await config.getAllConfig(), { debug: true });
+        assert.ok((await config.getStats()).totalConfigKeys >= 1);
+
+        const store = new MLFeatureStore(redis.client, { clock: redis.clock });
+        await store.storeFeatureVector('u1', 'embedding', [1, 2]);
+        assert.equal((await store.getStats()).featureTypes, 1);
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupRedis } from './helpers.js';
+import { keyPrefix, createKeyspace } from '../keyspace.js';
+import { scanKeys } from '../key_scan.js';
+import { SessionManager } from '../session_storage.js';
+import { LeaderboardManager } from '../leaderboards.js';
+import { ConfigManager } from '../config_management.js';
+import { JobQueue } from '../message_queuing.js';
+import { AnalyticsTracker } from '../real_time_analytics.js';
+import { PubSubManager } from '../pub_sub.js';
+import { VideoStreamingPlatform } from '../video_streaming.js';
+
+const redis = setupRedis();
+
+async function allKeys() {
+    const keys = [];
+    for await (const key of scanKeys(redis.client)) keys.push(key);
+    return keys.sort();
+}
+
+describe('keyspace', () => {
+    it('builds prefixes from namespace, tenant and hash tag', () => {
+        assert.equal(keyPrefix(), '');
+        assert.equal(keyPrefix({ namespace: 'shop' }), 'shop:');
+        assert.equal(keyPrefix({ tenant: 'acme' }), 'acme:');
+        assert.equal(keyPrefix({ namespace: 'shop', tenant: 'acme' }), 'shop:acme:');
+        assert.equal(keyPrefix({ namespace: 'shop', tenant: 'acme', hashTag: true }), 'shop:{acme}:');
+        assert.equal(keyPrefix({ namespace: 'shop', hashTag: true }), '{shop}:');
+    });
+
+    it('rejects segments that would break patterns or hash tags', () => {
+        assert.throws(() => keyPrefix({ tenant: 'a*' }), /Invalid tenant/);
+        assert.throws(() => keyPrefix({ namespace: '{x}' }), /Invalid namespace/);
+        assert.throws(() => keyPrefix({ hashTag: true }), /hashTag needs/);
+    });
+
+    it('strips its own prefix only', () => {
+        const keys = createKeyspace({ namespace: 'shop' });
+
+        assert.equal(keys.key('session:1'), 'shop:session:1');
+        assert.equal(keys.strip('shop:session:1'), 'session:1');
+        assert.equal(keys.strip('other:session:1'), 'other:session:1');
+    });
+
+    it('keeps tenants apart', async () => {
+        const acme = { clock: redis.clock, namespace: 'app', tenant: 'acme' };
+        const globex = { clock: redis.clock, namespace: 'app', tenant: 'globex' };
+
+        await new LeaderboardManager(redis.client, acme).updateScore('weekly', 'p1', 10);
+        await new LeaderboardManager(redis.client, globex).updateScore('weekly', 'p1', 99);
+        await new ConfigManager(redis.client, 'web', acme).setConfig('theme', 'dark');
+
+        assert.equal((await new LeaderboardManager(redis.client, acme).getPlayerRank('weekly', 'p1')).score, 10);
+        assert.deepEqual(await new ConfigManager(redis.client, 'web', acme).getAllConfig(), { theme: 'dark' });
+        assert.deepEqual(await new ConfigManager(redis.client, 'web', globex).getAllConfig(), {});
+        assert.ok((await allKeys()).every(key => key.startsWith('app:acme:') || key.startsWith('app:globex:')));
+    });
+
+    it('reads back scanned keys without the prefix', async () => {
+        const options = { clock: redis.clock, namespace: 'app', tenant: 'acme' };
+        const sessions = new SessionManager(redis.client, options);
+        const analytics = new AnalyticsTracker(redis.client, options);
+
+        const sessionId = await sessions.createSession('user-1');
+        await new SessionManager(redis.client, { clock: redis.clock }).createSession('user-1');
+        await analytics.trackPageView('/home', 'user-1');
+
+        assert.deepEqual((await sessions.getUserSessions('user-1')).map(session => session.sessionId), [sessionId]);
+        assert.deepEqual((await analytics.getTopPages(5)).map(page => page.page), ['/home']);
+    });
+
+    it('puts all of a tenant\'s keys in one hash slot', async () => {
+        const queue = new JobQueue(redis.client, 'emails', { clock: redis.clock, tenant: 'acme', hashTag: true });
+        await queue.addJob({ to: 'a@example.com' }, 'high');
+        await queue.addJob({ to: 'b@example.com' });
+
+        assert.deepEqual(await allKeys(), ['{acme}:emails', '{acme}:emails:high']);
+        assert.equal(await queue.drainQueue(), 2);
+    });
+
+    it('prefixes pub/sub channels and hides the prefix from callers', async () => {
+        const pubsub = new PubSubManager(redis.client, { clock: redis.clock, namespace: 'app', tenant: 'acme' });
+        let deliver;
+        const received = new Promise(resolve => { deliver = resolve; });
+        await pubsub.pSubscribe('chat:*', (message, channel) => deliver({ message, channel }));
+
+        await pubsub.sendChatMessage('lobby', 'u1', 'ann', 'hi');
+        const { message, channel } = await received;
+
+        assert.equal(channel, 'chat:lobby');
+        assert.equal(message.message, 'hi');
+
+        await pubsub.subscribe('news', () => {});
+        assert.deepEqual(await pubsub.getActiveChannels(), ['news']);
+        assert.deepEqual(await redis.client.pubSubChannels(), ['app:acme:news']);
+        assert.equal(await pubsub.getSubscriberCount('news'), 1);
+        await pubsub.subscriber.close();
+    });
+
+    it('keeps video watch sessions out of the session namespace', async () => {
+        const platform = new VideoStreamingPlatform(redis.client, 'default', { clock: redis.clock });
+        await platform.startWatchingSession('user-1', 'video-1', { quality: '720p' });
+
+        assert.deepEqual(await allKeys(), ['video:session:user-1:video-1']);
+        assert.deepEqual(await new SessionManager(redis.client, { clock: redis.clock }).getUserSessions('user-1'), []);
+    });
+});
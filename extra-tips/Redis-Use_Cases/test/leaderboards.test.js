@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupRedis } from './helpers.js';
+import { LeaderboardManager } from '../leaderboards.js';
+
+const redis = setupRedis();
+
+async function seedScores(leaderboard) {
+    await leaderboard.updateScore('weekly', 'p1', 100, { name: 'Ann' });
+    await leaderboard.updateScore('weekly', 'p2', 300, { name: 'Bob' });
+    await leaderboard.updateScore('weekly', 'p3', 200, { name: 'Cid' });
+    await leaderboard.updateScore('weekly', 'p4', 50, { name: 'Dee' });
+}
+
+describe('LeaderboardManager', () => {
+    it('ranks players by descending score', async () => {
+        const leaderboard = new LeaderboardManager(redis.client, { clock: redis.clock });
+        await seedScores(leaderboard);
+
+        const top = await leaderboard.getTopPlayers('weekly', 3);
+        assert.deepEqual(top.map(player => [player.rank, player.name, player.score]), [
+            [1, 'Bob', 300],
+            [2, 'Cid', 200],
+            [3, 'Ann', 100]
+        ]);
+
+        const rank = await leaderboard.getPlayerRank('weekly', 'p1');
+        assert.equal(rank.rank, 3);
+        assert.equal(rank.score, 100);
+        assert.equal(await leaderboard.getPlayerRank('weekly', 'nobody'), null);
+    });
+
+    it('returns the neighbourhood around a rank', async () => {
+        const leaderboard = new LeaderboardManager(redis.client, { clock: redis.clock });
+        await seedScores(leaderboard);
+
+        const around = await leaderboard.getPlayersAroundRank('weekly', 3, 1);
+        assert.deepEqual(around.map(player => [player.rank, player.playerId]), [[2, 'p3'], [3, 'p1'], [4, 'p4']]);
+    });
+
+    it('increments, removes and summarizes scores', async () => {
+        const leaderboard = new LeaderboardManager(redis.client, { clock: redis.clock });
+        await seedScores(leaderboard);
+
+        assert.equal(await leaderboard.incrementScore('weekly', 'p4', 400), 450);
+        assert.equal((await leaderboard.getTopPlayers('weekly', 1))[0].playerId, 'p4');
+
+        await leaderboard.removePlayer('weekly', 'p2');
+        assert.deepEqual(await leaderboard.getLeaderboardStats('weekly'), {
+            totalPlayers: 3,
+            totalScore: 750,
+            averageScore: 250,
+            highestScore: 450,
+            lowestScore: 100
+        });
+
+        const midTable = await leaderboard.getPlayersInScoreRange('weekly', 150, 300);
+        assert.deepEqual(midTable.map(player => player.playerId), ['p3']);
+    });
+});
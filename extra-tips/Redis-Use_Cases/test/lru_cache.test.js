@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LruCache } from '../lru_cache.js';
+import { ManualClock } from '../clock.js';
+
+describe('LruCache', () => {
+    it('evicts the least recently used entry past maxEntries', () => {
+        const evicted = [];
+        const cache = new LruCache({ maxEntries: 2, onEvict: key => evicted.push(key) });
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.get('a');
+
+        assert.equal(cache.set('c', 3), 1);
+        assert.equal(cache.get('b'), undefined);
+        assert.equal(cache.get('a'), 1);
+        assert.equal(cache.evictions, 1);
+        assert.deepEqual(evicted, ['b']);
+    });
+
+    it('keeps the total size under maxBytes', () => {
+        const cache = new LruCache({ maxBytes: 10 });
+        cache.set('a', 'x', { size: 4 });
+        cache.set('b', 'y', { size: 4 });
+        cache.set('c', 'z', { size: 4 });
+
+        assert.deepEqual([cache.size, cache.bytes], [2, 8]);
+        assert.equal(cache.get('a'), undefined);
+
+        cache.set('huge', 'w', { size: 11 });
+        assert.equal(cache.get('huge'), undefined);
+        assert.equal(cache.size, 2);
+    });
+
+    it('expires entries after their ttl', () => {
+        const clock = new ManualClock();
+        const cache = new LruCache({ clock });
+        cache.set('a', 1, { size: 3, ttl: 1000 });
+
+        clock.advance(999);
+        assert.equal(cache.get('a'), 1);
+        clock.advance(1);
+        assert.equal(cache.get('a'), undefined);
+        assert.equal(cache.bytes, 0);
+    });
+});
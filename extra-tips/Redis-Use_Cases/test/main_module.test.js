@@ -0,0 +1,36 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, symlinkSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { isMainModule } from '../main_module.js';
+
+describe('isMainModule', () => {
+    let dir;
+    let script;
+
+    before(() => {
+        dir = mkdtempSync(join(tmpdir(), 'main module '));
+        script = join(dir, 'demo.js');
+        writeFileSync(script, '');
+        symlinkSync(script, join(dir, 'linked.js'));
+    });
+
+    after(() => rmSync(dir, { recursive: true, force: true }));
+
+    it('matches a script whose path needs percent-encoding', () => {
+        const url = pathToFileURL(script).href;
+        assert.match(url, /%20/);
+        assert.equal(isMainModule(url, script), true);
+    });
+
+    it('matches a script reached through a symlink', () => {
+        assert.equal(isMainModule(pathToFileURL(script).href, join(dir, 'linked.js')), true);
+    });
+
+    it('does not match other scripts or a missing one', () => {
+        assert.equal(isMainModule(pathToFileURL(script).href, join(dir, 'other.js')), false);
+        assert.equal(isMainModule(pathToFileURL(script).href, undefined), false);
+    });
+});
@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupRedis } from './helpers.js';
+import { JobQueue } from '../message_queuing.js';
+
+const redis = setupRedis();
+
+describe('JobQueue', () => {
+    it('serves high priority jobs first and in FIFO order', async () => {
+        const queue = new JobQueue(redis.client, 'jobs', { clock: redis.clock });
+
+        const first = await queue.addJob({ n: 1 });
+        const second = await queue.addJob({ n: 2 });
+        const urgent = await queue.addJob({ n: 3 }, 'high');
+
+        assert.equal((await queue.getNextJob()).id, urgent);
+        assert.equal((await queue.getNextJob()).id, first);
+        assert.equal((await queue.getNextJob()).id, second);
+        assert.equal(await queue.getNextJob(), null);
+
+        assert.deepEqual(await queue.getQueueStats(), { queued: 0, processing: 3, failed: 0, delayed: 0, total: 3 });
+    });
+
+    it('removes completed jobs from the processing list', async () => {
+        const queue = new JobQueue(redis.client, 'jobs', { clock: redis.clock });
+
+        const jobId = await queue.addJob({ type: 'email' });
+        await queue.getNextJob();
+
+        assert.equal(await queue.completeJob(jobId), true);
+        assert.equal(await queue.completeJob(jobId), false);
+        assert.equal((await queue.getQueueStats()).processing, 0);
+    });
+
+    it('retries failed jobs until maxRetries, then moves them to the failed list', async () => {
+        const queue = new JobQueue(redis.client, 'jobs', { clock: redis.clock });
+        const jobId = await queue.addJob({ type: 'flaky' });
+
+        for (let attempt = 1; attempt <= 2; attempt++) {
+            const job = await queue.getNextJob();
+            assert.equal(job.id, jobId);
+            await queue.failJob(jobId, 'boom', 3);
+
+            const stats = await queue.getQueueStats();
+            assert.equal(stats.queued, 1);
+            assert.equal(stats.failed, 0);
+        }
+
+        await queue.getNextJob();
+        await queue.failJob(jobId, 'boom', 3);
+
+        const stats = await queue.getQueueStats();
+        assert.equal(stats.queued, 0);
+        assert.equal(stats.failed, 1);
+
+        const [failed] = await redis.client.lRange('jobs:failed', 0, -1);
+        const job = JSON.parse(failed);
+        assert.equal(job.status, 'failed');
+        assert.equal(job.attempts, 3);
+        assert.equal(job.lastError, 'boom');
+    });
+
+    it('releases delayed jobs once their time has come', async () => {
+        const queue = new JobQueue(redis.client, 'jobs', { clock: redis.clock });
+        await queue.addJob({ type: 'reminder' }, 'normal', 30);
+
+        assert.equal(await queue.processDelayedJobs(), 0);
+        assert.equal((await queue.getQueueStats()).delayed, 1);
+
+        redis.clock.advance(30 * 1000);
+        assert.equal(await queue.processDelayedJobs(), 1);
+
+        const stats = await queue.getQueueStats();
+        assert.equal(stats.delayed, 0);
+        assert.equal(stats.queued, 1);
+    });
+});
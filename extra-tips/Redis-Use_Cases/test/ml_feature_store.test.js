@@ -0,0 +1,46 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupRedis } from './helpers.js';
+import { MLFeatureStore } from '../ml_feature_store.js';
+
+const redis = setupRedis();
+
+describe('MLFeatureStore', () => {
+    it('stores and reads single and batched feature vectors', async () => {
+        const store = new MLFeatureStore(redis.client, { clock: redis.clock });
+
+        await store.storeFeatureVector('user1', 'embedding', [1, 0, 0]);
+        await store.storeBatchFeatures('embedding', [
+            { entityId: 'user2', vector: [0.9, 0.1, 0] },
+            { entityId: 'user3', vector: [0, 0, 1] }
+        ]);
+
+        const single = await store.getFeatureVector('user1', 'embedding');
+        assert.deepEqual(single.vector, [1, 0, 0]);
+        assert.equal(single.dimensions, 3);
+        assert.equal(single.createdAt, new Date(redis.clock.now()).toISOString());
+
+        const batch = await store.getBatchFeatureVectors(['user2', 'missing', 'user3'], 'embedding');
+        assert.deepEqual(batch.map(item => [item.entityId, item.vector]), [
+            ['user2', [0.9, 0.1, 0]],
+            ['user3', [0, 0, 1]]
+        ]);
+
+        const stats = await store.getStats();
+        assert.equal(stats.totalFeatures, 3);
+        assert.equal(stats.featureTypes, 1);
+    });
+
+    it('finds the most similar entities by cosine similarity', async () => {
+        const store = new MLFeatureStore(redis.client, { clock: redis.clock });
+
+        await store.storeFeatureVector('a', 'taste', [1, 1, 0]);
+        await store.storeFeatureVector('b', 'taste', [1, 0.9, 0]);
+        await store.storeFeatureVector('c', 'taste', [0, 0, 1]);
+
+        const similar = await store.findSimilarEntities('a', 'taste');
+        assert.deepEqual(similar.map(item => item.entityId), ['b', 'c']);
+        assert.equal(similar[1].similarity, 0);
+        assert.throws(() => store.cosineSimilarity([1], [1, 2]), /same length/);
+    });
+});
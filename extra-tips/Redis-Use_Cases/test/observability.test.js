@@ -0,0 +1,205 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupRedis } from './helpers.js';
+import { MetricsRegistry, silentLogger, traceClient, PROMETHEUS_CONTENT_TYPE } from '../observability.js';
+import { createAdminServer } from '../admin_api.js';
+import { CacheManager } from '../caching.js';
+import { RateLimiter } from '../rate_limiting.js';
+import { DistributedLock } from '../distributed_locking.js';
+import { JobQueue } from '../message_queuing.js';
+import { FullTextSearch } from '../full_text_search.js';
+import { ConfigManager } from '../config_management.js';
+
+const redis = setupRedis();
+
+// Manager options with a private registry and no console output
+function observed(extra = {}) {
+    const metrics = new MetricsRegistry();
+    return { metrics, options: { clock: redis.clock, logger: silentLogger, metrics, ...extra } };
+}
+
+// Minimal OpenTelemetry tracer that keeps every span it starts
+function recordingTracer() {
+    const spans = [];
+    return {
+        spans,
+        startSpan(name, options) {
+            const span = { name, ...options, ended: false, status: null, exceptions: [] };
+            spans.push(span);
+            return {
+                recordException: error => span.exceptions.push(error),
+                setStatus: status => { span.status = status; },
+                end: () => { span.ended = true; }
+            };
+        }
+    };
+}
+
+describe('observability', () => {
+    it('renders counters, gauges and histograms in the Prometheus text format', () => {
+        const registry = new MetricsRegistry({ prefix: 'app_' });
+        registry.counter('requests_total', 'Requests', ['route']).inc({ route: '/a"b' }, 2);
+        registry.gauge('depth', 'Depth').set({}, 7);
+        registry.histogram('latency_seconds', 'Latency', [], [0.1, 1]).observe({}, 0.5);
+        registry.counter('unused_total', 'Never incremented');
+
+        assert.equal(registry.toPrometheus(), [
+            '# HELP app_requests_total Requests',
+            '# TYPE app_requests_total counter',
+            'app_requests_total{route="/a\\"b"} 2',
+            '# HELP app_depth Depth',
+            '# TYPE app_depth gauge',
+            'app_depth 7',
+            '# HELP app_latency_seconds Latency',
+            '# TYPE app_latency_seconds histogram',
+            'app_latency_seconds_bucket{le="0.1"} 0',
+            'app_latency_seconds_bucket{le="1"} 1',
+            'app_latency_seconds_bucket{le="+Inf"} 1',
+            'app_latency_seconds_sum 0.5',
+            'app_latency_seconds_count 1',
+            ''
+        ].join('\n'));
+
+        assert.equal(registry.counter('requests_total', 'Requests', ['route']).get({ route: '/a"b' }), 2);
+        assert.throws(() => registry.gauge('requests_total', 'Requests'), /already registered as a counter/);
+        assert.throws(() => registry.counter('requests_total').inc({}, -1), /cannot decrease/);
+    });
+
+    it('counts cache hits and misses and emits events', async () => {
+        const { metrics, options } = observed();
+        const cache = new CacheManager(redis.client, options);
+        const events = [];
+        cache.on('hit', ({ userId, key }) => events.push(['hit', userId, key]));
+        cache.on('miss', ({ userId, key }) => events.push(['miss', userId, key]));
+        cache.on('invalidate', ({ userId, key }) => events.push(['invalidate', userId, key]));
+
+        await cache.getUser(1);
+        await cache.getUser(1);
+        await cache.invalidateUserCache(1);
+
+        assert.deepEqual(events, [['miss', 1, 'user:1'], ['hit', 1, 'user:1'], ['invalidate', 1, 'user:1']]);
+        const requests = metrics.counter('cache_requests_total');
+        assert.equal(requests.get({ cache: 'user', result: 'hit' }), 1);
+        assert.equal(requests.get({ cache: 'user', result: 'miss' }), 1);
+    });
+
+    it('records rate-limit rejections', async () => {
+        const { metrics, options } = observed();
+        const limiter = new RateLimiter(redis.client, options);
+        const rejected = [];
+        limiter.on('rejected', ({ identifier }) => rejected.push(identifier));
+
+        for (let i = 0; i < 3; i++) {
+            await limiter.checkRateLimit('alice', 'fixed', { limit: 2, windowSeconds: 60 });
+        }
+
+        const decisions = metrics.counter('ratelimit_decisions_total');
+        assert.equal(decisions.get({ strategy: 'fixed', result: 'allowed' }), 2);
+        assert.equal(decisions.get({ strategy: 'fixed', result: 'rejected' }), 1);
+        assert.deepEqual(rejected, ['alice']);
+    });
+
+    it('measures lock contention and wait time', async () => {
+        const { metrics, options } = observed();
+        const locks = new DistributedLock(redis.client, 'lock:', options);
+        const contended = [];
+        locks.on('contend', ({ lockName }) => contended.push(lockName));
+
+        await locks.acquireLock('report', 'worker1', 60000);
+        const result = await locks.acquireLockWithRetry('report', 'worker2', { maxRetries: 2, retryDelay: 1 });
+
+        assert.equal(result.success, false);
+        assert.deepEqual(contended, ['report', 'report']);
+        assert.equal(metrics.counter('lock_attempts_total').get({ result: 'acquired' }), 1);
+        assert.equal(metrics.counter('lock_attempts_total').get({ result: 'contended' }), 2);
+        assert.equal(metrics.histogram('lock_wait_seconds').get({ result: 'timeout' }).count, 1);
+    });
+
+    it('tracks queue jobs and depth', async () => {
+        const { metrics, options } = observed();
+        const queue = new JobQueue(redis.client, 'emails', options);
+        const completed = [];
+        queue.on('complete', ({ jobId }) => completed.push(jobId));
+
+        const jobId = await queue.addJob({ to: 'a@example.com' });
+        await queue.addJob({ to: 'b@example.com' });
+        await queue.getNextJob();
+        await queue.completeJob(jobId);
+        await queue.getQueueStats();
+
+        const jobs = metrics.counter('queue_jobs_total');
+        assert.equal(jobs.get({ queue: 'emails', event: 'add' }), 2);
+        assert.equal(jobs.get({ queue: 'emails', event: 'complete' }), 1);
+        assert.equal(metrics.gauge('queue_depth').get({ queue: 'emails', state: 'queued' }), 1);
+        assert.deepEqual(completed, [jobId]);
+    });
+
+    it('times searches and emits config changes', async () => {
+        const { metrics, options } = observed();
+        const search = new FullTextSearch(redis.client, 'docs', options);
+        const searches = [];
+        search.on('search', ({ query, total }) => searches.push([query, total]));
+
+        await search.indexDocument('doc1', 'Redis streams', 'Consumer groups');
+        await search.search('streams');
+
+        assert.deepEqual(searches, [['streams', 1]]);
+        assert.equal(metrics.histogram('search_duration_seconds').get({ index: 'docs' }).count, 1);
+
+        const config = new ConfigManager(redis.client, 'shop', options);
+        const changes = [];
+        config.on('change', ({ key, value }) => changes.push([key, value]));
+        await config.setConfig('maxUsers', 100);
+        await config.setBulkConfig({ theme: 'dark', currency: 'EUR' });
+
+        assert.deepEqual(changes, [['maxUsers', 100], ['theme', 'dark'], ['currency', 'EUR']]);
+    });
+
+    it('wraps commands and transactions in client spans', async () => {
+        const tracer = recordingTracer();
+        const client = traceClient(redis.client, tracer);
+
+        await client.set('greeting', 'hello');
+        assert.equal(await client.get('greeting'), 'hello');
+        await client.multi().incr('counter').expire('counter', 60).exec();
+        await assert.rejects(client.incr('greeting'));
+
+        assert.deepEqual(tracer.spans.map(span => span.name), ['redis.SET', 'redis.GET', 'redis.MULTI', 'redis.INCR']);
+        assert.ok(tracer.spans.every(span => span.ended && span.kind === 2 && span.attributes['db.system'] === 'redis'));
+        assert.equal(tracer.spans[2].attributes['db.redis.commands'], 'INCR EXPIRE');
+        assert.equal(tracer.spans[3].status.code, 2);
+        assert.equal(tracer.spans[3].exceptions.length, 1);
+        assert.equal(traceClient(redis.client, undefined), redis.client);
+    });
+
+    it('traces the commands a manager sends', async () => {
+        const tracer = recordingTracer();
+        const { options } = observed({ tracer });
+        await new ConfigManager(redis.client, 'shop', options).getConfig('theme');
+
+        assert.ok(tracer.spans.length > 0);
+        assert.ok(tracer.spans.every(span => span.name.startsWith('redis.')));
+    });
+
+    it('serves the registry from the admin API', async () => {
+        const { metrics } = observed();
+        const server = createAdminServer(redis.client, { clock: redis.clock, logger: silentLogger, metrics });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        try {
+            await fetch(`${baseUrl}/leaderboards/weekly/top`);
+            await fetch(`${baseUrl}/nowhere`);
+            const response = await fetch(`${baseUrl}/metrics`);
+            const text = await response.text();
+
+            assert.equal(response.status, 200);
+            assert.equal(response.headers.get('content-type'), PROMETHEUS_CONTENT_TYPE);
+            assert.match(text, /^redis_usecases_http_requests_total\{method="GET",route="\/leaderboards\/:name\/top",status="200"\} 1$/m);
+            assert.match(text, /^redis_usecases_http_requests_total\{method="GET",route="unmatched",status="404"\} 1$/m);
+            assert.match(text, /^# TYPE redis_usecases_http_request_duration_seconds histogram$/m);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
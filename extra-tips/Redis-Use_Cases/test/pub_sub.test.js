@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupRedis } from './helpers.js';
+import { PubSubManager } from '../pub_sub.js';
+
+const redis = setupRedis();
+
+// Collect messages until the expected number has arrived
+function collector(count) {
+    const messages = [];
+    let resolve;
+    const done = new Promise(r => { resolve = r; });
+    const callback = (message, channel) => {
+        messages.push(channel ? { channel, message } : message);
+        if (messages.length === count) resolve(messages);
+    };
+    return { callback, done };
+}
+
+// Close only the subscriber connection; the main client belongs to the test harness
+async function closeSubscriber(pubsub) {
+    if (pubsub.subscriber.isOpen) {
+        await pubsub.subscriber.close();
+    }
+}
+
+describe('PubSubManager', () => {
+    it('delivers JSON messages to channel subscribers', async t => {
+        t.mock.method(console, 'error', () => {}); // Non-JSON payloads are reported, then passed through
+        const pubsub = new PubSubManager(redis.client, { clock: redis.clock });
+        const { callback, done } = collector(2);
+
+        await pubsub.subscribe('news', callback);
+        assert.equal(await pubsub.getSubscriberCount('news'), 1);
+        assert.ok((await pubsub.getActiveChannels()).includes('news'));
+
+        await pubsub.publish('news', { headline: 'Redis 8' });
+        await pubsub.publish('news', 'plain text');
+
+        assert.deepEqual(await done, [{ headline: 'Redis 8' }, 'plain text']);
+        await closeSubscriber(pubsub);
+    });
+
+    it('delivers to pattern subscribers and stops after unsubscribe', async () => {
+        const pubsub = new PubSubManager(redis.client, { clock: redis.clock });
+        const { callback, done } = collector(1);
+
+        await pubsub.pSubscribe('chat:*', callback);
+        await pubsub.sendChatMessage('lobby', 'u1', 'ann', 'hello');
+
+        const [{ channel, message }] = await done;
+        assert.equal(channel, 'chat:lobby');
+        assert.equal(message.message, 'hello');
+        assert.equal(message.timestamp, new Date(redis.clock.now()).toISOString());
+
+        await pubsub.subscribe('alerts', () => {});
+        await pubsub.unsubscribe('alerts');
+        assert.equal(await pubsub.getSubscriberCount('alerts'), 0);
+        await closeSubscriber(pubsub);
+    });
+});
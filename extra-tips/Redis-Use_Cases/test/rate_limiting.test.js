@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupRedis } from './helpers.js';
+import { RateLimiter } from '../rate_limiting.js';
+
+const redis = setupRedis();
+
+describe('RateLimiter', () => {
+    it('fixed window rejects once the limit is reached and resets in the next window', async () => {
+        const limiter = new RateLimiter(redis.client, { clock: redis.clock });
+        redis.clock.set(Date.UTC(2024, 0, 15, 12, 0, 0));
+
+        for (let i = 0; i < 3; i++) {
+            const result = await limiter.checkFixedWindow('user1', 3, 60);
+            assert.equal(result.allowed, true);
+            assert.equal(result.remaining, 2 - i);
+        }
+        assert.equal((await limiter.checkFixedWindow('user1', 3, 60)).allowed, false);
+
+        redis.clock.advance(59 * 1000);
+        assert.equal((await limiter.checkFixedWindow('user1', 3, 60)).allowed, false);
+
+        redis.clock.advance(1000);
+        const next = await limiter.checkFixedWindow('user1', 3, 60);
+        assert.equal(next.allowed, true);
+        assert.equal(next.remaining, 2);
+    });
+
+    it('sliding window counts requests made in the same millisecond separately', async () => {
+        const limiter = new RateLimiter(redis.client, { clock: redis.clock });
+
+        assert.equal((await limiter.checkSlidingWindow('burst', 2, 10)).allowed, true);
+        assert.equal((await limiter.checkSlidingWindow('burst', 2, 10)).allowed, true);
+        assert.equal((await limiter.checkSlidingWindow('burst', 2, 10)).allowed, false);
+    });
+
+    it('sliding window frees capacity exactly one window after the oldest request', async () => {
+        const limiter = new RateLimiter(redis.client, { clock: redis.clock });
+        const start = redis.clock.now();
+
+        await limiter.checkSlidingWindow('user2', 2, 10);
+        redis.clock.advance(4000);
+        await limiter.checkSlidingWindow('user2', 2, 10);
+
+        const denied = await limiter.checkSlidingWindow('user2', 2, 10);
+        assert.equal(denied.allowed, false);
+        assert.equal(denied.resetTime, start / 1000 + 10);
+
+        redis.clock.set(start + 9999);
+        assert.equal((await limiter.checkSlidingWindow('user2', 2, 10)).allowed, false);
+
+        redis.clock.set(start + 10000);
+        assert.equal((await limiter.checkSlidingWindow('user2', 2, 10)).allowed, true);
+    });
+
+    it('token bucket empties and refills at the configured rate', async () => {
+        const limiter = new RateLimiter(redis.client, { clock: redis.clock });
+
+        assert.equal((await limiter.checkTokenBucket('api', 2, 1)).allowed, true);
+        assert.equal((await limiter.checkTokenBucket('api', 2, 1)).allowed, true);
+        assert.equal((await limiter.checkTokenBucket('api', 2, 1)).allowed, false);
+
+        redis.clock.advance(1000);
+        assert.equal((await limiter.checkTokenBucket('api', 2, 1)).allowed, true);
+        assert.equal((await limiter.checkTokenBucket('api', 2, 1)).allowed, false);
+    });
+
+    it('rejects unknown strategies and resets state', async () => {
+        const limiter = new RateLimiter(redis.client, { clock: redis.clock });
+
+        await assert.rejects(limiter.checkRateLimit('user3', 'leaky'), /Unknown rate limiting strategy/);
+
+        await limiter.checkRateLimit('user3', 'sliding', { limit: 1, windowSeconds: 60 });
+        assert.equal((await limiter.getRateLimitStatus('user3', 'sliding')).currentRequests, 1);
+
+        await limiter.resetRateLimit('user3', 'sliding');
+        assert.equal((await limiter.getRateLimitStatus('user3', 'sliding')).currentRequests, 0);
+    });
+});
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupRedis, repeatingScans } from './helpers.js';
+import { AnalyticsTracker } from '../real_time_analytics.js';
+
+const redis = setupRedis();
+
+describe('AnalyticsTracker', () => {
+    it('counts page views and unique visitors for the current day', async () => {
+        const analytics = new AnalyticsTracker(redis.client, { clock: redis.clock });
+
+        await analytics.trackPageView('/home', 'u1');
+        await analytics.trackPageView('/home', 'u2');
+        await analytics.trackPageView('/home', 'u1');
+        await analytics.trackPageView('/pricing', 'u2', 'google.com');
+
+        const stats = await analytics.getRealTimeStats();
+        assert.equal(stats.totalPageViews, 4);
+        assert.equal(stats.hourlyPageViews, 4);
+        assert.equal(stats.uniqueVisitors, 2);
+        assert.equal(stats.day, '2024-01-15');
+
+        const today = (await analytics.getAnalytics('/home', 1))['2024-01-15'];
+        assert.deepEqual(today, { pageViews: 3, uniqueVisitors: 2 });
+    });
+
+    it('ranks top pages without counting the daily total', async () => {
+        const analytics = new AnalyticsTracker(redis.client, { clock: redis.clock });
+
+        await analytics.trackPageView('/docs');
+        await analytics.trackPageView('/home');
+        await analytics.trackPageView('/home');
+
+        assert.deepEqual(await analytics.getTopPages(), [
+            { page: '/home', views: 2 },
+            { page: '/docs', views: 1 }
+        ]);
+
+        const repeated = new AnalyticsTracker(repeatingScans(redis.client), { clock: redis.clock });
+        assert.equal((await repeated.getTopPages()).length, 2);
+    });
+
+    it('starts a new day of counters at midnight UTC', async () => {
+        const analytics = new AnalyticsTracker(redis.client, { clock: redis.clock });
+
+        await analytics.trackPageView('/home', 'u1');
+        redis.clock.set(Date.UTC(2024, 0, 16, 0, 0, 1));
+        await analytics.trackPageView('/home', 'u1');
+
+        const days = await analytics.getAnalytics('/home', 2);
+        assert.equal(days['2024-01-16'].pageViews, 1);
+        assert.equal(days['2024-01-15'].pageViews, 1);
+        assert.equal((await analytics.getRealTimeStats()).totalPageViews, 1);
+    });
+});
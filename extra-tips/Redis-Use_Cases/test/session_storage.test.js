@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupRedis, clockDrivesExpiry, repeatingScans } from './helpers.js';
+import { SessionManager } from '../session_storage.js';
+
+const redis = setupRedis();
+
+describe('SessionManager', () => {
+    it('creates, updates and destroys sessions', async t => {
+        const sessions = new SessionManager(redis.client, { clock: redis.clock });
+        t.mock.method(console, 'error', () => {});
+
+        const sessionId = await sessions.createSession('user1', { role: 'admin' });
+        assert.equal((await sessions.getSession(sessionId)).role, 'admin');
+
+        redis.clock.advance(5000);
+        const updated = await sessions.updateSession(sessionId, { theme: 'dark' });
+        assert.equal(updated.theme, 'dark');
+        assert.equal(updated.lastActivity, new Date(redis.clock.now()).toISOString());
+
+        await sessions.destroySession(sessionId);
+        assert.equal(await sessions.getSession(sessionId), null);
+        await assert.rejects(sessions.updateSession(sessionId, {}), /Session not found/);
+    });
+
+    it('lists every session belonging to a user', async () => {
+        const sessions = new SessionManager(redis.client, { clock: redis.clock });
+
+        const first = await sessions.createSession('user1');
+        const second = await sessions.createSession('user1');
+        await sessions.createSession('user2');
+
+        const userSessions = await sessions.getUserSessions('user1');
+        assert.deepEqual(userSessions.map(session => session.sessionId).sort(), [first, second].sort());
+
+        const repeated = await new SessionManager(repeatingScans(redis.client), { clock: redis.clock }).getUserSessions('user1');
+        assert.equal(repeated.length, 2);
+    });
+
+    it('slides the expiry on every read', { skip: !clockDrivesExpiry && 'expiry follows the real clock' }, async () => {
+        const sessions = new SessionManager(redis.client, { clock: redis.clock });
+        const sessionId = await sessions.createSession('user1');
+
+        redis.clock.advance(3000 * 1000);
+        assert.ok(await sessions.getSession(sessionId));
+
+        redis.clock.advance(3000 * 1000);
+        assert.ok(await sessions.getSession(sessionId));
+
+        redis.clock.advance(3600 * 1000);
+        assert.equal(await sessions.getSession(sessionId), null);
+    });
+});
@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupRedis } from './helpers.js';
+import { TimeSeriesManager } from '../time_series.js';
+
+const redis = setupRedis();
+
+describe('TimeSeriesManager', () => {
+    it('keeps repeated values recorded at different times', async () => {
+        const series = new TimeSeriesManager(redis.client, { clock: redis.clock });
+        const start = redis.clock.now();
+
+        for (let i = 0; i < 5; i++) {
+            await series.addDataPoint('cpu', start + i * 1000, 42, { host: 'web1' });
+        }
+
+        const points = await series.getDataPoints('cpu', start, start + 10000);
+        assert.equal(points.length, 5);
+        assert.deepEqual(points.map(point => point.timestamp), [0, 1, 2, 3, 4].map(i => start + i * 1000));
+        assert.equal(points[0].host, 'web1');
+    });
+
+    it('returns latest points and range statistics', async () => {
+        const series = new TimeSeriesManager(redis.client, { clock: redis.clock });
+        const start = redis.clock.now();
+        const values = [10, 20, 30, 40];
+
+        for (const [i, value] of values.entries()) {
+            await series.addDataPoint('temp', start + i * 1000, value);
+        }
+
+        const latest = await series.getLatestDataPoints('temp', 2);
+        assert.deepEqual(latest.map(point => point.value), [40, 30]);
+
+        assert.deepEqual(await series.getStatistics('temp', start, start + 2000), {
+            count: 3, min: 10, max: 30, avg: 20, sum: 60
+        });
+    });
+
+    it('downsamples into fixed intervals', async () => {
+        const series = new TimeSeriesManager(redis.client, { clock: redis.clock });
+        const start = redis.clock.now();
+
+        for (let i = 0; i < 6; i++) {
+            await series.addDataPoint('requests', start + i * 30 * 1000, i);
+        }
+
+        const key = await series.downsample('requests', 60, 'sum');
+        const buckets = await redis.client.zRangeWithScores(key, 0, -1);
+        assert.deepEqual(buckets.map(bucket => JSON.parse(bucket.value).value), [1, 5, 9]);
+    });
+
+    it('aggregates recorded metrics per hour', async () => {
+        const series = new TimeSeriesManager(redis.client, { clock: redis.clock });
+        const hour = Math.floor(redis.clock.now() / 3600000) * 3600000;
+
+        await series.recordMetric('latency', 120);
+        redis.clock.advance(1000);
+        await series.recordMetric('latency', 80);
+
+        const [aggregate] = await series.getMetricAggregates('latency', hour, hour);
+        assert.deepEqual(aggregate, { timestamp: hour, count: 2, sum: 200, min: 80, max: 120, avg: 100 });
+    });
+});
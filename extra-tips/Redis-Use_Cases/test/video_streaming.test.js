@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupRedis } from './helpers.js';
+import { VideoStreamingPlatform } from '../video_streaming.js';
+
+const redis = setupRedis();
+
+describe('VideoStreamingPlatform', () => {
+    it('uses an injected client without taking ownership of it', async () => {
+        const platform = new VideoStreamingPlatform(redis.client, 'default', { clock: redis.clock });
+
+        await platform.connect();
+        await platform.disconnect();
+        assert.equal(redis.client.isOpen, true);
+    });
+
+    it('returns watch history newest first', async () => {
+        const platform = new VideoStreamingPlatform(redis.client, 'default', { clock: redis.clock });
+        const start = redis.clock.now();
+
+        await platform.addToWatchHistory('u1', 'intro', start);
+        await platform.addToWatchHistory('u1', 'part-2', start + 1000);
+        redis.clock.advance(2000);
+        await platform.addToWatchHistory('u1', 'part-3');
+
+        const history = await platform.getWatchHistory('u1', 2);
+        assert.deepEqual(history, [
+            { videoId: 'part-3', watchedAt: start + 2000 },
+            { videoId: 'part-2', watchedAt: start + 1000 }
+        ]);
+    });
+
+    it('tracks views, live viewers and the moderation queue', async () => {
+        const platform = new VideoStreamingPlatform(redis.client, 'default', { clock: redis.clock });
+
+        await platform.incrementViewCount('v1');
+        assert.equal(await platform.incrementViewCount('v1'), 2);
+        assert.equal(await platform.getViewCount('v1'), 2);
+
+        await platform.addLiveViewer('s1', 'u1', { name: 'Ann' });
+        assert.equal(await platform.addLiveViewer('s1', 'u2', { name: 'Bob' }), 2);
+        assert.equal(await platform.removeLiveViewer('s1', 'u1'), 1);
+
+        await platform.queueVideoForModeration('routine', 1);
+        await platform.queueVideoForModeration('reported', 5);
+        assert.equal(await platform.getNextVideoForModeration(), 'reported');
+    });
+});
@@ -1,60 +1,64 @@
-import { createClient } from 'redis';
-
-const client = createClient({
-    username: 'default',
-    password: 'gX94CVL0mRXXi7hligXMmMavy4lr55PV',
-    socket: {
-        host: 'redis-12372.c54.ap-northeast-1-2.ec2.redns.redis-cloud.com',
-        port: 12372
-    }
-});
-
-client.on('error', err => console.log('Redis Client Error', err));
-
-await client.connect();
+import { EventEmitter } from 'node:events';
+import { getClient, closeClient } from './connection.js';
+import { systemClock } from './clock.js';
+import { jsonCodec, binaryReplies } from './codecs.js';
+import { createKeyspace } from './keyspace.js';
+import { consoleLogger, defaultRegistry, traceClient } from './observability.js';
+import { isMainModule } from './main_module.js';
 
 // Time Series Data example - storing and analyzing time-stamped data
-class TimeSeriesManager {
-    constructor(redisClient) {
-        this.client = redisClient;
+//
+// Events: 'dataPoint' { seriesName, timestamp, value }, 'downsample' { seriesName, key, points },
+//         'anomaly' { seriesName, anomalies }
+class TimeSeriesManager extends EventEmitter {
+    constructor(redisClient, options = {}) {
+        super();
+        this.client = traceClient(redisClient, options.tracer);
+        this.logger = options.logger || consoleLogger;
+        this.metrics = options.metrics || defaultRegistry;
+        this.clock = options.clock || systemClock;
+        this.codec = options.codec || jsonCodec;
+        this.valueClient = binaryReplies(this.client); // reads encoded data points as raw bytes
+        this.keys = createKeyspace(options);
     }
 
     // Add a data point to time series
     async addDataPoint(seriesName, timestamp, value, metadata = {}) {
-        const key = `timeseries:${seriesName}`;
+        const key = this.keys.key(`timeseries:${seriesName}`);
 
         // Store as sorted set with timestamp as score
-        await this.client.zAdd(key, [{ score: timestamp, value: JSON.stringify({ value, ...metadata }) }]);
+        await this.client.zAdd(key, [{ score: timestamp, value: this.codec.encode({ value, ...metadata, timestamp }) }]);
 
         // Keep only last 10000 data points to prevent unlimited growth
         await this.client.zRemRangeByRank(key, 0, -10001);
 
-        console.log(`Added data point to ${seriesName}: ${value} at ${new Date(timestamp).toISOString()}`);
+        this.emit('dataPoint', { seriesName, timestamp, value });
+        this.logger.info(`Added data point to ${seriesName}: ${value} at ${new Date(timestamp).toISOString()}`);
     }
 
     // Get data points in time range
     async getDataPoints(seriesName, startTime, endTime, limit = 1000) {
-        const key = `timeseries:${seriesName}`;
+        const key = this.keys.key(`timeseries:${seriesName}`);
 
-        const results = await this.client.zRangeByScoreWithScores(key, startTime, endTime, {
+        const results = await this.valueClient.zRangeByScoreWithScores(key, startTime, endTime, {
             LIMIT: { offset: 0, count: limit }
         });
 
         return results.map(result => ({
             timestamp: result.score,
-            ...JSON.parse(result.value)
+            ...this.codec.decode(result.value)
         }));
     }
 
     // Get latest data points
     async getLatestDataPoints(seriesName, count = 10) {
-        const key = `timeseries:${seriesName}`;
+        const key = this.keys.key(`timeseries:${seriesName}`);
 
-        const results = await this.client.zRevRangeWithScores(key, 0, count - 1);
+        const results = await this.valueClient.zRangeWithScores(key, 0, count - 1, { REV: true });
 
         return results.map(result => ({
             timestamp: result.score,
-            ...JSON.parse(result.value)
+            ...this.codec.decode(result.value)
         }));
     }
 
@@ -83,11 +87,11 @@ class TimeSeriesManager {
 
     // Downsample time series (reduce data points)
     async downsample(seriesName, intervalSeconds, method = 'avg') {
-        const key = `timeseries:${seriesName}`;
-        const downsampledKey = `timeseries:${seriesName}:downsampled_${intervalSeconds}s`;
+        const key = this.keys.key(`timeseries:${seriesName}`);
+        const downsampledKey = `${key}:downsampled_${intervalSeconds}s`;
 
         // Get all data points
-        const allData = await this.client.zRangeWithScores(key, 0, -1);
+        const allData = await this.valueClient.zRangeWithScores(key, 0, -1);
 
         if (allData.length === 0) return;
 
@@ -97,7 +101,7 @@ class TimeSeriesManager {
         for (const item of allData) {
             const timestamp = item.score;
             const intervalStart = Math.floor(timestamp / (intervalSeconds * 1000)) * (intervalSeconds * 1000);
-            const data = JSON.parse(item.value);
+            const data = this.codec.decode(item.value);
 
             if (!intervals.has(intervalStart)) {
                 intervals.set(intervalStart, []);
@@ -132,7 +136,7 @@ class TimeSeriesManager {
 
             downsampledData.push({
                 score: intervalStart,
-                value: JSON.stringify({
+                value: this.codec.encode({
                     value: Math.round(aggregatedValue * 100) / 100,
                     method,
                     originalCount: values.length
@@ -146,7 +150,8 @@ class TimeSeriesManager {
         // Set expiration (keep for 30 days)
         await this.client.expire(downsampledKey, 30 * 24 * 60 * 60);
 
-        console.log(`Created downsampled series: ${downsampledKey} with ${downsampledData.length} points`);
+        this.emit('downsample', { seriesName, key: downsampledKey, points: downsampledData.length });
+        this.logger.info(`Created downsampled series: ${downsampledKey} with ${downsampledData.length} points`);
         return downsampledKey;
     }
 
@@ -181,19 +186,22 @@ class TimeSeriesManager {
             }
         }
 
+        if (anomalies.length > 0) {
+            this.emit('anomaly', { seriesName, anomalies });
+        }
         return anomalies;
     }
 
     // Store metrics with automatic aggregation
     async recordMetric(metricName, value, tags = {}) {
-        const timestamp = Date.now();
+        const timestamp = this.clock.now();
         const hour = Math.floor(timestamp / (60 * 60 * 1000)) * (60 * 60 * 1000); // Round to hour
 
         // Store raw data point
         await this.addDataPoint(`${metricName}:raw`, timestamp, value, tags);
 
         // Update hourly aggregates
-        const hourlyKey = `${metricName}:hourly`;
+        const hourlyKey = this.keys.key(`${metricName}:hourly`);
         const existing = await this.client.hGetAll(`${hourlyKey}:${hour}`);
 
         const count = (parseInt(existing.count) || 0) + 1;
@@ -215,7 +223,7 @@ class TimeSeriesManager {
 
     // Get metric aggregates
     async getMetricAggregates(metricName, startHour, endHour) {
-        const hourlyKey = `${metricName}:hourly`;
+        const hourlyKey = this.keys.key(`${metricName}:hourly`);
         const aggregates = [];
 
         for (let hour = startHour; hour <= endHour; hour += 60 * 60 * 1000) {
@@ -238,6 +246,7 @@ class TimeSeriesManager {
 
 // Demo the time series functionality
 async function demoTimeSeries() {
+    const client = await getClient();
     const ts = new TimeSeriesManager(client);
 
     console.log('=== Redis Time Series Data Demo ===\n');
@@ -350,8 +359,13 @@ async function demoTimeSeries() {
     const finalStats = await ts.getStatistics('sensor:temperature:living_room', now - 24 * 60 * 60 * 1000, now);
     console.log('24-hour stats:', JSON.stringify(finalStats, null, 2));
 
-    await client.disconnect();
+    await closeClient();
     console.log('\nTime series demo completed!');
 }
 
-demoTimeSeries().catch(console.error);
\ No newline at end of file
+export { TimeSeriesManager };
+
+// Run demonstration if this file is executed directly
+if (isMainModule(import.meta.url)) {
+    demoTimeSeries().catch(console.error);
+}
@@ -1,88 +1,99 @@
-import { createClient } from 'redis';
-
-class VideoStreamingPlatform {
-    constructor() {
-        this.client = createClient({
-            username: 'default',
-            password: 'gX94CVL0mRXXi7hligXMmMavy4lr55PV',
-            socket: {
-                host: 'redis-12372.c54.ap-northeast-1-2.ec2.redns.redis-cloud.com',
-                port: 12372
-            }
-        });
-
-        this.client.on('error', (err) => console.log('Redis Client Error', err));
+import { EventEmitter } from 'node:events';
+import { getClient, closeClient } from './connection.js';
+import { systemClock } from './clock.js';
+import { createKeyspace } from './keyspace.js';
+import { consoleLogger, defaultRegistry, traceClient } from './observability.js';
+import { isMainModule } from './main_module.js';
+
+// Events: 'watchStart' { userId, videoId }, 'view' { videoId, views }, 'rateLimited' { userId, endpoint }
+class VideoStreamingPlatform extends EventEmitter {
+    constructor(redisClient = null, connectionName = 'default', options = {}) {
+        super();
+        // Use the given client, or a shared client from the connection factory on connect()
+        this.client = traceClient(redisClient, options.tracer);
+        this.logger = options.logger || consoleLogger;
+        this.metrics = options.metrics || defaultRegistry;
+        this.tracer = options.tracer;
+        this.connectionName = connectionName;
+        this.ownsClient = false;
+        this.clock = options.clock || systemClock;
+        this.keys = createKeyspace(options);
     }
 
     async connect() {
-        await this.client.connect();
+        if (!this.client) {
+            this.client = traceClient(await getClient(this.connectionName), this.tracer);
+            this.ownsClient = true;
+        }
     }
 
     // 1. Cache video metadata for fast access
     async cacheVideoMetadata(videoId, metadata) {
-        const key = `video:metadata:${videoId}`;
+        const key = this.keys.key(`video:metadata:${videoId}`);
         await this.client.setEx(key, 3600, JSON.stringify(metadata)); // Cache for 1 hour
-        console.log(`Cached metadata for video ${videoId}`);
+        this.logger.info(`Cached metadata for video ${videoId}`);
     }
 
     async getVideoMetadata(videoId) {
-        const key = `video:metadata:${videoId}`;
+        const key = this.keys.key(`video:metadata:${videoId}`);
         const data = await this.client.get(key);
         return data ? JSON.parse(data) : null;
     }
 
     // 2. Track user watching sessions
     async startWatchingSession(userId, videoId, sessionData) {
-        const sessionKey = `session:${userId}:${videoId}`;
+        const sessionKey = this.keys.key(`video:session:${userId}:${videoId}`);
         const session = {
             ...sessionData,
-            startTime: Date.now(),
-            lastActivity: Date.now()
+            startTime: this.clock.now(),
+            lastActivity: this.clock.now()
         };
         await this.client.setEx(sessionKey, 7200, JSON.stringify(session)); // 2 hours
-        console.log(`Started watching session for user ${userId} on video ${videoId}`);
+        this.emit('watchStart', { userId, videoId });
+        this.logger.info(`Started watching session for user ${userId} on video ${videoId}`);
     }
 
     async updateWatchingProgress(userId, videoId, progress) {
-        const sessionKey = `session:${userId}:${videoId}`;
+        const sessionKey = this.keys.key(`video:session:${userId}:${videoId}`);
         const sessionData = await this.client.get(sessionKey);
         if (sessionData) {
             const session = JSON.parse(sessionData);
             session.progress = progress;
-            session.lastActivity = Date.now();
+            session.lastActivity = this.clock.now();
             await this.client.setEx(sessionKey, 7200, JSON.stringify(session));
         }
     }
 
     // 3. Real-time view counting with atomic operations
     async incrementViewCount(videoId) {
-        const key = `video:views:${videoId}`;
+        const key = this.keys.key(`video:views:${videoId}`);
         const views = await this.client.incr(key);
-        console.log(`Video ${videoId} now has ${views} views`);
+        this.emit('view', { videoId, views });
+        this.logger.info(`Video ${videoId} now has ${views} views`);
         return views;
     }
 
     async getViewCount(videoId) {
-        const key = `video:views:${videoId}`;
+        const key = this.keys.key(`video:views:${videoId}`);
         return parseInt(await this.client.get(key) || '0');
     }
 
     // 4. Cache user recommendations
     async cacheUserRecommendations(userId, recommendations) {
-        const key = `user:recommendations:${userId}`;
+        const key = this.keys.key(`user:recommendations:${userId}`);
         await this.client.setEx(key, 1800, JSON.stringify(recommendations)); // 30 minutes
-        console.log(`Cached recommendations for user ${userId}`);
+        this.logger.info(`Cached recommendations for user ${userId}`);
     }
 
     async getUserRecommendations(userId) {
-        const key = `user:recommendations:${userId}`;
+        const key = this.keys.key(`user:recommendations:${userId}`);
         const data = await this.client.get(key);
         return data ? JSON.parse(data) : null;
     }
 
     // 5. Rate limiting for API endpoints
     async checkRateLimit(userId, endpoint, limit = 100, window = 60) {
-        const key = `ratelimit:${endpoint}:${userId}`;
+        const key = this.keys.key(`ratelimit:${endpoint}:${userId}`);
         const current = await this.client.incr(key);
 
         if (current === 1) {
@@ -90,7 +101,8 @@ class VideoStreamingPlatform {
         }
 
         if (current > limit) {
-            console.log(`Rate limit exceeded for user ${userId} on ${endpoint}`);
+            this.emit('rateLimited', { userId, endpoint });
+            this.logger.info(`Rate limit exceeded for user ${userId} on ${endpoint}`);
             return false;
         }
 
@@ -99,98 +111,103 @@ class VideoStreamingPlatform {
 
     // 6. Live streaming viewer tracking
     async addLiveViewer(streamId, userId, userInfo) {
-        const viewersKey = `live:viewers:${streamId}`;
+        const viewersKey = this.keys.key(`live:viewers:${streamId}`);
         await this.client.sAdd(viewersKey, userId);
 
-        const userKey = `live:user:${streamId}:${userId}`;
+        const userKey = this.keys.key(`live:user:${streamId}:${userId}`);
         await this.client.setEx(userKey, 3600, JSON.stringify(userInfo));
 
         const count = await this.client.sCard(viewersKey);
-        console.log(`Added viewer ${userId} to stream ${streamId}. Total viewers: ${count}`);
+        this.logger.info(`Added viewer ${userId} to stream ${streamId}. Total viewers: ${count}`);
         return count;
     }
 
     async removeLiveViewer(streamId, userId) {
-        const viewersKey = `live:viewers:${streamId}`;
+        const viewersKey = this.keys.key(`live:viewers:${streamId}`);
         await this.client.sRem(viewersKey, userId);
 
-        const userKey = `live:user:${streamId}:${userId}`;
+        const userKey = this.keys.key(`live:user:${streamId}:${userId}`);
         await this.client.del(userKey);
 
         const count = await this.client.sCard(viewersKey);
-        console.log(`Removed viewer ${userId} from stream ${streamId}. Total viewers: ${count}`);
+        this.logger.info(`Removed viewer ${userId} from stream ${streamId}. Total viewers: ${count}`);
         return count;
     }
 
     async getLiveViewerCount(streamId) {
-        const viewersKey = `live:viewers:${streamId}`;
+        const viewersKey = this.keys.key(`live:viewers:${streamId}`);
         return await this.client.sCard(viewersKey);
     }
 
     // 7. Cache video segments (for adaptive streaming)
     async cacheVideoSegment(videoId, segmentId, segmentData, quality) {
-        const key = `video:segment:${videoId}:${quality}:${segmentId}`;
+        const key = this.keys.key(`video:segment:${videoId}:${quality}:${segmentId}`);
         // In practice, you'd store segment URLs or metadata, not the actual binary data
         await this.client.setEx(key, 3600, JSON.stringify({
             url: segmentData.url,
             size: segmentData.size,
             duration: segmentData.duration
         }));
-        console.log(`Cached segment ${segmentId} for video ${videoId} at quality ${quality}`);
+        this.logger.info(`Cached segment ${segmentId} for video ${videoId} at quality ${quality}`);
     }
 
     async getVideoSegment(videoId, segmentId, quality) {
-        const key = `video:segment:${videoId}:${quality}:${segmentId}`;
+        const key = this.keys.key(`video:segment:${videoId}:${quality}:${segmentId}`);
         const data = await this.client.get(key);
         return data ? JSON.parse(data) : null;
     }
 
     // 8. User watch history with sorted sets
-    async addToWatchHistory(userId, videoId, timestamp = Date.now()) {
-        const key = `user:history:${userId}`;
+    async addToWatchHistory(userId, videoId, timestamp = this.clock.now()) {
+        const key = this.keys.key(`user:history:${userId}`);
         await this.client.zAdd(key, { score: timestamp, value: videoId });
         // Keep only last 100 videos
         await this.client.zRemRangeByRank(key, 0, -101);
-        console.log(`Added video ${videoId} to watch history for user ${userId}`);
+        this.logger.info(`Added video ${videoId} to watch history for user ${userId}`);
     }
 
     async getWatchHistory(userId, limit = 20) {
-        const key = `user:history:${userId}`;
-        const history = await this.client.zRange(key, -limit, -1, { REV: true, WITHSCORES: true });
-        return history.map(([videoId, score]) => ({
-            videoId,
-            watchedAt: parseInt(score)
+        const key = this.keys.key(`user:history:${userId}`);
+        const history = await this.client.zRangeWithScores(key, 0, limit - 1, { REV: true });
+        return history.map(({ value, score }) => ({
+            videoId: value,
+            watchedAt: score
         }));
     }
 
     // 9. Content moderation queue
     async queueVideoForModeration(videoId, priority = 1) {
-        const queueKey = 'moderation:queue';
+        const queueKey = this.keys.key('moderation:queue');
         await this.client.zAdd(queueKey, { score: priority, value: videoId });
-        console.log(`Queued video ${videoId} for moderation with priority ${priority}`);
+        this.logger.info(`Queued video ${videoId} for moderation with priority ${priority}`);
     }
 
     async getNextVideoForModeration() {
-        const queueKey = 'moderation:queue';
-        const videos = await this.client.zPopMax(queueKey);
-        return videos.length > 0 ? videos[0].value : null;
+        const queueKey = this.keys.key('moderation:queue');
+        const video = await this.client.zPopMax(queueKey);
+        return video ? video.value : null;
     }
 
     // 10. Personalized video feed caching
     async cachePersonalizedFeed(userId, feedData) {
-        const key = `user:feed:${userId}`;
+        const key = this.keys.key(`user:feed:${userId}`);
         await this.client.setEx(key, 900, JSON.stringify(feedData)); // 15 minutes
-        console.log(`Cached personalized feed for user ${userId}`);
+        this.logger.info(`Cached personalized feed for user ${userId}`);
     }
 
     async getPersonalizedFeed(userId) {
-        const key = `user:feed:${userId}`;
+        const key = this.keys.key(`user:feed:${userId}`);
         const data = await this.client.get(key);
         return data ? JSON.parse(data) : null;
     }
 
     async disconnect() {
-        await this.client.destroy();
+        // Injected clients are left open for their owner to close
+        if (this.ownsClient) {
+            await closeClient(this.connectionName);
+            this.client = null;
+            this.ownsClient = false;
+        }
     }
 }
 
@@ -263,9 +280,10 @@ async function demonstrateVideoStreaming() {
     }
 }
 
+export { VideoStreamingPlatform };
 export default VideoStreamingPlatform;
 
 // Run demonstration if this file is executed directly
-if (import.meta.url === `file://${process.argv[1]}`) {
+if (isMainModule(import.meta.url)) {
     demonstrateVideoStreaming().catch(console.error);
-}
\ No newline at end of file
+}